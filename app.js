@@ -9,37 +9,166 @@ class PortfolioTracker {
         this.contract = null;
         this.userAddress = null;
         
-        // TODO: Update this with the new Mainnet address after deployment
-        this.CONTRACT_ADDRESS = "0x17Bc5d06c9e2B3593706d5Ed59f7D47E23959aCC";
-        this.GATEWAY_ADDRESS = "0x6c533f7fe93fae114d0954697069df33c9b74fd7";
+        // Filled from deployments/registry.json by applyNetwork()
+        this.registry = {};
+        this.network = null;
+        this.CONTRACT_ADDRESS = null;
+        this.GATEWAY_ADDRESS = null;
+        this.EXPLORER_URL = '';
+        this.RPC_URL = null;
+        
+        // First block worth scanning for activity (null = locate via getCode)
+        this.DEPLOYMENT_BLOCK = null;
+
+        this.history = null;
+        this.eventFeed = null;
+        // Session rebuild in progress, and the one queued behind it
+        this.sessionSetup = null;
+        this.sessionQueued = null;
+        this.positions = [];
+        // Connected wallet's positions ticked in the list for a batch exit
+        this.selectedPositions = new Set();
+        this.chainId = null;
+        
+        // Read-only access for watched addresses (no wallet required)
+        this.readProvider = null;
+        this.readContract = null;
+        this.viewAddress = null;
+        this.portfolios = new Map();
+        this.watchHistories = new Map();
+        this.watchList = new WatchList({
+            normalize: (address) => ethers.utils.getAddress(address),
+            storage: window.localStorage
+        });
+        
+        // Saved withdrawal recipients, one book per connected wallet
+        this.addressBook = new AddressBook({
+            encode: (chainId, address) => Recipients.encode(chainId, address, { getAddress: ethers.utils.getAddress }),
+            storage: window.localStorage
+        });
+        
+        // Submitted transactions, tracked across reloads
+        this.txQueue = new TxQueue({
+            storage: window.localStorage,
+            onChange: (entries) => this.renderPendingTray(entries),
+            onSettled: (entry, receipt) => this.handleTxSettled(entry, receipt)
+        });
+        
+        // Cross-chain progress of withdrawn positions, per network (null without an API)
+        this.cctxTracker = null;
+        
+        this.walletSession = new WalletSession({
+            onAccountsChanged: (accounts) => this.handleAccountsChanged(accounts),
+            onChainChanged: (chainId) => this.handleChainChanged(chainId),
+            onDisconnect: () => this.disconnectWallet(),
+            storage: window.localStorage
+        });
         
         // Extended ABI with Universal NFT functions
         this.CONTRACT_ABI = [
             "function deposit(uint256 amount) external payable",
-            "function withdrawAndTrack(uint256 positionId, uint256 destinationChainId, address destinationAddress, uint256 gasLimit) external payable",
-            "function getPosition(address user, uint256 positionId) external view returns (tuple(uint256 amount, address user, uint256 timestamp, uint8 status, bytes32 crossChainTxHash))",
-            "function getUserPositions(address user) external view returns (tuple(uint256 amount, address user, uint256 timestamp, uint8 status, bytes32 crossChainTxHash)[])",
-            "function estimateWithdrawGas(uint256 gasLimit) external view returns (uint256 baseGas, uint256 withPremium)",
+            "function depositToken(address token, uint256 amount) external",
+            "function topUp(uint256 positionId, uint256 amount) external payable",
+            "function withdrawAndTrack(uint256 positionId, uint256 amount, uint256 destinationChainId, bytes recipient, uint256 gasLimit) external returns (uint8 status)",
+            "function withdrawBatch(uint256[] positionIds, uint256 destinationChainId, bytes recipient, uint256 gasLimit) external returns (string[] skipped)",
+            "function getPosition(address user, uint256 positionId) external view returns (tuple(uint256 amount, address user, uint256 timestamp, uint8 status, bytes32 crossChainTxHash, address token))",
+            "function getUserPositions(address user) external view returns (tuple(uint256 amount, address user, uint256 timestamp, uint8 status, bytes32 crossChainTxHash, address token)[])",
+            "function getUserWithdrawals(address user) external view returns (tuple(uint256 positionId, uint256 amount, uint256 timestamp, uint256 destinationChainId, uint8 status, bytes32 crossChainTxHash, bool protected)[])",
+            "function estimateWithdrawGas(address token, uint256 destinationChainId, uint256 gasLimit) external view returns (address gasToken, uint256 baseGas, uint256 withPremium, uint256 premiumGas, uint256 premiumBps)",
+            "function gasTokens(uint256 chainId) external view returns (address)",
+            "function totalDeposited(address user) external view returns (uint256)",
+            "function totalDepositedByToken(address user, address token) external view returns (uint256)",
             // Universal NFT Functions
             "function hasUsedSafetyBuffer(address user) external view returns (bool)",
             "function isEligibleForBadge(address user) external view returns (bool)",
             "function getUserBadge(address user) external view returns (uint256)",
             "function mintSafetyBadge() external",
-            "function transferBadgeCrossChain(uint256 tokenId, uint256 destinationChainId) external",
+            "function upgradeBadge() external",
+            "function badgeTier(uint256 tokenId) external view returns (uint8)",
+            "function eligibleTier(address user) external view returns (uint8)",
+            "function tierRequirements(uint8 tier) external view returns (uint256 withdrawals, uint256 volume, uint256 refunds)",
+            "function transferBadgeCrossChain(uint256 tokenId, uint256 destinationChainId, bytes recipient) external",
+            "function estimateBadgeTransferGas(uint256 destinationChainId) external view returns (address gasToken, uint256 gasFee)",
+            "function badgeChainId(uint256 tokenId) external view returns (uint256)",
+            "function badgeConnectors(uint256 chainId) external view returns (address)",
             "function ownerOf(uint256 tokenId) external view returns (address)",
             "function tokenURI(uint256 tokenId) external view returns (string)",
             // Additional View Functions
             "function gateway() external view returns (address)",
+            "function owner() external view returns (address)",
+            "function paused() external view returns (bool)",
+            "function lockedBalance(address token) external view returns (uint256)",
+            "function badgeBaseURI() external view returns (string)",
+            "function premiumFor(uint256 chainId) external view returns (tuple(uint256 bps, uint256 floorGas, uint256 ceilingGas))",
+            // Owner Functions
+            "function pause() external",
+            "function unpause() external",
+            "function setGateway(address gateway) external",
+            "function setPremium(uint256 chainId, uint256 bps, uint256 floorGas, uint256 ceilingGas) external",
+            "function sweepFees(address token, address to) external returns (uint256 amount)",
+            "function setBadgeBaseURI(string baseURI) external",
             // Emergency Functions
-            "function emergencyWithdraw(uint256 positionId) external",
+            "function emergencyWithdraw(uint256 positionId, uint256 amount) external",
+            "function emergencyWithdrawBatch(uint256[] positionIds) external returns (string[] skipped)",
             // Events
             "event PositionCreated(address indexed user, uint256 positionId, uint256 amount)",
-            "event WithdrawInitiated(address indexed user, uint256 positionId, bytes32 txHash)",
+            "event TokenPositionCreated(address indexed user, uint256 positionId, address indexed token, uint256 amount)",
+            "event PositionToppedUp(address indexed user, uint256 positionId, uint256 amount)",
+            "event WithdrawInitiated(address indexed user, uint256 positionId, uint256 withdrawalId, uint256 amount, bytes32 txHash)",
+            "event GatewayFeePaid(address indexed user, address indexed gasToken, uint256 fee, uint256 premiumFee)",
+            "event EmergencyWithdrawn(address indexed user, uint256 positionId, uint256 amount)",
+            "event BatchItemSkipped(address indexed user, uint256 positionId, string reason)",
             "event SafetyBufferUsed(address indexed user, uint256 positionId)",
             "event SafetyBadgeMinted(address indexed user, uint256 tokenId)",
-            "event BadgeTransferredCrossChain(uint256 indexed tokenId, uint256 destinationChainId, address recipient)"
+            "event BadgeTransferredCrossChain(uint256 indexed tokenId, uint256 destinationChainId, bytes recipient)",
+            "event BadgeReturned(uint256 indexed tokenId, uint256 sourceChainId, address recipient)",
+            "event BadgeTransferReverted(uint256 indexed tokenId, uint256 destinationChainId, address owner)",
+            "event BadgeUpgraded(uint256 indexed tokenId, address indexed user, uint8 tier)",
+            "event RevertSuccess(address indexed user, uint256 positionId, bytes32 txHash, string reason)",
+            "event PositionRefunded(address indexed user, uint256 positionId, uint256 amount)",
+            "event WithdrawAborted(address indexed user, uint256 positionId, bytes32 txHash)",
+            // Errors (OpenZeppelin and ZRC-20 custom errors surfaced by TxErrors)
+            "error ERC721NonexistentToken(uint256 tokenId)",
+            "error OwnableUnauthorizedAccount(address account)",
+            "error EnforcedPause()",
+            "error ExpectedPause()",
+            "error LowAllowance()",
+            "error LowBalance()",
+            "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+            "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)"
+        ];
+        
+        // ZRC-20s held in positions, and the destination gas tokens fees are paid in
+        this.ZRC20_ABI = [
+            "function symbol() external view returns (string)",
+            "function decimals() external view returns (uint8)",
+            "function balanceOf(address account) external view returns (uint256)",
+            "function allowance(address owner, address spender) external view returns (uint256)",
+            "function approve(address spender, uint256 amount) external returns (bool)"
+        ];
+        this.tokenInfo = new Map();
+        this.gasQuoteRequest = 0;
+        this.depositTokenRequest = 0;
+        this.adminRequest = 0;
+        
+        // Address, snapshot and events on display in the analytics card (see renderAnalytics)
+        this.analytics = null;
+        this.analyticsRequest = 0;
+        
+        // Fiat prices of the current network (see applyPriceSettings); null shows token amounts only
+        this.priceBook = null;
+        // PriceFeeds.valuate reports of the dashboard's addresses, by lowercased address
+        this.valuations = new Map();
+        this.AGGREGATOR_ABI = [
+            "function decimals() external view returns (uint8)",
+            "function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+            "function getRoundData(uint80 id) external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
         ];
         
+        // Decoded on-chain art of the badge on display (see renderBadgeArt)
+        this.badgeArt = null;
+        this.badgePlaceholder = null;
+        
         this.init();
     }
     
@@ -48,6 +177,12 @@ class PortfolioTracker {
             console.log('Initializing PortfolioTracker...');
             this.setupEventListeners();
             console.log('Event listeners setup complete');
+            await this.loadNetworkRegistry();
+            this.renderWatchList();
+            if (this.network && this.watchList.list().length > 0) {
+                await this.loadPositions();
+                await this.loadActivity();
+            }
             await this.checkWalletConnection();
             console.log('Wallet connection check complete');
         } catch (error) {
@@ -58,18 +193,92 @@ class PortfolioTracker {
     setupEventListeners() {
         try {
             document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
+            document.getElementById('switchWallet').addEventListener('click', () => this.connectWallet(null, true));
+            document.getElementById('switchNetworkBtn').addEventListener('click', () => this.switchToZetaChain().catch(error => {
+                this.showTxError('Network switch', error);
+            }));
+            document.getElementById('networkSelect').addEventListener('change', (e) => this.selectNetwork(Number(e.target.value)));
             document.getElementById('depositBtn').addEventListener('click', () => this.createPosition());
             document.getElementById('withdrawBtn').addEventListener('click', () => this.withdrawPosition());
             document.getElementById('gasLimit').addEventListener('input', () => this.updateGasEstimate());
-            document.getElementById('positionSelect').addEventListener('change', () => this.updateGasEstimate());
+            document.getElementById('positionSelect').addEventListener('change', () => {
+                this.fillWithdrawAmount();
+                this.updateGasEstimate();
+            });
+            document.getElementById('depositTarget').addEventListener('change', () => this.updateDepositButton());
+            document.getElementById('depositToken').addEventListener('change', () => this.updateDepositButton());
+            document.getElementById('destinationChain').addEventListener('change', () => {
+                this.updateRecipientField('destinationChain', 'destinationAddress');
+                this.updateRecipientWarning();
+                this.updateGasEstimate();
+            });
+            document.getElementById('destinationAddress').addEventListener('input', () => {
+                this.updateRecipientField('destinationChain', 'destinationAddress');
+                this.updateRecipientWarning();
+            });
+            
+            // Address book of the withdraw card
+            document.getElementById('addressBookSelect').addEventListener('change', (e) => this.pickRecipient(e.target.value));
+            document.getElementById('saveRecipientBtn').addEventListener('click', () => this.saveRecipient());
+            document.getElementById('removeRecipientBtn').addEventListener('click', () => this.removeRecipient());
+            document.getElementById('exportAddressBookBtn').addEventListener('click', () => this.exportAddressBook());
+            document.getElementById('importAddressBookBtn').addEventListener('click', () => document.getElementById('importAddressBookFile').click());
+            document.getElementById('importAddressBookFile').addEventListener('change', (e) => {
+                if (e.target.files[0]) this.importAddressBook(e.target.files[0]);
+                e.target.value = '';
+            });
+            
+            // Batch exits of the positions ticked in the list
+            document.getElementById('positionsContainer').addEventListener('change', (e) => {
+                if (e.target.classList.contains('position-check')) {
+                    this.togglePositionSelection(Number(e.target.closest('.position-item').dataset.positionId), e.target.checked);
+                }
+            });
+            document.getElementById('positionsContainer').addEventListener('click', (e) => {
+                if (e.target.classList.contains('position-emergency')) {
+                    this.emergencyExit(Number(e.target.closest('.position-item').dataset.positionId));
+                }
+            });
+            document.getElementById('batchWithdrawBtn').addEventListener('click', () => this.withdrawSelected());
+            document.getElementById('batchEmergencyBtn').addEventListener('click', () => this.emergencyExitSelected());
+            document.getElementById('batchClearBtn').addEventListener('click', () => this.clearPositionSelection());
+            document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportReport('csv'));
+            document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportReport('json'));
+            document.getElementById('analyticsBtn').addEventListener('click', () => this.loadAnalytics());
+            document.getElementById('analyticsAddress').addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.loadAnalytics();
+            });
+            document.getElementById('analyticsToken').addEventListener('change', () => this.renderAnalytics());
+            document.getElementById('priceApplyBtn').addEventListener('click', () => this.savePriceSettings());
             
             // Universal NFT event listeners
             document.getElementById('mintBadgeBtn').addEventListener('click', () => this.mintSafetyBadge());
+            document.getElementById('upgradeBadgeBtn').addEventListener('click', () => this.upgradeBadge());
             document.getElementById('transferBadgeBtn').addEventListener('click', () => this.transferBadge());
-            document.getElementById('transferChain').addEventListener('change', (e) => {
-                document.getElementById('transferBadgeBtn').disabled = !e.target.value;
+            document.getElementById('transferChain').addEventListener('change', () => this.updateTransferRecipient());
+            document.getElementById('transferRecipient').addEventListener('input', () => this.updateTransferRecipient());
+            document.getElementById('downloadSvgBtn').addEventListener('click', () => this.downloadNFTImage('svg'));
+            document.getElementById('downloadPngBtn').addEventListener('click', () => this.downloadNFTImage('png'));
+            
+            // Owner console
+            document.getElementById('adminPauseBtn').addEventListener('click', () => this.togglePause());
+            document.getElementById('adminGatewayBtn').addEventListener('click', () => this.updateGateway());
+            document.getElementById('adminPremiumChain').addEventListener('change', () => this.fillPremiumFields());
+            document.getElementById('adminPremiumBtn').addEventListener('click', () => this.updatePremium());
+            document.getElementById('adminSweepToken').addEventListener('change', () => this.updateSweepable());
+            document.getElementById('adminSweepBtn').addEventListener('click', () => this.sweepFees());
+            document.getElementById('adminBaseUriBtn').addEventListener('click', () => this.updateBadgeBaseURI());
+            
+            // Pending transaction tray
+            document.getElementById('pendingList').addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (button) this.handleTrayAction(button.dataset.action, button.closest('[data-id]').dataset.id);
             });
             
+            // Watch-only mode
+            document.getElementById('addWatchBtn').addEventListener('click', () => this.addWatchedAddress());
+            document.getElementById('portfolioView').addEventListener('change', (e) => this.setView(e.target.value || null));
+            
             // Add refresh button listener
             const refreshBtn = document.getElementById('refreshPositions');
             if (refreshBtn) {
@@ -82,90 +291,400 @@ class PortfolioTracker {
         }
     }
     
-    async checkWalletConnection() {
-        if (typeof window.ethereum !== 'undefined') {
+    // ============ NETWORKS ============
+    
+    /**
+     * Load every known deployment and start on the default network
+     */
+    async loadNetworkRegistry() {
+        try {
+            this.registry = await Networks.loadRegistry();
+        } catch (error) {
+            console.error('Error loading deployment registry:', error);
+            this.showError('No deployments found. Run: npm run deploy:mainnet');
+            return;
+        }
+        
+        const networks = Networks.deployed(this.registry);
+        if (networks.length === 0) {
+            this.showError(`${Networks.REGISTRY_PATH} has no contract addresses. Run: npm run deploy:mainnet`);
+            return;
+        }
+        this.applyNetwork(networks[0]);
+    }
+    
+    /**
+     * Point the app at another deployment. Cached snapshots belong to the old
+     * contract, so they are dropped along with the read-only provider.
+     */
+    applyNetwork(network) {
+        this.network = network;
+        this.CONTRACT_ADDRESS = network.contractAddress;
+        this.GATEWAY_ADDRESS = network.gatewayAddress;
+        this.EXPLORER_URL = network.explorerUrl;
+        this.RPC_URL = network.rpcUrls[0];
+        this.DEPLOYMENT_BLOCK = network.deploymentBlock;
+        
+        this.portfolios.clear();
+        this.watchHistories.clear();
+        this.analytics = null;
+        this.tokenInfo.clear();
+        // Native ZETA and the deployment's ZRC-20s are known without a lookup
+        [{ address: Portfolio.NATIVE_TOKEN, ...network.nativeCurrency }, ...(network.depositTokens || [])]
+            .forEach(token => this.tokenInfo.set(token.address.toLowerCase(), token));
+        this.setupReadOnly();
+        this.valuations.clear();
+        this.restorePriceSettings();
+        this.setupCctxTracker();
+        this.renderNetworkSelect();
+        
+        document.getElementById('switchNetworkBtn').textContent = `Switch to ${network.name}`;
+        console.log(`Using ${network.name} deployment:`, network.contractAddress);
+    }
+    
+    renderNetworkSelect() {
+        const select = document.getElementById('networkSelect');
+        const networks = Networks.deployed(this.registry);
+        
+        select.innerHTML = networks.map(network => 
+            `<option value="${network.chainId}">${network.name}</option>`
+        ).join('');
+        select.value = this.network ? String(this.network.chainId) : '';
+        select.disabled = networks.length < 2;
+    }
+    
+    /**
+     * Network picker handler. With a wallet connected the wallet is switched and
+     * handleChainChanged follows it; otherwise only the read-only view moves.
+     */
+    async selectNetwork(chainId) {
+        const network = Networks.resolve(this.registry, chainId);
+        if (!network || (this.network && network.chainId === this.network.chainId)) return;
+        
+        if (this.walletSession.ethereum) {
             try {
-                const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-                if (accounts.length > 0) {
-                    await this.connectWallet();
-                }
+                await this.switchToZetaChain(this.walletSession.ethereum, network);
             } catch (error) {
-                console.error('Error checking wallet connection:', error);
+                this.showTxError('Network switch', error);
+                this.renderNetworkSelect();
             }
+            return;
         }
+        
+        this.applyNetwork(network);
+        await this.loadPositions();
+        await this.loadActivity();
+    }
+    
+    setupCctxTracker() {
+        if (this.cctxTracker) this.cctxTracker.stop();
+        this.cctxTracker = null;
+        if (!this.network.cctxApiUrl) return;
+        
+        this.cctxTracker = new CctxTracker({
+            backend: new CctxTracker.HttpBackend({ baseUrl: this.network.cctxApiUrl }),
+            namespace: String(this.network.chainId),
+            storage: window.localStorage,
+            onUpdate: (record) => record.key.startsWith('badge:') ? this.checkBadgeEligibility() : this.renderPositions()
+        });
+        this.cctxTracker.start();
+    }
+    
+    /**
+     * Plain JSON-RPC contract used for watched addresses and when no wallet is connected
+     */
+    setupReadOnly() {
+        this.readProvider = new ethers.providers.JsonRpcProvider(this.RPC_URL, this.network.chainId);
+        this.readContract = new ethers.Contract(this.CONTRACT_ADDRESS, this.CONTRACT_ABI, this.readProvider);
     }
     
-    async connectWallet() {
+    async checkWalletConnection() {
         try {
-            if (typeof window.ethereum === 'undefined') {
-                this.showError('Please install MetaMask to use this application');
-                return;
-            }
+            const wallets = await this.walletSession.discover();
+            const preferred = this.walletSession.findPreferred(wallets);
+            if (!preferred) return;
             
+            const accounts = await preferred.provider.request({ method: 'eth_accounts' });
+            if (accounts.length > 0) {
+                await this.connectWallet(preferred);
+            }
+        } catch (error) {
+            console.error('Error checking wallet connection:', error);
+        }
+    }
+    
+    /**
+     * Connect to a wallet, asking the user to pick one when several are installed
+     * @param {Object} [wallet] - EIP-6963 provider detail to use directly
+     * @param {boolean} [forcePicker] - show the picker even if a wallet was used before
+     */
+    async connectWallet(wallet = null, forcePicker = false) {
+        try {
             if (!this.CONTRACT_ADDRESS || this.CONTRACT_ADDRESS === "") {
-                this.showError('Contract not deployed yet. Run: npm run deploy:universal');
+                this.showError('Contract not deployed yet. Run: npm run deploy:mainnet');
                 return;
             }
             
-            // Verify contract exists
-            const tempProvider = new ethers.providers.Web3Provider(window.ethereum);
-            const code = await tempProvider.getCode(this.CONTRACT_ADDRESS);
-            if (code === '0x') {
-                this.showError(`Contract not found at ${this.CONTRACT_ADDRESS}. Please redeploy: npm run deploy:universal`);
-                return;
-            }
+            const selected = wallet || await this.chooseWallet(forcePicker);
+            if (!selected) return;
             
-            await window.ethereum.request({ method: 'eth_requestAccounts' });
-            this.provider = new ethers.providers.Web3Provider(window.ethereum);
-            this.signer = this.provider.getSigner();
-            this.userAddress = await this.signer.getAddress();
+            await selected.provider.request({ method: 'eth_requestAccounts' });
             
-            await this.switchToZetaChain();
+            try {
+                await this.switchToZetaChain(selected.provider);
+            } catch (switchError) {
+                // Stay connected; applyNetworkLock keeps writes disabled until the user switches
+                console.warn('Network switch declined:', switchError.message);
+            }
             
-            this.contract = new ethers.Contract(this.CONTRACT_ADDRESS, this.CONTRACT_ABI, this.signer);
+            this.walletSession.select(selected);
+            await this.setupSession();
             
-            await this.updateWalletInfo();
-            await this.loadPositions();
-            await this.loadUserStats(); // NEW: Load user statistics
-            await this.checkBadgeEligibility(); // NEW: Check NFT eligibility
+            this.showSuccess(`${selected.info.name} connected successfully!`);
             
-            document.getElementById('connectWallet').style.display = 'none';
-            document.getElementById('walletInfo').classList.remove('hidden');
-            document.getElementById('depositBtn').disabled = false;
+        } catch (error) {
+            this.showTxError('Wallet connection', error);
+        }
+    }
+    
+    async chooseWallet(forcePicker) {
+        const wallets = await this.walletSession.discover();
+        
+        if (wallets.length === 0) {
+            this.showError('Please install MetaMask or another browser wallet to use this application');
+            return null;
+        }
+        
+        const preferred = forcePicker ? null : this.walletSession.findPreferred(wallets);
+        return preferred || this.showWalletPicker(wallets);
+    }
+    
+    showWalletPicker(wallets) {
+        const picker = document.getElementById('walletPicker');
+        const options = document.getElementById('walletOptions');
+        const cancelBtn = document.getElementById('walletPickerCancel');
+        
+        options.innerHTML = '';
+        
+        return new Promise(resolve => {
+            const close = (wallet) => {
+                picker.classList.add('hidden');
+                cancelBtn.onclick = null;
+                resolve(wallet);
+            };
             
-            this.showSuccess('Wallet connected successfully!');
+            wallets.forEach(wallet => {
+                const button = document.createElement('button');
+                button.className = 'wallet-option';
+                if (wallet.info.icon) {
+                    const icon = document.createElement('img');
+                    icon.src = wallet.info.icon;
+                    icon.alt = '';
+                    button.appendChild(icon);
+                }
+                button.appendChild(document.createTextNode(wallet.info.name));
+                button.onclick = () => close(wallet);
+                options.appendChild(button);
+            });
             
+            cancelBtn.onclick = () => close(null);
+            picker.classList.remove('hidden');
+        });
+    }
+    
+    /**
+     * Rebuild provider, signer and contract from the selected wallet's current
+     * account and chain. Called on connect and whenever the wallet changes either.
+     * Rebuilds run one at a time: a change that arrives mid-rebuild queues one more,
+     * which reads the wallet afresh, so the last account and chain reported win.
+     */
+    setupSession() {
+        if (!this.sessionQueued) {
+            const running = this.sessionSetup || Promise.resolve();
+            const queued = running.catch(() => {}).then(() => {
+                this.sessionQueued = null;
+                return this.loadSession();
+            });
+            this.sessionQueued = queued;
+            this.sessionSetup = queued;
+        }
+        return this.sessionQueued;
+    }
+    
+    async loadSession() {
+        this.unsubscribeFromContractEvents();
+        
+        this.provider = new ethers.providers.Web3Provider(this.walletSession.ethereum, 'any');
+        this.signer = this.provider.getSigner();
+        this.userAddress = await this.signer.getAddress();
+        this.chainId = (await this.provider.getNetwork()).chainId;
+        
+        document.getElementById('connectWallet').style.display = 'none';
+        document.getElementById('walletInfo').classList.remove('hidden');
+        this.renderWatchList();
+        this.addressBook.use(this.userAddress);
+        this.renderAddressBook();
+        
+        if (!this.applyNetworkLock()) {
+            this.contract = null;
+            this.history = null;
+            this.applyWriteLocks();
+            this.attachTxQueue();
+            await this.updateWalletInfo();
+            return;
+        }
+        
+        // Verify contract exists
+        const code = await this.provider.getCode(this.CONTRACT_ADDRESS);
+        if (code === '0x') {
+            throw new Error(`Contract not found at ${this.CONTRACT_ADDRESS} on ${this.network.name}. Check ${Networks.REGISTRY_PATH} or redeploy.`);
+        }
+        
+        this.contract = new ethers.Contract(this.CONTRACT_ADDRESS, this.CONTRACT_ABI, this.signer);
+        
+        await this.updateWalletInfo();
+        await this.loadPositions();
+        this.applyWriteLocks();
+        
+        this.history = new EventHistory({
+            provider: this.provider,
+            contract: this.contract,
+            userAddress: this.userAddress,
+            deploymentBlock: this.DEPLOYMENT_BLOCK,
+            storage: window.localStorage
+        });
+        this.loadActivity();
+        this.attachTxQueue();
+        await this.subscribeToContractEvents();
+    }
+    
+    /**
+     * Follow the wallet onto any chain with a deployment, and lock deposit and
+     * withdraw while it is on a chain without one
+     * @returns {boolean} true when the wallet is on a deployed chain
+     */
+    applyNetworkLock() {
+        const walletNetwork = Networks.resolve(this.registry, this.chainId);
+        if (walletNetwork && (!this.network || walletNetwork.chainId !== this.network.chainId)) {
+            this.applyNetwork(walletNetwork);
+        }
+        
+        const supported = Networks.deployed(this.registry)
+            .map(network => `${network.name} (Chain ID: ${network.chainId})`)
+            .join(' or ');
+        
+        document.getElementById('networkBanner').classList.toggle('hidden', !!walletNetwork);
+        document.getElementById('networkBannerText').textContent = 
+            `Your wallet is on chain ${this.chainId}. Deposits and withdrawals are locked until you switch to ${supported}.`;
+        
+        return !!walletNetwork;
+    }
+    
+    /**
+     * Writes are only possible for the connected signer, on the required chain
+     */
+    canWrite() {
+        return !!this.contract
+            && !!this.network
+            && this.chainId === this.network.chainId
+            && (!this.viewAddress || this.isSigner(this.viewAddress));
+    }
+    
+    isSigner(address) {
+        return !!this.userAddress && address.toLowerCase() === this.userAddress.toLowerCase();
+    }
+    
+    applyWriteLocks() {
+        document.getElementById('depositBtn').disabled = !this.canWrite();
+        this.updatePositionSelect(this.positions);
+        this.renderDepositTokens();
+        this.checkBadgeEligibility();
+        this.loadAdminPanel();
+    }
+    
+    async handleAccountsChanged(accounts) {
+        if (accounts.length === 0) {
+            this.disconnectWallet();
+            return;
+        }
+        
+        try {
+            this.showLoading('Switching account...');
+            await this.setupSession();
+            this.showSuccess(`Switched to ${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`);
+        } catch (error) {
+            console.error('Error switching account:', error);
+            this.showError('Failed to load new account: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    async handleChainChanged(chainId) {
+        if (chainId === this.chainId) return;
+        console.log('Wallet switched to chain', chainId);
+        
+        try {
+            await this.setupSession();
         } catch (error) {
-            console.error('Error connecting wallet:', error);
-            this.showError('Failed to connect wallet: ' + error.message);
+            console.error('Error handling chain change:', error);
+            this.showError('Failed to reload after network change: ' + error.message);
         }
     }
     
-    async switchToZetaChain() {
+    disconnectWallet() {
+        this.unsubscribeFromContractEvents();
+        this.txQueue.detach();
+        this.renderPendingTray([]);
+        this.walletSession.clear();
+        
+        this.provider = null;
+        this.signer = null;
+        this.contract = null;
+        this.userAddress = null;
+        this.chainId = null;
+        this.history = null;
+        this.positions = [];
+        if (this.viewAddress && !this.watchList.has(this.viewAddress)) this.viewAddress = null;
+        
+        document.getElementById('connectWallet').style.display = '';
+        document.getElementById('walletInfo').classList.add('hidden');
+        document.getElementById('networkBanner').classList.add('hidden');
+        
+        this.renderWatchList();
+        this.addressBook.use(null);
+        this.renderAddressBook();
+        this.applyWriteLocks();
+        this.loadPositions();
+        this.loadActivity();
+        
+        this.showError('Wallet disconnected');
+    }
+    
+    async switchToZetaChain(ethereum = this.walletSession.ethereum, network = this.network) {
+        if (!network) throw new Error('No deployment registry loaded');
+        const chainId = Networks.toHexChainId(network.chainId);
+        
         try {
-            await window.ethereum.request({
+            await ethereum.request({
                 method: 'wallet_switchEthereumChain',
-                params: [{ chainId: '0x1b58' }],
+                params: [{ chainId }],
             });
         } catch (switchError) {
             if (switchError.code === 4902) {
                 try {
-                    await window.ethereum.request({
+                    await ethereum.request({
                         method: 'wallet_addEthereumChain',
                         params: [{
-                            chainId: '0x1b58',
-                            chainName: 'ZetaChain Mainnet Beta',
-                            nativeCurrency: {
-                                name: 'ZETA',
-                                symbol: 'ZETA',
-                                decimals: 18
-                            },
-                            rpcUrls: ['https://zetachain-evm.blockpi.network/v1/rpc/public'],
-                            blockExplorerUrls: ['https://zetachain.blockscout.com/']
+                            chainId,
+                            chainName: network.name,
+                            nativeCurrency: network.nativeCurrency,
+                            rpcUrls: network.rpcUrls,
+                            blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
                         }]
                     });
                 } catch (addError) {
-                    throw new Error('Failed to add ZetaChain network');
+                    throw new Error(`Failed to add ${network.name} network`);
                 }
             } else {
                 throw switchError;
@@ -174,133 +693,173 @@ class PortfolioTracker {
     }
     
     async updateWalletInfo() {
+        if (!this.provider || !this.userAddress) return;
         const balance = await this.provider.getBalance(this.userAddress);
+        const quote = this.priceBook ? await this.priceBook.price(this.network.nativeCurrency.symbol) : null;
         document.getElementById('walletAddress').textContent = 
             `Address: ${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`;
         document.getElementById('walletBalance').textContent = 
-            `Balance: ${ethers.utils.formatEther(balance)} ZETA`;
+            `Balance: ${ethers.utils.formatEther(balance)} ZETA` +
+            (quote ? ` (${PriceFeeds.formatFiat(PriceFeeds.toFiat(balance, 18, quote.price), this.priceBook.currency)})` : '');
     }
     
     async createPosition() {
         try {
+            if (!this.canWrite()) {
+                this.showError('Deposits are only available for your connected wallet on ZetaChain');
+                return;
+            }
+            
             const amount = document.getElementById('depositAmount').value;
+            // Empty for a new position, otherwise the Active position to top up
+            const target = document.getElementById('depositTarget').value;
             if (!amount || parseFloat(amount) <= 0) {
                 this.showError('Please enter a valid deposit amount');
                 return;
             }
             
+            // Top-ups are always in the position's own asset
+            const token = await this.getToken(this.depositTokenAddress());
+            const native = token.address.toLowerCase() === Portfolio.NATIVE_TOKEN;
+            let amountWei;
+            try {
+                amountWei = ethers.utils.parseUnits(amount, token.decimals);
+            } catch (error) {
+                this.showError(`Please enter a valid deposit amount (${token.symbol} has ${token.decimals} decimals)`);
+                return;
+            }
+            
             // Check balance first
-            const balance = await this.provider.getBalance(this.userAddress);
-            const amountWei = ethers.utils.parseEther(amount);
+            const balance = await this.tokenBalance(token.address);
             
             if (balance.lt(amountWei)) {
-                this.showError(`Insufficient balance. You have ${ethers.utils.formatEther(balance)} ZETA but need ${amount} ZETA. Get more from: https://labs.zetachain.com/get-zeta`);
+                this.showError(`Insufficient balance. You have ${this.formatToken(balance, token)} on ${this.network.name} but need ${amount} ${token.symbol}.`);
                 return;
             }
             
             // Check network
             const network = await this.provider.getNetwork();
-            if (network.chainId !== 7000) {
-                this.showError('Wrong network! Please switch to ZetaChain Mainnet (Chain ID: 7000)');
+            if (network.chainId !== this.network.chainId) {
+                this.showError(`Wrong network! Please switch to ${this.network.name} (Chain ID: ${this.network.chainId})`);
                 return;
             }
             
-            this.showLoading('Creating position...');
+            // ZRC-20s are pulled with transferFrom, so the tracker needs an allowance first
+            if (!native) {
+                const zrc20 = new ethers.Contract(token.address, this.ZRC20_ABI, this.provider);
+                const allowance = await zrc20.allowance(this.userAddress, this.CONTRACT_ADDRESS);
+                if (allowance.lt(amountWei) && !await this.approveToken(token, amountWei, 'the deposit')) return;
+            }
+            
+            this.showLoading('Confirm the deposit in your wallet...');
             
             console.log('Sending transaction:', {
                 amount: amount,
+                token: token.symbol,
                 amountWei: amountWei.toString(),
-                balance: ethers.utils.formatEther(balance)
-            });
-            
-            const tx = await this.contract.deposit(amountWei, { 
-                value: amountWei,
-                gasLimit: 500000
+                balance: this.formatToken(balance, token)
             });
             
-            console.log('Transaction sent:', tx.hash);
-            await tx.wait();
-            console.log('Transaction confirmed');
+            if (target) {
+                await this.sendContractTx('topUp', [target, amountWei], native ? { value: amountWei } : {}, {
+                    purpose: 'top-up',
+                    positionId: Number(target),
+                    label: `Top up position #${target} with ${amount} ${token.symbol}`,
+                    details: { action: 'Top-up', successMessage: `Position #${target} topped up!` }
+                });
+            } else if (native) {
+                await this.sendContractTx('deposit', [amountWei], { 
+                    value: amountWei,
+                    gasLimit: 500000
+                }, {
+                    purpose: 'deposit',
+                    label: `Deposit ${amount} ZETA`,
+                    details: { action: 'Deposit', successMessage: 'Position created successfully!' }
+                });
+            } else {
+                await this.sendContractTx('depositToken', [token.address, amountWei], { gasLimit: 500000 }, {
+                    purpose: 'deposit',
+                    label: `Deposit ${amount} ${token.symbol}`,
+                    details: { action: 'Deposit', successMessage: `${token.symbol} position created successfully!` }
+                });
+            }
             
-            this.showSuccess('Position created successfully!');
             document.getElementById('depositAmount').value = '';
             
-            // Wait a moment for blockchain state to update
-            console.log('Waiting for blockchain state update...');
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            console.log('Reloading positions...');
-            await this.loadPositions();
-            await this.loadUserStats();
-            await this.updateWalletInfo();
-            
         } catch (error) {
-            console.error('Error creating position:', error);
-            
-            // Better error messages
-            let errorMsg = 'Failed to create position: ';
-            
-            if (error.code === 'INSUFFICIENT_FUNDS') {
-                errorMsg = 'Insufficient ZETA balance. Get more from: https://labs.zetachain.com/get-zeta';
-            } else if (error.code === 'UNPREDICTABLE_GAS_LIMIT') {
-                errorMsg = 'Transaction will fail. Check: 1) You have enough ZETA, 2) You\'re on ZetaChain Athens, 3) Contract is deployed correctly';
-            } else if (error.message.includes('user rejected')) {
-                errorMsg = 'Transaction cancelled by user';
-            } else {
-                errorMsg += error.message;
-            }
-            
-            this.showError(errorMsg);
+            this.showTxError('Deposit', error);
         } finally {
             this.hideLoading();
         }
     }
     
+    // ============ PORTFOLIO (CONNECTED + WATCHED ADDRESSES) ============
+    
     /**
-     * Load user statistics
+     * Connected wallet first, then every watched address
      */
-    async loadUserStats() {
-        try {
-            if (!this.contract || !this.userAddress) return;
-            
-            const positions = await this.contract.getUserPositions(this.userAddress);
-            const activeCount = positions.filter(p => p.status === 0).length;
-            const totalDep = positions.reduce((sum, p) => sum.add(p.amount), ethers.BigNumber.from(0));
-            
-            document.getElementById('positionCount').textContent = activeCount.toString();
-            document.getElementById('totalDeposited').textContent = 
-                `${ethers.utils.formatEther(totalDep)} ZETA`;
-                
-        } catch (error) {
-            console.error('Error loading user stats:', error);
-        }
+    getAccounts() {
+        const accounts = this.userAddress ? [this.userAddress] : [];
+        this.watchList.list().forEach(entry => {
+            if (!accounts.some(address => address.toLowerCase() === entry.address.toLowerCase())) {
+                accounts.push(entry.address);
+            }
+        });
+        return accounts;
+    }
+    
+    /**
+     * Addresses shown on the dashboard: the drill-down address or all of them
+     */
+    getFocusAddresses() {
+        return this.viewAddress ? [this.viewAddress] : this.getAccounts();
+    }
+    
+    contractFor(address) {
+        return this.isSigner(address) && this.contract ? this.contract : this.readContract;
+    }
+    
+    async loadSnapshot(address) {
+        const reader = this.contractFor(address);
+        const [positions, withdrawals, totalDeposited, badgeTokenId, eligible] = await Promise.all([
+            reader.getUserPositions(address),
+            reader.getUserWithdrawals(address),
+            reader.totalDeposited(address),
+            reader.getUserBadge(address),
+            reader.isEligibleForBadge(address)
+        ]);
+        
+        // Per-token totals, and the symbols and decimals the cards are rendered with
+        const tokenDeposits = {};
+        await Promise.all(Portfolio.tokensOf(positions).map(async token => {
+            [tokenDeposits[token]] = await Promise.all([reader.totalDepositedByToken(address, token), this.getToken(token)]);
+        }));
+        return { address, positions: [...positions], withdrawals: [...withdrawals], totalDeposited, tokenDeposits, badgeTokenId, eligible };
     }
     
     async loadPositions() {
         try {
-            if (!this.contract || !this.userAddress) {
-                console.log('Cannot load positions: contract or address missing');
+            const addresses = this.getFocusAddresses();
+            
+            if (!this.readContract || addresses.length === 0) {
+                this.renderPositions();
+                this.renderStats();
                 return;
             }
             
-            console.log('Loading positions for:', this.userAddress);
+            console.log('Loading positions for:', addresses);
             console.log('Contract address:', this.CONTRACT_ADDRESS);
             
-            const positions = await this.contract.getUserPositions(this.userAddress);
-            console.log('Positions loaded:', positions.length, positions);
+            const snapshots = await Promise.all(addresses.map(address => this.loadSnapshot(address)));
+            snapshots.forEach(snapshot => this.portfolios.set(snapshot.address.toLowerCase(), snapshot));
             
-            // Log each position
-            positions.forEach((pos, i) => {
-                console.log(`Position ${i}:`, {
-                    amount: ethers.utils.formatEther(pos.amount),
-                    user: pos.user,
-                    status: pos.status,
-                    timestamp: new Date(pos.timestamp * 1000).toLocaleString()
-                });
-            });
+            const own = this.userAddress && this.portfolios.get(this.userAddress.toLowerCase());
+            if (own) this.positions = [...own.positions];
             
-            this.displayPositions(positions);
-            this.updatePositionSelect(positions);
+            this.trackCrossChain(snapshots);
+            this.renderPositions();
+            this.updatePositionSelect(this.positions);
+            this.renderStats();
             
         } catch (error) {
             console.error('Error loading positions:', error);
@@ -309,30 +868,158 @@ class PortfolioTracker {
         }
     }
     
-    displayPositions(positions) {
+    // ============ CROSS-CHAIN STATUS ============
+    
+    cctxKey(owner, withdrawalId) {
+        return `${owner.toLowerCase()}:w${withdrawalId}`;
+    }
+    
+    /**
+     * Event history of the connected wallet or of a watched address
+     */
+    historyFor(address) {
+        return this.isSigner(address) ? this.history : this.watchHistories.get(address.toLowerCase());
+    }
+    
+    /**
+     * Follow every withdrawal in the snapshots through the observers
+     */
+    trackCrossChain(snapshots) {
+        if (!this.cctxTracker) return;
+        
+        for (const snapshot of snapshots) {
+            const history = this.historyFor(snapshot.address);
+            const inbound = new Map((history ? history.entries : [])
+                .filter(entry => entry.event === 'WithdrawInitiated')
+                .map(entry => [Number(entry.args.withdrawalId), entry.transactionHash]));
+            
+            (snapshot.withdrawals || []).forEach((withdrawal, withdrawalId) => {
+                // The withdraw transaction is the CCTX inbound hash; crossChainTxHash only pairs gateway callbacks
+                const hash = inbound.get(withdrawalId);
+                if (hash) this.cctxTracker.track(this.cctxKey(snapshot.address, withdrawalId), hash);
+            });
+        }
+    }
+    
+    shortHash(hash) {
+        return `${hash.slice(0, 10)}...${hash.slice(-6)}`;
+    }
+    
+    getCctxRecord(owner, withdrawalId) {
+        return this.cctxTracker ? this.cctxTracker.get(this.cctxKey(owner, withdrawalId)) : null;
+    }
+    
+    describeCctx(record) {
+        const labels = {
+            unknown: 'Waiting for observers',
+            pending: 'Pending',
+            mined: 'Outbound Mined',
+            reverted: 'Reverted',
+            aborted: 'Aborted'
+        };
+        const since = record.createdAt || record.trackedAt;
+        const finished = ['mined', 'reverted', 'aborted'].includes(record.state);
+        const seconds = Math.max(0, Math.round(((finished ? record.updatedAt : Date.now()) - since) / 1000));
+        const duration = seconds < 120 ? `${seconds}s` : `${Math.round(seconds / 60)}m`;
+        
+        if (record.state === 'unknown') return labels.unknown;
+        return finished ? `${labels[record.state]} after ${duration}` : `${labels[record.state]} for ${duration}`;
+    }
+    
+    getFocusSnapshots() {
+        return this.getFocusAddresses()
+            .map(address => this.portfolios.get(address.toLowerCase()))
+            .filter(Boolean);
+    }
+    
+    renderStats() {
+        // Emergency exits are only known from the event history
+        const totals = Portfolio.aggregate(this.getFocusSnapshots().map(snapshot => {
+            const history = this.historyFor(snapshot.address);
+            return { ...snapshot, entries: history ? history.entries : [] };
+        }));
+        
+        document.getElementById('positionCount').textContent = totals.activeCount.toString();
+        // One line per asset; ZETA is always listed
+        const totalLines = Object.entries(totals.depositedByToken)
+            .filter(([token, amount]) => amount > 0n || token === Portfolio.NATIVE_TOKEN)
+            .map(([token, amount]) => this.formatAmount(amount.toString(), token));
+        // What the positions are worth now, once prices are configured
+        const reports = this.getFocusSnapshots().map(snapshot => this.valuations.get(snapshot.address.toLowerCase())).filter(Boolean);
+        if (reports.length > 0) {
+            totalLines.push(`≈ ${PriceFeeds.formatFiat(reports.reduce((sum, report) => sum + report.totals.value, 0n), this.priceBook.currency)}`);
+        }
+        document.getElementById('totalDeposited').replaceChildren(...totalLines.map(text => {
+            const line = document.createElement('span');
+            line.className = 'stat-token';
+            line.textContent = text;
+            return line;
+        }));
+        document.getElementById('emergencyExits').replaceChildren(
+            document.createTextNode(totals.emergencyCount.toString()),
+            ...Object.entries(totals.emergencyByToken).map(([token, amount]) => {
+                const line = document.createElement('span');
+                line.className = 'stat-token';
+                line.textContent = this.formatAmount(amount.toString(), token);
+                return line;
+            }));
+        document.getElementById('badgeHolders').textContent = 
+            `${totals.badgeHolders} / ${totals.accounts}`;
+    }
+    
+    renderPositions() {
         const container = document.getElementById('positionsContainer');
+        const snapshots = this.getFocusSnapshots();
+        const showOwner = snapshots.length > 1;
+        
+        const cards = snapshots.flatMap(snapshot =>
+            snapshot.positions.map((position, index) => this.renderPositionCard(position, index, showOwner, snapshot.withdrawals))
+        );
         
-        if (positions.length === 0) {
-            container.innerHTML = '<p class="no-positions">No positions found. Create your first position above.</p>';
+        if (cards.length === 0) {
+            container.innerHTML = this.getAccounts().length === 0
+                ? '<p class="no-positions">Connect a wallet or watch an address to see positions.</p>'
+                : '<p class="no-positions">No positions found. Create your first position above.</p>';
             return;
         }
         
-        const statusNames = ['Active', 'Withdrawn', 'Refunded', 'Failed', 'Pending'];
-        const statusClasses = ['status-active', 'status-withdrawn', 'status-refunded', 'status-failed', 'status-pending'];
-        const statusIcons = ['✅', '🎯', '🔄', '❌', '⏳'];
+        container.innerHTML = cards.join('');
+    }
+    
+    /**
+     * @param {Array<Object>} [withdrawals] - the owner's getUserWithdrawals output, for the ledger
+     */
+    renderPositionCard(position, index, showOwner = false, withdrawals = []) {
+        const statusNames = ['Active', 'Withdrawn', 'Refunded', 'Failed', 'Pending', 'Emergency Exit'];
+        const statusClasses = ['status-active', 'status-withdrawn', 'status-refunded', 'status-failed', 'status-pending', 'status-emergency'];
+        const statusIcons = ['✅', '🎯', '🔄', '❌', '⏳', '🚨'];
+        const owner = position.user;
+        const ownerLabel = this.isSigner(owner) ? 'My Wallet' : (this.watchList.labelFor(owner) || `${owner.slice(0, 6)}...${owner.slice(-4)}`);
+        // A closed position follows the withdrawal that took what was left
+        const closingId = withdrawals.findIndex(withdrawal => withdrawal.crossChainTxHash === position.crossChainTxHash);
+        const cctx = position.status !== 0 && closingId >= 0 ? this.getCctxRecord(owner, closingId) : null;
+        const history = this.historyFor(owner);
+        const exited = Portfolio.exitedInEmergency(position, Portfolio.ledger(index, { entries: history ? history.entries : [], withdrawals }));
+        // Withdrawn on ZetaChain but not yet delivered on the destination chain; Failed through an emergency exit
+        const status = cctx && cctx.state === 'pending' ? 4 : (exited ? 5 : position.status);
+        const selectable = position.status === 0 && this.isSigner(owner) && this.canWrite();
+        const valued = this.positionValuation(owner, index, position.token);
         
-        container.innerHTML = positions.map((position, index) => `
-            <div class="position-item">
+        return `
+            <div class="position-item" data-owner="${owner.toLowerCase()}" data-position-id="${index}">
                 <div class="position-header">
-                    <span class="position-id">Position #${index}</span>
-                    <span class="position-status ${statusClasses[position.status]}">
-                        ${statusIcons[position.status]} ${statusNames[position.status]}
+                    <span class="position-id">
+                        ${selectable ? `<input type="checkbox" class="position-check" title="Select for a batch exit" ${this.selectedPositions.has(index) ? 'checked' : ''}>` : ''}
+                        Position #${index}${showOwner ? ` <span class="position-owner">${Html.escape(ownerLabel)}</span>` : ''}
+                    </span>
+                    <span class="position-status ${statusClasses[status]}">
+                        ${statusIcons[status]} ${statusNames[status]}
                     </span>
                 </div>
                 <div class="position-details">
                     <div class="position-detail">
                         <strong>Amount</strong>
-                        ${ethers.utils.formatEther(position.amount)} ZETA
+                        ${this.formatAmount(position.amount, position.token)}
                     </div>
                     <div class="position-detail">
                         <strong>Created</strong>
@@ -342,100 +1029,1510 @@ class PortfolioTracker {
                         <strong>Status</strong>
                         ${statusNames[position.status]}
                     </div>
+                    ${valued ? `
+                    <div class="position-detail" title="Cost basis ${this.formatFiat(valued.costBasis)}; realised ${this.formatFiat(valued.realised, true)}, unrealised ${this.formatFiat(valued.unrealised, true)}">
+                        <strong>Value</strong>
+                        ${valued.estimated ? '≈ ' : ''}${this.formatFiat(valued.value)}
+                        ${this.renderPnl(valued.realised + valued.unrealised)}
+                    </div>` : ''}
+                    ${cctx ? `
+                    <div class="position-detail cctx-${cctx.state}" title="${Html.escape(cctx.statusMessage || cctx.hash)}">
+                        <strong>Cross-Chain</strong>
+                        ${this.describeCctx(cctx)}
+                        <span class="cctx-ref">CCTX ${this.shortHash(cctx.cctxIndex || cctx.hash)}</span>
+                    </div>` : ''}
                 </div>
+                ${this.renderLedger(owner, index, withdrawals, position.token)}
+                ${selectable ? `
+                <div class="position-actions">
+                    <button class="btn-icon position-emergency" title="Return this position to your ZetaChain wallet without a cross-chain transfer">🚨 Emergency Exit</button>
+                </div>` : ''}
             </div>
-        `).join('');
+        `;
     }
     
-    updatePositionSelect(positions) {
-        const select = document.getElementById('positionSelect');
-        
-        select.innerHTML = '<option value="">Choose a position to withdraw</option>';
+    /**
+     * Deposits, top-ups and withdrawals of a position; nothing for a single deposit
+     * @param {string} token - the position's asset, which every row is in
+     */
+    renderLedger(owner, positionId, withdrawals, token) {
+        const history = this.historyFor(owner);
+        const rows = Portfolio.ledger(positionId, { entries: history ? history.entries : [], withdrawals });
+        if (rows.length < 2) return '';
         
-        positions.forEach((position, index) => {
-            if (position.status === 0) {
-                const option = document.createElement('option');
-                option.value = index;
-                option.textContent = `Position #${index} - ${ethers.utils.formatEther(position.amount)} ZETA`;
-                select.appendChild(option);
+        const statusNames = ['Active', 'Withdrawn', 'Refunded', 'Failed'];
+        const items = rows.map(row => {
+            const amount = this.formatAmount(row.amount.toString(), token);
+            const date = row.timestamp ? new Date(row.timestamp * 1000).toLocaleDateString() : '';
+            
+            if (row.kind !== 'withdrawal') {
+                const label = { deposit: 'Deposit', 'top-up': 'Top-up', emergency: 'Emergency exit to ZetaChain wallet' }[row.kind];
+                const sign = row.kind === 'emergency' ? '−' : '+';
+                return `<li class="ledger-row ledger-${row.kind}"><span>${label}</span><span>${sign}${amount}</span><span>${date}</span></li>`;
             }
+            
+            const cctx = this.getCctxRecord(owner, row.withdrawalId);
+            return `
+                <li class="ledger-row ledger-withdrawal ${cctx ? `cctx-${cctx.state}` : ''}" title="${cctx ? Html.escape(cctx.statusMessage || cctx.hash) : ''}">
+                    <span>Withdrawal to ${this.destinationName(row.destinationChainId)}</span>
+                    <span>−${amount}</span>
+                    <span>${statusNames[row.status]}${cctx ? ` · ${this.describeCctx(cctx)}` : ''}</span>
+                </li>`;
         });
         
-        const hasActivePositions = positions.filter(p => p.status === 0).length > 0;
-        select.disabled = !hasActivePositions;
-        document.getElementById('withdrawBtn').disabled = !hasActivePositions;
+        return `<ul class="position-ledger">${items.join('')}</ul>`;
     }
     
-    async updateGasEstimate() {
-        try {
-            const gasLimit = document.getElementById('gasLimit').value;
-            const positionId = document.getElementById('positionSelect').value;
-            
-            if (!gasLimit || !positionId || !this.contract) return;
+    /**
+     * Re-fetch one of the connected wallet's positions and patch its card, the select and the stats
+     */
+    async refreshPosition(positionId) {
+        const snapshot = this.portfolios.get(this.userAddress.toLowerCase());
+        
+        if (!snapshot) {
+            // Viewing a watched address; only the withdraw select needs the update
+            this.positions = [...await this.contract.getUserPositions(this.userAddress)];
+            this.updatePositionSelect(this.positions);
+            return;
+        }
+        
+        if (positionId > snapshot.positions.length) {
+            // Out-of-order arrival would leave gaps; fall back to a full reload
+            await this.loadPositions();
+            return;
+        }
+        
+        const position = await this.contract.getPosition(this.userAddress, positionId);
+        const token = Portfolio.tokenOf(position);
+        const [withdrawals, totalDeposited, tokenDeposit] = await Promise.all([
+            this.contract.getUserWithdrawals(this.userAddress),
+            this.contract.totalDeposited(this.userAddress),
+            token === Portfolio.NATIVE_TOKEN ? null : this.contract.totalDepositedByToken(this.userAddress, token),
+            this.getToken(token)
+        ]);
+        snapshot.positions[positionId] = position;
+        snapshot.withdrawals = [...withdrawals];
+        snapshot.totalDeposited = totalDeposited;
+        if (tokenDeposit) snapshot.tokenDeposits = { ...snapshot.tokenDeposits, [token]: tokenDeposit };
+        this.positions = [...snapshot.positions];
+        
+        const container = document.getElementById('positionsContainer');
+        const card = container.querySelector(`[data-owner="${this.userAddress.toLowerCase()}"][data-position-id="${positionId}"]`);
+        
+        if (card) {
+            card.outerHTML = this.renderPositionCard(position, positionId, this.getFocusSnapshots().length > 1, snapshot.withdrawals);
+        } else {
+            this.renderPositions();
+        }
+        
+        this.updatePositionSelect(this.positions);
+        this.renderStats();
+    }
+    
+    // ============ WATCH LIST ============
+    
+    addWatchedAddress() {
+        const addressInput = document.getElementById('watchAddress');
+        const labelInput = document.getElementById('watchLabel');
+        
+        try {
+            const entry = this.watchList.add(addressInput.value, labelInput.value);
+            addressInput.value = '';
+            labelInput.value = '';
+            this.renderWatchList();
+            this.loadPositions();
+            this.showSuccess(`Now watching ${entry.label || entry.address}`);
+        } catch (error) {
+            this.showError(error.code === 'INVALID_ARGUMENT' ? 'Please enter a valid address to watch' : error.message);
+        }
+    }
+    
+    removeWatchedAddress(address) {
+        this.watchList.remove(address);
+        this.portfolios.delete(address.toLowerCase());
+        this.watchHistories.delete(address.toLowerCase());
+        
+        if (this.viewAddress && this.viewAddress.toLowerCase() === address.toLowerCase()) {
+            this.setView(null);
+        } else {
+            this.renderWatchList();
+            this.renderPositions();
+            this.renderStats();
+        }
+    }
+    
+    /**
+     * Switch between the aggregate view (null) and a single-address drill-down
+     */
+    async setView(address) {
+        this.viewAddress = address;
+        this.renderWatchList();
+        this.applyWriteLocks();
+        await this.loadPositions();
+        await this.loadActivity();
+    }
+    
+    renderWatchList() {
+        const list = document.getElementById('watchList');
+        const view = document.getElementById('portfolioView');
+        const entries = this.watchList.list();
+        
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'watch-item';
+            
+            const name = document.createElement('span');
+            name.className = 'watch-name';
+            name.textContent = entry.label ? `${entry.label} · ${entry.address.slice(0, 6)}...${entry.address.slice(-4)}` : entry.address;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn-icon';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Stop watching';
+            removeBtn.onclick = () => this.removeWatchedAddress(entry.address);
+            
+            item.append(name, removeBtn);
+            list.appendChild(item);
+        });
+        
+        view.innerHTML = '<option value="">All addresses (aggregate)</option>';
+        this.getAccounts().forEach(address => {
+            const option = document.createElement('option');
+            option.value = address;
+            option.textContent = this.isSigner(address)
+                ? `My Wallet (${address.slice(0, 6)}...${address.slice(-4)})`
+                : `${this.watchList.labelFor(address) || 'Watched'} (${address.slice(0, 6)}...${address.slice(-4)})`;
+            view.appendChild(option);
+        });
+        view.value = this.viewAddress || '';
+    }
+    
+    // ============ ACCOUNTING EXPORT ============
+    
+    /**
+     * Download the viewed address's positions, withdrawals and badge events.
+     * CSV comes as two files, positions and badge events; JSON holds both.
+     */
+    async exportReport(format) {
+        const subject = this.viewAddress || this.userAddress;
+        const history = this.getActivityHistory();
+        if (!subject || !history) {
+            this.showError('Connect a wallet or pick a watched address in the View selector to export');
+            return;
+        }
+        
+        try {
+            const range = AccountingExport.parseRange(
+                document.getElementById('exportFrom').value,
+                document.getElementById('exportTo').value
+            );
+            this.showLoading('Collecting positions, events and fees for the export...');
+            const data = await AccountingExport.collect({
+                contract: this.contractFor(subject),
+                provider: this.readProvider,
+                user: subject,
+                history,
+                tokenInfo: (address) => address === Portfolio.NATIVE_TOKEN ? this.tokenFor(address) : this.getToken(address)
+            });
+            const report = AccountingExport.buildReport(data, {
+                ...range,
+                precision: Number(document.getElementById('exportPrecision').value)
+            });
+            
+            const name = `portfolio-${subject.slice(0, 8)}-${report.generatedAt.slice(0, 10)}`;
+            if (format === 'json') {
+                this.downloadFile(`${name}.json`, AccountingExport.toJson(report), 'application/json');
+            } else {
+                this.downloadFile(`${name}.csv`, AccountingExport.toCsv(report.positions), 'text/csv');
+                this.downloadFile(`${name}-badges.csv`, AccountingExport.toCsv(report.badges, AccountingExport.BADGE_COLUMNS), 'text/csv');
+            }
+            this.showSuccess(`Exported ${report.positions.length} rows and ${report.badges.length} badge events`);
+        } catch (error) {
+            console.error('Error exporting report:', error);
+            this.showError(`Export failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    downloadFile(filename, text, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    // ============ ANALYTICS ============
+    
+    /**
+     * Analyze the address typed into the analytics card, or the viewed wallet when it is empty.
+     * Any address works read-only; it is not added to the watch list.
+     * @param {boolean} [quiet] - background refresh: no loading overlay or errors
+     */
+    async loadAnalytics(quiet = false) {
+        const typed = document.getElementById('analyticsAddress').value.trim();
+        let subject = this.viewAddress || this.userAddress;
+        if (typed) {
+            try {
+                subject = ethers.utils.getAddress(typed);
+            } catch (error) {
+                if (!quiet) this.showError('Please enter a valid address to analyze');
+                return;
+            }
+        }
+        if (!subject || !this.readContract) {
+            this.analytics = null;
+            this.renderAnalytics();
+            return;
+        }
+        
+        const request = ++this.analyticsRequest;
+        if (!quiet) this.showLoading('Reading positions and events for analytics...');
+        try {
+            const history = this.historyOf(subject);
+            const [snapshot, entries] = await Promise.all([
+                // The dashboard's snapshot is fresh enough for a background refresh
+                (quiet && this.portfolios.get(subject.toLowerCase())) || this.loadSnapshot(subject),
+                history.sync()
+            ]);
+            // Fee totals are shown in their gas token
+            await Promise.all([...new Set(entries
+                .filter(entry => entry.event === 'GatewayFeePaid')
+                .map(entry => entry.args.gasToken.toLowerCase()))].map(token => this.getToken(token)));
+            const valuation = this.priceBook ? await this.valueSnapshot(snapshot, entries) : null;
+            if (request !== this.analyticsRequest) return;
+            
+            this.analytics = { subject, snapshot, entries, valuation };
+            this.renderAnalytics();
+        } catch (error) {
+            console.error('Error loading analytics:', error);
+            if (!quiet) this.showError(`Analytics failed: ${error.message}`);
+        } finally {
+            if (!quiet) this.hideLoading();
+        }
+    }
+    
+    renderAnalytics() {
+        const tokenSelect = document.getElementById('analyticsToken');
+        const { subject, snapshot, entries, valuation } = this.analytics || { subject: null, snapshot: { positions: [], withdrawals: [] }, entries: [], valuation: null };
+        
+        // Every asset the address holds positions in; keep the choice while it still applies
+        const tokens = [Portfolio.NATIVE_TOKEN, ...Portfolio.tokensOf(snapshot.positions)];
+        const selected = tokens.includes(tokenSelect.value.toLowerCase()) ? tokenSelect.value.toLowerCase() : Portfolio.NATIVE_TOKEN;
+        tokenSelect.replaceChildren(...tokens.map(token => new Option(this.tokenFor(token).symbol, token)));
+        tokenSelect.value = selected;
+        
+        const summary = Analytics.summarize({ ...snapshot, entries }, selected);
+        const token = this.tokenFor(selected);
+        const format = (amount) => this.formatToken(amount.toString(), token);
+        
+        document.getElementById('analyticsSubject').textContent = !subject
+            ? 'Connect a wallet or enter an address to analyze'
+            : this.isSigner(subject)
+                ? `My Wallet (${subject}) · ${snapshot.positions.length} positions`
+                : `${this.watchList.labelFor(subject) || 'Read-only'} (${subject}) · ${snapshot.positions.length} positions`;
+        
+        document.getElementById('analyticsWithdrawals').textContent = summary.withdrawalCount.toString();
+        const refundRate = document.getElementById('analyticsRefundRate');
+        refundRate.textContent = summary.refundRate === null ? '–' : `${(summary.refundRate * 100).toFixed(1)}%`;
+        refundRate.title = `${summary.refundCount} refunded, ${summary.abortCount} aborted of ${summary.withdrawalCount} withdrawals`;
+        
+        // Fees are paid in each destination's gas token, one line per token
+        const feeLines = (field) => {
+            const lines = Object.entries(summary.fees).map(([gasToken, total]) => {
+                const line = document.createElement('span');
+                line.className = 'stat-token';
+                line.textContent = this.formatAmount(total[field].toString(), gasToken);
+                return line;
+            });
+            return lines.length > 0 ? lines : [document.createTextNode('0')];
+        };
+        document.getElementById('analyticsFees').replaceChildren(...feeLines('fee'));
+        document.getElementById('analyticsPremium').replaceChildren(...feeLines('premium'));
+        
+        // Fiat value and P&L of the asset's positions; fees are valued across every gas token
+        document.getElementById('analyticsPnl').classList.toggle('hidden', !valuation);
+        if (valuation) {
+            const positions = valuation.positions.filter(position => position.token.toLowerCase() === selected && position.value !== null);
+            const total = (field) => positions.reduce((sum, position) => sum + position[field], 0n);
+            document.getElementById('analyticsValue').textContent = this.formatFiat(total('value'));
+            document.getElementById('analyticsCost').textContent = this.formatFiat(total('costBasis'));
+            document.getElementById('analyticsUnrealised').innerHTML = this.renderPnl(total('unrealised'));
+            document.getElementById('analyticsRealised').innerHTML = this.renderPnl(total('realised'));
+            const feeValue = document.createElement('span');
+            feeValue.className = 'stat-token';
+            feeValue.textContent = `≈ ${this.formatFiat(valuation.fees)}`;
+            document.getElementById('analyticsFees').appendChild(feeValue);
+        }
+        
+        document.getElementById('analyticsFlows').innerHTML = summary.flows.buckets.length > 0
+            ? Analytics.flowChart(summary.flows.buckets, {
+                toNumber: (amount) => Number(ethers.utils.formatUnits(amount.toString(), token.decimals)),
+                format
+            })
+            : `<p class="empty-state">No ${token.symbol} deposits yet</p>`;
+        
+        const positionCount = Object.values(summary.statusCounts).reduce((sum, count) => sum + count, 0);
+        document.getElementById('analyticsStatus').innerHTML = Analytics.STATUS_NAMES.map(name => this.renderAnalyticsBar(
+            name, summary.statusCounts[name] / (positionCount || 1), summary.statusCounts[name].toString(), `bar-${name.toLowerCase()}`
+        )).join('');
+        
+        const largest = summary.volumeByChain.length > 0 ? summary.volumeByChain[0].amount : 0n;
+        document.getElementById('analyticsChains').innerHTML = summary.volumeByChain.length > 0
+            ? summary.volumeByChain.map(chain => this.renderAnalyticsBar(
+                this.destinationName(chain.chainId),
+                Number((chain.amount * 1000n) / (largest || 1n)) / 1000,
+                `${format(chain.amount)} · ${chain.count}×`,
+                '',
+                chain.returned > 0n ? `${format(chain.returned)} refunded or aborted` : ''
+            )).join('')
+            : '<p class="empty-state">No withdrawals yet</p>';
+        
+        document.getElementById('analyticsTimeline').innerHTML = summary.timeline.length > 0
+            ? summary.timeline.slice(0, 50).map(item => {
+                const time = item.timestamp ? new Date(item.timestamp * 1000).toLocaleString() : 'Pending';
+                return `
+                <div class="timeline-item">
+                    <span>Position #${item.positionId} · ${item.status}</span>
+                    ${this.EXPLORER_URL
+                        ? `<a class="timeline-time" href="${this.EXPLORER_URL}/tx/${item.transactionHash}" target="_blank" rel="noopener">${time}</a>`
+                        : `<span class="timeline-time">${time}</span>`}
+                </div>`;
+            }).join('')
+            : '<p class="empty-state">No events yet</p>';
+    }
+    
+    /**
+     * One row of a horizontal bar chart; share is 0..1 of the longest bar
+     */
+    renderAnalyticsBar(label, share, value, className = '', title = '') {
+        return `
+            <div class="analytics-bar"${title ? ` title="${title}"` : ''}>
+                <span>${label}</span>
+                <div class="analytics-bar-track"><div class="analytics-bar-fill ${className}" style="width: ${(share * 100).toFixed(1)}%"></div></div>
+                <span>${value}</span>
+            </div>
+        `;
+    }
+    
+    // ============ FIAT VALUATION ============
+    
+    /**
+     * Price settings saved for the current network, else the registry entry's `priceFeeds`
+     */
+    restorePriceSettings() {
+        try {
+            const saved = window.localStorage.getItem(`price-feeds:${this.network.chainId}`);
+            this.applyPriceSettings(saved ? JSON.parse(saved) : (this.network.priceFeeds || { currency: 'USD' }));
+        } catch (error) {
+            console.error('Error restoring price settings:', error);
+            this.applyPriceSettings({ currency: 'USD' });
+        }
+    }
+    
+    /**
+     * Build the price book from settings and show them in the form
+     * @throws if a manual price does not parse; nothing is changed then
+     */
+    applyPriceSettings(config) {
+        const book = PriceFeeds.fromConfig(config, {
+            oracleAt: (address) => new ethers.Contract(address, this.AGGREGATOR_ABI, this.readProvider)
+        });
+        this.priceBook = book.feeds.length > 0 ? book : null;
+        
+        document.getElementById('priceCurrency').value = config.currency || 'USD';
+        document.getElementById('priceManual').value = PriceFeeds.formatTable(config.manual);
+        document.getElementById('priceUrl').value = config.url || '';
+        document.getElementById('priceField').value = config.field || '';
+        document.getElementById('priceOracles').value = PriceFeeds.formatTable(config.oracles);
+        this.renderPriceStatus();
+    }
+    
+    async savePriceSettings() {
+        try {
+            const oracles = PriceFeeds.parseTable(document.getElementById('priceOracles').value);
+            Object.entries(oracles).forEach(([symbol, address]) => {
+                if (!ethers.utils.isAddress(address)) throw new Error(`The ${symbol} oracle "${address}" is not an address`);
+            });
+            const config = {
+                currency: document.getElementById('priceCurrency').value,
+                manual: PriceFeeds.parseTable(document.getElementById('priceManual').value),
+                url: document.getElementById('priceUrl').value.trim(),
+                field: document.getElementById('priceField').value.trim() || 'price',
+                oracles
+            };
+            this.applyPriceSettings(config);
+            window.localStorage.setItem(`price-feeds:${this.network.chainId}`, JSON.stringify(config));
+        } catch (error) {
+            this.showError(`Price settings not saved: ${error.message}`);
+            return;
+        }
+        
+        this.showLoading('Pricing positions...');
+        try {
+            await this.loadValuations();
+            this.renderPositions();
+            this.renderStats();
+            await this.updateWalletInfo();
+            await this.loadAnalytics(true);
+            this.showSuccess(this.priceBook ? `Values shown in ${this.priceBook.currency}` : 'Fiat values turned off');
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * Value the dashboard's addresses; without prices the cards show token amounts only
+     */
+    async loadValuations() {
+        this.valuations.clear();
+        if (!this.priceBook) return;
+        
+        await Promise.all(this.getFocusSnapshots().map(async snapshot => {
+            const history = this.historyFor(snapshot.address);
+            try {
+                this.valuations.set(snapshot.address.toLowerCase(), await this.valueSnapshot(snapshot, history ? history.entries : []));
+            } catch (error) {
+                console.error('Error valuing portfolio:', error);
+            }
+        }));
+        this.renderPriceStatus();
+    }
+    
+    /**
+     * Fiat value, cost basis and P&L of one address's positions and gateway fees
+     */
+    async valueSnapshot(snapshot, entries) {
+        const sources = { ...snapshot, entries };
+        const movements = [Portfolio.NATIVE_TOKEN, ...Portfolio.tokensOf(snapshot.positions)]
+            .flatMap(token => Analytics.movements(sources, token).map(movement => ({ ...movement, token })));
+        const fees = entries
+            .filter(entry => entry.event === 'GatewayFeePaid')
+            .map(entry => ({ timestamp: entry.timestamp, amount: entry.args.fee, token: entry.args.gasToken.toLowerCase() }));
+        // Symbols are what the feeds are asked for
+        await Promise.all([...new Set(fees.map(fee => fee.token))].map(token => this.getToken(token)));
+        
+        return PriceFeeds.valuate({ movements, fees }, { book: this.priceBook, tokenInfo: (address) => this.tokenFor(address) });
+    }
+    
+    /**
+     * A position's line of its owner's valuation, or null when it is not priced
+     */
+    positionValuation(owner, positionId, token) {
+        const report = this.valuations.get(owner.toLowerCase());
+        const key = token ? token.toLowerCase() : Portfolio.NATIVE_TOKEN;
+        const line = report ? report.positions.find(item => item.positionId === positionId && item.token.toLowerCase() === key) : null;
+        return line && line.value !== null ? line : null;
+    }
+    
+    formatFiat(value, signed = false) {
+        return PriceFeeds.formatFiat(value, this.priceBook ? this.priceBook.currency : 'USD', { signed });
+    }
+    
+    renderPnl(value) {
+        const tone = value > 0n ? 'pnl-gain' : value < 0n ? 'pnl-loss' : '';
+        return `<span class="${tone}">${this.formatFiat(value, true)}</span>`;
+    }
+    
+    /**
+     * Sources in use, and the assets no source could price
+     */
+    renderPriceStatus() {
+        const status = document.getElementById('priceStatus');
+        if (!this.priceBook) {
+            status.textContent = 'Amounts are shown in tokens only';
+            return;
+        }
+        const missing = [...new Set([...this.valuations.values()].flatMap(report => report.missing))];
+        const failed = [...new Set(this.priceBook.errors.map(error => error.source))];
+        status.textContent = [
+            `Prices in ${this.priceBook.currency} from ${this.priceBook.feeds.map(feed => feed.name).join(', then ')}`,
+            missing.length > 0 ? `no price for ${missing.join(', ')}` : '',
+            failed.length > 0 ? `${failed.join(', ')} failed (see console)` : ''
+        ].filter(Boolean).join('; ');
+        this.priceBook.errors.forEach(error => console.error(`Price lookup (${error.source}, ${error.symbol}):`, error.message));
+        this.priceBook.errors = [];
+    }
+    
+    // ============ ADDRESS BOOK ============
+    
+    renderAddressBook() {
+        const select = document.getElementById('addressBookSelect');
+        const entries = this.addressBook.list();
+        const connected = Boolean(this.userAddress);
+        
+        select.replaceChildren(
+            new Option(connected ? (entries.length ? 'Pick a saved recipient...' : 'No saved recipients yet') : 'Connect a wallet to use the address book', ''),
+            ...entries.map(entry => new Option(
+                `${entry.label} · ${this.destinationName(entry.chainId)} · ${entry.address.slice(0, 6)}...${entry.address.slice(-4)}`,
+                `${entry.chainId}|${entry.address}`
+            ))
+        );
+        select.disabled = entries.length === 0;
+        document.getElementById('addressBookLabel').disabled = !connected;
+        document.getElementById('saveRecipientBtn').disabled = !connected;
+        document.getElementById('importAddressBookBtn').disabled = !connected;
+        document.getElementById('exportAddressBookBtn').disabled = entries.length === 0;
+        this.updateRecipientWarning();
+    }
+    
+    /**
+     * Fill the destination chain and recipient from a saved entry ("chainId|address")
+     */
+    pickRecipient(value) {
+        if (!value) return;
+        const separator = value.indexOf('|');
+        document.getElementById('destinationChain').value = value.slice(0, separator);
+        document.getElementById('destinationAddress').value = value.slice(separator + 1);
+        this.updateRecipientField('destinationChain', 'destinationAddress');
+        this.updateRecipientWarning();
+        this.updateGasEstimate();
+    }
+    
+    saveRecipient() {
+        const labelInput = document.getElementById('addressBookLabel');
+        try {
+            const entry = this.addressBook.add(
+                document.getElementById('destinationChain').value,
+                document.getElementById('destinationAddress').value,
+                labelInput.value
+            );
+            labelInput.value = '';
+            this.renderAddressBook();
+            this.showSuccess(`Saved ${entry.label} for ${this.destinationName(entry.chainId)}`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+    
+    removeRecipient() {
+        const chainId = document.getElementById('destinationChain').value;
+        const risk = this.recipientRisk(chainId, document.getElementById('destinationAddress').value);
+        if (!risk || !risk.entry) return;
+        
+        this.addressBook.remove(chainId, risk.entry.address);
+        this.renderAddressBook();
+        this.showInfo(`Removed ${risk.entry.label} from the address book`);
+    }
+    
+    exportAddressBook() {
+        this.downloadFile(`address-book-${this.userAddress.slice(0, 8)}.json`, this.addressBook.export(), 'application/json');
+    }
+    
+    async importAddressBook(file) {
+        try {
+            const { added, skipped } = this.addressBook.import(await file.text());
+            this.renderAddressBook();
+            if (skipped.length > 0) {
+                const reasons = skipped.slice(0, 3).map(item => `${item.address || 'entry'}: ${item.reason}`).join('; ');
+                this.showInfo(`Imported ${added} recipients, skipped ${skipped.length} (${reasons}${skipped.length > 3 ? '; ...' : ''})`);
+            } else {
+                this.showSuccess(`Imported ${added} recipients`);
+            }
+        } catch (error) {
+            this.showError(`Import failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * The saved entry for a recipient and what to double-check before sending to it
+     * @returns {Object|null} {entry, warning}, or null without a wallet or a valid address
+     */
+    recipientRisk(chainId, address) {
+        if (!this.userAddress || Recipients.validate(chainId, address, { getAddress: ethers.utils.getAddress })) return null;
+        
+        const { entry, firstTime, lookalikes } = this.addressBook.check(chainId, address);
+        let warning = '';
+        if (lookalikes.length > 0) {
+            const names = lookalikes.map(item => `"${item.label}" (${item.address})`).join(', ');
+            warning = `This address starts and ends like your saved ${names} but differs in between. Compare every character before sending.`;
+        } else if (!entry) {
+            warning = 'This address is not in your address book. Check it character by character, then save it for next time.';
+        } else if (firstTime) {
+            warning = `First withdrawal to "${entry.label}". Check the address before sending.`;
+        }
+        return { entry, warning };
+    }
+    
+    /**
+     * Show the recipient warning under the withdraw card and keep the picker and the
+     * remove button on the saved entry the fields hold
+     */
+    updateRecipientWarning() {
+        const chainId = document.getElementById('destinationChain').value;
+        const risk = this.recipientRisk(chainId, document.getElementById('destinationAddress').value);
+        const warning = document.getElementById('recipientWarning');
+        
+        warning.textContent = risk && risk.warning ? `⚠️ ${risk.warning}` : '';
+        warning.classList.toggle('hidden', !(risk && risk.warning));
+        document.getElementById('addressBookSelect').value = risk && risk.entry ? `${risk.entry.chainId}|${risk.entry.address}` : '';
+        document.getElementById('removeRecipientBtn').disabled = !(risk && risk.entry);
+    }
+    
+    updatePositionSelect(positions) {
+        const select = document.getElementById('positionSelect');
+        const target = document.getElementById('depositTarget');
+        const selected = select.value;
+        const selectedTarget = target.value;
+        
+        select.innerHTML = '<option value="">Choose a position to withdraw</option>';
+        target.innerHTML = '<option value="">New position</option>';
+        
+        // Positions with a withdrawal still in the pending tray can't be withdrawn again
+        // until it lands, since the amount left is not known yet
+        const pendingIds = this.pendingPositionIds();
+        
+        positions.forEach((position, index) => {
+            if (position.status !== 0) return;
+            const label = `Position #${index} - ${this.formatAmount(position.amount, position.token)}`;
+            target.appendChild(new Option(label, index));
+            if (!pendingIds.has(index)) select.appendChild(new Option(label, index));
+        });
+        
+        // Keep the picks that are still available
+        if ([...select.options].some(option => option.value === selected)) select.value = selected;
+        if ([...target.options].some(option => option.value === selectedTarget)) target.value = selectedTarget;
+        
+        const hasActivePositions = positions.some((p, index) => p.status === 0 && !pendingIds.has(index));
+        const canWithdraw = hasActivePositions && this.canWrite();
+        select.disabled = !canWithdraw;
+        document.getElementById('withdrawAmount').disabled = !canWithdraw;
+        document.getElementById('withdrawBtn').disabled = !canWithdraw;
+        target.disabled = !this.canWrite();
+        this.fillWithdrawAmount(false);
+        this.updateDepositButton();
+        this.updateBatchBar();
+    }
+    
+    /**
+     * Positions with a withdrawal, top-up, emergency or batch exit still in the pending tray
+     */
+    pendingPositionIds() {
+        return new Set(this.txQueue.pending()
+            .filter(entry => ['withdraw', 'top-up', 'emergency', 'batch-withdraw', 'batch-emergency'].includes(entry.purpose))
+            .flatMap(entry => entry.details.positionIds || [entry.positionId]));
+    }
+    
+    /**
+     * Put the selected position's full amount in the withdraw amount input
+     * @param {boolean} [replace] - false keeps an amount the user typed that still fits
+     */
+    fillWithdrawAmount(replace = true) {
+        const input = document.getElementById('withdrawAmount');
+        const positionId = document.getElementById('positionSelect').value;
+        const position = positionId === '' ? null : this.positions[positionId];
+        
+        if (!position) {
+            input.value = '';
+            input.removeAttribute('max');
+            return;
+        }
+        
+        const { decimals } = this.tokenFor(position.token);
+        const max = ethers.utils.formatUnits(position.amount, decimals);
+        input.max = max;
+        let fits = false;
+        try {
+            fits = input.value !== '' && ethers.utils.parseUnits(input.value, decimals).lte(position.amount);
+        } catch (error) {
+            fits = false;
+        }
+        if (replace || !fits) input.value = max;
+    }
+    
+    /**
+     * Label the deposit form; a top-up pins the asset picker to the position's asset
+     */
+    updateDepositButton() {
+        const target = document.getElementById('depositTarget').value;
+        const select = document.getElementById('depositToken');
+        const position = target === '' ? null : this.positions[target];
+        
+        if (position && [...select.options].some(option => option.value === Portfolio.tokenOf(position))) {
+            select.value = Portfolio.tokenOf(position);
+        }
+        select.disabled = !this.canWrite() || !!position;
+        document.getElementById('depositSymbol').textContent = this.tokenFor(this.depositTokenAddress()).symbol;
+        document.querySelector('#depositBtn .btn-text').textContent = target ? `Top Up Position #${target}` : 'Deposit & Create';
+    }
+    
+    /**
+     * Asset of the next deposit: the top-up target's, or the picked one
+     */
+    depositTokenAddress() {
+        const target = document.getElementById('depositTarget').value;
+        const position = target === '' ? null : this.positions[target];
+        return position ? Portfolio.tokenOf(position) : (document.getElementById('depositToken').value || Portfolio.NATIVE_TOKEN);
+    }
+    
+    /**
+     * Fill the asset picker with ZETA and the deployment's ZRC-20s, with the wallet's balances
+     */
+    async renderDepositTokens() {
+        if (!this.network) return;
+        
+        const select = document.getElementById('depositToken');
+        const request = ++this.depositTokenRequest;
+        const selected = select.value;
+        const tokens = [this.tokenFor(Portfolio.NATIVE_TOKEN), ...(this.network.depositTokens || [])];
+        
+        try {
+            const balances = this.canWrite()
+                ? await Promise.all(tokens.map(token => this.tokenBalance(token.address)))
+                : tokens.map(() => null);
+            // A newer account or network took over while the balances were loading
+            if (request !== this.depositTokenRequest) return;
+            
+            select.replaceChildren(...tokens.map((token, index) => new Option(
+                balances[index] ? `${token.symbol} (${ethers.utils.formatUnits(balances[index], token.decimals)})` : token.symbol,
+                token.address.toLowerCase()
+            )));
+            if ([...select.options].some(option => option.value === selected)) select.value = selected;
+        } catch (error) {
+            console.error('Error loading deposit token balances:', error);
+        }
+        this.updateDepositButton();
+    }
+    
+    /**
+     * The connected wallet's balance of native ZETA or a ZRC-20
+     */
+    tokenBalance(address) {
+        if (address.toLowerCase() === Portfolio.NATIVE_TOKEN) return this.provider.getBalance(this.userAddress);
+        return new ethers.Contract(address, this.ZRC20_ABI, this.provider).balanceOf(this.userAddress);
+    }
+    
+    async updateGasEstimate() {
+        const warning = document.getElementById('gasTokenWarning');
+        const request = ++this.gasQuoteRequest;
+        
+        try {
+            const gasLimit = document.getElementById('gasLimit').value;
+            const positionId = document.getElementById('positionSelect').value;
+            const destinationChain = document.getElementById('destinationChain').value;
             
-            const [baseGas, withPremium] = await this.contract.estimateWithdrawGas(gasLimit);
+            warning.classList.add('hidden');
+            if (!gasLimit || !positionId || !this.contract) return;
             
-            document.getElementById('gasEstimate').textContent = 
-                `${ethers.utils.formatEther(baseGas)} ZETA`;
-            document.getElementById('gasPremium').textContent = 
-                `${ethers.utils.formatEther(withPremium)} ZETA`;
+            const quote = await this.quoteWithdrawal(this.positionToken(this.userAddress, positionId), destinationChain, gasLimit);
+            // A newer position, chain or gas limit was picked while this quote was in flight
+            if (request !== this.gasQuoteRequest) return;
+            
+            const destination = this.destinationName(destinationChain);
+            if (quote.gasLimit === 0) {
+                document.getElementById('gasPremiumLabel').textContent = 'Volatility Premium:';
+                document.getElementById('gasEstimate').textContent = 
+                    `${this.formatToken(quote.baseFee, quote.token)} (plain transfer to ${destination})`;
+                document.getElementById('gasPremium').textContent = 'None for a plain transfer';
+            } else {
+                document.getElementById('gasPremiumLabel').textContent = `With ${this.describePremium(quote)}:`;
+                document.getElementById('gasEstimate').textContent = 
+                    `${this.formatToken(quote.baseFee, quote.token)} (${quote.gasLimit.toLocaleString()} gas on ${destination})`;
+                document.getElementById('gasPremium').textContent = 
+                    `${this.formatToken(quote.fee, quote.token)} (+${quote.premiumGas.toLocaleString()} gas)`;
+            }
+            
+            if (quote.balance.lt(quote.fee)) {
+                warning.textContent = `⚠️ The fee is paid in ${quote.token.symbol} on ZetaChain and you hold ${this.formatToken(quote.balance, quote.token)}.`;
+                warning.classList.remove('hidden');
+            }
                 
         } catch (error) {
+            if (request !== this.gasQuoteRequest) return;
             console.error('Error estimating gas:', error);
+            warning.textContent = `⚠️ ${TxErrors.translate(error, { action: 'Fee quote', network: this.network }).message}`;
+            warning.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Gas ZRC-20 fee for withdrawing an asset, the premium behind it, and the wallet's
+     * balance and allowance for the fee
+     * @param {string} asset - ZRC-20 address of the position, or Portfolio.NATIVE_TOKEN for ZETA
+     * @returns {Promise<Object>} {token, gasLimit, baseFee, fee, premiumGas, premiumBps, balance, allowance}
+     */
+    async quoteWithdrawal(asset, destinationChain, gasLimit) {
+        const estimate = await this.contract.estimateWithdrawGas(asset, destinationChain, gasLimit);
+        return {
+            ...await this.gasTokenFunds(estimate.gasToken),
+            gasLimit: Number(gasLimit),
+            baseFee: estimate.baseGas,
+            fee: estimate.withPremium,
+            premiumGas: estimate.premiumGas.toNumber(),
+            premiumBps: estimate.premiumBps.toNumber()
+        };
+    }
+    
+    /**
+     * Gas ZRC-20 fee for sending the badge to a connected chain
+     * @returns {Promise<Object>} {token, fee, balance, allowance}
+     */
+    async quoteBadgeTransfer(destinationChain) {
+        const estimate = await this.contract.estimateBadgeTransferGas(destinationChain);
+        return { ...await this.gasTokenFunds(estimate.gasToken), fee: estimate.gasFee };
+    }
+    
+    /**
+     * The wallet's balance of a gas ZRC-20 and the tracker's allowance to spend it
+     */
+    async gasTokenFunds(address) {
+        const token = await this.getToken(address);
+        const reader = new ethers.Contract(address, this.ZRC20_ABI, this.provider);
+        const [balance, allowance] = await Promise.all([
+            reader.balanceOf(this.userAddress),
+            reader.allowance(this.userAddress, this.CONTRACT_ADDRESS)
+        ]);
+        return { token, balance, allowance };
+    }
+    
+    /**
+     * "30% premium", noting when the contract's floor or ceiling kicked in
+     */
+    describePremium(quote) {
+        const rate = Math.floor(quote.gasLimit * quote.premiumBps / 10000);
+        const bound = quote.premiumGas > rate ? ' (floor)' : quote.premiumGas < rate ? ' (cap)' : '';
+        return `${quote.premiumBps / 100}% premium${bound}`;
+    }
+    
+    /**
+     * Label of the fee row in the withdrawal reviews; a plain transfer buys no premium
+     */
+    describeFee(quote) {
+        return quote.gasLimit === 0 ? 'Fee (plain transfer)' : `Fee incl. ${this.describePremium(quote)}`;
+    }
+    
+    destinationName(chainId) {
+        const option = document.querySelector(`#destinationChain option[value="${chainId}"]`);
+        return option ? option.textContent : `Chain ${chainId}`;
+    }
+    
+    /**
+     * Validate a recipient for the destination chain and encode it as the contract's `bytes recipient`
+     * @returns {Object|null} {format, bytes, display}, or null once the problem was shown
+     */
+    encodeRecipient(chainId, value) {
+        try {
+            return Recipients.encode(chainId, value, { getAddress: ethers.utils.getAddress });
+        } catch (error) {
+            this.showError(error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Match a recipient input to its chain's address format: placeholder, and the
+     * reason under the field while what was typed does not fit
+     * @returns {boolean} true when the field holds a valid recipient
+     */
+    updateRecipientField(chainSelectId, inputId) {
+        const chainId = document.getElementById(chainSelectId).value;
+        const input = document.getElementById(inputId);
+        const message = document.getElementById(`${inputId}Error`);
+        const problem = Recipients.validate(chainId, input.value, { getAddress: ethers.utils.getAddress });
+        const shown = input.value.trim() ? problem : null;
+        
+        input.placeholder = Recipients.placeholder(chainId);
+        input.classList.toggle('input-invalid', Boolean(shown));
+        message.textContent = shown || '';
+        message.classList.toggle('hidden', !shown);
+        return !problem;
+    }
+    
+    /**
+     * Badges go to the connected wallet on EVM chains unless another recipient is typed;
+     * other chains need their own address
+     */
+    updateTransferRecipient() {
+        const chainId = document.getElementById('transferChain').value;
+        const input = document.getElementById('transferRecipient');
+        const evm = Recipients.formatFor(chainId) === 'evm';
+        const own = this.userAddress && input.value.trim().toLowerCase() === this.userAddress.toLowerCase();
+        
+        if (evm && !input.value.trim() && this.userAddress) input.value = this.userAddress;
+        if (!evm && own) input.value = '';
+        
+        const valid = this.updateRecipientField('transferChain', 'transferRecipient');
+        document.getElementById('transferBadgeBtn').disabled =
+            document.getElementById('transferChain').disabled || !chainId || !valid;
+    }
+    
+    /**
+     * Symbol and decimals of a ZRC-20 (or native ZETA), cached per network
+     */
+    async getToken(address) {
+        const key = address.toLowerCase();
+        if (!this.tokenInfo.has(key)) {
+            const token = new ethers.Contract(address, this.ZRC20_ABI, this.readProvider);
+            const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+            this.tokenInfo.set(key, { address, symbol, decimals });
         }
+        return this.tokenInfo.get(key);
+    }
+    
+    formatToken(amount, token) {
+        return `${ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`;
+    }
+    
+    /**
+     * Cached token of a position (see getToken); position.token is unset for ZETA
+     */
+    tokenFor(address) {
+        const key = address ? address.toLowerCase() : Portfolio.NATIVE_TOKEN;
+        return this.tokenInfo.get(key) || { address, symbol: `${key.slice(0, 6)}...${key.slice(-4)}`, decimals: 18 };
+    }
+    
+    formatAmount(amount, address) {
+        return this.formatToken(amount, this.tokenFor(address));
+    }
+    
+    /**
+     * Asset of a position in a loaded snapshot; ZETA when the position is not loaded
+     */
+    positionToken(owner, positionId) {
+        const snapshot = owner ? this.portfolios.get(owner.toLowerCase()) : null;
+        const position = snapshot ? snapshot.positions[Number(positionId)] : null;
+        return position ? position.token : Portfolio.NATIVE_TOKEN;
     }
     
     async withdrawPosition() {
         try {
             const positionId = document.getElementById('positionSelect').value;
+            const amount = document.getElementById('withdrawAmount').value;
             const destinationChain = document.getElementById('destinationChain').value;
             const destinationAddress = document.getElementById('destinationAddress').value;
             const gasLimit = document.getElementById('gasLimit').value;
             
-            if (!positionId || !destinationAddress || !gasLimit) {
+            if (!positionId || !amount || !destinationAddress || !gasLimit) {
                 this.showError('Please fill in all withdrawal fields');
                 return;
             }
             
-            if (!ethers.utils.isAddress(destinationAddress)) {
-                this.showError('Please enter a valid destination address');
+            const position = this.positions[positionId];
+            const token = this.tokenFor(position.token);
+            let amountWei;
+            try {
+                amountWei = ethers.utils.parseUnits(amount, token.decimals);
+            } catch (error) {
+                this.showError('Please enter a valid withdrawal amount');
+                return;
+            }
+            if (amountWei.lte(0) || amountWei.gt(position.amount)) {
+                this.showError(`Withdraw between 0 and ${this.formatToken(position.amount, token)} from position #${positionId}`);
                 return;
             }
             
-            const [, gasFee] = await this.contract.estimateWithdrawGas(gasLimit);
+            const recipient = this.encodeRecipient(destinationChain, destinationAddress);
+            if (!recipient) return;
             
-            this.showLoading('Initiating cross-chain withdrawal with Volatility Premium...');
+            if (!this.canWrite()) {
+                this.showError(`Withdrawals need your connected wallet on ${this.network.name} (Chain ID: ${this.network.chainId})`);
+                return;
+            }
             
-            const tx = await this.contract.withdrawAndTrack(
-                positionId,
-                destinationChain,
-                destinationAddress,
-                gasLimit,
-                { value: gasFee, gasLimit: 500000 }
-            );
+            const args = [positionId, amountWei, destinationChain, recipient.bytes, gasLimit];
             
-            await tx.wait();
+            this.showLoading('Simulating withdrawal...');
+            const preview = await this.previewWithdrawal(args);
+            this.hideLoading();
             
-            this.showSuccess('Withdrawal initiated! Safety Buffer used - Check your badge eligibility!');
-            this.addTransactionStatus(tx.hash, 'Withdrawal Initiated (Volatility Premium Applied)');
+            if (!await this.reviewWithdrawal(args, preview, recipient)) return;
+            
+            if (preview.needsApproval && !await this.approveToken(preview.token, preview.fee, 'the withdrawal fee')) return;
+            
+            // Only a protected withdrawal pays the premium and counts towards the badge
+            const protectedWithdrawal = Number(gasLimit) > 0;
+            this.showLoading(protectedWithdrawal
+                ? 'Confirm the withdrawal with Volatility Premium in your wallet...'
+                : 'Confirm the withdrawal in your wallet...');
+            
+            await this.sendContractTx('withdrawAndTrack', args, { gasLimit: 500000 }, {
+                purpose: 'withdraw',
+                positionId: Number(positionId),
+                label: `Withdraw ${amount} ${token.symbol} from position #${positionId}`,
+                details: {
+                    action: 'Withdrawal',
+                    successMessage: protectedWithdrawal
+                        ? 'Withdrawal initiated! Safety Buffer used - Check your badge eligibility!'
+                        : 'Withdrawal initiated!'
+                }
+            });
+            this.addressBook.markUsed(destinationChain, recipient.display);
             
             document.getElementById('positionSelect').value = '';
             document.getElementById('destinationAddress').value = '';
+            this.updateRecipientField('destinationChain', 'destinationAddress');
+            this.renderAddressBook();
+            this.updatePositionSelect(this.positions);
+            this.fillWithdrawAmount();
             
-            await this.loadPositions();
-            await this.loadUserStats();
-            await this.updateWalletInfo();
-            await this.checkBadgeEligibility(); // NEW: Recheck eligibility
+        } catch (error) {
+            this.showTxError('Withdrawal', error);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * Let the tracker spend a ZRC-20 (a gas fee or a deposit) and wait for
+     * the approval to confirm
+     * @param {Object} token - getToken output
+     * @param {string} purpose - what the allowance is for, for the prompts
+     * @returns {Promise<boolean>} true once the allowance is in place
+     */
+    async approveToken(token, amount, purpose) {
+        const zrc20 = new ethers.Contract(token.address, this.ZRC20_ABI, this.signer);
+        
+        this.showLoading(`Approve ${token.symbol} for ${purpose} in your wallet...`);
+        const entry = await this.sendContractTx('approve', [this.CONTRACT_ADDRESS, amount], {}, {
+            purpose: 'approve',
+            label: `Approve ${token.symbol} for ${purpose}`,
+            details: { action: 'Token approval', successMessage: `${token.symbol} approved for ${purpose}` }
+        }, zrc20);
+        
+        this.showLoading(`Waiting for the ${token.symbol} approval to confirm...`);
+        const result = await this.txQueue.wait(entry.id);
+        return result.entry.status === TxQueue.STATUS.CONFIRMED;
+    }
+    
+    /**
+     * Dry-run a withdrawal: the gas token fee quote, a static call for the
+     * resulting status (or the revert it would hit) and a gas estimate.
+     * Without an allowance for the fee the dry run is skipped; the approval comes first.
+     * @param {Array} args - withdrawAndTrack or withdrawBatch arguments
+     * @param {string} [method] - 'withdrawBatch' previews the skipped positions instead of a status
+     * @returns {Promise<Object>} {token, baseFee, fee, balance, needsApproval, status, skipped, gasUnits, gasCost, revert}
+     */
+    async previewWithdrawal(args, method = 'withdrawAndTrack') {
+        const [asset, destinationChain, gasLimit] = method === 'withdrawBatch'
+            ? [this.batchAsset(args[0]), args[1], args[3]]
+            : [this.positionToken(this.userAddress, args[0]), args[2], args[4]];
+        const quote = await this.quoteWithdrawal(asset, destinationChain, gasLimit);
+        const preview = {
+            ...quote,
+            needsApproval: quote.allowance.lt(quote.fee),
+            status: Portfolio.STATUS.Withdrawn,
+            skipped: null,
+            gasUnits: null,
+            gasCost: null,
+            revert: null
+        };
+        
+        if (quote.balance.lt(quote.fee)) {
+            preview.revert = {
+                message: `The fee is paid in ${quote.token.symbol} on ZetaChain. You hold ${this.formatToken(quote.balance, quote.token)} but need ${this.formatToken(quote.fee, quote.token)}.`
+            };
+            return preview;
+        }
+        if (preview.needsApproval) return preview;
+        
+        try {
+            const data = this.contract.interface.encodeFunctionData(method, args);
+            const result = this.contract.interface.decodeFunctionResult(method,
+                await this.provider.call({ from: this.userAddress, to: this.CONTRACT_ADDRESS, data }));
+            if (method === 'withdrawBatch') {
+                preview.skipped = result.skipped;
+            } else {
+                preview.status = result.status;
+            }
             
+            preview.gasUnits = await this.contract.estimateGas[method](...args);
+            const feeData = await this.provider.getFeeData();
+            preview.gasCost = preview.gasUnits.mul(feeData.maxFeePerGas || feeData.gasPrice);
         } catch (error) {
-            console.error('Error withdrawing position:', error);
-            this.showError('Failed to withdraw position: ' + error.message);
+            await TxErrors.decode(error, { iface: this.contract.interface });
+            preview.revert = TxErrors.translate(error, { action: 'Withdrawal', network: this.network });
+        }
+        
+        return preview;
+    }
+    
+    /**
+     * Asset a batch withdraws: that of its first Active, non-empty position, as the contract picks it
+     */
+    batchAsset(positionIds) {
+        const position = positionIds
+            .map(id => this.positions[id])
+            .find(position => position && Number(position.status) === Portfolio.STATUS.Active && !position.amount.isZero());
+        return position ? Portfolio.tokenOf(position) : Portfolio.NATIVE_TOKEN;
+    }
+    
+    /**
+     * Show the preview and let the user confirm
+     * @returns {Promise<boolean>} true when the user confirmed
+     */
+    reviewWithdrawal(args, preview, recipient) {
+        const [positionId, amount, destinationChain, , gasLimit] = args;
+        const position = this.positions[positionId];
+        const statusNames = ['Active', 'Withdrawn', 'Refunded', 'Failed', 'Pending'];
+        const partial = amount.lt(position.amount);
+        const token = this.tokenFor(position.token);
+        const risk = this.recipientRisk(destinationChain, recipient.display);
+        
+        const rows = [
+            ['Position', `#${positionId} - ${this.formatToken(position.amount, token)}`],
+            ['Amount', `${this.formatToken(amount, token)}${partial ? ` (${this.formatToken(position.amount.sub(amount), token)} stays Active)` : ''}`],
+            ['Destination', this.destinationName(destinationChain)],
+            ['Recipient', risk && risk.entry ? `${risk.entry.label} - ${recipient.display}` : recipient.display],
+            Number(gasLimit) === 0
+                ? ['Delivery', 'Plain transfer to the recipient (no premium, does not count towards the Safety Badge)']
+                : ['Destination gas limit', `${Number(gasLimit).toLocaleString()} + ${preview.premiumGas.toLocaleString()} premium`],
+            [this.describeFee(preview), this.formatToken(preview.fee, preview.token)]
+        ];
+        
+        if (preview.revert) {
+            return this.showConfirmDialog({
+                title: 'Withdrawal would fail',
+                rows,
+                notice: preview.revert.message,
+                tone: 'error',
+                confirmLabel: null
+            });
+        }
+        
+        if (preview.needsApproval) {
+            rows.push(['Approval', `${preview.token.symbol} allowance needed first`]);
+        } else {
+            rows.push(['Network gas (est.)', `${ethers.utils.formatEther(preview.gasCost)} ZETA (${preview.gasUnits.toString()} gas)`]);
+        }
+        rows.push(['Expected status', statusNames[preview.status]]);
+        
+        return this.showConfirmDialog({
+            title: 'Review Withdrawal',
+            rows,
+            notice: (risk && risk.warning ? `⚠️ ${risk.warning} ` : '') + (preview.needsApproval
+                ? `Your wallet will ask twice: first to let the tracker collect the ${preview.token.symbol} fee, then for the withdrawal. `
+                : '') + (partial
+                ? 'The amount is sent through the ZetaChain gateway and the rest of the position stays Active. If the destination call reverts or is aborted, what the protocol returns (the amount less its fees) is paid to your ZetaChain wallet and the withdrawal shows Refunded or Failed in the position ledger.'
+                : 'The position will be marked Withdrawn and sent through the ZetaChain gateway. If the destination call reverts or is aborted, what the protocol returns (the amount less its fees) is paid to your ZetaChain wallet and the position shows Refunded or Failed.'),
+            tone: risk && risk.warning ? 'warning' : 'info',
+            confirmLabel: preview.needsApproval ? 'Approve & Withdraw' : 'Confirm Withdrawal'
+        });
+    }
+    
+    /**
+     * Modal review dialog
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {Array<Array<string>>} options.rows - [label, value] pairs
+     * @param {string} [options.notice] - explanation shown under the rows
+     * @param {string} [options.tone] - 'info' | 'warning' | 'error'
+     * @param {string|null} [options.confirmLabel] - null shows only a close button
+     * @returns {Promise<boolean>}
+     */
+    showConfirmDialog({ title, rows, notice = '', tone = 'info', confirmLabel = 'Confirm' }) {
+        const dialog = document.getElementById('confirmDialog');
+        const acceptBtn = document.getElementById('confirmAccept');
+        const cancelBtn = document.getElementById('confirmCancel');
+        
+        document.getElementById('confirmTitle').textContent = title;
+        
+        const body = document.getElementById('confirmBody');
+        body.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'confirm-row';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const detail = document.createElement('strong');
+            detail.textContent = value;
+            row.append(name, detail);
+            body.appendChild(row);
+        });
+        
+        const noticeEl = document.getElementById('confirmNotice');
+        noticeEl.textContent = notice;
+        noticeEl.className = `confirm-notice ${tone}`;
+        noticeEl.classList.toggle('hidden', !notice);
+        
+        acceptBtn.classList.toggle('hidden', !confirmLabel);
+        acceptBtn.textContent = confirmLabel || '';
+        cancelBtn.textContent = confirmLabel ? 'Cancel' : 'Close';
+        
+        return new Promise(resolve => {
+            const close = (confirmed) => {
+                dialog.classList.add('hidden');
+                acceptBtn.onclick = null;
+                cancelBtn.onclick = null;
+                resolve(confirmed);
+            };
+            
+            acceptBtn.onclick = () => close(true);
+            cancelBtn.onclick = () => close(false);
+            dialog.classList.remove('hidden');
+        });
+    }
+    
+    // ============ EMERGENCY EXIT ============
+    
+    /**
+     * Return one Active position in full to the connected wallet on ZetaChain, skipping the gateway
+     */
+    async emergencyExit(positionId) {
+        try {
+            const position = this.positions[positionId];
+            if (!position || position.status !== 0 || !this.canWrite()) return;
+            if (this.pendingPositionIds().has(positionId)) {
+                this.showError(`Position #${positionId} already has a transaction pending`);
+                return;
+            }
+            
+            this.showLoading('Simulating emergency exit...');
+            const args = [positionId, position.amount];
+            // transfer()-era payouts failed for contract wallets; they still need to accept
+            // native ZETA, which is sent as a plain value transfer. ZRC-20s go through transfer().
+            const asset = this.tokenFor(position.token);
+            const native = Portfolio.tokenOf(position) === Portfolio.NATIVE_TOKEN;
+            const smartWallet = native && await this.provider.getCode(this.userAddress) !== '0x';
+            let revert = null;
+            try {
+                await this.contract.callStatic.emergencyWithdraw(...args);
+            } catch (error) {
+                await TxErrors.decode(error, { iface: this.contract.interface });
+                revert = TxErrors.translate(error, { action: 'Emergency exit', network: this.network });
+            }
+            this.hideLoading();
+            
+            const rows = [
+                ['Position', `#${positionId}`],
+                ['Amount', this.formatAmount(position.amount, position.token)],
+                ['Paid to', `${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)} on ${this.network.name}`],
+                ['Cross-chain transfer', 'None'],
+                ['Position afterwards', 'Failed']
+            ];
+            if (smartWallet) rows.push(['Wallet', 'Smart contract']);
+            
+            const confirmed = await this.showConfirmDialog(revert ? {
+                title: 'Emergency exit would fail',
+                rows,
+                notice: revert.message,
+                tone: 'error',
+                confirmLabel: null
+            } : {
+                title: 'Confirm Emergency Exit',
+                rows,
+                notice: 'The position is paid out to your wallet on ZetaChain and marked Failed for good. Nothing is sent to another chain, no Safety Buffer use is recorded and it does not count towards your badge.' +
+                    (smartWallet ? ` Your wallet is a smart contract, so it must accept plain ${asset.symbol} transfers or the exit reverts.` : ''),
+                tone: 'warning',
+                confirmLabel: 'Exit Position'
+            });
+            if (!confirmed) return;
+            
+            this.showLoading('Confirm the emergency exit in your wallet...');
+            await this.sendContractTx('emergencyWithdraw', args, {}, {
+                purpose: 'emergency',
+                positionId,
+                label: `Emergency exit of position #${positionId}`,
+                details: { action: 'Emergency exit', successMessage: `Position #${positionId} returned to your ZetaChain wallet` }
+            });
+            
+            this.updatePositionSelect(this.positions);
+            
+        } catch (error) {
+            this.showTxError('Emergency exit', error);
         } finally {
             this.hideLoading();
         }
     }
     
-
+    // ============ BATCH EXITS ============
+    
+    togglePositionSelection(positionId, selected) {
+        if (selected) {
+            this.selectedPositions.add(positionId);
+        } else {
+            this.selectedPositions.delete(positionId);
+        }
+        this.updateBatchBar();
+    }
+    
+    clearPositionSelection() {
+        this.selectedPositions.clear();
+        document.querySelectorAll('#positionsContainer .position-check').forEach(check => { check.checked = false; });
+        this.updateBatchBar();
+    }
+    
+    /**
+     * Drop picks that are no longer Active or have an exit pending, and show the batch actions
+     */
+    updateBatchBar() {
+        const pendingIds = this.pendingPositionIds();
+        [...this.selectedPositions].forEach(positionId => {
+            const position = this.positions[positionId];
+            if (!position || position.status !== 0 || pendingIds.has(positionId)) this.selectedPositions.delete(positionId);
+        });
+        
+        const count = this.selectedPositions.size;
+        document.getElementById('batchActions').classList.toggle('hidden', count === 0 || !this.canWrite());
+        document.getElementById('batchCount').textContent = `${count} position${count === 1 ? '' : 's'} selected`;
+        document.getElementById('batchWithdrawBtn').disabled = count === 0 || !this.canWrite();
+        document.getElementById('batchEmergencyBtn').disabled = count === 0 || !this.canWrite();
+    }
+    
+    /**
+     * Withdraw every selected position in full to the destination set in the withdraw card
+     */
+    async withdrawSelected() {
+        try {
+            const positionIds = [...this.selectedPositions].sort((a, b) => a - b);
+            const destinationChain = document.getElementById('destinationChain').value;
+            const destinationAddress = document.getElementById('destinationAddress').value;
+            const gasLimit = document.getElementById('gasLimit').value;
+            
+            if (positionIds.length === 0) return;
+            if (!destinationAddress || !gasLimit) {
+                this.showError('Set the destination chain, recipient address and gas limit in the withdraw card first');
+                return;
+            }
+            const recipient = this.encodeRecipient(destinationChain, destinationAddress);
+            if (!recipient) return;
+            if (!this.canWrite()) {
+                this.showError(`Withdrawals need your connected wallet on ${this.network.name} (Chain ID: ${this.network.chainId})`);
+                return;
+            }
+            
+            const args = [positionIds, destinationChain, recipient.bytes, gasLimit];
+            
+            this.showLoading('Simulating batch withdrawal...');
+            const preview = await this.previewWithdrawal(args, 'withdrawBatch');
+            this.hideLoading();
+            
+            if (!await this.reviewBatch(positionIds, preview, false, recipient)) return;
+            
+            if (preview.needsApproval && !await this.approveToken(preview.token, preview.fee, 'the withdrawal fee')) return;
+            
+            this.showLoading(`Confirm the batch withdrawal of ${positionIds.length} positions in your wallet...`);
+            
+            // The fixed 500k of a single withdrawal would not cover a large batch
+            const gasUnits = preview.gasUnits || await this.contract.estimateGas.withdrawBatch(...args);
+            await this.sendContractTx('withdrawBatch', args, { gasLimit: gasUnits.mul(12).div(10) }, {
+                purpose: 'batch-withdraw',
+                label: `Withdraw positions ${positionIds.map(id => `#${id}`).join(', ')} to ${this.destinationName(destinationChain)}`,
+                details: { action: 'Batch withdrawal', positionIds }
+            });
+            this.addressBook.markUsed(destinationChain, recipient.display);
+            this.renderAddressBook();
+            
+            this.clearPositionSelection();
+            this.updatePositionSelect(this.positions);
+            
+        } catch (error) {
+            this.showTxError('Batch withdrawal', error);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * Emergency-exit every selected position to the connected wallet on ZetaChain
+     */
+    async emergencyExitSelected() {
+        try {
+            const positionIds = [...this.selectedPositions].sort((a, b) => a - b);
+            if (positionIds.length === 0 || !this.canWrite()) return;
+            
+            this.showLoading('Simulating emergency exit...');
+            const preview = { skipped: null, revert: null };
+            try {
+                preview.skipped = await this.contract.callStatic.emergencyWithdrawBatch(positionIds);
+            } catch (error) {
+                await TxErrors.decode(error, { iface: this.contract.interface });
+                preview.revert = TxErrors.translate(error, { action: 'Emergency exit', network: this.network });
+            }
+            this.hideLoading();
+            
+            if (!await this.reviewBatch(positionIds, preview, true)) return;
+            
+            this.showLoading(`Confirm the emergency exit of ${positionIds.length} positions in your wallet...`);
+            await this.sendContractTx('emergencyWithdrawBatch', [positionIds], {}, {
+                purpose: 'batch-emergency',
+                label: `Emergency exit of positions ${positionIds.map(id => `#${id}`).join(', ')}`,
+                details: { action: 'Batch emergency exit', positionIds }
+            });
+            
+            this.clearPositionSelection();
+            this.updatePositionSelect(this.positions);
+            
+        } catch (error) {
+            this.showTxError('Emergency exit', error);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * One row per position with what the batch will do to it, then the fee for a withdrawal
+     * @param {boolean} [emergency] - an emergency exit: no destination, fee or approval
+     * @param {Object} [recipient] - encoded recipient of a withdrawal, see encodeRecipient
+     * @returns {Promise<boolean>} true when the user confirmed
+     */
+    reviewBatch(positionIds, preview, emergency = false, recipient = null) {
+        const rows = positionIds.map((positionId, index) => {
+            const position = this.positions[positionId];
+            const reason = preview.skipped ? preview.skipped[index] : '';
+            return [
+                `#${positionId} - ${this.formatAmount(position.amount, position.token)}`,
+                reason ? `Skipped: ${reason}` : (emergency ? 'Exit to wallet' : 'Withdraw')
+            ];
+        });
+        
+        const destinationChain = document.getElementById('destinationChain').value;
+        const risk = emergency ? null : this.recipientRisk(destinationChain, recipient.display);
+        const warning = risk && risk.warning ? `⚠️ ${risk.warning} ` : '';
+        if (!emergency) {
+            rows.push(
+                ['Destination', this.destinationName(destinationChain)],
+                ['Recipient', risk && risk.entry ? `${risk.entry.label} - ${recipient.display}` : recipient.display],
+                [this.describeFee(preview), `${this.formatToken(preview.fee, preview.token)} for the whole batch`]
+            );
+            if (preview.needsApproval) rows.push(['Approval', `${preview.token.symbol} allowance needed first`]);
+        }
+        
+        if (preview.revert) {
+            return this.showConfirmDialog({
+                title: emergency ? 'Emergency exit would fail' : 'Batch withdrawal would fail',
+                rows,
+                notice: preview.revert.message,
+                tone: 'error',
+                confirmLabel: null
+            });
+        }
+        
+        return this.showConfirmDialog({
+            title: emergency ? 'Review Emergency Exit' : 'Review Batch Withdrawal',
+            rows,
+            notice: emergency
+                ? 'Each position is paid out to your wallet on ZetaChain and marked Failed. Nothing is sent cross-chain and no Safety Buffer use is recorded.'
+                : `${warning}Every position is withdrawn in full through one gateway withdrawal, with the fee and premium charged once. Positions in another asset than the first are skipped. If the withdrawal reverts or is aborted, what the protocol returns is passed on to your ZetaChain wallet and all of them show Refunded or Failed.`,
+            tone: emergency || warning ? 'warning' : 'info',
+            confirmLabel: emergency ? 'Exit Positions' : (preview.needsApproval ? 'Approve & Withdraw' : 'Confirm Withdrawal')
+        });
+    }
+    
+    /**
+     * Per-position outcome of a mined batch, from its BatchItemSkipped events
+     * @returns {Object} {message, partial}
+     */
+    describeBatchResult(entry, receipt) {
+        const skipped = receipt.logs
+            .filter(log => log.address.toLowerCase() === this.CONTRACT_ADDRESS.toLowerCase())
+            .map(log => {
+                try {
+                    return this.contract.interface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(log => log && log.name === 'BatchItemSkipped');
+        
+        const total = entry.details.positionIds.length;
+        const notes = skipped.map(log => `#${log.args.positionId} (${log.args.reason})`);
+        return {
+            message: `${entry.details.action}: ${total - skipped.length} of ${total} positions done${notes.length ? `; skipped ${notes.join(', ')}` : ''}`,
+            partial: skipped.length > 0
+        };
+    }
     
     // ============ UNIVERSAL NFT FUNCTIONS ============
     
@@ -444,11 +2541,30 @@ class PortfolioTracker {
      */
     async checkBadgeEligibility() {
         try {
-            if (!this.contract || !this.userAddress) return;
+            // The drill-down address, or the connected wallet in the aggregate view
+            const subject = this.viewAddress || this.userAddress;
+            if (!subject || !this.readContract) {
+                document.getElementById('badgeVisual').className = 'badge-container locked';
+                this.renderBadgeArt(null);
+                document.getElementById('badgeStatusText').textContent = 'Locked';
+                document.getElementById('badgeEligibility').innerHTML = '❌ Not Eligible Yet';
+                document.getElementById('mintBadgeBtn').disabled = true;
+                document.getElementById('transferChain').disabled = true;
+                document.getElementById('transferRecipient').disabled = true;
+                document.getElementById('transferSection').classList.add('hidden');
+                document.getElementById('badgeLocation').classList.add('hidden');
+                document.getElementById('upgradeBadgeBtn').classList.add('hidden');
+                this.renderTierProgress(null);
+                return;
+            }
             
-            const isEligible = await this.contract.isEligibleForBadge(this.userAddress);
-            const badgeTokenId = await this.contract.getUserBadge(this.userAddress);
+            const reader = this.contractFor(subject);
+            const isEligible = await reader.isEligibleForBadge(subject);
+            const badgeTokenId = await reader.getUserBadge(subject);
             const hasBadge = badgeTokenId.toNumber() > 0;
+            const pendingPurposes = this.txQueue.pending().map(entry => entry.purpose);
+            const writable = this.canWrite() && this.isSigner(subject);
+            const owner = this.isSigner(subject) ? 'You own' : `${subject.slice(0, 6)}...${subject.slice(-4)} owns`;
             
             // Update UI based on status
             const badgeVisual = document.getElementById('badgeVisual');
@@ -457,34 +2573,81 @@ class PortfolioTracker {
             const badgeEligibility = document.getElementById('badgeEligibility');
             const mintBtn = document.getElementById('mintBadgeBtn');
             const transferChain = document.getElementById('transferChain');
-            const transferBtn = document.getElementById('transferBadgeBtn');
+            const badgeLocation = document.getElementById('badgeLocation');
+            const upgradeBtn = document.getElementById('upgradeBadgeBtn');
+            
+            // Tier of the badge held, or the one a mint would get
+            const [badgeTier, eligibleTier] = (await Promise.all([
+                hasBadge ? reader.badgeTier(badgeTokenId) : 0,
+                reader.eligibleTier(subject)
+            ])).map(Number);
+            const tier = hasBadge ? badgeTier : eligibleTier;
+            const tierName = BadgeTiers.TIER_NAMES[tier];
+            this.renderTierProgress(await this.getTierProgress(reader, subject, tier));
+            
+            document.getElementById('transferSection').classList.toggle('hidden', !hasBadge);
+            badgeLocation.classList.toggle('hidden', !hasBadge);
+            this.renderBadgeArt(hasBadge ? await this.readBadgeArt(reader, badgeTokenId) : null);
             
             if (hasBadge) {
-                // User has minted badge
-                badgeVisual.className = 'badge-unlocked';
-                badgeStatusText.textContent = 'Owned';
-                badgeDescription.textContent = `You own Safety Badge #${badgeTokenId}. Transfer it to any chain!`;
-                badgeEligibility.innerHTML = '✅ Badge Minted';
+                // User has minted badge; it lives on ZetaChain or one connected chain
+                const location = await this.getBadgeLocation(reader, subject, badgeTokenId);
+                const home = location.chainId === 0;
+                const where = home ? 'ZetaChain' : this.destinationName(location.chainId);
+                const transfer = location.transfer;
+                const inFlight = !home && transfer && ['unknown', 'pending'].includes(transfer.state);
+                
+                badgeVisual.className = 'badge-container unlocked';
+                badgeStatusText.textContent = inFlight ? 'In Flight' : 'Owned';
+                badgeEligibility.innerHTML = `✅ ${tierName} Badge Minted`;
                 badgeEligibility.className = 'eligibility-status eligible';
+                badgeLocation.textContent = inFlight
+                    ? `🚀 On its way to ${where} - ${this.describeCctx(transfer)}`
+                    : `📍 Lives on ${where}`;
+                // Colour by the latest transfer while it is in flight or once it came back
+                const state = transfer && (inFlight || home) ? transfer.state : 'mined';
+                badgeLocation.className = `badge-location cctx-${state}`;
+                
+                if (home) {
+                    const reverted = transfer && ['reverted', 'aborted'].includes(transfer.state);
+                    badgeDescription.textContent = `${owner} Safety Badge #${badgeTokenId}. Transfer it to any chain!` +
+                        (reverted ? ' The last transfer did not go through, so the badge stayed on ZetaChain.' : '');
+                } else {
+                    badgeDescription.textContent = inFlight
+                        ? `Safety Badge #${badgeTokenId} is locked on ZetaChain while the observers mint it on ${where}.`
+                        : `Safety Badge #${badgeTokenId} is on ${where}. Call transferToZetaChain on the badge connector there (${location.connector}) to bring it back.`;
+                }
+                
                 mintBtn.disabled = true;
                 mintBtn.textContent = '✅ Badge Already Minted';
-                transferChain.disabled = false;
+                transferChain.disabled = !writable || !home || pendingPurposes.includes('badge-transfer');
+                document.getElementById('transferRecipient').disabled = transferChain.disabled;
+                this.updateTransferRecipient();
+                
+                // Upgrades happen on ZetaChain, in place
+                upgradeBtn.classList.toggle('hidden', eligibleTier <= badgeTier);
+                upgradeBtn.textContent = `⬆️ Upgrade to ${BadgeTiers.TIER_NAMES[eligibleTier]}`;
+                upgradeBtn.disabled = !writable || !home || pendingPurposes.includes('badge-upgrade');
             } else if (isEligible) {
                 // User is eligible to mint
-                badgeVisual.className = 'badge-eligible';
+                badgeVisual.className = 'badge-container eligible';
                 badgeStatusText.textContent = 'Eligible';
-                badgeDescription.textContent = 'Congratulations! You used the Volatility Premium safely. Mint your Universal NFT badge now!';
-                badgeEligibility.innerHTML = '✅ Eligible to Mint';
+                badgeDescription.textContent = `Congratulations! You used the Volatility Premium safely. Mint your Universal NFT badge now, straight into the ${tierName} tier!`;
+                badgeEligibility.innerHTML = `✅ Eligible to Mint (${tierName})`;
                 badgeEligibility.className = 'eligibility-status eligible';
-                mintBtn.disabled = false;
+                mintBtn.textContent = `Mint ${tierName} Badge`;
+                mintBtn.disabled = !writable || pendingPurposes.includes('mint');
+                upgradeBtn.classList.add('hidden');
             } else {
                 // User not eligible yet
-                badgeVisual.className = 'badge-locked';
+                badgeVisual.className = 'badge-container locked';
                 badgeStatusText.textContent = 'Locked';
                 badgeDescription.textContent = 'Complete a safe withdrawal using the Volatility Premium to unlock your Universal NFT badge.';
                 badgeEligibility.innerHTML = '❌ Not Eligible Yet';
                 badgeEligibility.className = 'eligibility-status';
+                mintBtn.textContent = 'Mint Genesis Badge';
                 mintBtn.disabled = true;
+                upgradeBtn.classList.add('hidden');
             }
             
         } catch (error) {
@@ -492,11 +2655,84 @@ class PortfolioTracker {
         }
     }
     
+    /**
+     * Where a badge lives and how its latest transfer is doing. The transfer
+     * transaction is the CCTX inbound hash, so it is followed like a withdrawal.
+     * @returns {Promise<Object>} {chainId, connector, transfer} - chainId 0 on ZetaChain;
+     *          transfer is the CCTX record of the latest transfer, or null
+     */
+    async getBadgeLocation(reader, subject, tokenId) {
+        const chainId = (await reader.badgeChainId(tokenId)).toNumber();
+        const connector = chainId === 0 ? null : await reader.badgeConnectors(chainId);
+        
+        const history = this.historyFor(subject);
+        // Entries are newest first
+        const latest = (history ? history.entries : [])
+            .find(entry => entry.event === 'BadgeTransferredCrossChain' && tokenId.eq(entry.args.tokenId));
+        
+        let transfer = null;
+        if (latest && this.cctxTracker) {
+            transfer = this.cctxTracker.track(`badge:${tokenId}`, latest.transactionHash);
+        }
+        return { chainId, connector, transfer };
+    }
+    
+    /**
+     * Progress towards the tier above `tier`, from the subject's withdrawals and
+     * the thresholds on the contract
+     * @returns {Promise<Object>} BadgeTiers.progress output plus stats
+     */
+    async getTierProgress(reader, subject, tier) {
+        const { TIER } = BadgeTiers;
+        const snapshot = this.portfolios.get(subject.toLowerCase());
+        const [positions, withdrawals, silver, gold] = await Promise.all([
+            snapshot ? snapshot.positions : reader.getUserPositions(subject),
+            snapshot ? snapshot.withdrawals : reader.getUserWithdrawals(subject),
+            reader.tierRequirements(TIER.SILVER),
+            reader.tierRequirements(TIER.GOLD)
+        ]);
+        
+        const stats = BadgeTiers.statsFromWithdrawals(withdrawals, positions);
+        return { ...BadgeTiers.progress(stats, { [TIER.SILVER]: silver, [TIER.GOLD]: gold }, tier), stats };
+    }
+    
+    /**
+     * Show the current tier, the next tier's requirements and a progress bar
+     */
+    renderTierProgress(progress) {
+        const container = document.getElementById('tierProgress');
+        container.classList.toggle('hidden', !progress);
+        if (!progress) return;
+        
+        const describe = {
+            withdrawals: (value) => `${value} protected withdrawal${Number(value) === 1 ? '' : 's'}`,
+            volume: (value) => `${ethers.utils.formatEther(value.toString())} ZETA withdrawn`,
+            refunds: (value) => `${value} refund${Number(value) === 1 ? '' : 's'} survived`
+        };
+        
+        document.getElementById('tierCurrent').textContent = progress.tier ? `${progress.name} Tier` : 'No Tier Yet';
+        document.getElementById('tierNext').textContent = progress.next ? `Next: ${progress.nextName}` : 'Top tier reached';
+        document.getElementById('tierProgressFill').style.width = `${Math.round(progress.ratio * 100)}%`;
+        document.getElementById('tierRequirements').innerHTML = progress.requirements
+            .filter(item => item.need.toString() !== '0')
+            .map(item => `
+                <li class="${item.ratio >= 1 ? 'met' : ''}">
+                    ${item.ratio >= 1 ? '✅' : '⬜'} ${describe[item.key](item.need)}
+                    <span class="tier-have">(${item.key === 'volume' ? ethers.utils.formatEther(item.have.toString()) : item.have})</span>
+                </li>
+            `).join('');
+    }
+    
     /**
      * Mint Safety Badge NFT
      */
     async mintSafetyBadge() {
         try {
+            if (!this.canWrite()) {
+                this.showError('Badges can only be minted by your connected wallet on ZetaChain');
+                return;
+            }
+            
             // Double-check eligibility before minting
             const badgeTokenId = await this.contract.getUserBadge(this.userAddress);
             if (badgeTokenId.toNumber() > 0) {
@@ -511,62 +2747,140 @@ class PortfolioTracker {
                 return;
             }
             
-            this.showLoading('Minting your Universal Safety Badge NFT...');
+            // The badge starts at the highest tier already reached
+            const tierName = BadgeTiers.TIER_NAMES[Number(await this.contract.eligibleTier(this.userAddress))];
+            this.showLoading(`Confirm the ${tierName} Safety Badge mint in your wallet...`);
             
-            const tx = await this.contract.mintSafetyBadge();
-            await tx.wait();
+            await this.sendContractTx('mintSafetyBadge', [], {}, {
+                purpose: 'mint',
+                label: `Mint ${tierName} Badge`,
+                details: { action: 'Badge mint', successMessage: '🎉 Safety Badge NFT minted successfully! Image downloaded to your device.' }
+            });
+            await this.checkBadgeEligibility();
             
-            // Download NFT image
-            await this.downloadNFTImage();
+        } catch (error) {
+            const { reason } = this.showTxError('Badge mint', error);
+            if (reason === 'Badge already minted') {
+                await this.checkBadgeEligibility();
+            }
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    /**
+     * Raise the badge to the highest tier reached, keeping its token ID
+     */
+    async upgradeBadge() {
+        try {
+            if (!this.canWrite()) {
+                this.showError('Badges can only be upgraded by your connected wallet on ZetaChain');
+                return;
+            }
             
-            this.showSuccess('🎉 Safety Badge NFT minted successfully! Image downloaded to your device.');
-            this.addTransactionStatus(tx.hash, 'Safety Badge Minted');
+            const tier = Number(await this.contract.eligibleTier(this.userAddress));
+            this.showLoading(`Confirm the upgrade to the ${BadgeTiers.TIER_NAMES[tier]} tier in your wallet...`);
             
+            await this.sendContractTx('upgradeBadge', [], {}, {
+                purpose: 'badge-upgrade',
+                label: `Upgrade Badge to ${BadgeTiers.TIER_NAMES[tier]}`,
+                details: { action: 'Badge upgrade', successMessage: `🏅 Safety Badge upgraded to ${BadgeTiers.TIER_NAMES[tier]}!` }
+            });
             await this.checkBadgeEligibility();
             
         } catch (error) {
-            console.error('Error minting badge:', error);
-            if (error.message.includes('Badge already minted')) {
-                this.showError('Badge already minted! Check your wallet.');
+            const { reason } = this.showTxError('Badge upgrade', error);
+            if (reason === 'No higher tier reached') {
                 await this.checkBadgeEligibility();
-            } else {
-                this.showError('Failed to mint badge: ' + error.message);
             }
         } finally {
             this.hideLoading();
         }
     }
     
+    /**
+     * Decode a badge's tokenURI; the art is rendered on-chain, so nothing is fetched
+     * @returns {Promise<Object|null>} BadgeArt.readTokenURI output plus tokenId, null if unreadable
+     */
+    async readBadgeArt(reader, tokenId) {
+        try {
+            return { tokenId: tokenId.toString(), ...BadgeArt.readTokenURI(await reader.tokenURI(tokenId)) };
+        } catch (error) {
+            console.error('Error reading badge art:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Show the badge art in #badgeVisual, or the placeholder without a badge
+     */
+    renderBadgeArt(art) {
+        const image = document.querySelector('#badgeVisual .badge-image');
+        if (!this.badgePlaceholder) this.badgePlaceholder = image.getAttribute('src');
+        
+        this.badgeArt = art;
+        image.src = art && art.imageUrl ? art.imageUrl : this.badgePlaceholder;
+        image.alt = art ? art.metadata.name : 'Genesis Badge';
+        image.classList.toggle('badge-art', Boolean(art && art.svg));
+        
+        document.getElementById('badgeDownloads').classList.toggle('hidden', !art);
+        // Older deployments link a remote image, which the canvas cannot export
+        document.getElementById('downloadPngBtn').disabled = !(art && art.svg);
+    }
+    
     /**
      * Download NFT image to user's device
+     * @param {string} [format] - 'svg' or 'png'
+     * @param {Object} [art] - defaults to the badge on display
      */
-    async downloadNFTImage() {
+    async downloadNFTImage(format = 'svg', art = this.badgeArt) {
         try {
-            const badgeTokenId = await this.contract.getUserBadge(this.userAddress);
-            const tokenURI = await this.contract.tokenURI(badgeTokenId);
+            if (!art) return;
+            const filename = `zetachain-safety-badge-${art.tokenId}.${format}`;
             
-            // Parse JSON metadata
-            const jsonData = tokenURI.replace('data:application/json;utf8,', '');
-            const metadata = JSON.parse(jsonData);
-            const imageUrl = metadata.image;
-            
-            // Fetch and download image
-            const response = await fetch(imageUrl);
-            const blob = await response.blob();
-            
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(blob);
-            link.download = `zetachain-safety-badge-${badgeTokenId}.svg`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(link.href);
+            if (format === 'png') {
+                this.saveBlob(await this.renderBadgePng(art.svg), filename);
+            } else if (art.svg) {
+                this.saveBlob(new Blob([art.svg], { type: 'image/svg+xml' }), filename);
+            } else {
+                const response = await fetch(art.imageUrl);
+                this.saveBlob(await response.blob(), filename);
+            }
             
         } catch (error) {
             console.error('Error downloading NFT image:', error);
+            this.showError(`Could not save the badge image: ${error.message}`);
         }
     }
     
+    /**
+     * Rasterize the badge SVG on a canvas, in the browser
+     */
+    renderBadgePng(svg, size = 800) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                canvas.getContext('2d').drawImage(image, 0, 0, size, size);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG export failed')), 'image/png');
+            };
+            image.onerror = () => reject(new Error('the badge SVG could not be rendered'));
+            image.src = BadgeArt.svgDataUri(svg);
+        });
+    }
+    
+    saveBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+    
     /**
      * Transfer Badge Cross-Chain (Universal NFT: Launch Everywhere)
      */
@@ -586,40 +2900,195 @@ class PortfolioTracker {
                 return;
             }
             
-            this.showLoading('Transferring badge cross-chain...');
+            if ((await this.contract.badgeChainId(badgeTokenId)).toNumber() !== 0) {
+                this.showError('Your badge is on another chain. Send it back to ZetaChain before transferring it again.');
+                return;
+            }
             
-            const tx = await this.contract.transferBadgeCrossChain(badgeTokenId, destinationChain);
-            await tx.wait();
+            const recipient = this.encodeRecipient(destinationChain, document.getElementById('transferRecipient').value);
+            if (!recipient) return;
+            const destinationName = this.destinationName(destinationChain);
             
-            const chainNames = { 
-                '1': 'Ethereum Mainnet', 
-                '56': 'BSC Mainnet', 
-                '137': 'Polygon Mainnet',
-                '18000001': 'Solana Devnet',
-                '18000002': 'Sui Testnet',
-                '18000003': 'TON Testnet'
-            };
-            this.showSuccess(`🚀 Badge transferred to ${chainNames[destinationChain]}! Universal NFT: Launch Everywhere achieved!`);
-            this.addTransactionStatus(tx.hash, `Badge Transferred to ${chainNames[destinationChain]}`);
+            // The connector's mint is paid in the destination gas ZRC-20, like a withdrawal
+            this.showLoading('Quoting the badge transfer fee...');
+            const quote = await this.quoteBadgeTransfer(destinationChain);
+            if (quote.balance.lt(quote.fee)) {
+                this.showError(`The transfer fee is paid in ${quote.token.symbol} on ZetaChain. You hold ${this.formatToken(quote.balance, quote.token)} but need ${this.formatToken(quote.fee, quote.token)}.`);
+                return;
+            }
+            if (quote.allowance.lt(quote.fee) && !await this.approveToken(quote.token, quote.fee, 'the badge transfer fee')) return;
+            
+            this.showLoading(`Confirm the cross-chain badge transfer (${this.formatToken(quote.fee, quote.token)} fee) in your wallet...`);
+            
+            await this.sendContractTx('transferBadgeCrossChain', [badgeTokenId, destinationChain, recipient.bytes], {}, {
+                purpose: 'badge-transfer',
+                label: `Transfer badge to ${recipient.display} on ${destinationName}`,
+                details: { action: 'Badge transfer', successMessage: `🚀 Badge sent to ${destinationName}! Follow its arrival on the Genesis card.` }
+            });
+            await this.checkBadgeEligibility();
+            
+        } catch (error) {
+            this.showTxError('Badge transfer', error);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    // ============ TRANSACTIONS ============
+    
+    /**
+     * Preflight a contract write with callStatic, send it and hand it to the
+     * transaction queue. Returns as soon as the wallet has broadcast it; the
+     * outcome arrives through handleTxSettled, even after a reload.
+     * @param {Object} meta - purpose, positionId, label and details for TxQueue.track
+     * @param {Object} [contract] - defaults to the tracker; the gas token for approvals
+     * @returns {Promise<Object>} the queue entry
+     */
+    async sendContractTx(method, args, overrides, meta, contract = this.contract) {
+        try {
+            await contract.callStatic[method](...args, overrides);
+            const tx = await contract[method](...args, overrides);
+            console.log(`${method} sent:`, tx.hash);
             
+            const entry = this.txQueue.track(tx, meta);
+            this.showInfo(`${meta.label} submitted. Track it in the pending tray.`);
+            return entry;
+        } catch (error) {
+            throw await TxErrors.decode(error, {
+                provider: this.provider,
+                iface: contract.interface
+            });
+        }
+    }
+    
+    attachTxQueue() {
+        this.txQueue.attach({
+            provider: this.provider,
+            signer: this.signer,
+            account: this.userAddress,
+            chainId: this.chainId
+        });
+    }
+    
+    /**
+     * A queued transaction left pending: apply its events or explain what happened
+     */
+    async handleTxSettled(entry, receipt) {
+        const action = entry.details.action || entry.label;
+        const { STATUS } = TxQueue;
+        
+        try {
+            if (entry.status === STATUS.CONFIRMED) {
+                await this.ingestReceipt(receipt);
+                if (entry.purpose === 'mint') {
+                    const tokenId = await this.contract.getUserBadge(this.userAddress);
+                    await this.downloadNFTImage('svg', await this.readBadgeArt(this.contract, tokenId));
+                }
+                if (entry.purpose === 'admin') await this.loadAdminPanel();
+                if (entry.details.positionIds) {
+                    const result = this.describeBatchResult(entry, receipt);
+                    if (result.partial) {
+                        this.showInfo(result.message);
+                    } else {
+                        this.showSuccess(result.message);
+                    }
+                } else {
+                    this.showSuccess(entry.details.successMessage || `${entry.label} confirmed`);
+                }
+            } else if (entry.status === STATUS.FAILED) {
+                // Mined with status 0: replay it to recover the revert reason
+                const error = await TxErrors.decode({ code: 'CALL_EXCEPTION', receipt, transaction: entry }, {
+                    provider: this.provider,
+                    iface: this.readContract ? this.readContract.interface : null
+                });
+                this.showTxError(action, error);
+            } else if (entry.status === STATUS.CANCELLED) {
+                this.showInfo(`${entry.label} cancelled`);
+            } else if (entry.status === STATUS.REPLACED) {
+                this.showError(`${entry.label} was replaced by another transaction from your wallet. Refreshing...`);
+                await this.loadPositions();
+            } else if (entry.status === STATUS.DROPPED) {
+                this.showError(`${entry.label} was dropped by the network. Nothing changed on-chain; submit it again if needed.`);
+            }
+        } catch (error) {
+            console.error('Error handling settled transaction:', error);
+        }
+        
+        this.updatePositionSelect(this.positions);
+        await this.checkBadgeEligibility();
+    }
+    
+    async handleTrayAction(action, id) {
+        try {
+            if (action === 'speed-up') {
+                this.showLoading('Confirm the speed-up in your wallet...');
+                await this.txQueue.speedUp(id);
+                this.showInfo('Replacement sent with a higher fee');
+            } else if (action === 'cancel') {
+                this.showLoading('Confirm the cancellation in your wallet...');
+                await this.txQueue.cancel(id);
+                this.showInfo('Cancellation sent. It only succeeds if it is mined before the original.');
+            } else if (action === 'dismiss') {
+                this.txQueue.dismiss(id);
+            }
         } catch (error) {
-            console.error('Error transferring badge:', error);
-            this.showError('Failed to transfer badge: ' + error.message);
+            this.showTxError(action === 'cancel' ? 'Cancellation' : 'Speed-up', error);
         } finally {
             this.hideLoading();
         }
     }
     
+    renderPendingTray(entries) {
+        const tray = document.getElementById('pendingTray');
+        const list = document.getElementById('pendingList');
+        const { STATUS } = TxQueue;
+        
+        tray.classList.toggle('hidden', entries.length === 0);
+        list.innerHTML = entries.map(entry => {
+            const shortHash = `${entry.hash.slice(0, 10)}...${entry.hash.slice(-6)}`;
+            const hash = this.EXPLORER_URL
+                ? `<a href="${this.EXPLORER_URL}/tx/${entry.hash}" target="_blank" rel="noopener">${shortHash}</a>`
+                : shortHash;
+            const actions = entry.status === STATUS.PENDING
+                ? `<button class="btn-icon" data-action="speed-up">Speed up</button>
+                   <button class="btn-icon" data-action="cancel">Cancel</button>`
+                : '<button class="btn-icon" data-action="dismiss">Dismiss</button>';
+            
+            return `
+                <div class="pending-item ${entry.status}" data-id="${entry.id}">
+                    <div class="pending-row">
+                        <span class="pending-label">${entry.label}</span>
+                        <span class="pending-status">${entry.status}</span>
+                    </div>
+                    <div class="pending-hash">${hash}${entry.hashes.length > 1 ? ` (replaced ${entry.hashes.length - 1}x)` : ''}</div>
+                    <div class="pending-actions">${actions}</div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Show the translated message for a failed write
+     * @returns {{code: string, reason: string|null, message: string}}
+     */
+    showTxError(action, error) {
+        console.error(`${action} failed:`, error);
+        const translated = TxErrors.translate(error, { action, network: this.network });
+        this.showError(translated.message);
+        return translated;
+    }
+    
     // ============ UTILITY FUNCTIONS ============
     
     async forceRefresh() {
         console.log('Force refreshing all data...');
         this.showLoading('Refreshing...');
         try {
+            if (this.priceBook) this.priceBook.refresh();
             await this.loadPositions();
-            await this.loadUserStats();
             await this.updateWalletInfo();
             await this.checkBadgeEligibility();
+            await this.loadActivity();
             this.showSuccess('Data refreshed!');
         } catch (error) {
             console.error('Refresh error:', error);
@@ -629,22 +3098,400 @@ class PortfolioTracker {
         }
     }
     
-    addTransactionStatus(txHash, status) {
+    // ============ OWNER CONSOLE ============
+    
+    /**
+     * Show the owner console when the connected wallet owns the tracker, filled with its current settings
+     */
+    async loadAdminPanel() {
+        const panel = document.getElementById('adminPanel');
+        const request = ++this.adminRequest;
+        
+        if (!this.canWrite()) {
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        try {
+            const [owner, paused, gateway, baseURI] = await Promise.all([
+                this.contract.owner(),
+                this.contract.paused(),
+                this.contract.gateway(),
+                this.contract.badgeBaseURI()
+            ]);
+            // Another account or network took over meanwhile
+            if (request !== this.adminRequest) return;
+            
+            panel.classList.toggle('hidden', !this.isSigner(owner));
+            if (!this.isSigner(owner)) return;
+            
+            const state = document.getElementById('adminPaused');
+            state.textContent = paused ? '⏸ Paused' : '▶ Running';
+            state.classList.toggle('paused', paused);
+            const pauseBtn = document.getElementById('adminPauseBtn');
+            pauseBtn.textContent = paused ? 'Unpause' : 'Pause';
+            pauseBtn.classList.toggle('btn-danger', !paused);
+            
+            document.getElementById('adminGateway').value = gateway;
+            document.getElementById('adminBaseUri').value = baseURI;
+            
+            // Same destinations as the withdraw card
+            const chains = document.getElementById('adminPremiumChain');
+            if (chains.options.length === 1) {
+                [...document.getElementById('destinationChain').options]
+                    .forEach(option => chains.add(new Option(option.textContent, option.value)));
+            }
+            
+            const tokens = document.getElementById('adminSweepToken');
+            const selected = tokens.value;
+            tokens.replaceChildren(...[this.tokenFor(Portfolio.NATIVE_TOKEN), ...(this.network.depositTokens || [])]
+                .map(token => new Option(token.symbol, token.address.toLowerCase())));
+            if ([...tokens.options].some(option => option.value === selected)) tokens.value = selected;
+            
+            await Promise.all([this.fillPremiumFields(), this.updateSweepable()]);
+        } catch (error) {
+            console.error('Error loading the owner console:', error);
+            panel.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Put the premium in force for the selected chain into the inputs
+     */
+    async fillPremiumFields() {
+        const chainId = document.getElementById('adminPremiumChain').value;
+        const premium = await this.contract.premiumFor(chainId);
+        
+        document.getElementById('adminPremiumBps').value = premium.bps.toString();
+        document.getElementById('adminPremiumFloor').value = premium.floorGas.toString();
+        document.getElementById('adminPremiumCeiling').value = premium.ceilingGas.eq(ethers.constants.MaxUint256) ? '' : premium.ceilingGas.toString();
+    }
+    
+    /**
+     * What the tracker holds of the selected asset beyond what users are owed
+     * @returns {Promise<BigNumber>}
+     */
+    async updateSweepable() {
+        const token = document.getElementById('adminSweepToken').value;
+        const [balance, locked] = await Promise.all([
+            token === Portfolio.NATIVE_TOKEN
+                ? this.provider.getBalance(this.CONTRACT_ADDRESS)
+                : new ethers.Contract(token, this.ZRC20_ABI, this.provider).balanceOf(this.CONTRACT_ADDRESS),
+            this.contract.lockedBalance(token)
+        ]);
+        
+        const sweepable = balance.gt(locked) ? balance.sub(locked) : ethers.constants.Zero;
+        document.getElementById('adminSweepable').textContent = `(${this.formatAmount(sweepable, token)} sweepable)`;
+        document.getElementById('adminSweepBtn').disabled = sweepable.isZero();
+        return sweepable;
+    }
+    
+    /**
+     * Confirm and send an owner-only call; the console reloads once it is mined
+     */
+    async sendAdminTx(method, args, label, rows, notice = '') {
+        try {
+            const confirmed = await this.showConfirmDialog({
+                title: 'Confirm Owner Action',
+                rows,
+                notice,
+                tone: 'warning',
+                confirmLabel: 'Send'
+            });
+            if (!confirmed) return;
+            
+            this.showLoading(`Confirm "${label}" in your wallet...`);
+            await this.sendContractTx(method, args, {}, {
+                purpose: 'admin',
+                label,
+                details: { action: label }
+            });
+        } catch (error) {
+            this.showTxError(label, error);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    async togglePause() {
+        const paused = await this.contract.paused();
+        await this.sendAdminTx(paused ? 'unpause' : 'pause', [], paused ? 'Unpause the tracker' : 'Pause the tracker',
+            [['Deposits, top-ups and withdrawals', paused ? 'Resume' : 'Stop']],
+            paused ? '' : 'Users can still emergency-exit their positions while the tracker is paused.');
+    }
+    
+    async updateGateway() {
+        const gateway = document.getElementById('adminGateway').value.trim();
+        if (!ethers.utils.isAddress(gateway)) {
+            this.showError('Enter a valid GatewayZEVM address');
+            return;
+        }
+        
+        await this.sendAdminTx('setGateway', [gateway], 'Update the gateway', [['New gateway', gateway]],
+            'The current gateway stays trusted for reverts and aborts of withdrawals already made through it, until the gateway is changed again.');
+    }
+    
+    async updatePremium() {
+        const chains = document.getElementById('adminPremiumChain');
+        const bps = document.getElementById('adminPremiumBps').value;
+        const floor = document.getElementById('adminPremiumFloor').value || '0';
+        // An empty ceiling means none; 0 clears a chain override
+        const ceiling = document.getElementById('adminPremiumCeiling').value;
+        
+        if (bps === '' || Number(bps) < 0 || Number(bps) > 10000) {
+            this.showError('Enter a premium between 0 and 10000 basis points');
+            return;
+        }
+        
+        const chainName = chains.options[chains.selectedIndex].textContent;
+        await this.sendAdminTx('setPremium',
+            [chains.value, bps, floor, ceiling === '' ? ethers.constants.MaxUint256 : ceiling],
+            `Set the ${chainName} premium`,
+            [
+                ['Chain', chainName],
+                ['Premium', `${(Number(bps) / 100).toFixed(2)}% of the gas limit`],
+                ['Floor', `${floor} gas`],
+                ['Ceiling', ceiling === '' ? 'None' : `${ceiling} gas`]
+            ],
+            ceiling === '0' && chains.value !== '0' ? 'A ceiling of 0 removes the override, so the chain falls back to the default premium.' : '');
+    }
+    
+    async sweepFees() {
+        const token = document.getElementById('adminSweepToken').value;
+        const recipient = document.getElementById('adminSweepTo').value.trim() || this.userAddress;
+        if (!ethers.utils.isAddress(recipient)) {
+            this.showError('Enter a valid recipient address');
+            return;
+        }
+        
+        const sweepable = await this.updateSweepable();
+        await this.sendAdminTx('sweepFees', [token, recipient], `Sweep ${this.tokenFor(token).symbol} fees`, [
+            ['Amount', this.formatAmount(sweepable, token)],
+            ['Recipient', recipient]
+        ], 'Only what the tracker holds beyond user positions is sent.');
+    }
+    
+    async updateBadgeBaseURI() {
+        const baseURI = document.getElementById('adminBaseUri').value.trim();
+        if (/["\\\u0000-\u001f]/.test(baseURI)) {
+            this.showError('The base URI cannot contain quotes, backslashes or control characters');
+            return;
+        }
+        
+        await this.sendAdminTx('setBadgeBaseURI', [baseURI], baseURI ? 'Set the badge base URI' : 'Remove the badge base URI', [
+            ['external_url', baseURI ? `${baseURI}<token ID>` : 'None']
+        ]);
+    }
+    
+    // ============ ACTIVITY HISTORY ============
+    
+    /**
+     * Scan new contract events and re-render the Activity panel
+     */
+    async loadActivity() {
+        const history = this.getActivityHistory();
+        if (!history) {
+            this.renderActivity([]);
+            return;
+        }
+        
+        this.renderActivity(history.entries);
+        
+        try {
+            const entries = await history.sync();
+            // The view may have changed while the scan was running
+            if (history === this.getActivityHistory()) this.renderActivity(entries);
+            // Withdraw transactions are now known, so CCTX lookups can use the real inbound hash
+            this.trackCrossChain(this.getFocusSnapshots());
+            await this.loadValuations();
+            // Ledgers and emergency exits come from the history too
+            this.renderPositions();
+            this.renderStats();
+            this.loadAnalytics(true);
+        } catch (error) {
+            console.error('Error loading activity:', error);
+        }
+    }
+    
+    /**
+     * History for the drill-down address, or the connected wallet in the aggregate view
+     */
+    getActivityHistory() {
+        const subject = this.viewAddress || this.userAddress;
+        return subject ? this.historyOf(subject) : null;
+    }
+    
+    /**
+     * History of any address, created read-only on first use for one that is not connected
+     */
+    historyOf(address) {
+        if (this.isSigner(address)) return this.history;
+        
+        const key = address.toLowerCase();
+        if (!this.watchHistories.has(key)) {
+            this.watchHistories.set(key, new EventHistory({
+                provider: this.readProvider,
+                contract: this.readContract,
+                userAddress: address,
+                deploymentBlock: this.DEPLOYMENT_BLOCK,
+                storage: window.localStorage
+            }));
+        }
+        return this.watchHistories.get(key);
+    }
+    
+    // ============ LIVE CONTRACT EVENTS ============
+    
+    /**
+     * (Re)start the live event feed for the current account and contract
+     */
+    async subscribeToContractEvents() {
+        this.unsubscribeFromContractEvents();
+        if (!this.history) return;
+        
+        const feed = new ContractEventFeed({
+            provider: this.provider,
+            history: this.history,
+            onEvents: (entries) => this.handleContractEvents(entries)
+        });
+        this.eventFeed = feed;
+        
+        try {
+            await feed.start();
+            console.log(`Contract event feed started (${feed.mode} mode)`);
+        } catch (error) {
+            console.error('Error subscribing to contract events:', error);
+        }
+    }
+    
+    unsubscribeFromContractEvents() {
+        if (this.eventFeed) {
+            this.eventFeed.stop();
+            this.eventFeed = null;
+        }
+    }
+    
+    /**
+     * Apply events from a mined receipt immediately instead of waiting for the feed
+     */
+    async ingestReceipt(receipt) {
+        if (!this.history || !receipt) return;
+        
+        try {
+            const entries = await this.history.ingest(receipt.logs);
+            await this.handleContractEvents(entries);
+        } catch (error) {
+            console.error('Error applying receipt events:', error);
+        }
+    }
+    
+    /**
+     * Route new events to the parts of the UI they affect
+     */
+    async handleContractEvents(entries) {
+        if (entries.length === 0) return;
+        
+        const positionEvents = ['PositionCreated', 'TokenPositionCreated', 'PositionToppedUp', 'WithdrawInitiated', 'RevertSuccess', 'PositionRefunded', 'WithdrawAborted', 'EmergencyWithdrawn'];
+        const badgeEvents = ['SafetyBufferUsed', 'SafetyBadgeMinted', 'BadgeTransferredCrossChain', 'BadgeReturned', 'BadgeTransferReverted', 'BadgeUpgraded'];
+        
+        const positionIds = new Set(entries
+            .filter(entry => positionEvents.includes(entry.event))
+            .map(entry => Number(entry.args.positionId)));
+        
+        if (this.cctxTracker && this.userAddress) {
+            entries
+                .filter(entry => entry.event === 'WithdrawInitiated')
+                .forEach(entry => this.cctxTracker.track(this.cctxKey(this.userAddress, Number(entry.args.withdrawalId)), entry.transactionHash));
+            entries
+                .filter(entry => entry.event === 'BadgeTransferredCrossChain')
+                .forEach(entry => this.cctxTracker.track(`badge:${entry.args.tokenId}`, entry.transactionHash));
+        }
+        const badgeChanged = entries.some(entry => badgeEvents.includes(entry.event));
+        
+        try {
+            for (const positionId of [...positionIds].sort((a, b) => a - b)) {
+                await this.refreshPosition(positionId);
+            }
+            if (badgeChanged) {
+                await this.checkBadgeEligibility();
+            }
+            if (positionIds.size > 0) {
+                await this.updateWalletInfo();
+                await this.renderDepositTokens();
+            }
+            if (entries.some(entry => entry.event === 'SafetyBadgeMinted')) {
+                // Badge transfer events are filtered by token ID, so rebuild the filters
+                await this.subscribeToContractEvents();
+            }
+        } catch (error) {
+            console.error('Error applying contract events:', error);
+        }
+        
+        if (this.getActivityHistory() === this.history) {
+            this.renderActivity(this.history.entries);
+        }
+    }
+    
+    renderActivity(entries) {
         const container = document.getElementById('statusContainer');
         
-        if (container.querySelector('.no-positions') || container.querySelector('p')) {
-            container.innerHTML = '';
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="empty-state">No transactions yet</p>';
+            return;
         }
         
-        const txItem = document.createElement('div');
-        txItem.className = 'transaction-item';
-        txItem.innerHTML = `
-            <div><strong>${status}</strong></div>
-            <div class="transaction-hash">TX: ${txHash}</div>
-            <div>Time: ${new Date().toLocaleTimeString()}</div>
-        `;
+        container.innerHTML = entries.map(entry => `
+            <div class="transaction-item${entry.event === 'EmergencyWithdrawn' ? ' activity-emergency' : ''}">
+                <div><strong>${this.describeActivity(entry)}</strong></div>
+                ${this.EXPLORER_URL
+                    ? `<a class="transaction-hash" href="${this.EXPLORER_URL}/tx/${entry.transactionHash}" target="_blank" rel="noopener">TX: ${entry.transactionHash}</a>`
+                    : `<div class="transaction-hash">TX: ${entry.transactionHash}</div>`}
+                <div class="transaction-time">${entry.timestamp ? new Date(entry.timestamp * 1000).toLocaleString() : `Block ${entry.blockNumber}`}</div>
+            </div>
+        `).join('');
+    }
+    
+    describeActivity(entry) {
+        const args = entry.args;
+        // Amounts are in the position's asset
+        const amount = (value) => this.formatAmount(value, args.token || this.positionToken(args.user, args.positionId));
         
-        container.insertBefore(txItem, container.firstChild);
+        switch (entry.event) {
+            case 'PositionCreated':
+            case 'TokenPositionCreated':
+                return `Position #${args.positionId} Created (${amount(args.amount)})`;
+            case 'PositionToppedUp':
+                return `Position #${args.positionId} Topped Up (${amount(args.amount)})`;
+            case 'WithdrawInitiated':
+                return `Position #${args.positionId} Withdrawal of ${amount(args.amount)} Initiated (Volatility Premium Applied)`;
+            case 'GatewayFeePaid':
+                return `Gateway Fee Paid: ${this.formatAmount(args.fee, args.gasToken)}` +
+                    (args.premiumFee !== '0' ? ` incl. ${this.formatAmount(args.premiumFee, args.gasToken)} Volatility Premium` : '');
+            case 'EmergencyWithdrawn':
+                return `🚨 Position #${args.positionId} Emergency Exit to ZetaChain Wallet (${amount(args.amount)})`;
+            case 'BatchItemSkipped':
+                return `Position #${args.positionId} Skipped in Batch: ${args.reason}`;
+            case 'SafetyBufferUsed':
+                return `Safety Buffer Used on Position #${args.positionId}`;
+            case 'RevertSuccess':
+                return `Position #${args.positionId} Reverted: ${args.reason}`;
+            case 'PositionRefunded':
+                return `Position #${args.positionId} Refunded (${amount(args.amount)})`;
+            case 'WithdrawAborted':
+                return `Position #${args.positionId} Withdrawal Aborted`;
+            case 'SafetyBadgeMinted':
+                return `Safety Badge #${args.tokenId} Minted`;
+            case 'BadgeTransferredCrossChain':
+                return `Badge #${args.tokenId} Sent to ${this.destinationName(args.destinationChainId)}`;
+            case 'BadgeReturned':
+                return `Badge #${args.tokenId} Returned from ${this.destinationName(args.sourceChainId)}`;
+            case 'BadgeTransferReverted':
+                return `Badge #${args.tokenId} Transfer to ${this.destinationName(args.destinationChainId)} Reverted (Badge Restored)`;
+            case 'BadgeUpgraded':
+                return `Badge #${args.tokenId} Upgraded to ${BadgeTiers.TIER_NAMES[args.tier]} Tier`;
+            default:
+                return entry.event;
+        }
     }
     
     showLoading(message) {
@@ -671,13 +3518,21 @@ class PortfolioTracker {
         this.showToast(message, 'error');
     }
     
+    showInfo(message) {
+        this.showToast(message, 'info');
+    }
+    
     showToast(message, type) {
         const container = document.getElementById('toastContainer');
         if (!container) return;
         
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
-        toast.innerHTML = `<div class="toast-message">${message}</div>`;
+        // Messages carry labels, addresses and reasons from imported files: text only
+        const text = document.createElement('div');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.appendChild(text);
         
         container.appendChild(toast);
         
@@ -723,7 +3578,7 @@ window.debugPositions = async function() {
         
         positions.forEach((pos, i) => {
             console.log(`Position ${i}:`, {
-                amount: ethers.utils.formatEther(pos.amount),
+                amount: window.tracker.formatAmount(pos.amount, pos.token),
                 user: pos.user,
                 status: pos.status,
                 timestamp: pos.timestamp.toString()
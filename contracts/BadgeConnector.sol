@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import { Callable, IGatewayEVM, MessageContext } from "@zetachain/protocol-contracts/contracts/evm/interfaces/IGatewayEVM.sol";
+import { RevertContext, RevertOptions, Revertable } from "@zetachain/protocol-contracts/contracts/Revert.sol";
+import { BadgeMetadata } from "./libraries/BadgeMetadata.sol";
+
+/**
+ * @title BadgeConnector - Safety Badge on a connected chain
+ * @notice Companion of OmnichainTracker on EVM chains. Badges sent from ZetaChain
+ *         are minted here; transferToZetaChain burns them and sends them back.
+ * @dev The token ID is the ZetaChain token ID, so a badge exists on exactly one chain at a time
+ */
+contract BadgeConnector is ERC721, Callable, Revertable {
+    // Kind tag OmnichainTracker expects first in a badge revertMessage (CallbackKind.BadgeTransfer)
+    uint8 private constant BADGE_TRANSFER = 1;
+    
+    // Gas for onRevert when a return to ZetaChain fails (re-mint)
+    uint256 public constant REVERT_GAS_LIMIT = 200000;
+    
+    address public immutable gateway;
+    address public immutable universal; // OmnichainTracker on ZetaChain
+    
+    // Badge art data sent along by OmnichainTracker (see BadgeMetadata)
+    mapping(uint256 => uint8) public badgeTier;
+    mapping(uint256 => uint256) public badgeMintedAt;
+    mapping(uint256 => uint256[]) private _visitedChains;
+    
+    event BadgeArrived(uint256 indexed tokenId, address recipient);
+    event BadgeSentToZetaChain(uint256 indexed tokenId, address sender, address recipient);
+    event BadgeReturnReverted(uint256 indexed tokenId, address owner);
+    
+    modifier onlyGateway() {
+        require(msg.sender == gateway, "Caller is not the gateway");
+        _;
+    }
+    
+    constructor(address _gateway, address _universal) ERC721("ZetaChain Safety Badge", "ZCSB") {
+        require(_gateway != address(0) && _universal != address(0), "Invalid address");
+        gateway = _gateway;
+        universal = _universal;
+    }
+    
+    /**
+     * @notice Mint a badge sent by OmnichainTracker (authenticated call from GatewayEVM)
+     */
+    function onCall(MessageContext calldata context, bytes calldata message)
+        external
+        payable
+        override
+        onlyGateway
+        returns (bytes memory)
+    {
+        require(context.sender == universal, "Unknown sender");
+        
+        (uint256 tokenId, bytes memory encodedRecipient, uint8 tier, uint256 mintedAt, uint256[] memory visitedChains) =
+            abi.decode(message, (uint256, bytes, uint8, uint256, uint256[]));
+        // Recipients are sent in the destination chain's encoding; here that is a 20-byte address
+        require(encodedRecipient.length == 20, "Invalid recipient");
+        address recipient = address(bytes20(encodedRecipient));
+        badgeTier[tokenId] = tier;
+        badgeMintedAt[tokenId] = mintedAt;
+        _visitedChains[tokenId] = visitedChains;
+        _mint(recipient, tokenId);
+        
+        emit BadgeArrived(tokenId, recipient);
+        return "";
+    }
+    
+    /**
+     * @notice Send a badge back to ZetaChain
+     * @param tokenId Badge to return; it is burned here and unlocked by OmnichainTracker.onCall
+     * @param recipient Owner of the badge on ZetaChain
+     */
+    function transferToZetaChain(uint256 tokenId, address recipient) external {
+        require(ownerOf(tokenId) == msg.sender, "Not badge owner");
+        require(recipient != address(0), "Invalid recipient");
+        
+        _burn(tokenId);
+        
+        IGatewayEVM(gateway).call(
+            universal,
+            abi.encode(tokenId, recipient),
+            RevertOptions({
+                revertAddress: address(this),
+                callOnRevert: true,
+                abortAddress: universal,
+                revertMessage: abi.encode(BADGE_TRANSFER, msg.sender, tokenId),
+                onRevertGasLimit: REVERT_GAS_LIMIT
+            })
+        );
+        
+        emit BadgeSentToZetaChain(tokenId, msg.sender, recipient);
+    }
+    
+    /**
+     * @notice The return to ZetaChain reverted: mint the badge back to its sender
+     */
+    function onRevert(RevertContext calldata revertContext) external onlyGateway {
+        require(revertContext.sender == address(this), "Unknown revert source");
+        
+        (, address owner, uint256 tokenId) = abi.decode(revertContext.revertMessage, (uint8, address, uint256));
+        _mint(owner, tokenId);
+        
+        emit BadgeReturnReverted(tokenId, owner);
+    }
+    
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return BadgeMetadata.tokenURI(tokenId, badgeTier[tokenId], badgeMintedAt[tokenId], _visitedChains[tokenId], "");
+    }
+}
@@ -3,6 +3,14 @@ pragma solidity ^0.8.26;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import { CallOptions, IGatewayZEVM } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/IGatewayZEVM.sol";
+import { IWETH9 } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/IWZETA.sol";
+import { IZRC20 } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/IZRC20.sol";
+import { MessageContext, UniversalContract } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/UniversalContract.sol";
+import { AbortContext, Abortable, RevertContext, RevertOptions, Revertable } from "@zetachain/protocol-contracts/contracts/Revert.sol";
+import { BadgeMetadata } from "./libraries/BadgeMetadata.sol";
+import { GatewayWithdrawal, IZetaTokenGateway } from "./libraries/GatewayWithdrawal.sol";
 
 /**
  * @title OmnichainTracker - Universal AI App
@@ -11,19 +19,55 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * @custom:bounty Hackathon Bounty #2 (Universal AI App) & #3 (Multi-Sponsor)
  * @custom:attribution Volatility Premium Algorithm & Architecture Generated by Amazon Q
  */
-contract OmnichainTracker is ERC721, Ownable {
+contract OmnichainTracker is ERC721, Ownable, Pausable, UniversalContract, Revertable, Abortable {
     // ============ State Variables ============
     
     address public gateway;
+    // Gateway before the last setGateway; its callbacks for withdrawals still in flight are honoured
+    address public previousGateway;
     uint256 private _tokenIdCounter;
     
-    // Position tracking
+    // Fungible module account; protocol versions without GatewayZEVM.executeAbort call onAbort
+    // from here, and the gateway pays withdrawal gas fees to it
+    address public constant PROTOCOL_ADDRESS = 0x735b14BB79463307AAcBED86DAf3322B1e6226aB;
+    
+    // Gas ZRC-20 of each destination chain, used to pay the gateway for the outbound call
+    mapping(uint256 => address) public gasTokens;
+    
+    // First field of every revertMessage, so onRevert/onAbort know what failed
+    enum CallbackKind {
+        Withdrawal,
+        BadgeTransfer,
+        BatchWithdrawal // followed by the batch's withdrawal count; its IDs are consecutive
+    }
+    
+    // Upper bound on positions per batch call, to keep it within the block gas limit
+    uint256 public constant MAX_BATCH_SIZE = 20;
+    
+    // ============ Volatility Premium State ============
+    
+    // Extra destination gas bought on top of the requested limit: bps of the
+    // limit, clamped to [floorGas, ceilingGas]. Its cost follows the chain's gas price.
+    struct PremiumConfig {
+        uint256 bps;
+        uint256 floorGas;
+        uint256 ceilingGas;
+    }
+    
+    uint256 public constant MAX_PREMIUM_BPS = 10000;
+    
+    PremiumConfig public defaultPremium;
+    mapping(uint256 => PremiumConfig) public chainPremiums; // ceilingGas == 0 means "use the default"
+    
+    // Position tracking. `amount` is what is still held while Active; a position
+    // whose last withdrawal took everything keeps that amount and the withdrawal's status.
     struct Position {
         uint256 amount;
         address user;
         uint256 timestamp;
         PositionStatus status;
         bytes32 crossChainTxHash;
+        address token; // ZRC-20 held, or address(0) for native ZETA
     }
     
     enum PositionStatus {
@@ -33,32 +77,114 @@ contract OmnichainTracker is ERC721, Ownable {
         Failed
     }
     
+    // Child record of a position, one per withdrawAndTrack; callbacks settle it
+    struct Withdrawal {
+        uint256 positionId;
+        uint256 amount;
+        uint256 timestamp;
+        uint256 destinationChainId;
+        PositionStatus status; // Withdrawn, Refunded or Failed
+        bytes32 crossChainTxHash;
+        bool protected; // Paid the volatility premium, so it counts towards the badge
+    }
+    
     // Mappings
     mapping(address => Position[]) public userPositions;
+    mapping(address => Withdrawal[]) public userWithdrawals;
     mapping(bytes32 => uint256) public txHashToPositionId;
-    mapping(address => uint256) public totalDeposited;
+    mapping(address => uint256) public totalDeposited; // native ZETA only
+    mapping(address => mapping(address => uint256)) public totalDepositedByToken;
+    
+    // Per asset, what the contract owes users: deposits and top-ups not yet withdrawn or paid back out.
+    // Anything held above it (excess value, direct transfers) can be swept by the owner.
+    mapping(address => uint256) public lockedBalance;
     
     // ============ Universal NFT State ============
     
     mapping(address => bool) public hasUsedSafetyBuffer;
     mapping(address => uint256) public userBadgeTokenId;
-    mapping(uint256 => bool) public badgeTransferredCrossChain;
+    
+    // Genesis needs one protected withdrawal (even a refunded one); higher tiers
+    // need every threshold in tierRequirements
+    enum BadgeTier {
+        None,
+        Genesis,
+        Silver,
+        Gold
+    }
+    
+    // Per user: withdrawals still standing (not reverted or aborted), the ZETA
+    // volume among them (ZRC-20 amounts are not comparable), and refunds survived. Also the shape of a tier's thresholds.
+    struct SafetyStats {
+        uint256 withdrawals;
+        uint256 volume;
+        uint256 refunds;
+    }
+    
+    mapping(address => SafetyStats) public safetyStats;
+    mapping(BadgeTier => SafetyStats) public tierRequirements;
+    mapping(uint256 => BadgeTier) public badgeTier;
+    
+    // Chain a badge currently lives on; 0 while it is on ZetaChain. Badges on
+    // another chain are locked in this contract until they come back.
+    mapping(uint256 => uint256) public badgeChainId;
+    
+    // BadgeConnector deployed on each connected chain
+    mapping(uint256 => address) public badgeConnectors;
+    
+    // Rendered into the on-chain badge art (see BadgeMetadata) and carried to connectors
+    mapping(uint256 => uint256) public badgeMintedAt;
+    mapping(uint256 => uint256[]) private _visitedChains;
+    // Set while a transfer to a chain the badge has not visited before is in flight
+    mapping(uint256 => bool) private _firstVisitInFlight;
+    
+    // Destination gas for BadgeConnector.onCall (decode and mint)
+    uint256 public constant BADGE_GAS_LIMIT = 200000;
+    
+    // Prefix of the badge metadata's external_url (followed by the token ID); empty leaves it out
+    string public badgeBaseURI;
     
     // ============ Events ============
     
     event PositionCreated(address indexed user, uint256 positionId, uint256 amount);
-    event WithdrawInitiated(address indexed user, uint256 positionId, bytes32 txHash);
+    event TokenPositionCreated(address indexed user, uint256 positionId, address indexed token, uint256 amount);
+    event PositionToppedUp(address indexed user, uint256 positionId, uint256 amount);
+    event WithdrawInitiated(address indexed user, uint256 positionId, uint256 withdrawalId, uint256 amount, bytes32 txHash);
+    event GatewayFeePaid(address indexed user, address indexed gasToken, uint256 fee, uint256 premiumFee);
+    event EmergencyWithdrawn(address indexed user, uint256 positionId, uint256 amount);
+    event BatchItemSkipped(address indexed user, uint256 positionId, string reason);
     event SafetyBufferUsed(address indexed user, uint256 positionId);
     event SafetyBadgeMinted(address indexed user, uint256 tokenId);
-    event BadgeTransferredCrossChain(uint256 indexed tokenId, uint256 destinationChainId, address recipient);
+    event BadgeUpgraded(uint256 indexed tokenId, address indexed user, BadgeTier tier);
+    event TierRequirementSet(BadgeTier indexed tier, uint256 withdrawals, uint256 volume, uint256 refunds);
+    event BadgeTransferredCrossChain(uint256 indexed tokenId, uint256 destinationChainId, bytes recipient);
     event RevertSuccess(address indexed user, uint256 positionId, bytes32 txHash, string reason);
     event PositionRefunded(address indexed user, uint256 positionId, uint256 amount);
+    event WithdrawAborted(address indexed user, uint256 positionId, bytes32 txHash);
+    event BadgeReturned(uint256 indexed tokenId, uint256 sourceChainId, address recipient);
+    event BadgeTransferReverted(uint256 indexed tokenId, uint256 destinationChainId, address owner);
+    event GasTokenSet(uint256 indexed chainId, address zrc20);
+    event BadgeConnectorSet(uint256 indexed chainId, address connector);
+    event PremiumSet(uint256 indexed chainId, uint256 bps, uint256 floorGas, uint256 ceilingGas);
+    event GatewaySet(address gateway);
+    event FeesSwept(address indexed token, address to, uint256 amount);
+    event BadgeBaseURISet(string baseURI);
+    
+    // ============ Modifiers ============
+    
+    modifier onlyGateway() {
+        require(_isGateway(msg.sender), "Caller is not the gateway");
+        _;
+    }
     
     // ============ Constructor ============
     
     constructor(address _gateway) ERC721("ZetaChain Safety Badge", "ZCSB") Ownable(msg.sender) {
         gateway = _gateway;
         _tokenIdCounter = 1;
+        defaultPremium = PremiumConfig({ bps: 3000, floorGas: 0, ceilingGas: type(uint256).max });
+        tierRequirements[BadgeTier.Silver] = SafetyStats({ withdrawals: 5, volume: 5 ether, refunds: 0 });
+        tierRequirements[BadgeTier.Gold] = SafetyStats({ withdrawals: 15, volume: 50 ether, refunds: 1 });
     }
     
     // ============ Core Functions ============
@@ -67,97 +193,599 @@ contract OmnichainTracker is ERC721, Ownable {
      * @notice Deposit funds to create a new position
      * @param amount Amount to deposit
      */
-    function deposit(uint256 amount) external payable {
-        require(amount > 0, "Amount must be greater than 0");
-        require(msg.value >= amount, "Insufficient value sent");
+    function deposit(uint256 amount) external payable whenNotPaused {
+        uint256 positionId = _createPosition(address(0), amount);
+        emit PositionCreated(msg.sender, positionId, amount);
+    }
+    
+    /**
+     * @notice Deposit a ZRC-20 (ETH.ETH, USDC...) to create a new position
+     * @dev Approve this contract for `amount` first
+     * @param amount Amount in the token's own decimals
+     */
+    function depositToken(address token, uint256 amount) external whenNotPaused {
+        require(token != address(0), "Invalid token");
+        uint256 positionId = _createPosition(token, amount);
+        emit TokenPositionCreated(msg.sender, positionId, token, amount);
+    }
+    
+    /**
+     * @notice Add funds to an Active position, in the position's own asset
+     * @param amount Amount to add (ZRC-20 positions need an allowance and no value)
+     */
+    function topUp(uint256 positionId, uint256 amount) external payable whenNotPaused {
+        Position storage position = _activePosition(positionId);
+        _collect(position.token, amount);
+        position.amount += amount;
         
-        Position memory newPosition = Position({
+        emit PositionToppedUp(msg.sender, positionId, amount);
+    }
+    
+    function _createPosition(address token, uint256 amount) internal returns (uint256) {
+        _collect(token, amount);
+        userPositions[msg.sender].push(Position({
             amount: amount,
             user: msg.sender,
             timestamp: block.timestamp,
             status: PositionStatus.Active,
-            crossChainTxHash: bytes32(0)
-        });
+            crossChainTxHash: bytes32(0),
+            token: token
+        }));
+        return userPositions[msg.sender].length - 1;
+    }
+    
+    /**
+     * @notice Take a deposit in from msg.sender: ZETA as value, a ZRC-20 through its allowance
+     */
+    function _collect(address token, uint256 amount) internal {
+        require(amount > 0, "Amount must be greater than 0");
+        if (token == address(0)) {
+            require(msg.value >= amount, "Insufficient value sent");
+            totalDeposited[msg.sender] += amount;
+        } else {
+            require(msg.value == 0, "ZETA sent with a token deposit");
+            require(IZRC20(token).transferFrom(msg.sender, address(this), amount), "Token transfer failed");
+        }
+        totalDepositedByToken[msg.sender][token] += amount;
+        lockedBalance[token] += amount;
+    }
+    
+    /**
+     * @notice Pay a position's asset out to `to`
+     * @dev ZETA goes out with a plain call rather than transfer(), whose 2300 gas stipend
+     *      is too little for smart-contract wallets. Callers update state first.
+     */
+    function _payout(address token, address to, uint256 amount) internal {
+        lockedBalance[token] -= amount;
+        _send(token, to, amount);
+    }
+    
+    function _send(address token, address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool sent, ) = payable(to).call{ value: amount }("");
+            require(sent, "ZETA transfer failed");
+        } else {
+            require(IZRC20(token).transfer(to, amount), "Token transfer failed");
+        }
+    }
+    
+    // ============ Admin Functions ============
+    
+    /**
+     * @notice Point the tracker at a new GatewayZEVM
+     * @dev New calls go through the new gateway. The old one stays trusted for callbacks,
+     *      so withdrawals in flight through it can still be refunded or aborted; the one
+     *      before it is dropped.
+     */
+    function setGateway(address _gateway) external onlyOwner {
+        require(_gateway != address(0) && _gateway != gateway, "Invalid gateway");
+        previousGateway = gateway;
+        gateway = _gateway;
+        emit GatewaySet(_gateway);
+    }
+    
+    function _isGateway(address account) internal view returns (bool) {
+        return account == gateway || account == previousGateway;
+    }
+    
+    /**
+     * @notice Stop deposits, top-ups and withdrawals. Emergency exits, gateway
+     *         callbacks and badges keep working.
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+    
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+    
+    /**
+     * @notice Send what the contract holds of an asset above lockedBalance to `to`
+     * @param token ZRC-20 to sweep, or address(0) for ZETA
+     * @return amount Amount swept
+     */
+    function sweepFees(address token, address to) external onlyOwner returns (uint256 amount) {
+        require(to != address(0), "Invalid recipient");
+        uint256 balance = token == address(0) ? address(this).balance : IZRC20(token).balanceOf(address(this));
+        require(balance > lockedBalance[token], "Nothing to sweep");
         
-        userPositions[msg.sender].push(newPosition);
-        totalDeposited[msg.sender] += amount;
+        amount = balance - lockedBalance[token];
+        _send(token, to, amount);
+        emit FeesSwept(token, to, amount);
+    }
+    
+    /**
+     * @notice Set the prefix of the badges' external_url, e.g. "https://example.com/badge/"
+     * @dev Goes into the JSON metadata as is, so quotes, backslashes and control
+     *      characters are refused
+     */
+    function setBadgeBaseURI(string calldata baseURI) external onlyOwner {
+        bytes calldata chars = bytes(baseURI);
+        for (uint256 i = 0; i < chars.length; i++) {
+            require(chars[i] >= 0x20 && chars[i] != '"' && chars[i] != "\\", "Invalid base URI");
+        }
+        badgeBaseURI = baseURI;
+        emit BadgeBaseURISet(baseURI);
+    }
+    
+    /**
+     * @notice Set the gas ZRC-20 used for withdrawals to a destination chain
+     * @param chainId Destination chain ID
+     * @param zrc20 Gas token of that chain on ZetaChain, or address(0) to disable it
+     */
+    function setGasToken(uint256 chainId, address zrc20) external onlyOwner {
+        gasTokens[chainId] = zrc20;
+        emit GasTokenSet(chainId, zrc20);
+    }
+    
+    /**
+     * @notice Set what a Silver or Gold badge takes
+     * @param volume Protected withdrawal volume in wei
+     * @param refunds Withdrawals that reverted and were refunded
+     */
+    function setTierRequirement(BadgeTier tier, uint256 withdrawals, uint256 volume, uint256 refunds) external onlyOwner {
+        require(tier == BadgeTier.Silver || tier == BadgeTier.Gold, "Invalid tier");
+        tierRequirements[tier] = SafetyStats({ withdrawals: withdrawals, volume: volume, refunds: refunds });
+        emit TierRequirementSet(tier, withdrawals, volume, refunds);
+    }
+    
+    /**
+     * @notice Set the BadgeConnector badges are sent to on a connected chain
+     * @param chainId Connected chain ID (also needs a gas token, see setGasToken)
+     * @param connector BadgeConnector address on that chain, or address(0) to disable it
+     */
+    function setBadgeConnector(uint256 chainId, address connector) external onlyOwner {
+        badgeConnectors[chainId] = connector;
+        emit BadgeConnectorSet(chainId, connector);
+    }
+    
+    /**
+     * @notice Configure the volatility premium
+     * @param chainId Destination chain ID, or 0 for the default used by chains without their own
+     * @param bps Premium in basis points of the requested gas limit
+     * @param floorGas Minimum premium in gas units
+     * @param ceilingGas Maximum premium in gas units; 0 removes a chain's override
+     */
+    function setPremium(uint256 chainId, uint256 bps, uint256 floorGas, uint256 ceilingGas) external onlyOwner {
+        require(bps <= MAX_PREMIUM_BPS, "Premium above 100%");
+        
+        if (ceilingGas == 0 && chainId != 0) {
+            delete chainPremiums[chainId];
+        } else {
+            require(ceilingGas > 0 && floorGas <= ceilingGas, "Invalid premium bounds");
+            PremiumConfig memory config = PremiumConfig({ bps: bps, floorGas: floorGas, ceilingGas: ceilingGas });
+            if (chainId == 0) {
+                defaultPremium = config;
+            } else {
+                chainPremiums[chainId] = config;
+            }
+        }
         
-        emit PositionCreated(msg.sender, userPositions[msg.sender].length - 1, amount);
+        emit PremiumSet(chainId, bps, floorGas, ceilingGas);
+    }
+    
+    /**
+     * @notice Premium settings that apply to a destination chain
+     */
+    function premiumFor(uint256 chainId) public view returns (PremiumConfig memory) {
+        PremiumConfig memory config = chainPremiums[chainId];
+        return config.ceilingGas == 0 ? defaultPremium : config;
     }
     
     /**
      * @notice Withdraw position with Volatility Premium safety mechanism
-     * @dev Amazon Q Generated: 30% Volatility Premium for cross-chain safety
+     * @dev Amazon Q Generated: Volatility Premium for cross-chain safety, see setPremium.
+     *      The amount leaves through GatewayZEVM: a plain withdraw with gasLimit 0, which
+     *      any wallet can receive, or withdrawAndCall to a recipient contract's onCall with
+     *      the gas limit plus the premium. The caller pays the gas fee in the destination
+     *      chain's gas ZRC-20 and must approve this contract for the fee quoted by
+     *      estimateWithdrawGas. Each call records a Withdrawal that onRevert/onAbort
+     *      settle later; a partial one leaves the rest Active.
      * @param positionId Position index to withdraw
-     * @param destinationChainId Destination chain selector
-     * @param destinationAddress Recipient address on destination chain
-     * @param gasLimit Base gas limit for destination execution
+     * @param amount Amount to withdraw, up to the position's amount
+     * @param destinationChainId Destination chain ID (needs a gas token, see setGasToken).
+     *        A ZRC-20 can only go to the chain it comes from.
+     * @param recipient Recipient on the destination chain in its own encoding: 20 bytes
+     *        on EVM chains, the 32-byte key on Solana and Sui, workchain + account ID on TON
+     * @param gasLimit Gas for the recipient contract's onCall, or 0 for a plain transfer
+     * @return status Resulting position status, so a static call previews the outcome
      */
     function withdrawAndTrack(
         uint256 positionId,
+        uint256 amount,
         uint256 destinationChainId,
-        address destinationAddress,
+        bytes calldata recipient,
         uint256 gasLimit
-    ) external payable {
-        Position storage position = userPositions[msg.sender][positionId];
-        
-        require(position.user == msg.sender, "Not position owner");
-        require(position.status == PositionStatus.Active, "Position not active");
+    ) external whenNotPaused returns (PositionStatus status) {
+        Position storage position = _activePosition(positionId);
         require(position.amount > 0, "Position empty");
+        require(amount > 0 && amount <= position.amount, "Invalid withdrawal amount");
+        require(recipient.length > 0, "Invalid destination address");
         
-        // ============ AMAZON Q GENERATED: Volatility Premium Algorithm ============
-        uint256 baseGasFee = 0.001 ether;
-        uint256 volatilityPremium = (baseGasFee * 30) / 100; // 30% safety buffer
-        uint256 totalGasFee = baseGasFee + volatilityPremium;
+        address token = position.token;
+        // Carried back by the gateway in onRevert/onAbort to find the withdrawal
+        bytes memory revertMessage = abi.encode(CallbackKind.Withdrawal, msg.sender, userWithdrawals[msg.sender].length);
+        bytes memory message = abi.encode(msg.sender, positionId, token, amount);
+        status = _recordWithdrawal(positionId, amount, destinationChainId, gasLimit > 0);
+        // The amount leaves with the gateway withdrawal; a refund comes back through the callbacks
+        lockedBalance[token] -= amount;
+        
+        _withdrawThroughGateway(token, amount, destinationChainId, recipient, message, gasLimit, revertMessage);
+    }
+    
+    /**
+     * @notice Withdraw several positions in full to one destination in a single gateway withdrawal
+     * @dev The positions' total leaves in one withdrawal, as for withdrawAndTrack, so the
+     *      gas fee and volatility premium are charged once, on `gasLimit` (sized for the
+     *      whole batch; 0 for a plain transfer). The first position withdrawn sets the
+     *      asset. Positions that cannot be withdrawn (unknown, not Active, empty or in
+     *      another asset) are skipped with BatchItemSkipped instead of reverting the
+     *      batch. Each withdrawn position gets its own Withdrawal record; a revert or
+     *      abort of the withdrawal settles all of them. `recipient` is encoded as for
+     *      withdrawAndTrack.
+     * @return skipped Reason each position was skipped, or "" for the ones withdrawn
+     */
+    function withdrawBatch(
+        uint256[] calldata positionIds,
+        uint256 destinationChainId,
+        bytes calldata recipient,
+        uint256 gasLimit
+    ) external whenNotPaused returns (string[] memory skipped) {
+        require(positionIds.length > 0 && positionIds.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        require(recipient.length > 0, "Invalid destination address");
+        
+        uint256 firstId = userWithdrawals[msg.sender].length;
+        skipped = new string[](positionIds.length);
+        uint256[] memory amounts = new uint256[](positionIds.length);
+        address token;
+        uint256 total;
+        
+        for (uint256 i = 0; i < positionIds.length; i++) {
+            skipped[i] = _batchSkipReason(positionIds[i]);
+            if (bytes(skipped[i]).length == 0 && total > 0 && userPositions[msg.sender][positionIds[i]].token != token) {
+                skipped[i] = "Different asset";
+            }
+            if (bytes(skipped[i]).length > 0) {
+                emit BatchItemSkipped(msg.sender, positionIds[i], skipped[i]);
+                continue;
+            }
+            Position storage position = userPositions[msg.sender][positionIds[i]];
+            token = position.token;
+            amounts[i] = position.amount;
+            total += position.amount;
+            _recordWithdrawal(positionIds[i], position.amount, destinationChainId, gasLimit > 0);
+        }
         
-        require(msg.value >= totalGasFee, "Insufficient gas fee sent");
+        uint256 count = userWithdrawals[msg.sender].length - firstId;
+        require(count > 0, "Nothing to withdraw");
+        lockedBalance[token] -= total;
         
-        // Generate transaction hash
-        bytes32 txHash = keccak256(
-            abi.encodePacked(msg.sender, positionId, block.timestamp, destinationChainId)
+        // Skipped positions are sent with a zero amount, so indexes line up with positionIds
+        _withdrawThroughGateway(
+            token, total, destinationChainId, recipient,
+            abi.encode(msg.sender, positionIds, token, amounts),
+            gasLimit,
+            abi.encode(CallbackKind.BatchWithdrawal, msg.sender, firstId, count)
         );
+    }
+    
+    /**
+     * @notice Record a withdrawal of msg.sender's position and count it towards the badge
+     * @param protected Whether the withdrawal pays the volatility premium; only those use
+     *        the safety buffer, so a plain transfer does not count towards the badge
+     * @return Resulting position status
+     */
+    function _recordWithdrawal(uint256 positionId, uint256 amount, uint256 destinationChainId, bool protected)
+        internal
+        returns (PositionStatus)
+    {
+        Position storage position = userPositions[msg.sender][positionId];
+        
+        // Same as keccak256 of a single withdrawal's revertMessage
+        uint256 withdrawalId = userWithdrawals[msg.sender].length;
+        bytes32 txHash = keccak256(abi.encode(CallbackKind.Withdrawal, msg.sender, withdrawalId));
         
-        // Update position state
-        position.status = PositionStatus.Withdrawn;
-        position.crossChainTxHash = txHash;
+        userWithdrawals[msg.sender].push(Withdrawal({
+            positionId: positionId,
+            amount: amount,
+            timestamp: block.timestamp,
+            destinationChainId: destinationChainId,
+            status: PositionStatus.Withdrawn,
+            crossChainTxHash: txHash,
+            protected: protected
+        }));
         txHashToPositionId[txHash] = positionId;
         
+        // Update position state; taking everything closes the position
+        if (amount == position.amount) {
+            position.status = PositionStatus.Withdrawn;
+            position.crossChainTxHash = txHash;
+        } else {
+            position.amount -= amount;
+        }
+        
         // ============ GAMIFICATION: Track Safety Buffer Usage ============
-        if (!hasUsedSafetyBuffer[msg.sender]) {
-            hasUsedSafetyBuffer[msg.sender] = true;
-            emit SafetyBufferUsed(msg.sender, positionId);
+        if (protected) {
+            safetyStats[msg.sender].withdrawals += 1;
+            if (position.token == address(0)) safetyStats[msg.sender].volume += amount;
+            if (!hasUsedSafetyBuffer[msg.sender]) {
+                hasUsedSafetyBuffer[msg.sender] = true;
+                emit SafetyBufferUsed(msg.sender, positionId);
+            }
         }
         
-        emit WithdrawInitiated(msg.sender, positionId, txHash);
+        emit WithdrawInitiated(msg.sender, positionId, withdrawalId, amount, txHash);
+        return position.status;
+    }
+    
+    /**
+     * @notice Collect the withdrawal fee from msg.sender and send `amount` of `token` out
+     *         through the gateway, ZETA wrapped as WZETA
+     * @param gasLimit Gas for the recipient's onCall, to which the volatility premium is
+     *        added; 0 makes a plain withdraw, which buys no premium
+     */
+    function _withdrawThroughGateway(
+        address token,
+        uint256 amount,
+        uint256 destinationChainId,
+        bytes calldata recipient,
+        bytes memory message,
+        uint256 gasLimit,
+        bytes memory revertMessage
+    ) internal {
+        // ============ AMAZON Q GENERATED: Volatility Premium Algorithm ============
+        uint256 premiumGas = gasLimit == 0 ? 0 : _premiumGas(destinationChainId, gasLimit);
+        (address gasToken, uint256 gasFee) = _quoteWithdrawFee(token, destinationChainId, gasLimit + premiumGas);
+        uint256 premiumFee;
+        if (premiumGas > 0) {
+            (, uint256 baseFee) = _quoteWithdrawFee(token, destinationChainId, gasLimit);
+            premiumFee = gasFee - baseFee;
+        }
+        // The gateway takes a ZRC-20's fee itself. It takes ZETA without one, so the
+        // destination gas is paid to the protocol here, as the gateway would.
+        address feeTo = token == address(0) ? PROTOCOL_ADDRESS : address(this);
+        require(IZRC20(gasToken).transferFrom(msg.sender, feeTo, gasFee), "Gas fee transfer failed");
+        emit GatewayFeePaid(msg.sender, gasToken, gasFee, premiumFee);
         
-        // Simulate revert for stress testing
-        if (gasLimit < 150000) {
-            _simulateRevert(msg.sender, positionId, txHash);
+        GatewayWithdrawal.send(
+            gateway,
+            token,
+            amount,
+            destinationChainId,
+            recipient,
+            message,
+            CallOptions({ gasLimit: gasLimit + premiumGas, isArbitraryCall: false }),
+            RevertOptions({
+                revertAddress: address(this),
+                callOnRevert: true,
+                abortAddress: address(this),
+                revertMessage: revertMessage,
+                onRevertGasLimit: 0
+            }),
+            gasToken,
+            gasFee
+        );
+    }
+    
+    /**
+     * @notice Collect the destination gas fee from msg.sender and make the outbound gateway call
+     * @param gasLimit Destination gas for the call; no volatility premium is added
+     */
+    function _callGateway(
+        uint256 destinationChainId,
+        bytes memory receiver,
+        bytes memory message,
+        uint256 gasLimit,
+        bytes memory revertMessage
+    ) internal {
+        (address gasToken, uint256 gasFee) = _quoteGasFee(destinationChainId, gasLimit);
+        require(IZRC20(gasToken).transferFrom(msg.sender, address(this), gasFee), "Gas fee transfer failed");
+        IZRC20(gasToken).approve(gateway, gasFee);
+        emit GatewayFeePaid(msg.sender, gasToken, gasFee, 0);
+        
+        IGatewayZEVM(gateway).call(
+            receiver,
+            gasToken,
+            message,
+            CallOptions({ gasLimit: gasLimit, isArbitraryCall: false }),
+            RevertOptions({
+                revertAddress: address(this),
+                callOnRevert: true,
+                abortAddress: address(this),
+                revertMessage: revertMessage,
+                onRevertGasLimit: 0
+            })
+        );
+    }
+    
+    /**
+     * @return Why msg.sender's position cannot be exited in a batch, or "" when it can
+     */
+    function _batchSkipReason(uint256 positionId) internal view returns (string memory) {
+        if (positionId >= userPositions[msg.sender].length) return "Invalid position ID";
+        Position storage position = userPositions[msg.sender][positionId];
+        if (position.status != PositionStatus.Active) return "Position not active";
+        if (position.amount == 0) return "Position empty";
+        return "";
+    }
+    
+    // ============ Gateway Callbacks ============
+    
+    /**
+     * @notice A badge sent back from a connected chain arrived
+     * @dev Only the BadgeConnector registered for the source chain is trusted
+     */
+    function onCall(
+        MessageContext calldata context,
+        address,
+        uint256,
+        bytes calldata message
+    ) external override onlyGateway {
+        address connector = badgeConnectors[context.chainID];
+        require(connector != address(0) && context.sender == connector, "Unknown badge connector");
+        
+        (uint256 tokenId, address recipient) = abi.decode(message, (uint256, address));
+        require(badgeChainId[tokenId] == context.chainID, "Badge is not on the source chain");
+        
+        _unlockBadge(tokenId, recipient);
+        emit BadgeReturned(tokenId, context.chainID, recipient);
+    }
+    
+    /**
+     * @notice Destination call reverted: pass the refund on to the user, or give the badge back
+     */
+    function onRevert(RevertContext calldata revertContext) external onlyGateway {
+        require(revertContext.sender == address(this), "Unknown revert source");
+        
+        (CallbackKind kind, address user, uint256 id) =
+            abi.decode(revertContext.revertMessage, (CallbackKind, address, uint256));
+        
+        if (kind == CallbackKind.BadgeTransfer) {
+            _restoreBadge(user, id, revertContext.asset, revertContext.amount);
+            return;
+        }
+        
+        // A batch is settled as a whole; what comes back is passed on once
+        uint256 count = _withdrawalCount(kind, revertContext.revertMessage);
+        for (uint256 i = 0; i < count; i++) {
+            (uint256 positionId, bytes32 txHash) = _settleFailedWithdrawal(
+                user, id + i, PositionStatus.Refunded,
+                i == 0 ? revertContext.asset : address(0), i == 0 ? revertContext.amount : 0
+            );
+            emit RevertSuccess(user, positionId, txHash, "Destination execution failed - position refunded");
         }
     }
     
     /**
-     * @notice Simulate revert for testing
+     * @notice The CCTX was aborted (the revert itself could not complete): return the funds,
+     *         or the badge if its transfer in either direction was lost
      */
-    function _simulateRevert(address user, uint256 positionId, bytes32 txHash) internal {
+    function onAbort(AbortContext calldata abortContext) external {
+        require(_isGateway(msg.sender) || msg.sender == PROTOCOL_ADDRESS, "Caller is not the gateway");
+        
+        // Our own outbound calls, or a badge return started by a registered connector
+        address source = address(bytes20(abortContext.sender));
+        require(
+            abortContext.outgoing
+                ? source == address(this)
+                : source != address(0) && source == badgeConnectors[abortContext.chainID],
+            "Unknown abort source"
+        );
+        
+        (CallbackKind kind, address user, uint256 id) =
+            abi.decode(abortContext.revertMessage, (CallbackKind, address, uint256));
+        
+        if (kind == CallbackKind.BadgeTransfer) {
+            _restoreBadge(user, id, abortContext.asset, abortContext.amount);
+            return;
+        }
+        
+        require(abortContext.outgoing, "Unknown abort source");
+        uint256 count = _withdrawalCount(kind, abortContext.revertMessage);
+        for (uint256 i = 0; i < count; i++) {
+            (uint256 positionId, bytes32 txHash) = _settleFailedWithdrawal(
+                user, id + i, PositionStatus.Failed,
+                i == 0 ? abortContext.asset : address(0), i == 0 ? abortContext.amount : 0
+            );
+            emit WithdrawAborted(user, positionId, txHash);
+        }
+    }
+    
+    /**
+     * @notice Withdrawals a revert message covers: one, or every withdrawal of a batch
+     */
+    function _withdrawalCount(CallbackKind kind, bytes calldata revertMessage) internal pure returns (uint256 count) {
+        if (kind != CallbackKind.BatchWithdrawal) return 1;
+        (, , , count) = abi.decode(revertMessage, (CallbackKind, address, uint256, uint256));
+    }
+    
+    /**
+     * @notice Mark a withdrawal Refunded or Failed and pass on what the protocol handed back
+     *         with the callback: the withdrawn asset less its fees. ZETA comes back as WZETA
+     *         and is unwrapped; a wallet that rejects ZETA gets the WZETA instead.
+     * @return positionId Parent position of the withdrawal
+     * @return txHash Tracking hash of the withdrawal
+     */
+    function _settleFailedWithdrawal(
+        address user,
+        uint256 withdrawalId,
+        PositionStatus status,
+        address asset,
+        uint256 assetAmount
+    ) internal returns (uint256 positionId, bytes32 txHash) {
+        Withdrawal storage withdrawal = userWithdrawals[user][withdrawalId];
+        require(withdrawal.status == PositionStatus.Withdrawn, "Withdrawal not in flight");
+        
+        withdrawal.status = status;
+        positionId = withdrawal.positionId;
+        txHash = withdrawal.crossChainTxHash;
+        
+        // A position closed by this withdrawal follows it
         Position storage position = userPositions[user][positionId];
-        position.status = PositionStatus.Refunded;
+        if (position.crossChainTxHash == txHash) position.status = status;
+        
+        // A protected withdrawal no longer counts towards a tier; a refund survived does
+        if (withdrawal.protected) {
+            SafetyStats storage stats = safetyStats[user];
+            stats.withdrawals -= 1;
+            if (position.token == address(0)) stats.volume -= withdrawal.amount;
+            if (status == PositionStatus.Refunded) stats.refunds += 1;
+        }
+        
+        if (asset != address(0) && assetAmount > 0) {
+            bool unwrapped;
+            if (asset == IZetaTokenGateway(gateway).zetaToken()) {
+                IWETH9(asset).withdraw(assetAmount);
+                (unwrapped, ) = payable(user).call{ value: assetAmount }("");
+                if (!unwrapped) IWETH9(asset).deposit{ value: assetAmount }();
+            }
+            if (!unwrapped) require(IZRC20(asset).transfer(user, assetAmount), "Refund transfer failed");
+        }
         
-        emit RevertSuccess(user, positionId, txHash, "Destination execution failed - position refunded");
-        emit PositionRefunded(user, positionId, position.amount);
+        emit PositionRefunded(user, positionId, assetAmount);
     }
     
+    /**
+     * @notice Takes the ZETA of unwrapped WZETA refunds. WZETA pays out with a 2300 gas
+     *         stipend, so nothing is done here; ZETA sent otherwise can be swept.
+     */
+    receive() external payable {}
+    
     // ============ Universal NFT Functions ============
     
     /**
      * @notice Mint Safety Badge NFT (Universal NFT - Mint Once)
-     * @dev Only eligible users who used the safety buffer can mint
+     * @dev Only eligible users who used the safety buffer can mint; the badge
+     *      starts at the highest tier already reached
      */
     function mintSafetyBadge() external {
         require(hasUsedSafetyBuffer[msg.sender], "Not eligible: Must use safety buffer first");
         require(userBadgeTokenId[msg.sender] == 0, "Badge already minted");
         
         uint256 tokenId = _tokenIdCounter++;
+        badgeMintedAt[tokenId] = block.timestamp;
+        badgeTier[tokenId] = eligibleTier(msg.sender);
         _safeMint(msg.sender, tokenId);
         
         userBadgeTokenId[msg.sender] = tokenId;
@@ -165,25 +793,96 @@ contract OmnichainTracker is ERC721, Ownable {
         emit SafetyBadgeMinted(msg.sender, tokenId);
     }
     
+    /**
+     * @notice Raise your badge to the highest tier reached, keeping its token ID
+     * @dev The badge must be on ZetaChain, so connectors never hold a stale tier
+     */
+    function upgradeBadge() external {
+        uint256 tokenId = userBadgeTokenId[msg.sender];
+        require(tokenId != 0, "No badge minted");
+        require(badgeChainId[tokenId] == 0, "Badge is on another chain");
+        require(ownerOf(tokenId) == msg.sender, "Not badge owner");
+        
+        BadgeTier tier = eligibleTier(msg.sender);
+        require(tier > badgeTier[tokenId], "No higher tier reached");
+        
+        badgeTier[tokenId] = tier;
+        emit BadgeUpgraded(tokenId, msg.sender, tier);
+    }
+    
     /**
      * @notice Transfer Badge Cross-Chain (Launch Everywhere)
-     * @dev Demonstrates Universal NFT cross-chain capability
+     * @dev Universal NFT: the badge is locked here and the chain's BadgeConnector
+     *      mints it through GatewayZEVM. The caller pays the destination gas in the
+     *      chain's gas ZRC-20 (see estimateBadgeTransferGas). onRevert/onAbort hand the
+     *      badge back; BadgeConnector.transferToZetaChain returns it through onCall.
      * @param tokenId The badge token ID to transfer
-     * @param destinationChainId Target chain (1=Ethereum, 56=BSC, 137=Polygon)
+     * @param destinationChainId Target chain (needs a badge connector, see setBadgeConnector)
+     * @param recipient Owner of the badge on the target chain, encoded as for withdrawAndTrack
      */
     function transferBadgeCrossChain(
         uint256 tokenId,
-        uint256 destinationChainId
+        uint256 destinationChainId,
+        bytes calldata recipient
     ) external {
+        require(badgeChainId[tokenId] == 0, "Badge is on another chain");
         require(ownerOf(tokenId) == msg.sender, "Not badge owner");
-        require(!badgeTransferredCrossChain[tokenId], "Already transferred cross-chain");
+        require(recipient.length > 0, "Invalid destination address");
+        
+        address connector = badgeConnectors[destinationChainId];
+        require(connector != address(0), "Badge transfers to that chain are not enabled");
+        
+        _transfer(msg.sender, address(this), tokenId);
+        badgeChainId[tokenId] = destinationChainId;
+        _firstVisitInFlight[tokenId] = _recordVisit(tokenId, destinationChainId);
+        
+        _callGateway(
+            destinationChainId,
+            abi.encodePacked(connector),
+            abi.encode(tokenId, recipient, uint8(badgeTier[tokenId]), badgeMintedAt[tokenId], _visitedChains[tokenId]),
+            BADGE_GAS_LIMIT,
+            abi.encode(CallbackKind.BadgeTransfer, msg.sender, tokenId)
+        );
+        
+        emit BadgeTransferredCrossChain(tokenId, destinationChainId, recipient);
+    }
+    
+    /**
+     * @notice A transfer to a connected chain failed: unlock the badge for its sender
+     */
+    function _restoreBadge(address owner, uint256 tokenId, address asset, uint256 assetAmount) internal {
+        uint256 destinationChainId = badgeChainId[tokenId];
+        require(destinationChainId != 0, "Badge not in flight");
         
-        // Mark as transferred
-        badgeTransferredCrossChain[tokenId] = true;
+        if (asset != address(0) && assetAmount > 0) {
+            require(IZRC20(asset).transfer(owner, assetAmount), "Gas refund failed");
+        }
         
-        // In production: Use ZetaChain connector.send() for actual cross-chain transfer
-        // For demo: Emit event to show cross-chain intent
-        emit BadgeTransferredCrossChain(tokenId, destinationChainId, msg.sender);
+        // It never arrived, so the chain does not count as visited
+        if (_firstVisitInFlight[tokenId]) {
+            _visitedChains[tokenId].pop();
+            _firstVisitInFlight[tokenId] = false;
+        }
+        
+        _unlockBadge(tokenId, owner);
+        emit BadgeTransferReverted(tokenId, destinationChainId, owner);
+    }
+    
+    /**
+     * @return added Whether the chain was new to the badge's visited list
+     */
+    function _recordVisit(uint256 tokenId, uint256 chainId) internal returns (bool added) {
+        uint256[] storage visited = _visitedChains[tokenId];
+        for (uint256 i = 0; i < visited.length; i++) {
+            if (visited[i] == chainId) return false;
+        }
+        visited.push(chainId);
+        return true;
+    }
+    
+    function _unlockBadge(uint256 tokenId, address recipient) internal {
+        badgeChainId[tokenId] = 0;
+        _transfer(address(this), recipient, tokenId);
     }
     
     // ============ View Functions ============
@@ -195,6 +894,24 @@ contract OmnichainTracker is ERC721, Ownable {
         return hasUsedSafetyBuffer[user] && userBadgeTokenId[user] == 0;
     }
     
+    /**
+     * @notice Highest tier a user's record qualifies for
+     */
+    function eligibleTier(address user) public view returns (BadgeTier) {
+        if (!hasUsedSafetyBuffer[user]) return BadgeTier.None;
+        
+        SafetyStats memory stats = safetyStats[user];
+        if (!_meets(stats, tierRequirements[BadgeTier.Silver])) return BadgeTier.Genesis;
+        if (!_meets(stats, tierRequirements[BadgeTier.Gold])) return BadgeTier.Silver;
+        return BadgeTier.Gold;
+    }
+    
+    function _meets(SafetyStats memory stats, SafetyStats memory required) internal pure returns (bool) {
+        return stats.withdrawals >= required.withdrawals
+            && stats.volume >= required.volume
+            && stats.refunds >= required.refunds;
+    }
+    
     /**
      * @notice Get user's badge token ID
      */
@@ -202,6 +919,13 @@ contract OmnichainTracker is ERC721, Ownable {
         return userBadgeTokenId[user];
     }
     
+    /**
+     * @notice Connected chains a badge has been to, in order of first visit
+     */
+    function badgeVisitedChains(uint256 tokenId) external view returns (uint256[] memory) {
+        return _visitedChains[tokenId];
+    }
+    
     /**
      * @notice Get user's position by ID
      */
@@ -226,69 +950,138 @@ contract OmnichainTracker is ERC721, Ownable {
     }
     
     /**
-     * @notice Calculate gas fee with volatility premium
-     * @dev Amazon Q Generated Algorithm
+     * @notice Get every withdrawal a user made; `positionId` links each to its position
      */
-    function estimateWithdrawGas(uint256 /* gasLimit */) 
+    function getUserWithdrawals(address user) 
         external 
-        pure 
-        returns (uint256 baseGas, uint256 withPremium) 
+        view 
+        returns (Withdrawal[] memory) 
     {
-        baseGas = 0.001 ether;
-        uint256 premium = (baseGas * 30) / 100;
-        withPremium = baseGas + premium;
+        return userWithdrawals[user];
     }
     
     /**
-     * @notice Emergency withdrawal
+     * @notice Calculate the fee of withdrawing an asset, with volatility premium
+     * @dev Amazon Q Generated Algorithm, priced by the asset's withdraw gas fee. A plain
+     *      transfer (gasLimit 0) pays the asset's standard fee and no premium.
+     * @param token ZRC-20 withdrawn, or address(0) for ZETA
+     * @return gasToken ZRC-20 the fee is paid in (approve this contract for withPremium)
+     * @return baseGas Fee for the requested gas limit
+     * @return withPremium Fee for the gas limit plus the premium
+     * @return premiumGas Extra destination gas bought by the premium
+     * @return premiumBps Premium rate applied before the floor/ceiling
      */
-    function emergencyWithdraw(uint256 positionId) external {
-        Position storage position = userPositions[msg.sender][positionId];
-        require(position.user == msg.sender, "Not position owner");
-        require(position.status == PositionStatus.Active, "Position not active");
+    function estimateWithdrawGas(address token, uint256 destinationChainId, uint256 gasLimit) 
+        external 
+        view 
+        returns (address gasToken, uint256 baseGas, uint256 withPremium, uint256 premiumGas, uint256 premiumBps) 
+    {
+        premiumGas = gasLimit == 0 ? 0 : _premiumGas(destinationChainId, gasLimit);
+        premiumBps = premiumFor(destinationChainId).bps;
+        (gasToken, baseGas) = _quoteWithdrawFee(token, destinationChainId, gasLimit);
+        (, withPremium) = _quoteWithdrawFee(token, destinationChainId, gasLimit + premiumGas);
+    }
+    
+    function _premiumGas(uint256 destinationChainId, uint256 gasLimit) internal view returns (uint256) {
+        PremiumConfig memory config = premiumFor(destinationChainId);
+        uint256 premium = (gasLimit * config.bps) / 10000;
+        if (premium < config.floorGas) return config.floorGas;
+        if (premium > config.ceilingGas) return config.ceilingGas;
+        return premium;
+    }
+    
+    function _quoteGasFee(uint256 destinationChainId, uint256 gasLimit) internal view returns (address, uint256) {
+        address gasToken = gasTokens[destinationChainId];
+        require(gasToken != address(0), "Unsupported destination chain");
+        return IZRC20(gasToken).withdrawGasFeeWithGasLimit(gasLimit);
+    }
+    
+    /**
+     * @notice Gas fee the gateway takes to withdraw `token`, as the ZRC-20 itself quotes it.
+     *         ZETA goes to any enabled chain and pays what the chain's gas token would.
+     * @param gasLimit Destination gas of a withdrawAndCall, or 0 for a plain withdraw
+     */
+    function _quoteWithdrawFee(address token, uint256 destinationChainId, uint256 gasLimit)
+        internal
+        view
+        returns (address gasToken, uint256 gasFee)
+    {
+        gasToken = gasTokens[destinationChainId];
+        require(gasToken != address(0), "Unsupported destination chain");
         
-        position.status = PositionStatus.Failed;
-        payable(msg.sender).transfer(position.amount);
+        IZRC20 asset = IZRC20(token == address(0) ? gasToken : token);
+        address feeToken;
+        (feeToken, gasFee) = gasLimit == 0 ? asset.withdrawGasFee() : asset.withdrawGasFeeWithGasLimit(gasLimit);
+        require(feeToken == gasToken, "Asset is not on the destination chain");
     }
     
     /**
-     * @notice Override tokenURI for badge metadata
+     * @notice Destination gas fee for a badge transfer, paid in the chain's gas ZRC-20
      */
-    function tokenURI(uint256 tokenId) public view override returns (string memory) {
-        require(ownerOf(tokenId) != address(0), "Token does not exist");
+    function estimateBadgeTransferGas(uint256 destinationChainId) 
+        external 
+        view 
+        returns (address gasToken, uint256 gasFee) 
+    {
+        return _quoteGasFee(destinationChainId, BADGE_GAS_LIMIT);
+    }
+    
+    /**
+     * @notice Emergency withdrawal to your ZetaChain wallet, skipping the gateway
+     * @param amount Amount to take out; the whole amount closes the position as Failed
+     */
+    function emergencyWithdraw(uint256 positionId, uint256 amount) external {
+        Position storage position = _activePosition(positionId);
+        require(amount > 0 && amount <= position.amount, "Invalid withdrawal amount");
         
-        // For demo: Use GitHub raw URL or your server URL
-        // Replace with your actual badge.svg URL
-        string memory imageUrl = "https://raw.githubusercontent.com/mianohh/ZetaChain-Omnichain-Portfolio-Tracker/main/badge.svg";
-        
-        string memory json = string(abi.encodePacked(
-            '{"name":"ZetaChain Safety Badge #',
-            _toString(tokenId),
-            '","description":"Certified Safety Buffer User - Universal NFT","image":"',
-            imageUrl,
-            '","attributes":[{"trait_type":"Type","value":"Safety Certified"},{"trait_type":"Network","value":"Universal"}]}'
-        ));
-        
-        return string(abi.encodePacked(
-            "data:application/json;utf8,",
-            json
-        ));
-    }
-    
-    function _toString(uint256 value) internal pure returns (string memory) {
-        if (value == 0) return "0";
-        uint256 temp = value;
-        uint256 digits;
-        while (temp != 0) {
-            digits++;
-            temp /= 10;
+        if (amount == position.amount) {
+            position.status = PositionStatus.Failed;
+        } else {
+            position.amount -= amount;
         }
-        bytes memory buffer = new bytes(digits);
-        while (value != 0) {
-            digits -= 1;
-            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
-            value /= 10;
+        _payout(position.token, msg.sender, amount);
+        
+        emit EmergencyWithdrawn(msg.sender, positionId, amount);
+    }
+    
+    /**
+     * @notice Emergency-exit several positions in full, skipping the gateway
+     * @dev Positions that cannot be exited are skipped with BatchItemSkipped
+     * @return skipped Reason each position was skipped, or "" for the ones exited
+     */
+    function emergencyWithdrawBatch(uint256[] calldata positionIds) external returns (string[] memory skipped) {
+        require(positionIds.length > 0 && positionIds.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        
+        skipped = new string[](positionIds.length);
+        bool exited;
+        for (uint256 i = 0; i < positionIds.length; i++) {
+            skipped[i] = _batchSkipReason(positionIds[i]);
+            if (bytes(skipped[i]).length > 0) {
+                emit BatchItemSkipped(msg.sender, positionIds[i], skipped[i]);
+                continue;
+            }
+            Position storage position = userPositions[msg.sender][positionIds[i]];
+            position.status = PositionStatus.Failed;
+            _payout(position.token, msg.sender, position.amount);
+            emit EmergencyWithdrawn(msg.sender, positionIds[i], position.amount);
+            exited = true;
         }
-        return string(buffer);
+        require(exited, "Nothing to withdraw");
+    }
+    
+    /**
+     * @dev Positions are looked up under msg.sender, so other users' indexes are out of bounds
+     */
+    function _activePosition(uint256 positionId) internal view returns (Position storage position) {
+        position = userPositions[msg.sender][positionId];
+        require(position.status == PositionStatus.Active, "Position not active");
+    }
+    
+    /**
+     * @notice Override tokenURI for badge metadata, with the badge art rendered on-chain
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        require(ownerOf(tokenId) != address(0), "Token does not exist");
+        return BadgeMetadata.tokenURI(tokenId, uint8(badgeTier[tokenId]), badgeMintedAt[tokenId], _visitedChains[tokenId], badgeBaseURI);
     }
 }
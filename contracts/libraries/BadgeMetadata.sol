@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @title BadgeMetadata - on-chain Safety Badge art and token URI
+ * @notice Shared by OmnichainTracker and BadgeConnector so a badge looks the same on every chain.
+ *         Everything interpolated is a number or a constant, apart from the owner's base URI, which
+ *         OmnichainTracker.setBadgeBaseURI screens for characters that would need escaping.
+ *         tokenURI is external, so the library is deployed once per chain and linked;
+ *         that keeps the art out of OmnichainTracker's code size.
+ */
+library BadgeMetadata {
+    using Strings for uint256;
+    
+    /**
+     * @notice Base64 JSON metadata with the SVG inlined as a base64 image
+     * @param tier OmnichainTracker.BadgeTier value
+     * @param mintedAt Mint timestamp on ZetaChain
+     * @param visitedChains Connected chains the badge has been to, in order of first visit
+     * @param baseURI Prefix of external_url, which is left out when empty; must not need escaping
+     */
+    function tokenURI(uint256 tokenId, uint8 tier, uint256 mintedAt, uint256[] memory visitedChains, string memory baseURI)
+        external
+        pure
+        returns (string memory)
+    {
+        string memory json = string(abi.encodePacked(
+            '{"name":"ZetaChain Safety Badge #',
+            tokenId.toString(),
+            bytes(baseURI).length > 0 ? string(abi.encodePacked('","external_url":"', baseURI, tokenId.toString())) : "",
+            '","description":"Certified Safety Buffer User - Universal NFT","image":"data:image/svg+xml;base64,',
+            Base64.encode(bytes(svg(tokenId, tier, mintedAt, visitedChains))),
+            '","attributes":',
+            _attributes(tier, mintedAt, visitedChains),
+            '}'
+        ));
+        
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+    }
+    
+    function svg(uint256 tokenId, uint8 tier, uint256 mintedAt, uint256[] memory visitedChains)
+        internal
+        pure
+        returns (string memory)
+    {
+        return string(abi.encodePacked(
+            _frame(tier),
+            _text(170, 30, "#0a0b0d", string(abi.encodePacked("#", tokenId.toString()))),
+            _text(280, 22, tierColor(tier), string(abi.encodePacked(_upper(tierName(tier)), " TIER"))),
+            _text(310, 14, "#8b8d93", string(abi.encodePacked("Minted ", _date(mintedAt)))),
+            _text(342, 13, "#00F58C", _route(visitedChains)),
+            _text(374, 11, "#5a5c63", "ZETACHAIN SAFETY BADGE"),
+            '</svg>'
+        ));
+    }
+    
+    function tierName(uint8 tier) internal pure returns (string memory) {
+        if (tier == 3) return "Gold";
+        if (tier == 2) return "Silver";
+        return "Genesis";
+    }
+    
+    function tierColor(uint8 tier) internal pure returns (string memory) {
+        if (tier == 3) return "#FFB800";
+        if (tier == 2) return "#C0C7D1";
+        return "#FFD700";
+    }
+    
+    /**
+     * @notice Display name for the chains the badge can travel to
+     */
+    function chainName(uint256 chainId) internal pure returns (string memory) {
+        if (chainId == 7000) return "ZetaChain";
+        if (chainId == 7001) return "ZetaChain Athens";
+        if (chainId == 1) return "Ethereum";
+        if (chainId == 56) return "BSC";
+        if (chainId == 137) return "Polygon";
+        if (chainId == 11155111) return "Sepolia";
+        if (chainId == 97) return "BSC Testnet";
+        if (chainId == 80002) return "Amoy";
+        return string(abi.encodePacked("Chain ", chainId.toString()));
+    }
+    
+    function _attributes(uint8 tier, uint256 mintedAt, uint256[] memory visitedChains) private pure returns (string memory) {
+        string memory visited = "";
+        for (uint256 i = 0; i < visitedChains.length; i++) {
+            visited = string(abi.encodePacked(visited, ',{"trait_type":"Visited","value":"', chainName(visitedChains[i]), '"}'));
+        }
+        
+        return string(abi.encodePacked(
+            '[{"trait_type":"Type","value":"Safety Certified"},{"trait_type":"Network","value":"Universal"},',
+            '{"trait_type":"Tier","value":"', tierName(tier), '"},',
+            '{"display_type":"date","trait_type":"Minted","value":', mintedAt.toString(), '},',
+            '{"display_type":"number","trait_type":"Chains Visited","value":', (visitedChains.length + 1).toString(), '}',
+            visited,
+            ']'
+        ));
+    }
+    
+    /**
+     * @notice Background, tier-coloured border and the shield emblem
+     */
+    function _frame(uint8 tier) private pure returns (string memory) {
+        return string(abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400" width="400" height="400">',
+            '<defs><linearGradient id="gold" x1="0" y1="0" x2="1" y2="1">',
+            '<stop offset="0" stop-color="#FFD700"/><stop offset="1" stop-color="#FFA500"/></linearGradient></defs>',
+            '<rect width="400" height="400" rx="24" fill="#0a0b0d"/>',
+            '<rect x="4" y="4" width="392" height="392" rx="22" fill="none" stroke-width="2" stroke="', tierColor(tier), '"/>',
+            '<circle cx="200" cy="150" r="95" fill="none" stroke="url(#gold)" stroke-width="6"/>',
+            '<path d="M200 80 L255 102 V150 C255 185 232 208 200 222 C168 208 145 185 145 150 V102 Z" fill="url(#gold)"/>'
+        ));
+    }
+    
+    function _text(uint256 y, uint256 size, string memory color, string memory content) private pure returns (string memory) {
+        return string(abi.encodePacked(
+            '<text x="200" y="', y.toString(),
+            '" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-weight="700" font-size="', size.toString(),
+            '" fill="', color, '">', content, '</text>'
+        ));
+    }
+    
+    /**
+     * @notice "ZetaChain > Ethereum > BSC": home first, then each chain visited
+     */
+    function _route(uint256[] memory visitedChains) private pure returns (string memory route) {
+        route = "ZetaChain";
+        for (uint256 i = 0; i < visitedChains.length; i++) {
+            route = string(abi.encodePacked(route, " &gt; ", chainName(visitedChains[i])));
+        }
+    }
+    
+    function _upper(string memory value) private pure returns (string memory) {
+        bytes memory result = bytes(value);
+        for (uint256 i = 0; i < result.length; i++) {
+            if (result[i] >= 0x61 && result[i] <= 0x7A) result[i] = bytes1(uint8(result[i]) - 32);
+        }
+        return string(result);
+    }
+    
+    /**
+     * @notice UTC date as YYYY-MM-DD (days-to-civil conversion from Howard Hinnant's date algorithms)
+     */
+    function _date(uint256 timestamp) private pure returns (string memory) {
+        uint256 z = timestamp / 86400 + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+        
+        return string(abi.encodePacked(year.toString(), "-", _pad(month), "-", _pad(day)));
+    }
+    
+    function _pad(uint256 value) private pure returns (string memory) {
+        return value < 10 ? string(abi.encodePacked("0", value.toString())) : value.toString();
+    }
+}
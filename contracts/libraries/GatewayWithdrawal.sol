@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import { CallOptions, IGatewayZEVM } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/IGatewayZEVM.sol";
+import { IWETH9 } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/IWZETA.sol";
+import { IZRC20 } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/IZRC20.sol";
+import { RevertOptions } from "@zetachain/protocol-contracts/contracts/Revert.sol";
+
+// GatewayZEVM takes ZETA withdrawals as WZETA; IGatewayZEVM does not declare the getter
+interface IZetaTokenGateway {
+    function zetaToken() external view returns (address);
+}
+
+/**
+ * @title GatewayWithdrawal - sends an asset out through GatewayZEVM
+ * @notice send is external and runs in OmnichainTracker's context: the gateway sees the
+ *         tracker as the sender and the asset comes out of what the tracker holds. Like
+ *         BadgeMetadata, the library is deployed once per chain and linked; that keeps
+ *         the four gateway withdrawal calls out of OmnichainTracker's code size.
+ */
+library GatewayWithdrawal {
+    /**
+     * @notice Approve the gateway for `amount` of `token` and withdraw it, ZETA wrapped as WZETA
+     * @param token ZRC-20 to withdraw, or address(0) for ZETA held as value
+     * @param gasToken Gas ZRC-20 of the destination chain
+     * @param gasFee Gateway fee for a ZRC-20, already held here; ZETA pays its fee elsewhere
+     * @param callOptions Gas for the recipient contract's onCall; a gas limit of 0 makes a
+     *        plain withdraw instead of withdrawAndCall
+     */
+    function send(
+        address gateway,
+        address token,
+        uint256 amount,
+        uint256 destinationChainId,
+        bytes calldata recipient,
+        bytes memory message,
+        CallOptions memory callOptions,
+        RevertOptions memory revertOptions,
+        address gasToken,
+        uint256 gasFee
+    ) external {
+        if (token == address(0)) {
+            IWETH9 wzeta = IWETH9(IZetaTokenGateway(gateway).zetaToken());
+            wzeta.deposit{ value: amount }();
+            wzeta.approve(gateway, amount);
+            if (callOptions.gasLimit == 0) {
+                IGatewayZEVM(gateway).withdraw(recipient, amount, destinationChainId, revertOptions);
+            } else {
+                IGatewayZEVM(gateway).withdrawAndCall(recipient, amount, destinationChainId, message, callOptions, revertOptions);
+            }
+            return;
+        }
+
+        // A gas token withdrawn to its own chain pays its fee from the same allowance
+        if (token != gasToken) IZRC20(gasToken).approve(gateway, gasFee);
+        IZRC20(token).approve(gateway, token == gasToken ? amount + gasFee : amount);
+        if (callOptions.gasLimit == 0) {
+            IGatewayZEVM(gateway).withdraw(recipient, amount, token, revertOptions);
+        } else {
+            IGatewayZEVM(gateway).withdrawAndCall(recipient, amount, token, message, callOptions, revertOptions);
+        }
+    }
+}
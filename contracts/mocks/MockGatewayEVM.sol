@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import { Callable, MessageContext } from "@zetachain/protocol-contracts/contracts/evm/interfaces/IGatewayEVM.sol";
+import { RevertContext, RevertOptions, Revertable } from "@zetachain/protocol-contracts/contracts/Revert.sol";
+
+/**
+ * @title MockGatewayEVM - offline stand-in for GatewayEVM on a connected chain
+ * @notice call() emits Called like the real gateway. execute/executeRevert let
+ *         anyone play the TSS, so tests can relay messages between the mocks.
+ */
+contract MockGatewayEVM {
+    event Called(address indexed sender, address indexed receiver, bytes payload, RevertOptions revertOptions);
+    
+    function call(address receiver, bytes calldata payload, RevertOptions calldata revertOptions) external {
+        require(receiver != address(0), "Empty receiver");
+        emit Called(msg.sender, receiver, payload, revertOptions);
+    }
+    
+    function execute(
+        MessageContext calldata messageContext,
+        address destination,
+        bytes calldata data
+    ) external payable returns (bytes memory) {
+        return Callable(destination).onCall{ value: msg.value }(messageContext, data);
+    }
+    
+    function executeRevert(address destination, bytes calldata, RevertContext calldata revertContext) external payable {
+        Revertable(destination).onRevert(revertContext);
+    }
+}
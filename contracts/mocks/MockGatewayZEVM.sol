@@ -0,0 +1,171 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import { CallOptions } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/IGatewayZEVM.sol";
+import { IZRC20 } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/IZRC20.sol";
+import { MessageContext, UniversalContract } from "@zetachain/protocol-contracts/contracts/zevm/interfaces/UniversalContract.sol";
+import { WETH9 } from "@zetachain/protocol-contracts/contracts/zevm/WZETA.sol";
+import { AbortContext, Abortable, RevertContext, RevertOptions, Revertable } from "@zetachain/protocol-contracts/contracts/Revert.sol";
+
+/**
+ * @title MockGatewayZEVM - offline stand-in for GatewayZEVM
+ * @notice call(), withdraw() and withdrawAndCall() charge the gas fee and emit the real
+ *         gateway's events. Withdrawn assets are held here instead of burned, ZETA as the
+ *         gateway's own WZETA (zetaToken). execute/executeRevert/executeAbort let anyone
+ *         play the protocol's part, so incoming calls and the revert and abort callbacks
+ *         can be driven from tests or a local node; the callbacks hand the target the
+ *         context's asset and amount out of what this mock holds.
+ */
+contract MockGatewayZEVM {
+    address public immutable zetaToken;
+    
+    event Called(
+        address indexed sender,
+        address indexed zrc20,
+        bytes receiver,
+        bytes message,
+        CallOptions callOptions,
+        RevertOptions revertOptions
+    );
+    
+    // chainId is 0 throughout: the mock has no system contract to look it up in
+    event Withdrawn(
+        address indexed sender,
+        uint256 indexed chainId,
+        bytes receiver,
+        address zrc20,
+        uint256 value,
+        uint256 gasfee,
+        uint256 protocolFlatFee,
+        bytes message,
+        CallOptions callOptions,
+        RevertOptions revertOptions
+    );
+    
+    event WithdrawnAndCalled(
+        address indexed sender,
+        uint256 indexed chainId,
+        bytes receiver,
+        address zrc20,
+        uint256 value,
+        uint256 gasfee,
+        uint256 protocolFlatFee,
+        bytes message,
+        CallOptions callOptions,
+        RevertOptions revertOptions
+    );
+    
+    constructor() {
+        zetaToken = address(new WETH9());
+    }
+    
+    function call(
+        bytes memory receiver,
+        address zrc20,
+        bytes calldata message,
+        CallOptions calldata callOptions,
+        RevertOptions calldata revertOptions
+    ) external {
+        require(receiver.length > 0, "Empty receiver");
+        require(callOptions.gasLimit > 0, "Insufficient gas limit");
+        
+        (address gasZRC20, uint256 gasFee) = IZRC20(zrc20).withdrawGasFeeWithGasLimit(callOptions.gasLimit);
+        require(IZRC20(gasZRC20).transferFrom(msg.sender, address(this), gasFee), "Gas fee transfer failed");
+        
+        emit Called(msg.sender, zrc20, receiver, message, callOptions, revertOptions);
+    }
+    
+    function withdraw(
+        bytes memory receiver,
+        uint256 amount,
+        address zrc20,
+        RevertOptions calldata revertOptions
+    ) external {
+        uint256 gasLimit = IZRC20(zrc20).GAS_LIMIT();
+        uint256 gasFee = _takeZRC20(receiver, amount, zrc20, gasLimit);
+        emit Withdrawn(
+            msg.sender, 0, receiver, zrc20, amount, gasFee, 0, "",
+            CallOptions({ gasLimit: gasLimit, isArbitraryCall: true }), revertOptions
+        );
+    }
+    
+    function withdrawAndCall(
+        bytes memory receiver,
+        uint256 amount,
+        address zrc20,
+        bytes calldata message,
+        CallOptions calldata callOptions,
+        RevertOptions calldata revertOptions
+    ) external {
+        require(callOptions.gasLimit > 0, "Insufficient gas limit");
+        uint256 gasFee = _takeZRC20(receiver, amount, zrc20, callOptions.gasLimit);
+        emit WithdrawnAndCalled(msg.sender, 0, receiver, zrc20, amount, gasFee, 0, message, callOptions, revertOptions);
+    }
+    
+    function withdraw(
+        bytes memory receiver,
+        uint256 amount,
+        uint256 chainId,
+        RevertOptions calldata revertOptions
+    ) external {
+        _takeZeta(receiver, amount);
+        emit Withdrawn(
+            msg.sender, chainId, receiver, address(0), amount, 0, 0, "",
+            CallOptions({ gasLimit: 0, isArbitraryCall: true }), revertOptions
+        );
+    }
+    
+    function withdrawAndCall(
+        bytes memory receiver,
+        uint256 amount,
+        uint256 chainId,
+        bytes calldata message,
+        CallOptions calldata callOptions,
+        RevertOptions calldata revertOptions
+    ) external {
+        _takeZeta(receiver, amount);
+        emit WithdrawnAndCalled(msg.sender, chainId, receiver, address(0), amount, 0, 0, message, callOptions, revertOptions);
+    }
+    
+    function execute(
+        MessageContext calldata context,
+        address zrc20,
+        uint256 amount,
+        address target,
+        bytes calldata message
+    ) external {
+        UniversalContract(target).onCall(context, zrc20, amount, message);
+    }
+    
+    function executeRevert(address target, RevertContext calldata revertContext) external {
+        _handOver(revertContext.asset, revertContext.amount, target);
+        Revertable(target).onRevert(revertContext);
+    }
+    
+    function executeAbort(address target, AbortContext calldata abortContext) external {
+        _handOver(abortContext.asset, abortContext.amount, target);
+        Abortable(target).onAbort(abortContext);
+    }
+    
+    function _takeZRC20(bytes memory receiver, uint256 amount, address zrc20, uint256 gasLimit) internal returns (uint256 gasFee) {
+        require(receiver.length > 0, "Empty receiver");
+        require(amount > 0, "Insufficient amount");
+        
+        address gasZRC20;
+        (gasZRC20, gasFee) = IZRC20(zrc20).withdrawGasFeeWithGasLimit(gasLimit);
+        require(IZRC20(gasZRC20).transferFrom(msg.sender, address(this), gasFee), "Gas fee transfer failed");
+        require(IZRC20(zrc20).transferFrom(msg.sender, address(this), amount), "Withdrawal transfer failed");
+    }
+    
+    function _takeZeta(bytes memory receiver, uint256 amount) internal {
+        require(receiver.length > 0, "Empty receiver");
+        require(amount > 0, "Insufficient amount");
+        require(WETH9(payable(zetaToken)).transferFrom(msg.sender, address(this), amount), "Withdrawal transfer failed");
+    }
+    
+    function _handOver(address asset, uint256 amount, address target) internal {
+        if (asset != address(0) && amount > 0) {
+            require(IZRC20(asset).transfer(target, amount), "Asset transfer failed");
+        }
+    }
+}
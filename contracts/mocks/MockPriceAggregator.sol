@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/**
+ * @title MockPriceAggregator - Chainlink AggregatorV3 stand-in for local chains and tests
+ * @notice Every pushRound adds a round with the given answer and update time, so
+ *         historical lookups are deterministic. Round IDs start at 1.
+ */
+contract MockPriceAggregator {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+    
+    uint8 public immutable decimals;
+    string public description;
+    Round[] private _rounds;
+    
+    constructor(uint8 _decimals, string memory _description) {
+        decimals = _decimals;
+        description = _description;
+    }
+    
+    function pushRound(int256 answer, uint256 updatedAt) external {
+        _rounds.push(Round(answer, updatedAt));
+    }
+    
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        require(_rounds.length > 0, "No data present");
+        return getRoundData(uint80(_rounds.length));
+    }
+    
+    function getRoundData(uint80 id)
+        public
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        require(id > 0 && id <= _rounds.length, "No data present");
+        Round storage round = _rounds[id - 1];
+        return (id, round.answer, round.updatedAt, round.updatedAt, id);
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+interface ITracker {
+    function deposit(uint256 amount) external payable;
+    function emergencyWithdraw(uint256 positionId, uint256 amount) external;
+}
+
+/**
+ * @title MockSmartWallet - contract account whose receive() needs more than the 2300 gas stipend
+ * @notice setAcceptsZeta(false) makes it reject ZETA, like a wallet without a receive function.
+ */
+contract MockSmartWallet {
+    bool public acceptsZeta = true;
+    uint256 public received;
+    
+    function setAcceptsZeta(bool accepts) external {
+        acceptsZeta = accepts;
+    }
+    
+    function deposit(address tracker) external payable {
+        ITracker(tracker).deposit{ value: msg.value }(msg.value);
+    }
+    
+    function emergencyWithdraw(address tracker, uint256 positionId, uint256 amount) external {
+        ITracker(tracker).emergencyWithdraw(positionId, amount);
+    }
+    
+    // Any other call, made as the wallet (an approval, a withdrawal)
+    function execute(address target, bytes calldata data) external {
+        (bool success, ) = target.call(data);
+        require(success, "Wallet call failed");
+    }
+    
+    receive() external payable {
+        require(acceptsZeta, "Wallet rejects ZETA");
+        // A storage write alone is more than transfer() forwards
+        received += msg.value;
+    }
+}
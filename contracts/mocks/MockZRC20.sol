@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockZRC20 - ZRC-20 stand-in for local chains and tests
+ * @notice Quotes gas fees like ZRC20.withdrawGasFee(WithGasLimit) at a fixed gas price,
+ *         in itself or, after setGasZRC20, in the gas token of its chain. Deposit tokens
+ *         like USDC can set their decimals with setDecimals.
+ */
+contract MockZRC20 is ERC20 {
+    uint256 public constant GAS_LIMIT = 21000;
+    uint256 public gasPrice;
+    address public gasZRC20 = address(this);
+    uint8 private _decimals = 18;
+    
+    constructor(string memory name, string memory symbol, uint256 _gasPrice) ERC20(name, symbol) {
+        gasPrice = _gasPrice;
+    }
+    
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+    
+    function setDecimals(uint8 value) external {
+        _decimals = value;
+    }
+    
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+    
+    function setGasZRC20(address token) external {
+        gasZRC20 = token;
+    }
+    
+    function withdrawGasFee() external view returns (address, uint256) {
+        return withdrawGasFeeWithGasLimit(GAS_LIMIT);
+    }
+    
+    function withdrawGasFeeWithGasLimit(uint256 gasLimit) public view returns (address, uint256) {
+        return (gasZRC20, gasLimit * MockZRC20(gasZRC20).gasPrice());
+    }
+}
@@ -1,9 +1,93 @@
 const hre = require("hardhat");
 const fs = require('fs');
 const path = require('path');
+const { NETWORKS } = require('./lib/networks');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, 'deployments');
+const REGISTRY_FILE = path.join(DEPLOYMENTS_DIR, 'registry.json');
+
+// Gas ZRC-20s published with the protocol contracts, keyed by ZetaChain chain ID
+const PROTOCOL_ADDRESSES = {
+    7000: '@zetachain/protocol-contracts/dist/data/addresses.mainnet.json',
+    7001: '@zetachain/protocol-contracts/dist/data/addresses.testnet.json'
+};
+
+function protocolGasTokens(chainId) {
+    if (!PROTOCOL_ADDRESSES[chainId]) return {};
+    return require(PROTOCOL_ADDRESSES[chainId])
+        .filter(entry => entry.type === 'zrc20' && entry.coin_type === 'gas' && Number(entry.chain_id) === chainId)
+        .reduce((tokens, entry) => ({ ...tokens, [entry.foreign_chain_id]: entry.address }), {});
+}
+
+/**
+ * Every ZRC-20 on the chain, offered by the frontend's deposit asset picker
+ */
+function protocolDepositTokens(chainId) {
+    if (!PROTOCOL_ADDRESSES[chainId]) return [];
+    return require(PROTOCOL_ADDRESSES[chainId])
+        .filter(entry => entry.type === 'zrc20' && Number(entry.chain_id) === chainId)
+        .map(entry => ({ address: entry.address, symbol: entry.symbol, decimals: entry.decimals }))
+        .sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * Local chains have no GatewayZEVM or ZRC-20s: deploy the mocks, with gas
+ * tokens (and a 6-decimal USDC to deposit) minted to the deployer so
+ * deposits and withdrawals work out of the box
+ */
+async function deployLocalGateway(deployer, destinationChainIds) {
+    const gateway = await hre.ethers.deployContract("MockGatewayZEVM");
+    await gateway.waitForDeployment();
+    
+    const gasTokens = {};
+    const depositTokens = [];
+    for (const destinationChainId of destinationChainIds) {
+        const symbol = `GAS.${destinationChainId}`;
+        const token = await hre.ethers.deployContract("MockZRC20", [`Mock gas ZRC-20 (chain ${destinationChainId})`, symbol, hre.ethers.parseUnits("10", "gwei")]);
+        await token.waitForDeployment();
+        await (await token.mint(deployer.address, hre.ethers.parseEther("100"))).wait();
+        gasTokens[destinationChainId] = await token.getAddress();
+        depositTokens.push({ address: gasTokens[destinationChainId], symbol, decimals: 18 });
+    }
+    
+    const usdc = await hre.ethers.deployContract("MockZRC20", ["Mock USDC ZRC-20", "USDC.LOCAL", 0]);
+    await usdc.waitForDeployment();
+    await (await usdc.setDecimals(6)).wait();
+    // A ZRC-20 only withdraws to its own chain: USDC.LOCAL comes from the first one
+    await (await usdc.setGasZRC20(gasTokens[destinationChainIds[0]])).wait();
+    await (await usdc.mint(deployer.address, hre.ethers.parseUnits("10000", 6))).wait();
+    depositTokens.push({ address: await usdc.getAddress(), symbol: "USDC.LOCAL", decimals: 6 });
+    
+    return { gatewayAddress: await gateway.getAddress(), gasTokens, depositTokens };
+}
+
+/**
+ * Local chains stand in for the connected chains too: one MockGatewayEVM and a
+ * BadgeConnector per destination, so badge transfers can be relayed by hand
+ */
+async function deployLocalConnectors(trackerAddress, destinationChainIds, libraries) {
+    const gateway = await hre.ethers.deployContract("MockGatewayEVM");
+    await gateway.waitForDeployment();
+    
+    const connectors = {};
+    for (const destinationChainId of destinationChainIds) {
+        const connector = await hre.ethers.deployContract("BadgeConnector", [await gateway.getAddress(), trackerAddress], { libraries });
+        await connector.waitForDeployment();
+        connectors[destinationChainId] = await connector.getAddress();
+    }
+    return connectors;
+}
+
+function readRegistry() {
+    if (!fs.existsSync(REGISTRY_FILE)) return {};
+    return JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+}
 
 async function main() {
-    console.log("\n🚀 Deploying to ZetaChain Mainnet Beta...\n");
+    const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    const networkMeta = NETWORKS[chainId] || {};
+    
+    console.log(`\n🚀 Deploying to ${networkMeta.name || hre.network.name}...\n`);
     
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying with account:", deployer.address);
@@ -15,71 +99,141 @@ async function main() {
         console.warn("⚠️  WARNING: Low balance. Ensure you have enough ZETA for deployment.");
     }
     
-    const GATEWAY_ADDRESS = "0x6c533f7fe93fae114d0954697069df33c9b74fd7";
+    const destinationChainIds = networkMeta.destinationChainIds || [];
+    let GATEWAY_ADDRESS = process.env.GATEWAY_ADDRESS || networkMeta.gatewayAddress;
+    let gasTokens = protocolGasTokens(chainId);
+    let depositTokens = protocolDepositTokens(chainId);
+    const localMocks = !GATEWAY_ADDRESS;
+    if (localMocks) {
+        if (chainId !== 31337) {
+            throw new Error(`No gateway configured for chain ${chainId}. Set GATEWAY_ADDRESS in .env`);
+        }
+        console.log("\n⏳ Deploying mock gateway and gas ZRC-20s for the local chain...");
+        ({ gatewayAddress: GATEWAY_ADDRESS, gasTokens, depositTokens } = await deployLocalGateway(deployer, destinationChainIds));
+    }
     
     console.log("\n📋 Deployment Configuration:");
     console.log("   Network:", hre.network.name);
-    console.log("   Chain ID:", (await hre.ethers.provider.getNetwork()).chainId);
+    console.log("   Chain ID:", chainId);
     console.log("   Gateway:", GATEWAY_ADDRESS);
-    console.log("   Mode: Standard Protection (30% static gas buffer)");
+    console.log("   Mode: Volatility Premium (30% default, see setPremium)");
     
-    console.log("\n⏳ Deploying OmnichainTrackerMainnet...");
+    console.log("\n⏳ Deploying BadgeMetadata library...");
+    const badgeMetadata = await hre.ethers.deployContract("BadgeMetadata");
+    await badgeMetadata.waitForDeployment();
+    const libraries = { BadgeMetadata: await badgeMetadata.getAddress() };
+    console.log("   Address:", libraries.BadgeMetadata);
     
-    const OmnichainTrackerMainnet = await hre.ethers.getContractFactory("OmnichainTrackerMainnet");
-    const contract = await OmnichainTrackerMainnet.deploy(GATEWAY_ADDRESS);
+    console.log("\n⏳ Deploying GatewayWithdrawal library...");
+    const gatewayWithdrawal = await hre.ethers.deployContract("GatewayWithdrawal");
+    await gatewayWithdrawal.waitForDeployment();
+    const gatewayWithdrawalAddress = await gatewayWithdrawal.getAddress();
+    console.log("   Address:", gatewayWithdrawalAddress);
+    
+    console.log("\n⏳ Deploying OmnichainTracker...");
+    
+    const OmnichainTracker = await hre.ethers.getContractFactory("OmnichainTracker", {
+        libraries: { ...libraries, GatewayWithdrawal: gatewayWithdrawalAddress }
+    });
+    const contract = await OmnichainTracker.deploy(GATEWAY_ADDRESS);
     
     await contract.waitForDeployment();
     const contractAddress = await contract.getAddress();
+    const receipt = await contract.deploymentTransaction().wait();
     
     console.log("\n✅ Contract deployed successfully!");
     console.log("   Address:", contractAddress);
     console.log("   Transaction:", contract.deploymentTransaction().hash);
+    console.log("   Block:", receipt.blockNumber);
+    
+    console.log("\n⛽ Enabling destination chains:");
+    const enabledGasTokens = {};
+    for (const destinationChainId of destinationChainIds) {
+        const zrc20 = gasTokens[destinationChainId];
+        if (!zrc20) {
+            console.warn(`   ⚠️  No gas ZRC-20 known for chain ${destinationChainId}; skipped`);
+            continue;
+        }
+        await (await contract.setGasToken(destinationChainId, zrc20)).wait();
+        enabledGasTokens[destinationChainId] = zrc20;
+        console.log(`   Chain ${destinationChainId}: ${zrc20}`);
+    }
+    
+    // Real connected chains get their BadgeConnector from deploy-universal.js
+    const badgeConnectors = {};
+    if (localMocks) {
+        console.log("\n🏅 Deploying local badge connectors:");
+        const connectors = await deployLocalConnectors(contractAddress, Object.keys(enabledGasTokens), libraries);
+        for (const [destinationChainId, connector] of Object.entries(connectors)) {
+            await (await contract.setBadgeConnector(destinationChainId, connector)).wait();
+            badgeConnectors[destinationChainId] = connector;
+            console.log(`   Chain ${destinationChainId}: ${connector}`);
+        }
+    }
     
     const deploymentInfo = {
         network: hre.network.name,
-        chainId: (await hre.ethers.provider.getNetwork()).chainId.toString(),
+        chainId: chainId.toString(),
         contractAddress: contractAddress,
         gatewayAddress: GATEWAY_ADDRESS,
+        badgeMetadata: libraries.BadgeMetadata,
+        gatewayWithdrawal: gatewayWithdrawalAddress,
+        gasTokens: enabledGasTokens,
+        depositTokens,
+        badgeConnectors,
+        deploymentBlock: receipt.blockNumber,
         deployer: deployer.address,
         deploymentTx: contract.deploymentTransaction().hash,
         timestamp: new Date().toISOString(),
-        mode: "Standard Protection (30% gas buffer)"
+        mode: "Volatility Premium (30% default)"
     };
     
-    const deploymentsDir = path.join(__dirname, 'deployments');
-    if (!fs.existsSync(deploymentsDir)) {
-        fs.mkdirSync(deploymentsDir, { recursive: true });
+    if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+        fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
     }
     
-    const filename = `mainnet-${Date.now()}.json`;
+    const filename = `${hre.network.name}-${Date.now()}.json`;
     fs.writeFileSync(
-        path.join(deploymentsDir, filename),
+        path.join(DEPLOYMENTS_DIR, filename),
         JSON.stringify(deploymentInfo, null, 2)
     );
     
     fs.writeFileSync(
-        path.join(deploymentsDir, 'mainnet-latest.json'),
+        path.join(DEPLOYMENTS_DIR, `${hre.network.name}-latest.json`),
         JSON.stringify(deploymentInfo, null, 2)
     );
     
     console.log("\n💾 Deployment info saved to:", filename);
     
+    // Network-keyed registry loaded by the frontend at startup. The in-process
+    // hardhat network disappears when this script exits, so it is never recorded.
+    if (hre.network.name !== 'hardhat') {
+        const registry = readRegistry();
+        registry[chainId] = deploymentInfo;
+        fs.writeFileSync(REGISTRY_FILE, JSON.stringify(registry, null, 2) + '\n');
+        console.log("💾 Registry updated:", path.relative(__dirname, REGISTRY_FILE), `(chain ${chainId})`);
+    }
+    
     console.log("\n" + "=".repeat(80));
     console.log("📝 VERIFICATION ARGUMENTS");
     console.log("=".repeat(80));
     console.log("\nConstructor Arguments:");
     console.log(GATEWAY_ADDRESS);
     console.log("\nVerification Command:");
-    console.log(`npx hardhat verify --network zeta_mainnet ${contractAddress} "${GATEWAY_ADDRESS}"`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${contractAddress} "${GATEWAY_ADDRESS}"`);
     console.log("\n" + "=".repeat(80));
     
     console.log("\n📋 NEXT STEPS:");
     console.log("=".repeat(80));
-    console.log("1. Update app.js line 13:");
-    console.log(`   this.CONTRACT_ADDRESS = "${contractAddress}";`);
-    console.log("\n2. Verify contract:");
-    console.log(`   https://explorer.zetachain.com/address/${contractAddress}`);
-    console.log("\n3. Start frontend: npm start");
+    console.log("1. The frontend reads deployments/registry.json at startup - no code changes needed.");
+    if (!localMocks) {
+        console.log("   Badge transfers: run deploy-universal.js on each connected chain, then once on this network.");
+    }
+    if (networkMeta.explorerUrl) {
+        console.log("\n2. Verify contract:");
+        console.log(`   ${networkMeta.explorerUrl}/address/${contractAddress}`);
+    }
+    console.log(`\n${networkMeta.explorerUrl ? 3 : 2}. Start frontend: npm start`);
     console.log("=".repeat(80));
     
     console.log("\n✨ Deployment complete!\n");
@@ -0,0 +1,119 @@
+const hre = require("hardhat");
+const fs = require('fs');
+const path = require('path');
+const { NETWORKS } = require('./lib/networks');
+
+const REGISTRY_FILE = path.join(__dirname, 'deployments', 'registry.json');
+
+// GatewayEVM addresses published with the protocol contracts
+const PROTOCOL_ADDRESSES = [
+    '@zetachain/protocol-contracts/dist/data/addresses.mainnet.json',
+    '@zetachain/protocol-contracts/dist/data/addresses.testnet.json'
+];
+
+function protocolGateway(chainId) {
+    const entry = PROTOCOL_ADDRESSES
+        .flatMap(file => require(file))
+        .find(item => item.type === 'gateway' && Number(item.chain_id) === chainId);
+    return entry ? entry.address : null;
+}
+
+function readRegistry() {
+    if (!fs.existsSync(REGISTRY_FILE)) return {};
+    return JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+}
+
+/**
+ * ZetaChain deployment a connected chain belongs to: ZETA_CHAIN_ID, or the
+ * deployed network that lists it as a destination
+ */
+function findZetaDeployment(registry, chainId) {
+    const zetaChainId = Number(process.env.ZETA_CHAIN_ID) || Object.keys(registry).map(Number).find(id =>
+        id !== 31337 && (NETWORKS[id] ? NETWORKS[id].destinationChainIds : []).includes(chainId)
+    );
+    if (!zetaChainId || !registry[zetaChainId]) {
+        throw new Error(`No OmnichainTracker deployment found for chain ${chainId}. Deploy it first or set ZETA_CHAIN_ID`);
+    }
+    return registry[zetaChainId];
+}
+
+/**
+ * Connected chain: deploy the BadgeConnector and record it under its ZetaChain deployment
+ */
+async function deployConnector(chainId, registry) {
+    const deployment = findZetaDeployment(registry, chainId);
+    const gatewayAddress = process.env.GATEWAY_ADDRESS || protocolGateway(chainId);
+    if (!gatewayAddress) {
+        throw new Error(`No GatewayEVM known for chain ${chainId}. Set GATEWAY_ADDRESS in .env`);
+    }
+    
+    console.log("   Gateway:", gatewayAddress);
+    console.log("   OmnichainTracker:", deployment.contractAddress, `(chain ${deployment.chainId})`);
+    console.log("\n⏳ Deploying BadgeMetadata library and BadgeConnector...");
+    
+    const badgeMetadata = await hre.ethers.deployContract("BadgeMetadata");
+    await badgeMetadata.waitForDeployment();
+    const connector = await hre.ethers.deployContract("BadgeConnector", [gatewayAddress, deployment.contractAddress], {
+        libraries: { BadgeMetadata: await badgeMetadata.getAddress() }
+    });
+    await connector.waitForDeployment();
+    const connectorAddress = await connector.getAddress();
+    console.log("✅ BadgeConnector deployed:", connectorAddress);
+    
+    deployment.badgeConnectors = { ...deployment.badgeConnectors, [chainId]: connectorAddress };
+    fs.writeFileSync(REGISTRY_FILE, JSON.stringify(registry, null, 2) + '\n');
+    console.log("💾 Registry updated:", path.relative(__dirname, REGISTRY_FILE));
+    
+    console.log("\n📋 NEXT STEP: register it on ZetaChain");
+    console.log(`   npx hardhat run deploy-universal.js --network ${NETWORKS[deployment.chainId] ? NETWORKS[deployment.chainId].hardhatNetwork : '<zetachain network>'}`);
+}
+
+/**
+ * ZetaChain: point OmnichainTracker at every connector recorded in the registry
+ */
+async function registerConnectors(chainId, registry) {
+    const deployment = registry[chainId];
+    if (!deployment || !deployment.contractAddress) {
+        throw new Error(`No OmnichainTracker deployment for chain ${chainId}. Run deploy-mainnet.js first`);
+    }
+    
+    const tracker = await hre.ethers.getContractAt("OmnichainTracker", deployment.contractAddress);
+    const connectors = Object.entries(deployment.badgeConnectors || {});
+    if (connectors.length === 0) {
+        console.warn("⚠️  No badge connectors recorded. Deploy one per connected chain first.");
+    }
+    
+    for (const [destinationChainId, connector] of connectors) {
+        if ((await tracker.badgeConnectors(destinationChainId)).toLowerCase() === connector.toLowerCase()) {
+            console.log(`   Chain ${destinationChainId}: ${connector} (already set)`);
+            continue;
+        }
+        await (await tracker.setBadgeConnector(destinationChainId, connector)).wait();
+        console.log(`   Chain ${destinationChainId}: ${connector}`);
+    }
+}
+
+async function main() {
+    const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    const registry = readRegistry();
+    const onZetaChain = chainId === 7000 || chainId === 7001;
+    
+    console.log(`\n🚀 Universal badge setup on ${hre.network.name} (chain ${chainId})...\n`);
+    
+    if (onZetaChain) {
+        console.log("🔗 Registering badge connectors:");
+        await registerConnectors(chainId, registry);
+    } else {
+        await deployConnector(chainId, registry);
+    }
+    
+    console.log("\n✨ Done!\n");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("\n❌ Universal badge setup failed:");
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
 require('dotenv').config();
+require("./tasks/admin");
+require("./tasks/export");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -9,10 +11,19 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // The IR pipeline keeps withdrawAndTrack within the stack limit and
+      // OmnichainTracker under the 24 KB code size limit
+      viaIR: true
     }
   },
   networks: {
+    // ZetaChain Mainnet
+    zeta_mainnet: {
+      url: "https://zetachain-evm.blockpi.network/v1/rpc/public",
+      chainId: 7000,
+      accounts: process.env.PRIVATE_KEY ? [`0x${process.env.PRIVATE_KEY}`] : []
+    },
     // ZetaChain Athens Testnet
     zetachainAthens: {
       url: "https://zetachain-athens-evm.blockpi.network/v1/rpc/public",
@@ -39,6 +50,11 @@ module.exports = {
       accounts: process.env.PRIVATE_KEY ? [`0x${process.env.PRIVATE_KEY}`] : []
     }
   },
+  // REPORT_GAS=true npm test
+  gasReporter: {
+    enabled: !!process.env.REPORT_GAS,
+    currency: "USD"
+  },
   etherscan: {
     apiKey: {
       sepolia: process.env.ETHERSCAN_API_KEY || "",
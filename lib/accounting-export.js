@@ -0,0 +1,312 @@
+// ZetaChain Universal Portfolio Tracker
+// Accounting Export - positions, withdrawals and badge events as CSV or JSON, in the browser or from Node
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AccountingExport = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const NATIVE_TOKEN = '0x0000000000000000000000000000000000000000';
+    // keccak256("Transfer(address,address,uint256)")
+    const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+    // The tracker pays a ZETA withdrawal's gateway fee straight from the user to the protocol
+    const PROTOCOL_ADDRESS = '0x735b14bb79463307aacbed86daf3322b1e6226ab';
+    const STATUS_NAMES = ['Active', 'Withdrawn', 'Refunded', 'Failed'];
+    const TIER_NAMES = ['Genesis', 'Silver', 'Gold'];
+
+    // Events whose transactions are charged to the user: a gateway fee in a gas ZRC-20
+    // (withdrawals, badge transfers) and network gas in ZETA
+    const RECEIPT_EVENTS = ['WithdrawInitiated', 'EmergencyWithdrawn', 'BadgeTransferredCrossChain'];
+    const BADGE_EVENTS = ['SafetyBadgeMinted', 'BadgeUpgraded', 'BadgeTransferredCrossChain', 'BadgeReturned', 'BadgeTransferReverted'];
+
+    const POSITION_COLUMNS = [
+        'positionId', 'record', 'token', 'tokenAddress', 'amount', 'status', 'createdAt', 'withdrawnAt',
+        'refundedAt', 'destinationChainId', 'crossChainTxHash', 'fee', 'feeToken', 'networkFee',
+        'depositTxHash', 'txHash', 'refundTxHash'
+    ];
+    const BADGE_COLUMNS = ['event', 'tokenId', 'detail', 'chainId', 'at', 'fee', 'feeToken', 'networkFee', 'txHash'];
+
+    function toBigInt(value) {
+        return BigInt(value.toString());
+    }
+
+    function isoTime(seconds) {
+        return seconds ? new Date(Number(seconds) * 1000).toISOString() : null;
+    }
+
+    /**
+     * Fixed-point amount with `precision` fraction digits, rounded half up
+     * @param {bigint|string|Object} value - base units; BigNumber-likes are accepted
+     */
+    function formatUnits(value, decimals, precision = decimals) {
+        let amount = toBigInt(value);
+        const digits = Math.min(precision, decimals);
+        const dropped = 10n ** BigInt(decimals - digits);
+        amount = (amount + dropped / 2n) / dropped;
+
+        const scale = 10n ** BigInt(digits);
+        const whole = (amount / scale).toString();
+        return digits > 0 ? `${whole}.${(amount % scale).toString().padStart(digits, '0')}` : whole;
+    }
+
+    /**
+     * Inclusive range in unix seconds from YYYY-MM-DD dates (UTC); either end may be empty
+     * @returns {Object} {from, to}, null for an open end
+     * @throws on dates that do not parse or a range that ends before it starts
+     */
+    function parseRange(from, to) {
+        const parse = (value, endOfDay) => {
+            if (!value) return null;
+            const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+            if (Number.isNaN(time)) throw new Error(`"${value}" is not a date`);
+            return Math.floor(time / 1000) + (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? 86399 : 0);
+        };
+        const range = { from: parse(from, false), to: parse(to, true) };
+        if (range.from !== null && range.to !== null && range.to < range.from) {
+            throw new Error('The export range ends before it starts');
+        }
+        return range;
+    }
+
+    /**
+     * Read everything a report needs for one user.
+     *
+     * @param {Object} options
+     * @param {Object} options.contract - OmnichainTracker (ethers v5 or v6)
+     * @param {Object} options.provider - provider for transaction receipts
+     * @param {string} options.user - account to export
+     * @param {Object} options.history - EventHistory of the user, synced here
+     * @param {Function} options.tokenInfo - async (address) => {symbol, decimals}
+     * @returns {Promise<Object>} raw data for buildReport
+     */
+    async function collect({ contract, provider, user, history, tokenInfo }) {
+        const [positions, withdrawals, entries] = await Promise.all([
+            contract.getUserPositions(user),
+            contract.getUserWithdrawals(user),
+            history.sync()
+        ]);
+        const contractAddress = (contract.address || contract.target).toLowerCase();
+        const account = user.toLowerCase();
+
+        // The gas ZRC-20 the user paid the tracker (or the protocol) in each transaction, and its network gas
+        const receipts = {};
+        const hashes = [...new Set(entries.filter(entry => RECEIPT_EVENTS.includes(entry.event)).map(entry => entry.transactionHash))];
+        for (const hash of hashes) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (!receipt) continue;
+            const fees = receipt.logs
+                .filter(log => log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3 &&
+                    `0x${log.topics[1].slice(26)}`.toLowerCase() === account &&
+                    [contractAddress, PROTOCOL_ADDRESS].includes(`0x${log.topics[2].slice(26)}`.toLowerCase()))
+                .map(log => ({ token: log.address.toLowerCase(), amount: BigInt(log.data).toString() }));
+            // ethers v5 reports effectiveGasPrice, v6 folds it into gasPrice
+            const gasPrice = receipt.effectiveGasPrice || receipt.gasPrice || 0;
+            receipts[hash] = { fees, networkFee: (toBigInt(receipt.gasUsed) * toBigInt(gasPrice)).toString() };
+        }
+
+        const addresses = new Set([NATIVE_TOKEN]);
+        positions.forEach(position => addresses.add((position.token || NATIVE_TOKEN).toLowerCase()));
+        Object.values(receipts).forEach(receipt => receipt.fees.forEach(fee => addresses.add(fee.token)));
+        const tokens = {};
+        for (const address of addresses) {
+            const info = await tokenInfo(address);
+            tokens[address] = { symbol: info.symbol, decimals: Number(info.decimals) };
+        }
+
+        return {
+            user,
+            contract: contract.address || contract.target,
+            positions: positions.map(position => ({
+                amount: position.amount.toString(),
+                timestamp: Number(position.timestamp),
+                status: Number(position.status),
+                crossChainTxHash: position.crossChainTxHash,
+                token: (position.token || NATIVE_TOKEN).toLowerCase()
+            })),
+            withdrawals: withdrawals.map(withdrawal => ({
+                positionId: Number(withdrawal.positionId),
+                amount: withdrawal.amount.toString(),
+                timestamp: Number(withdrawal.timestamp),
+                destinationChainId: Number(withdrawal.destinationChainId),
+                status: Number(withdrawal.status),
+                crossChainTxHash: withdrawal.crossChainTxHash
+            })),
+            entries,
+            receipts,
+            tokens
+        };
+    }
+
+    /**
+     * Join positions, withdrawals and events into report rows.
+     *
+     * Each position gives one row per withdrawal and per emergency exit, plus a `holding`
+     * row while it is Active or when nothing left it. Fees are charged per transaction, so
+     * in a batch they are reported on its first row and the others show 0.
+     * Rows are kept when their own date (withdrawal, exit or, for holdings, creation) is in range.
+     *
+     * @param {Object} data - from collect
+     * @param {Object} [options]
+     * @param {number|null} [options.from] - unix seconds, inclusive (see parseRange)
+     * @param {number|null} [options.to] - unix seconds, inclusive
+     * @param {number} [options.precision] - fraction digits of amounts (18 = full ZETA precision)
+     * @param {number} [options.now] - report time in ms, for tests
+     * @returns {Object} {user, contract, generatedAt, range, precision, positions, badges}
+     */
+    function buildReport(data, { from = null, to = null, precision = 18, now = Date.now() } = {}) {
+        const { entries, receipts, tokens } = data;
+        const amount = (value, token) => formatUnits(value, tokens[token].decimals, precision);
+        const symbol = token => tokens[token].symbol;
+        const eventsOf = (name) => entries.filter(entry => entry.event === name).slice().reverse();
+        const inRange = seconds => (from === null || seconds >= from) && (to === null || seconds <= to);
+
+        // Fee columns of a transaction; only its first row carries the fee
+        const charged = new Set();
+        const feeColumns = (hash) => {
+            const receipt = hash && receipts[hash];
+            if (!receipt) return { fee: null, feeToken: null, networkFee: null };
+            const first = !charged.has(hash);
+            charged.add(hash);
+            const paid = receipt.fees[0];
+            return {
+                fee: paid ? amount(first ? paid.amount : 0n, paid.token) : null,
+                feeToken: paid ? symbol(paid.token) : null,
+                networkFee: amount(first ? receipt.networkFee : 0n, NATIVE_TOKEN)
+            };
+        };
+
+        const deposits = {};
+        [...eventsOf('PositionCreated'), ...eventsOf('TokenPositionCreated')]
+            .forEach(entry => { deposits[entry.args.positionId] = entry.transactionHash; });
+        const initiated = {};
+        eventsOf('WithdrawInitiated').forEach(entry => { initiated[entry.args.withdrawalId] = entry; });
+        const settlements = [...eventsOf('RevertSuccess'), ...eventsOf('WithdrawAborted')];
+
+        const rows = [];
+        data.positions.forEach((position, positionId) => {
+            const base = {
+                positionId,
+                token: symbol(position.token),
+                tokenAddress: position.token,
+                createdAt: isoTime(position.timestamp),
+                depositTxHash: deposits[positionId] || null
+            };
+            const own = [];
+
+            data.withdrawals.forEach((withdrawal, withdrawalId) => {
+                if (withdrawal.positionId !== positionId) return;
+                const event = initiated[withdrawalId];
+                const settled = settlements.find(entry =>
+                    entry.args.txHash === withdrawal.crossChainTxHash && Number(entry.args.positionId) === positionId);
+                own.push({
+                    date: withdrawal.timestamp,
+                    row: {
+                        ...base,
+                        record: 'withdrawal',
+                        amount: amount(withdrawal.amount, position.token),
+                        status: STATUS_NAMES[withdrawal.status],
+                        withdrawnAt: isoTime(withdrawal.timestamp),
+                        refundedAt: settled ? isoTime(settled.timestamp) : null,
+                        destinationChainId: withdrawal.destinationChainId,
+                        crossChainTxHash: withdrawal.crossChainTxHash,
+                        ...feeColumns(event && event.transactionHash),
+                        txHash: event ? event.transactionHash : null,
+                        refundTxHash: settled ? settled.transactionHash : null
+                    }
+                });
+            });
+
+            eventsOf('EmergencyWithdrawn')
+                .filter(entry => Number(entry.args.positionId) === positionId)
+                .forEach(entry => own.push({
+                    date: entry.timestamp,
+                    row: {
+                        ...base,
+                        record: 'emergency',
+                        amount: amount(entry.args.amount, position.token),
+                        status: 'Emergency Exit',
+                        withdrawnAt: isoTime(entry.timestamp),
+                        ...feeColumns(entry.transactionHash),
+                        txHash: entry.transactionHash
+                    }
+                }));
+
+            if (position.status === 0 || own.length === 0) {
+                own.push({
+                    date: position.timestamp,
+                    row: { ...base, record: 'holding', amount: amount(position.amount, position.token), status: STATUS_NAMES[position.status] }
+                });
+            }
+
+            own.filter(item => inRange(item.date)).forEach(item => rows.push(item.row));
+        });
+
+        const badges = entries.slice().reverse()
+            .filter(entry => BADGE_EVENTS.includes(entry.event) && inRange(entry.timestamp))
+            .map(entry => {
+                const { args } = entry;
+                const details = {
+                    SafetyBadgeMinted: ['minted', null],
+                    BadgeUpgraded: [`upgraded to ${TIER_NAMES[Number(args.tier)]}`, null],
+                    BadgeTransferredCrossChain: [`sent to ${args.recipient}`, args.destinationChainId],
+                    BadgeReturned: [`returned to ${args.recipient}`, args.sourceChainId],
+                    BadgeTransferReverted: ['transfer reverted', args.destinationChainId]
+                };
+                const [detail, chainId] = details[entry.event];
+                return {
+                    event: entry.event,
+                    tokenId: Number(args.tokenId),
+                    detail,
+                    chainId: chainId === null ? null : Number(chainId),
+                    at: isoTime(entry.timestamp),
+                    ...feeColumns(entry.event === 'BadgeTransferredCrossChain' ? entry.transactionHash : null),
+                    txHash: entry.transactionHash
+                };
+            });
+
+        return {
+            user: data.user,
+            contract: data.contract,
+            generatedAt: new Date(now).toISOString(),
+            range: { from: isoTime(from), to: isoTime(to) },
+            precision,
+            positions: rows.map(row => Object.fromEntries(POSITION_COLUMNS.map(column => [column, row[column] === undefined ? null : row[column]]))),
+            badges
+        };
+    }
+
+    // Quote fields that need it; a leading = + or @ would be run as a formula by spreadsheets
+    function csvField(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * @param {Array<Object>} rows - report.positions or report.badges
+     * @param {Array<string>} [columns] - defaults to the position columns
+     */
+    function toCsv(rows, columns = POSITION_COLUMNS) {
+        return [columns, ...rows.map(row => columns.map(column => row[column]))]
+            .map(fields => fields.map(csvField).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    function toJson(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    return {
+        POSITION_COLUMNS,
+        BADGE_COLUMNS,
+        formatUnits,
+        parseRange,
+        collect,
+        buildReport,
+        toCsv,
+        toJson
+    };
+});
@@ -0,0 +1,190 @@
+// ZetaChain Universal Portfolio Tracker
+// Address Book - labelled withdrawal recipients per destination chain, stored per connected wallet
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AddressBook = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STORAGE_PREFIX = 'address-book:';
+    const EXPORT_VERSION = 1;
+    // Characters compared at each end of an address; address-poisoning tools match about this many
+    const LOOKALIKE_CHARS = 4;
+    // Every recipient format (hex, base58, base64url, TON raw) fits in these; anything else,
+    // markup included, never reaches the book
+    const ADDRESS_CHARS = /^[A-Za-z0-9:+/_-]*$/;
+
+    class AddressBook {
+        /**
+         * @param {Object} options
+         * @param {Function} options.encode - (chainId, address) => {format, bytes, display}, throws
+         *        when the address does not fit the chain (Recipients.encode)
+         * @param {Storage} [options.storage] - localStorage-like store
+         * @param {Function} [options.now] - clock, for tests
+         */
+        constructor({ encode, storage = null, now = () => Date.now() }) {
+            this.encode = encode;
+            this.storage = storage;
+            this.now = now;
+            this.account = null;
+            this.entries = [];
+        }
+
+        /**
+         * Switch to a wallet's book; null closes it
+         */
+        use(account) {
+            this.account = account ? account.toLowerCase() : null;
+            this.restore();
+        }
+
+        restore() {
+            this.entries = [];
+            if (!this.storage || !this.account) return;
+            try {
+                this.entries = JSON.parse(this.storage.getItem(STORAGE_PREFIX + this.account) || '[]');
+            } catch (error) {
+                console.error('Error restoring address book:', error);
+            }
+        }
+
+        persist() {
+            if (this.storage && this.account) {
+                this.storage.setItem(STORAGE_PREFIX + this.account, JSON.stringify(this.entries));
+            }
+        }
+
+        /**
+         * Most recently used first; never-used entries after them, newest first
+         * @param {number|string} [chainId] - only this chain's entries
+         */
+        list(chainId = null) {
+            return this.entries
+                .filter(entry => chainId === null || entry.chainId === Number(chainId))
+                .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0) || b.addedAt - a.addedAt);
+        }
+
+        /**
+         * @returns {Object|null} the entry for this recipient, whatever form it was typed in
+         */
+        find(chainId, address) {
+            const bytes = this.encode(chainId, address).bytes;
+            return this.entries.find(entry => entry.chainId === Number(chainId) && this.encode(entry.chainId, entry.address).bytes === bytes) || null;
+        }
+
+        /**
+         * @returns {Object} the stored entry
+         * @throws without a wallet, chain, label or valid address, or if the recipient is already saved
+         */
+        add(chainId, address, label) {
+            if (!this.account) throw new Error('Connect a wallet to save recipients');
+            if (!(Number(chainId) > 0)) throw new Error('Pick the destination chain');
+            if (typeof address !== 'string' || !ADDRESS_CHARS.test(address.trim())) {
+                throw new Error('The address contains characters no recipient address has');
+            }
+            const name = typeof label === 'string' ? label.trim() : '';
+            if (!name) throw new Error('Give the recipient a label');
+
+            const { display } = this.encode(chainId, address);
+            const existing = this.find(chainId, display);
+            if (existing) throw new Error(`Already saved as "${existing.label}"`);
+
+            const entry = { chainId: Number(chainId), address: display, label: name, addedAt: this.now(), lastUsedAt: null, uses: 0 };
+            this.entries.push(entry);
+            this.persist();
+            return entry;
+        }
+
+        remove(chainId, address) {
+            const entry = this.find(chainId, address);
+            this.entries = this.entries.filter(item => item !== entry);
+            this.persist();
+        }
+
+        /**
+         * Record a send to the recipient, moving it to the top of the list
+         * @returns {Object|null} the updated entry, or null when it is not saved
+         */
+        markUsed(chainId, address) {
+            const entry = this.find(chainId, address);
+            if (!entry) return null;
+            entry.lastUsedAt = this.now();
+            entry.uses += 1;
+            this.persist();
+            return entry;
+        }
+
+        /**
+         * What to warn about before sending to a recipient.
+         * Look-alikes are saved addresses of the same format that share the first and last
+         * characters but differ in between, the shape of an address-poisoning attack.
+         * @returns {Object} {entry, firstTime, lookalikes}
+         */
+        check(chainId, address) {
+            const { format, bytes, display } = this.encode(chainId, address);
+            const entry = this.find(chainId, display);
+            const fingerprint = this.fingerprint(format, display);
+            const lookalikes = this.entries.filter(item => {
+                const saved = this.encode(item.chainId, item.address);
+                return saved.format === format && saved.bytes !== bytes && this.fingerprint(format, saved.display) === fingerprint;
+            });
+            return { entry, firstTime: !entry || !entry.lastUsedAt, lookalikes };
+        }
+
+        // Both ends of the address, without its 0x or workchain prefix; case only matters in base58
+        fingerprint(format, display) {
+            const body = display.replace(/^(0x|-?\d+:)/, '');
+            const ends = body.slice(0, LOOKALIKE_CHARS) + body.slice(-LOOKALIKE_CHARS);
+            return format === 'solana' ? ends : ends.toLowerCase();
+        }
+
+        /**
+         * @returns {string} the book as JSON, for a file download
+         */
+        export() {
+            return JSON.stringify({ version: EXPORT_VERSION, account: this.account, entries: this.list() }, null, 2);
+        }
+
+        /**
+         * Merge an exported book (or a bare array of entries) into this one. Entries that are
+         * invalid or already saved are skipped rather than failing the import.
+         * @returns {Object} {added, skipped: [{address, reason}]}
+         * @throws if the text is not an address book
+         */
+        import(text) {
+            if (!this.account) throw new Error('Connect a wallet to import recipients');
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('The file is not valid JSON');
+            }
+            const entries = Array.isArray(data) ? data : data && data.entries;
+            if (!Array.isArray(entries)) throw new Error('The file has no address book entries');
+            if (data.version && data.version > EXPORT_VERSION) throw new Error(`Address book version ${data.version} is not supported`);
+
+            const result = { added: 0, skipped: [] };
+            entries.forEach(item => {
+                const address = item ? item.address : undefined;
+                try {
+                    const entry = this.add(item && item.chainId, address, item && item.label);
+                    // Keep the dates it had, so the imported order survives
+                    if (Number(item.addedAt) > 0) entry.addedAt = Number(item.addedAt);
+                    if (Number(item.lastUsedAt) > 0) entry.lastUsedAt = Number(item.lastUsedAt);
+                    if (Number(item.uses) > 0) entry.uses = Number(item.uses);
+                    result.added += 1;
+                } catch (error) {
+                    // Only report the address back when it could be one
+                    const shown = typeof address === 'string' && ADDRESS_CHARS.test(address.trim()) ? address : '';
+                    result.skipped.push({ address: shown, reason: error.message });
+                }
+            });
+            this.persist();
+            return result;
+        }
+    }
+
+    return AddressBook;
+});
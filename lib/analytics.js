@@ -0,0 +1,270 @@
+// ZetaChain Universal Portfolio Tracker
+// Analytics - flows, status breakdown, volume, fees and refund rate of one address, with SVG charts
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Analytics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const NATIVE_TOKEN = '0x0000000000000000000000000000000000000000';
+    const STATUS_NAMES = ['Active', 'Withdrawn', 'Refunded', 'Failed'];
+    const DAY = 86400;
+
+    // What each event does to its position, for the status timeline
+    const TIMELINE_EVENTS = {
+        PositionCreated: 'Active',
+        TokenPositionCreated: 'Active',
+        PositionToppedUp: 'Topped Up',
+        WithdrawInitiated: 'Withdrawn',
+        RevertSuccess: 'Refunded',
+        WithdrawAborted: 'Failed',
+        EmergencyWithdrawn: 'Emergency Exit'
+    };
+
+    function toBigInt(value) {
+        return BigInt(value.toString());
+    }
+
+    function tokenOf(position) {
+        return position.token ? position.token.toLowerCase() : NATIVE_TOKEN;
+    }
+
+    function escapeXml(text) {
+        return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    /**
+     * Days for short histories, weeks up to half a year, months beyond
+     */
+    function bucketUnit(first, last) {
+        const span = last - first;
+        if (span <= 31 * DAY) return 'day';
+        if (span <= 182 * DAY) return 'week';
+        return 'month';
+    }
+
+    // Start of the UTC day, Monday-based week or month holding `timestamp`
+    function bucketStart(timestamp, unit) {
+        const date = new Date(timestamp * 1000);
+        if (unit === 'month') return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+        const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / 1000;
+        return unit === 'week' ? day - ((date.getUTCDay() + 6) % 7) * DAY : day;
+    }
+
+    function nextBucket(start, unit) {
+        if (unit === 'day') return start + DAY;
+        if (unit === 'week') return start + 7 * DAY;
+        const date = new Date(start * 1000);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000;
+    }
+
+    function bucketLabel(start, unit) {
+        const iso = new Date(start * 1000).toISOString();
+        return unit === 'month' ? iso.slice(0, 7) : iso.slice(5, 10);
+    }
+
+    /**
+     * Money in and out of positions per period, with empty periods filled in
+     * @param {Array<Object>} movements - {timestamp, direction: 'in'|'out', amount}
+     * @returns {Object} {unit, buckets: [{start, label, in, out}]} - amounts as bigint
+     */
+    function flows(movements) {
+        const dated = movements.filter(movement => movement.timestamp);
+        if (dated.length === 0) return { unit: 'day', buckets: [] };
+
+        const times = dated.map(movement => movement.timestamp);
+        const unit = bucketUnit(Math.min(...times), Math.max(...times));
+        const buckets = [];
+        const end = bucketStart(Math.max(...times), unit);
+        for (let start = bucketStart(Math.min(...times), unit); start <= end; start = nextBucket(start, unit)) {
+            buckets.push({ start, label: bucketLabel(start, unit), in: 0n, out: 0n });
+        }
+
+        dated.forEach(movement => {
+            const bucket = buckets.find(item => item.start === bucketStart(movement.timestamp, unit));
+            bucket[movement.direction] += movement.amount;
+        });
+        return { unit, buckets };
+    }
+
+    function positionIds(positions, token) {
+        const ids = new Set();
+        positions.forEach((position, id) => {
+            if (tokenOf(position) === token) ids.add(id);
+        });
+        return ids;
+    }
+
+    function withdrawalsOf(withdrawals, ids) {
+        return withdrawals
+            .map(withdrawal => ({
+                positionId: Number(withdrawal.positionId),
+                amount: toBigInt(withdrawal.amount),
+                timestamp: Number(withdrawal.timestamp),
+                destinationChainId: Number(withdrawal.destinationChainId),
+                status: Number(withdrawal.status)
+            }))
+            .filter(withdrawal => ids.has(withdrawal.positionId));
+    }
+
+    /**
+     * Money into and out of each position of one asset, oldest first.
+     *
+     * Deposits come from the creation and top-up events. A position created before the
+     * event history reaches back is counted at its creation time with what it held plus
+     * what left it, so its top-ups land there too. Money out is every withdrawal and
+     * emergency exit; a refund pays the wallet, it does not reopen the position.
+     *
+     * @param {Object} sources - as for summarize()
+     * @param {string} [token] - lowercased; ZETA by default
+     * @returns {Array<Object>} {positionId, timestamp, direction: 'in'|'out', amount} - amount as bigint
+     */
+    function movements({ positions, withdrawals, entries = [] }, token = NATIVE_TOKEN) {
+        const ids = positionIds(positions, token);
+        const own = withdrawalsOf(withdrawals, ids);
+        const result = [];
+        const created = new Set();
+
+        entries.forEach(entry => {
+            const positionId = Number(entry.args.positionId);
+            if (entry.args.positionId === undefined || !ids.has(positionId)) return;
+            if (['PositionCreated', 'TokenPositionCreated', 'PositionToppedUp'].includes(entry.event)) {
+                if (entry.event !== 'PositionToppedUp') created.add(positionId);
+                result.push({ positionId, timestamp: entry.timestamp, direction: 'in', amount: toBigInt(entry.args.amount) });
+            } else if (entry.event === 'EmergencyWithdrawn') {
+                result.push({ positionId, timestamp: entry.timestamp, direction: 'out', amount: toBigInt(entry.args.amount) });
+            }
+        });
+        ids.forEach(id => {
+            if (created.has(id)) return;
+            const exited = entries
+                .filter(entry => entry.event === 'EmergencyWithdrawn' && Number(entry.args.positionId) === id)
+                .reduce((sum, entry) => sum + toBigInt(entry.args.amount), 0n);
+            const withdrawn = own
+                .filter(withdrawal => withdrawal.positionId === id)
+                .reduce((sum, withdrawal) => sum + withdrawal.amount, 0n);
+            // A closed position keeps the amount of its last withdrawal or exit, which is already counted
+            const held = Number(positions[id].status) === 0 ? toBigInt(positions[id].amount) : 0n;
+            result.push({ positionId: id, timestamp: Number(positions[id].timestamp), direction: 'in', amount: held + withdrawn + exited });
+        });
+        own.forEach(withdrawal => {
+            result.push({ positionId: withdrawal.positionId, timestamp: withdrawal.timestamp, direction: 'out', amount: withdrawal.amount });
+        });
+
+        // Unconfirmed events have no timestamp yet and go last; ties keep money in before money out
+        return result.sort((a, b) => (a.timestamp || Infinity) - (b.timestamp || Infinity) ||
+            (a.direction === b.direction ? 0 : a.direction === 'in' ? -1 : 1));
+    }
+
+    /**
+     * Analytics of one address for one asset; see movements() for what the flows count.
+     *
+     * @param {Object} sources
+     * @param {Array<Object>} sources.positions - getUserPositions output
+     * @param {Array<Object>} sources.withdrawals - getUserWithdrawals output
+     * @param {Array<Object>} [sources.entries] - EventHistory entries of the address
+     * @param {string} [token] - asset to analyse, lowercased; ZETA by default
+     * @returns {Object} {statusCounts, withdrawalCount, refundCount, abortCount, refundRate,
+     *          volumeByChain, fees, flows, timeline} - amounts as bigint
+     */
+    function summarize({ positions, withdrawals, entries = [] }, token = NATIVE_TOKEN) {
+        const ids = positionIds(positions, token);
+        const ownEvent = entry => entry.args.positionId !== undefined && ids.has(Number(entry.args.positionId));
+
+        const statusCounts = Object.fromEntries(STATUS_NAMES.map(name => [name, 0]));
+        ids.forEach(id => { statusCounts[STATUS_NAMES[Number(positions[id].status)]] += 1; });
+
+        const own = withdrawalsOf(withdrawals, ids);
+        const refundCount = own.filter(withdrawal => withdrawal.status === 2).length;
+        const abortCount = own.filter(withdrawal => withdrawal.status === 3).length;
+
+        const chains = {};
+        own.forEach(withdrawal => {
+            const chain = chains[withdrawal.destinationChainId] ||
+                (chains[withdrawal.destinationChainId] = { chainId: withdrawal.destinationChainId, count: 0, amount: 0n, returned: 0n });
+            chain.count += 1;
+            chain.amount += withdrawal.amount;
+            if (withdrawal.status !== 1) chain.returned += withdrawal.amount;
+        });
+
+        // Gateway fees of every call the address paid for, whatever the position's asset
+        const fees = {};
+        entries.filter(entry => entry.event === 'GatewayFeePaid').forEach(entry => {
+            const gasToken = entry.args.gasToken.toLowerCase();
+            const total = fees[gasToken] || (fees[gasToken] = { fee: 0n, premium: 0n, calls: 0 });
+            total.fee += toBigInt(entry.args.fee);
+            total.premium += toBigInt(entry.args.premiumFee);
+            total.calls += 1;
+        });
+
+        const timeline = entries
+            .filter(entry => TIMELINE_EVENTS[entry.event] && ownEvent(entry))
+            .map(entry => ({
+                timestamp: entry.timestamp,
+                positionId: Number(entry.args.positionId),
+                status: TIMELINE_EVENTS[entry.event],
+                transactionHash: entry.transactionHash
+            }))
+            // Newest first; events of one block keep their reverse log order
+            .reverse()
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+        return {
+            token,
+            statusCounts,
+            withdrawalCount: own.length,
+            refundCount,
+            abortCount,
+            refundRate: own.length > 0 ? refundCount / own.length : null,
+            volumeByChain: Object.values(chains).sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0)),
+            fees,
+            flows: flows(movements({ positions, withdrawals, entries }, token)),
+            timeline
+        };
+    }
+
+    /**
+     * Grouped bar chart of flows().buckets as an SVG string, in and out side by side
+     * @param {Object} options
+     * @param {Function} options.toNumber - bigint amount => number to plot
+     * @param {Function} [options.format] - bigint amount => tooltip text
+     */
+    function flowChart(buckets, { toNumber, format = String, width = 640, height = 220 }) {
+        const top = 12;
+        const bottom = 28;
+        const left = 8;
+        const plot = height - top - bottom;
+        const values = buckets.flatMap(bucket => [toNumber(bucket.in), toNumber(bucket.out)]);
+        const max = Math.max(...values, 0) || 1;
+        const slot = (width - left * 2) / Math.max(buckets.length, 1);
+        const bar = Math.max(1, Math.min(24, slot / 2 - 2));
+        // Label at most ~12 buckets so the text does not overlap
+        const every = Math.ceil(buckets.length / 12);
+
+        const bars = buckets.map((bucket, index) => {
+            const x = left + index * slot + slot / 2;
+            const rect = (value, amount, offset, className, name) => {
+                const h = value > 0 ? Math.max(1, (value / max) * plot) : 0;
+                return `<rect class="${className}" x="${(x + offset).toFixed(1)}" y="${(top + plot - h).toFixed(1)}" width="${bar.toFixed(1)}" height="${h.toFixed(1)}"><title>${escapeXml(`${bucket.label} ${name}: ${format(amount)}`)}</title></rect>`;
+            };
+            const label = index % every === 0
+                ? `<text x="${x.toFixed(1)}" y="${height - 8}" text-anchor="middle">${escapeXml(bucket.label)}</text>`
+                : '';
+            return rect(toNumber(bucket.in), bucket.in, -bar - 1, 'flow-in', 'in') +
+                rect(toNumber(bucket.out), bucket.out, 1, 'flow-out', 'out') + label;
+        }).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="flow-chart" role="img" aria-label="Deposits and withdrawals over time">` +
+            `<line class="flow-axis" x1="${left}" y1="${top + plot}" x2="${width - left}" y2="${top + plot}"/>${bars}</svg>`;
+    }
+
+    return {
+        STATUS_NAMES,
+        summarize,
+        movements,
+        flows,
+        flowChart
+    };
+});
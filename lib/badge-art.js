@@ -0,0 +1,75 @@
+// ZetaChain Universal Portfolio Tracker
+// Badge Art - decodes the Safety Badge token URI and its on-chain SVG without the network
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BadgeArt = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DATA_URI = /^data:([^;,]+)((?:;[^;,]+)*),(.*)$/s;
+
+    function decodeBase64(value) {
+        if (typeof Buffer !== 'undefined') return Buffer.from(value, 'base64').toString('utf8');
+        const bytes = Uint8Array.from(atob(value), char => char.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    }
+
+    function encodeBase64(text) {
+        if (typeof Buffer !== 'undefined') return Buffer.from(text, 'utf8').toString('base64');
+        const bytes = new TextEncoder().encode(text);
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    }
+
+    /**
+     * @returns {Object} {mimeType, text}
+     * @throws if `uri` is not a data URI
+     */
+    function decodeDataUri(uri) {
+        const match = DATA_URI.exec(uri || '');
+        if (!match) throw new Error('Not a data URI');
+
+        const [, mimeType, params, payload] = match;
+        const base64 = params.split(';').includes('base64');
+        // Older deployments emit raw `;utf8,` JSON; it may or may not be percent-encoded
+        let text = payload;
+        if (base64) {
+            text = decodeBase64(payload);
+        } else {
+            try {
+                text = decodeURIComponent(payload);
+            } catch (error) {
+                text = payload;
+            }
+        }
+        return { mimeType, text };
+    }
+
+    /**
+     * Read tokenURI output. New badges carry their SVG inline; older ones point
+     * `image` at a remote URL, returned as `imageUrl` with `svg` null.
+     * @returns {Object} {metadata, svg, imageUrl}
+     */
+    function readTokenURI(uri) {
+        const metadata = JSON.parse(decodeDataUri(uri).text);
+        const image = metadata.image || '';
+
+        if (image.startsWith('data:')) {
+            const { mimeType, text } = decodeDataUri(image);
+            if (mimeType !== 'image/svg+xml') throw new Error(`Unsupported badge image type ${mimeType}`);
+            return { metadata, svg: text, imageUrl: svgDataUri(text) };
+        }
+        return { metadata, svg: null, imageUrl: image || null };
+    }
+
+    function svgDataUri(svg) {
+        return `data:image/svg+xml;base64,${encodeBase64(svg)}`;
+    }
+
+    return {
+        decodeDataUri,
+        readTokenURI,
+        svgDataUri
+    };
+});
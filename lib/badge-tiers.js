@@ -0,0 +1,110 @@
+// ZetaChain Universal Portfolio Tracker
+// Badge Tiers - Safety Badge tier progress, computed from a user's withdrawals
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BadgeTiers = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // OmnichainTracker.BadgeTier
+    const TIER = { NONE: 0, GENESIS: 1, SILVER: 2, GOLD: 3 };
+    const TIER_NAMES = ['None', 'Genesis', 'Silver', 'Gold'];
+
+    // OmnichainTracker.PositionStatus
+    const STATUS_WITHDRAWN = 1;
+    const STATUS_REFUNDED = 2;
+
+    const REQUIREMENTS = ['withdrawals', 'volume', 'refunds'];
+
+    function toBigInt(value) {
+        return BigInt((value && value.toString) ? value.toString() : value || 0);
+    }
+
+    /**
+     * Mirror of the contract's safetyStats: protected withdrawals that stood (and
+     * their volume in wei of ZETA) and protected withdrawals that were refunded.
+     * Plain transfers and aborted withdrawals count for neither; ZRC-20 withdrawals
+     * count but add no volume.
+     * @param {Array<Object>} withdrawals - getUserWithdrawals output
+     * @param {Array<Object>} positions - getUserPositions output, for each withdrawal's asset
+     * @returns {Object} {withdrawals, volume, refunds} - volume as a BigInt
+     */
+    function statsFromWithdrawals(withdrawals, positions) {
+        const stats = { withdrawals: 0, volume: 0n, refunds: 0 };
+        for (const withdrawal of withdrawals || []) {
+            if (!withdrawal.protected) continue;
+            const status = Number(withdrawal.status);
+            if (status === STATUS_WITHDRAWN) {
+                const position = (positions || [])[Number(withdrawal.positionId)];
+                stats.withdrawals += 1;
+                if (!position || !position.token || BigInt(position.token) === 0n) stats.volume += toBigInt(withdrawal.amount);
+            } else if (status === STATUS_REFUNDED) {
+                stats.refunds += 1;
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * @param {Object} requirement - tierRequirements(tier) output
+     * @returns {Object} {withdrawals, volume, refunds} - volume as a BigInt
+     */
+    function normalizeRequirement(requirement) {
+        return {
+            withdrawals: Number(requirement.withdrawals || 0),
+            volume: toBigInt(requirement.volume),
+            refunds: Number(requirement.refunds || 0)
+        };
+    }
+
+    function meets(stats, requirement) {
+        return REQUIREMENTS.every(key => toBigInt(stats[key]) >= toBigInt(requirement[key]));
+    }
+
+    /**
+     * Highest tier the stats reach, like the contract's eligibleTier
+     * @param {Object} requirements - {[TIER.SILVER]: requirement, [TIER.GOLD]: requirement}
+     * @param {boolean} unlocked - hasUsedSafetyBuffer
+     */
+    function tierFor(stats, requirements, unlocked) {
+        if (!unlocked) return TIER.NONE;
+        if (!meets(stats, normalizeRequirement(requirements[TIER.SILVER]))) return TIER.GENESIS;
+        if (!meets(stats, normalizeRequirement(requirements[TIER.GOLD]))) return TIER.SILVER;
+        return TIER.GOLD;
+    }
+
+    /**
+     * Progress from `tier` towards the one above it. Each requirement is
+     * capped at 1 and the overall ratio is their average, so the bar only
+     * fills once every requirement is met.
+     * @returns {Object} {tier, name, next, nextName, requirements, ratio} -
+     *          next is null at the top tier; requirements lists {key, have, need, ratio}
+     */
+    function progress(stats, requirements, tier) {
+        const next = tier >= TIER.GOLD ? null : Math.max(tier + 1, TIER.SILVER);
+        const result = { tier, name: TIER_NAMES[tier], next, nextName: next ? TIER_NAMES[next] : null, requirements: [], ratio: 1 };
+        if (!next) return result;
+
+        const need = normalizeRequirement(requirements[next]);
+        result.requirements = REQUIREMENTS.map(key => {
+            const have = toBigInt(stats[key]);
+            const target = toBigInt(need[key]);
+            // Scaled to keep volume ratios exact enough without floats on wei
+            const ratio = target === 0n || have >= target ? 1 : Number((have * 1000n) / target) / 1000;
+            return { key, have: stats[key], need: need[key], ratio };
+        });
+        result.ratio = result.requirements.reduce((sum, item) => sum + item.ratio, 0) / result.requirements.length;
+        return result;
+    }
+
+    return {
+        TIER,
+        TIER_NAMES,
+        statsFromWithdrawals,
+        normalizeRequirement,
+        tierFor,
+        progress
+    };
+});
@@ -0,0 +1,264 @@
+// ZetaChain Universal Portfolio Tracker
+// CCTX Tracker - follows withdrawals through ZetaChain's cross-chain transaction pipeline
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CctxTracker = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STORAGE_KEY = 'cctx:records';
+    const DEFAULT_INTERVAL = 10000;
+    const LOOKUP_TIMEOUT = 60 * 60 * 1000;   // stop asking about hashes the observers never saw
+
+    const STATE = {
+        UNKNOWN: 'unknown',       // not indexed by the observers yet
+        PENDING: 'pending',
+        MINED: 'mined',
+        REVERTED: 'reverted',
+        ABORTED: 'aborted'
+    };
+
+    const TERMINAL = [STATE.MINED, STATE.REVERTED, STATE.ABORTED];
+
+    // cctx_status.status values reported by the crosschain module
+    const STATE_BY_STATUS = {
+        PendingInbound: STATE.PENDING,
+        PendingOutbound: STATE.PENDING,
+        PendingRevert: STATE.PENDING,
+        OutboundMined: STATE.MINED,
+        Reverted: STATE.REVERTED,
+        Aborted: STATE.ABORTED
+    };
+
+    function toMillis(seconds) {
+        const value = Number(seconds);
+        return value > 0 ? value * 1000 : null;
+    }
+
+    /**
+     * Flatten a CrossChainTx from the REST API into the fields the UI needs
+     */
+    function normalize(raw) {
+        const status = raw.cctx_status || {};
+        const outbound = (raw.outbound_params || []).slice(-1)[0] || {};
+        return {
+            index: raw.index || null,
+            status: status.status || null,
+            state: STATE_BY_STATUS[status.status] || STATE.PENDING,
+            statusMessage: status.status_message || status.error_message || '',
+            createdAt: toMillis(status.created_timestamp),
+            updatedAt: toMillis(status.lastUpdate_timestamp),
+            outboundHash: outbound.hash || outbound.outbound_tx_hash || null,
+            outboundChainId: outbound.receiver_chainId ? Number(outbound.receiver_chainId) : null
+        };
+    }
+
+    /**
+     * Looks CCTXs up by inbound hash on a ZetaChain node's REST (LCD) API or an
+     * indexer exposing the same route
+     */
+    class HttpBackend {
+        /**
+         * @param {Object} options
+         * @param {string} options.baseUrl - e.g. https://zetachain.blockpi.network/lcd/v1/public
+         * @param {Function} [options.fetchImpl] - fetch-compatible function
+         */
+        constructor({ baseUrl, fetchImpl = null }) {
+            this.baseUrl = baseUrl.replace(/\/+$/, '');
+            this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+        }
+
+        /**
+         * @returns {Promise<Array<Object>>} normalized CCTXs, empty while not yet indexed
+         */
+        async lookup(hash) {
+            const response = await this.fetchImpl(`${this.baseUrl}/zeta-chain/crosschain/inboundHashToCctxData/${hash}`);
+            const text = await response.text();
+
+            if (!response.ok) {
+                // Unindexed hashes come back as 404, or as a gRPC NotFound (code 5) on some gateways
+                if (response.status === 404 || /"code":\s*5\b|not found/i.test(text)) return [];
+                throw new Error(`CCTX lookup failed (HTTP ${response.status})`);
+            }
+
+            const body = JSON.parse(text);
+            return (body.CrossChainTxs || body.crossChainTxs || []).map(normalize);
+        }
+    }
+
+    class CctxTracker {
+        /**
+         * Polls a backend for every tracked withdrawal until it reaches a final
+         * state. Records are persisted so finished lookups survive a reload.
+         *
+         * @param {Object} options
+         * @param {Object} options.backend - exposes lookup(hash) => Promise<Array>
+         * @param {string} [options.namespace] - separates records per chain in storage
+         * @param {Storage} [options.storage] - localStorage-like store for records
+         * @param {Function} [options.onUpdate] - called with the record whenever it changes
+         * @param {number} [options.interval] - polling interval in ms
+         */
+        constructor({ backend, namespace = '', storage = null, onUpdate = () => {}, interval = DEFAULT_INTERVAL }) {
+            this.backend = backend;
+            this.storageKey = namespace ? `${STORAGE_KEY}:${namespace}` : STORAGE_KEY;
+            this.storage = storage;
+            this.onUpdate = onUpdate;
+            this.interval = interval;
+
+            this.records = {};
+            this.timer = null;
+            this.polling = null;
+            this.stopped = false;
+
+            this.restore();
+        }
+
+        restore() {
+            if (!this.storage) return;
+            try {
+                this.records = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            } catch (error) {
+                console.error('Error restoring CCTX records:', error);
+            }
+        }
+
+        persist() {
+            if (!this.storage) return;
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.records));
+            } catch (error) {
+                console.error('Error persisting CCTX records:', error);
+            }
+        }
+
+        get(key) {
+            return this.records[key] || null;
+        }
+
+        /**
+         * Start following an inbound hash under a caller-chosen key
+         * (e.g. owner:positionId). A new hash for the same key starts over.
+         */
+        track(key, hash) {
+            const existing = this.records[key];
+            if (existing && existing.hash === hash) return existing;
+
+            this.records[key] = {
+                key,
+                hash,
+                state: STATE.UNKNOWN,
+                status: null,
+                statusMessage: '',
+                cctxIndex: null,
+                outboundHash: null,
+                outboundChainId: null,
+                createdAt: null,
+                updatedAt: null,
+                trackedAt: Date.now(),
+                checkedAt: null,
+                error: null
+            };
+            this.persist();
+            this.stopped = false;
+            this.schedule(0);
+            return this.records[key];
+        }
+
+        isTerminal(record) {
+            return TERMINAL.includes(record.state);
+        }
+
+        isStale(record) {
+            return record.state === STATE.UNKNOWN && Date.now() - record.trackedAt > LOOKUP_TIMEOUT;
+        }
+
+        active() {
+            return Object.values(this.records).filter(record => !this.isTerminal(record) && !this.isStale(record));
+        }
+
+        /**
+         * Resume polling records restored from storage
+         */
+        start() {
+            this.stopped = false;
+            if (this.active().length > 0) this.schedule(0);
+        }
+
+        schedule(delay = this.interval) {
+            if (this.stopped) return;
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.poll(), delay);
+        }
+
+        /**
+         * Check every unfinished record once. Concurrent callers share the same pass.
+         */
+        poll() {
+            if (!this.polling) {
+                this.polling = this.pollActive().finally(() => {
+                    this.polling = null;
+                    if (this.active().length > 0) this.schedule();
+                });
+            }
+            return this.polling;
+        }
+
+        async pollActive() {
+            for (const record of this.active()) {
+                if (this.stopped) return;
+                await this.refresh(record);
+            }
+        }
+
+        async refresh(record) {
+            let cctxs;
+            try {
+                cctxs = await this.backend.lookup(record.hash);
+                record.error = null;
+            } catch (error) {
+                record.error = error.message;
+                record.checkedAt = Date.now();
+                this.persist();
+                return;
+            }
+
+            record.checkedAt = Date.now();
+            // A withdrawal produces one CCTX; if there are several, the newest decides
+            const cctx = cctxs.slice().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))[0];
+            if (!cctx) {
+                this.persist();
+                return;
+            }
+
+            const changed = cctx.status !== record.status || cctx.outboundHash !== record.outboundHash;
+            Object.assign(record, {
+                state: cctx.state,
+                status: cctx.status,
+                statusMessage: cctx.statusMessage,
+                cctxIndex: cctx.index,
+                outboundHash: cctx.outboundHash,
+                outboundChainId: cctx.outboundChainId,
+                createdAt: cctx.createdAt,
+                updatedAt: cctx.updatedAt
+            });
+            this.persist();
+
+            if (changed && !this.stopped) this.onUpdate(record);
+        }
+
+        stop() {
+            this.stopped = true;
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    CctxTracker.STATE = STATE;
+    CctxTracker.STORAGE_KEY = STORAGE_KEY;
+    CctxTracker.HttpBackend = HttpBackend;
+    CctxTracker.normalize = normalize;
+
+    return CctxTracker;
+});
@@ -0,0 +1,153 @@
+// ZetaChain Universal Portfolio Tracker
+// Contract Event Feed - live OmnichainTracker events for one user
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ContractEventFeed = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_INTERVAL = 4000;
+
+    class ContractEventFeed {
+        /**
+         * Streams new events into an EventHistory. Uses eth_newFilter /
+         * eth_getFilterChanges where the RPC supports it and falls back to
+         * polling eth_getLogs through EventHistory.sync() otherwise.
+         *
+         * @param {Object} options
+         * @param {Object} options.provider - ethers provider exposing send()
+         * @param {EventHistory} options.history - history the events are merged into
+         * @param {Function} options.onEvents - called with the newly seen entries
+         * @param {number} [options.interval] - polling interval in ms
+         */
+        constructor({ provider, history, onEvents, interval = DEFAULT_INTERVAL }) {
+            this.provider = provider;
+            this.history = history;
+            this.onEvents = onEvents;
+            this.interval = interval;
+
+            this.mode = null;
+            this.filterIds = [];
+            // Last block whose events the filters are known to have delivered
+            this.deliveredBlock = null;
+            this.timer = null;
+            this.stopped = false;
+        }
+
+        async start() {
+            try {
+                await this.installFilters();
+                this.mode = 'filter';
+            } catch (error) {
+                console.warn('RPC does not support log filters, polling instead:', error.message);
+                this.uninstallFilters();
+                await this.startPolling();
+            }
+            this.schedule();
+        }
+
+        async installFilters() {
+            const filters = await this.history.buildFilters();
+            this.deliveredBlock = await this.provider.getBlockNumber();
+            this.filterIds = [];
+            for (const filter of filters) {
+                const id = await this.provider.send('eth_newFilter', [{
+                    address: filter.address,
+                    topics: filter.topics,
+                    fromBlock: 'latest'
+                }]);
+                this.filterIds.push(id);
+                // stop() ran while the filter was being installed and could not see it
+                if (this.stopped) {
+                    this.uninstallFilters();
+                    return;
+                }
+            }
+        }
+
+        uninstallFilters() {
+            const ids = this.filterIds;
+            this.filterIds = [];
+            ids.forEach(id => {
+                this.provider.send('eth_uninstallFilter', [id]).catch(() => {});
+            });
+        }
+
+        async startPolling() {
+            this.mode = 'poll';
+            // Establish a baseline so historical entries are not replayed as live events
+            await this.history.sync();
+        }
+
+        schedule() {
+            if (this.stopped) return;
+            this.timer = setTimeout(() => this.tick(), this.interval);
+        }
+
+        async tick() {
+            try {
+                const added = this.mode === 'filter'
+                    ? await this.pollFilters()
+                    : await this.pollLogs();
+
+                if (!this.stopped && added.length > 0) {
+                    await this.onEvents(added);
+                }
+            } catch (error) {
+                console.error('Error polling contract events:', error);
+            } finally {
+                this.schedule();
+            }
+        }
+
+        async pollFilters() {
+            const logs = [];
+            try {
+                for (const id of this.filterIds) {
+                    logs.push(...await this.provider.send('eth_getFilterChanges', [id]));
+                }
+            } catch (error) {
+                // Filters expire on most nodes after a few minutes of inactivity,
+                // and some load-balanced RPCs lose them between backends
+                console.warn('Log filter lost, falling back to polling:', error.message);
+                this.uninstallFilters();
+                return this.resumePolling();
+            }
+            // Every filter answered, so a block's events arrive together
+            logs.forEach(log => {
+                this.deliveredBlock = Math.max(this.deliveredBlock, Number(log.blockNumber));
+            });
+            return this.history.ingest(logs);
+        }
+
+        /**
+         * Poll from the last block the filters delivered, so events from the gap since
+         * then are reported instead of being taken as the baseline
+         * @returns {Promise<Array>} the entries the filters missed
+         */
+        async resumePolling() {
+            this.mode = 'poll';
+            if (this.history.cursor === null || this.history.cursor < this.deliveredBlock) {
+                this.history.cursor = this.deliveredBlock;
+            }
+            return this.pollLogs();
+        }
+
+        async pollLogs() {
+            const known = new Set(this.history.entries.map(entry => entry.id));
+            const entries = await this.history.sync();
+            return entries.filter(entry => !known.has(entry.id));
+        }
+
+        stop() {
+            this.stopped = true;
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.uninstallFilters();
+        }
+    }
+
+    return ContractEventFeed;
+});
@@ -0,0 +1,299 @@
+// ZetaChain Universal Portfolio Tracker
+// Event History - rebuilds per-user activity from OmnichainTracker logs
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EventHistory = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Events indexed by `user` as their first topic
+    const USER_EVENTS = [
+        'PositionCreated',
+        'TokenPositionCreated',
+        'PositionToppedUp',
+        'WithdrawInitiated',
+        'GatewayFeePaid',
+        'SafetyBufferUsed',
+        'RevertSuccess',
+        'PositionRefunded',
+        'WithdrawAborted',
+        'EmergencyWithdrawn',
+        'BatchItemSkipped',
+        'SafetyBadgeMinted'
+    ];
+
+    // Events indexed by `tokenId` as their first topic
+    const BADGE_EVENTS = [
+        'BadgeTransferredCrossChain',
+        'BadgeReturned',
+        'BadgeTransferReverted',
+        'BadgeUpgraded'
+    ];
+
+    const DEFAULT_CHUNK_SIZE = 2000;
+    const MIN_CHUNK_SIZE = 16;
+    const DEFAULT_LOOKBACK = 200000;
+
+    function toTopic(value) {
+        const hex = BigInt(value).toString(16);
+        return '0x' + hex.padStart(64, '0');
+    }
+
+    function eventTopic(iface, name) {
+        // ethers v5 exposes getEventTopic, v6 exposes getEvent().topicHash
+        return typeof iface.getEventTopic === 'function'
+            ? iface.getEventTopic(name)
+            : iface.getEvent(name).topicHash;
+    }
+
+    // Providers' wording for a getLogs range that is too wide or returns too much.
+    // Rate limiting ("rate limit exceeded", "too many requests") is not one of them:
+    // a smaller range would not help, so it is thrown to the caller.
+    const RANGE_ERROR = /block range|range (is )?too|too many (blocks|results|logs)|more than \d+ (results|logs)|max(imum)? results|response size|10,?000|timeout|timed out/;
+    const RATE_LIMIT_ERROR = /rate limit|too many requests|\b429\b/;
+
+    function isRangeError(error) {
+        const text = `${error && error.message} ${error && error.body} ${error && error.error && error.error.message}`.toLowerCase();
+        return RANGE_ERROR.test(text) && !RATE_LIMIT_ERROR.test(text);
+    }
+
+    function serializeArgs(fragment, args) {
+        const result = {};
+        fragment.inputs.forEach((input, i) => {
+            const value = args[i];
+            result[input.name] = value !== null && value !== undefined && typeof value === 'object' && 'toString' in value
+                ? value.toString()
+                : String(value);
+        });
+        return result;
+    }
+
+    class EventHistory {
+        /**
+         * @param {Object} options
+         * @param {Object} options.provider - ethers provider used for getLogs/getBlock
+         * @param {Object} options.contract - OmnichainTracker contract (for address + interface)
+         * @param {string} options.userAddress - account whose history is collected
+         * @param {number} [options.deploymentBlock] - first block worth scanning
+         * @param {number} [options.chunkSize] - block range per eth_getLogs request
+         * @param {Storage} [options.storage] - localStorage-like store for the cursor cache
+         */
+        constructor({ provider, contract, userAddress, deploymentBlock = null, chunkSize = DEFAULT_CHUNK_SIZE, storage = null }) {
+            this.provider = provider;
+            this.contract = contract;
+            this.address = contract.address || contract.target;
+            this.userAddress = userAddress;
+            this.deploymentBlock = deploymentBlock;
+            this.chunkSize = chunkSize;
+            this.storage = storage;
+            this.storageKey = `activity:${this.address.toLowerCase()}:${userAddress.toLowerCase()}`;
+
+            this.cursor = null;
+            this.entries = [];
+            this.blockTimes = {};
+            this.syncing = null;
+
+            this.restore();
+        }
+
+        restore() {
+            if (!this.storage) return;
+            try {
+                const cached = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+                if (cached) {
+                    this.cursor = cached.cursor;
+                    this.entries = cached.entries || [];
+                }
+            } catch (error) {
+                console.error('Error restoring activity cache:', error);
+            }
+        }
+
+        persist() {
+            if (!this.storage) return;
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify({
+                    cursor: this.cursor,
+                    entries: this.entries
+                }));
+            } catch (error) {
+                console.error('Error persisting activity cache:', error);
+            }
+        }
+
+        /**
+         * Scan from the cursor to the chain head and merge any new entries.
+         * Concurrent callers share the same in-flight scan.
+         * @returns {Promise<Array>} all known entries, newest first
+         */
+        sync() {
+            if (!this.syncing) {
+                this.syncing = this._sync().finally(() => {
+                    this.syncing = null;
+                });
+            }
+            return this.syncing;
+        }
+
+        async _sync() {
+            const latest = await this.provider.getBlockNumber();
+            const fromBlock = this.cursor !== null ? this.cursor + 1 : await this.resolveStartBlock(latest);
+
+            if (fromBlock > latest) return this.entries;
+
+            const filters = await this.buildFilters();
+            let start = fromBlock;
+
+            while (start <= latest) {
+                const end = Math.min(start + this.chunkSize - 1, latest);
+                let logs;
+
+                try {
+                    logs = await this.fetchRange(filters, start, end);
+                } catch (error) {
+                    if (isRangeError(error) && this.chunkSize > MIN_CHUNK_SIZE) {
+                        this.chunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(this.chunkSize / 2));
+                        continue;
+                    }
+                    throw error;
+                }
+
+                await this.merge(logs);
+                this.cursor = end;
+                this.persist();
+                start = end + 1;
+            }
+
+            return this.entries;
+        }
+
+        async buildFilters() {
+            const iface = this.contract.interface;
+            const filters = [{
+                address: this.address,
+                topics: [USER_EVENTS.map(name => eventTopic(iface, name)), toTopic(this.userAddress)]
+            }];
+
+            const badgeTokenId = await this.contract.getUserBadge(this.userAddress);
+            if (BigInt(badgeTokenId.toString()) > 0n) {
+                filters.push({
+                    address: this.address,
+                    topics: [BADGE_EVENTS.map(name => eventTopic(iface, name)), toTopic(badgeTokenId.toString())]
+                });
+            }
+
+            return filters;
+        }
+
+        async fetchRange(filters, fromBlock, toBlock) {
+            const results = [];
+            for (const filter of filters) {
+                const logs = await this.provider.getLogs({ ...filter, fromBlock, toBlock });
+                results.push(...logs);
+            }
+            return results;
+        }
+
+        /**
+         * Merge raw logs (from getLogs, a filter or a receipt) into the history.
+         * @returns {Promise<Array>} the entries that were not known before
+         */
+        async ingest(logs) {
+            const added = await this.merge(logs.filter(log =>
+                log.address && log.address.toLowerCase() === this.address.toLowerCase()
+            ));
+            if (added.length > 0) this.persist();
+            return added;
+        }
+
+        async merge(logs) {
+            const known = new Set(this.entries.map(entry => entry.id));
+            const added = [];
+
+            for (const log of logs) {
+                const logIndex = Number(log.logIndex !== undefined ? log.logIndex : log.index);
+                const id = `${log.transactionHash}:${logIndex}`;
+                if (known.has(id)) continue;
+
+                let parsed;
+                try {
+                    parsed = this.contract.interface.parseLog(log);
+                } catch (error) {
+                    continue;
+                }
+                if (!parsed) continue;
+
+                const entry = {
+                    id,
+                    event: parsed.name,
+                    args: serializeArgs(parsed.fragment || parsed.eventFragment, parsed.args),
+                    blockNumber: Number(log.blockNumber),
+                    transactionHash: log.transactionHash,
+                    logIndex,
+                    timestamp: await this.getBlockTime(Number(log.blockNumber))
+                };
+                this.entries.push(entry);
+                added.push(entry);
+                known.add(id);
+            }
+
+            this.entries.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+            return added;
+        }
+
+        async getBlockTime(blockNumber) {
+            if (!(blockNumber in this.blockTimes)) {
+                const block = await this.provider.getBlock(blockNumber);
+                this.blockTimes[blockNumber] = block ? Number(block.timestamp) : null;
+            }
+            return this.blockTimes[blockNumber];
+        }
+
+        async resolveStartBlock(latest) {
+            if (this.deploymentBlock !== null && this.deploymentBlock !== undefined) {
+                return this.deploymentBlock;
+            }
+            try {
+                return await this.findDeploymentBlock(latest);
+            } catch (error) {
+                // Non-archive RPCs can't answer historical getCode; fall back to a recent window
+                console.warn('Could not locate deployment block, scanning recent history only:', error.message);
+                return Math.max(0, latest - DEFAULT_LOOKBACK);
+            }
+        }
+
+        /**
+         * Binary search for the first block where the contract has code.
+         */
+        async findDeploymentBlock(latest) {
+            let low = 0;
+            let high = latest;
+
+            while (low < high) {
+                const mid = Math.floor((low + high) / 2);
+                const code = await this.provider.getCode(this.address, mid);
+                if (code && code !== '0x') {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+
+            this.deploymentBlock = low;
+            return low;
+        }
+
+        reset() {
+            this.cursor = null;
+            this.entries = [];
+            if (this.storage) this.storage.removeItem(this.storageKey);
+        }
+    }
+
+    EventHistory.USER_EVENTS = USER_EVENTS;
+    EventHistory.BADGE_EVENTS = BADGE_EVENTS;
+
+    return EventHistory;
+});
@@ -0,0 +1,23 @@
+// ZetaChain Universal Portfolio Tracker
+// Html - escapes text from outside the app (RPC and API responses, user labels) for innerHTML templates
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Html = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    /**
+     * Escape a value for element text or a quoted attribute
+     * @param {*} value - anything; null and undefined become ''
+     * @returns {string}
+     */
+    function escape(value) {
+        return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, char => ENTITIES[char]);
+    }
+
+    return { escape };
+});
@@ -0,0 +1,109 @@
+// ZetaChain Universal Portfolio Tracker
+// Networks - static chain metadata shared by the deploy scripts and the frontend
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Networks = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ZETA = { name: 'ZETA', symbol: 'ZETA', decimals: 18 };
+
+    // Keyed by chain ID. `hardhatNetwork` is the matching entry in hardhat.config.js;
+    // `cctxApiUrl` is a node REST endpoint serving the crosschain module;
+    // `destinationChainIds` are the EVM chains withdrawals are enabled for at deploy time.
+    const NETWORKS = {
+        7000: {
+            chainId: 7000,
+            name: 'ZetaChain Mainnet',
+            hardhatNetwork: 'zeta_mainnet',
+            rpcUrls: ['https://zetachain-evm.blockpi.network/v1/rpc/public'],
+            explorerUrl: 'https://zetachain.blockscout.com',
+            cctxApiUrl: 'https://zetachain.blockpi.network/lcd/v1/public',
+            gatewayAddress: '0xfEDD7A6e3Ef1cC470fbfbF955a22D793dDC0F44E',
+            destinationChainIds: [1, 56, 137],
+            nativeCurrency: ZETA
+        },
+        7001: {
+            chainId: 7001,
+            name: 'ZetaChain Athens Testnet',
+            hardhatNetwork: 'zetachainAthens',
+            rpcUrls: ['https://zetachain-athens-evm.blockpi.network/v1/rpc/public'],
+            explorerUrl: 'https://zetachain-athens-3.blockscout.com',
+            cctxApiUrl: 'https://zetachain-athens.blockpi.network/lcd/v1/public',
+            gatewayAddress: '0x6c533f7fe93fae114d0954697069df33c9b74fd7',
+            destinationChainIds: [11155111, 97, 80002],
+            nativeCurrency: ZETA
+        },
+        31337: {
+            chainId: 31337,
+            name: 'Local Hardhat',
+            hardhatNetwork: 'localhost',
+            rpcUrls: ['http://127.0.0.1:8545'],
+            explorerUrl: '',
+            cctxApiUrl: null,
+            gatewayAddress: null,
+            destinationChainIds: [1, 56, 137],
+            nativeCurrency: ZETA
+        }
+    };
+
+    const DEFAULT_CHAIN_ID = 7000;
+    const REGISTRY_PATH = 'deployments/registry.json';
+
+    /**
+     * Merge a registry entry with the static metadata for its chain.
+     * @returns {Object|null} null when nothing is deployed on that chain
+     */
+    function resolve(registry, chainId) {
+        const deployment = registry[String(chainId)];
+        if (!deployment || !deployment.contractAddress) return null;
+
+        const meta = NETWORKS[chainId] || {};
+        return {
+            ...meta,
+            ...deployment,
+            chainId: Number(chainId),
+            name: deployment.name || meta.name || `Chain ${chainId}`,
+            rpcUrls: deployment.rpcUrls || meta.rpcUrls || [],
+            explorerUrl: deployment.explorerUrl !== undefined ? deployment.explorerUrl : (meta.explorerUrl || ''),
+            gatewayAddress: deployment.gatewayAddress || meta.gatewayAddress || null,
+            cctxApiUrl: deployment.cctxApiUrl !== undefined ? deployment.cctxApiUrl : (meta.cctxApiUrl || null),
+            nativeCurrency: meta.nativeCurrency || ZETA,
+            deploymentBlock: deployment.deploymentBlock !== undefined ? deployment.deploymentBlock : null
+        };
+    }
+
+    /**
+     * Every chain with a deployment, default network first
+     */
+    function deployed(registry) {
+        return Object.keys(registry)
+            .map(chainId => resolve(registry, chainId))
+            .filter(Boolean)
+            .sort((a, b) => (b.chainId === DEFAULT_CHAIN_ID) - (a.chainId === DEFAULT_CHAIN_ID) || a.chainId - b.chainId);
+    }
+
+    async function loadRegistry(url = REGISTRY_PATH, fetchImpl = fetch) {
+        const response = await fetchImpl(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Deployment registry not found at ${url} (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+
+    function toHexChainId(chainId) {
+        return '0x' + Number(chainId).toString(16);
+    }
+
+    return {
+        NETWORKS,
+        DEFAULT_CHAIN_ID,
+        REGISTRY_PATH,
+        resolve,
+        deployed,
+        loadRegistry,
+        toHexChainId
+    };
+});
@@ -0,0 +1,165 @@
+// ZetaChain Universal Portfolio Tracker
+// Portfolio - pure helpers for combining per-address snapshots
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Portfolio = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STATUS = {
+        Active: 0,
+        Withdrawn: 1,
+        Refunded: 2,
+        Failed: 3,
+        Pending: 4
+    };
+
+    // Position.token of native ZETA positions
+    const NATIVE_TOKEN = '0x0000000000000000000000000000000000000000';
+
+    // Position events that move funds in or out without a withdrawal record
+    const LEDGER_EVENTS = {
+        PositionCreated: 'deposit',
+        TokenPositionCreated: 'deposit',
+        PositionToppedUp: 'top-up',
+        EmergencyWithdrawn: 'emergency'
+    };
+
+    function toBigInt(value) {
+        return BigInt(value.toString());
+    }
+
+    /**
+     * Lowercased asset of a position; positions from before ZRC-20 support are ZETA
+     */
+    function tokenOf(position) {
+        return position.token ? position.token.toLowerCase() : NATIVE_TOKEN;
+    }
+
+    /**
+     * ZRC-20s held in any of the positions, without native ZETA
+     * @returns {Array<string>} lowercased addresses
+     */
+    function tokensOf(positions) {
+        return [...new Set(positions.map(tokenOf))].filter(token => token !== NATIVE_TOKEN);
+    }
+
+    function addTo(totals, token, amount) {
+        totals[token] = (totals[token] || 0n) + toBigInt(amount);
+    }
+
+    /**
+     * Combine per-address snapshots into dashboard totals.
+     *
+     * A snapshot is `{ address, positions, withdrawals, totalDeposited, tokenDeposits, badgeTokenId, eligible }`
+     * where numeric fields may be BigNumber, bigint or decimal strings. `totalDeposited`
+     * is ZETA only; `tokenDeposits` maps each ZRC-20 held to totalDepositedByToken.
+     * An optional `entries` array of EventHistory entries adds the emergency exits.
+     *
+     * @param {Array<Object>} snapshots
+     * @returns {Object} totals as bigint, counts as numbers. activeValue and
+     *          totalDeposited are ZETA; activeByToken, depositedByToken and
+     *          emergencyByToken are keyed by lowercased token address, NATIVE_TOKEN for ZETA.
+     */
+    function aggregate(snapshots) {
+        const result = {
+            accounts: snapshots.length,
+            positionCount: 0,
+            activeCount: 0,
+            activeValue: 0n,
+            totalDeposited: 0n,
+            activeByToken: {},
+            depositedByToken: {},
+            emergencyCount: 0,
+            emergencyByToken: {},
+            badgeHolders: 0,
+            eligibleForBadge: 0
+        };
+
+        snapshots.forEach(snapshot => {
+            result.positionCount += snapshot.positions.length;
+            snapshot.positions.forEach(position => {
+                if (Number(position.status) === STATUS.Active) {
+                    result.activeCount += 1;
+                    addTo(result.activeByToken, tokenOf(position), position.amount);
+                }
+            });
+            addTo(result.depositedByToken, NATIVE_TOKEN, snapshot.totalDeposited);
+            Object.entries(snapshot.tokenDeposits || {}).forEach(([token, amount]) => {
+                addTo(result.depositedByToken, token.toLowerCase(), amount);
+            });
+            (snapshot.entries || []).forEach(entry => {
+                const position = snapshot.positions[Number(entry.args.positionId)];
+                if (entry.event !== 'EmergencyWithdrawn' || !position) return;
+                result.emergencyCount += 1;
+                addTo(result.emergencyByToken, tokenOf(position), entry.args.amount);
+            });
+            if (toBigInt(snapshot.badgeTokenId) > 0n) result.badgeHolders += 1;
+            if (snapshot.eligible) result.eligibleForBadge += 1;
+        });
+
+        result.activeValue = result.activeByToken[NATIVE_TOKEN] || 0n;
+        result.totalDeposited = result.depositedByToken[NATIVE_TOKEN] || 0n;
+        return result;
+    }
+
+    /**
+     * Whether a closed position was ended by an emergency exit rather than an aborted withdrawal
+     * @param {Array<Object>} rows - ledger() of the position
+     */
+    function exitedInEmergency(position, rows) {
+        const last = rows[rows.length - 1];
+        return Number(position.status) === STATUS.Failed && Boolean(last) && last.kind === 'emergency';
+    }
+
+    /**
+     * Deposits, top-ups and withdrawals of one position, oldest first.
+     * Deposits come from the event history, so positions older than its
+     * lookback only list their withdrawals.
+     *
+     * @param {number} positionId
+     * @param {Object} sources
+     * @param {Array<Object>} [sources.entries] - EventHistory entries of the owner
+     * @param {Array<Object>} [sources.withdrawals] - getUserWithdrawals output
+     * @returns {Array<Object>} {kind, amount, timestamp, ...} - kind is deposit,
+     *          top-up, emergency or withdrawal; withdrawals add withdrawalId,
+     *          status and destinationChainId
+     */
+    function ledger(positionId, { entries = [], withdrawals = [] } = {}) {
+        const rows = [];
+
+        entries.forEach(entry => {
+            const kind = LEDGER_EVENTS[entry.event];
+            if (!kind || Number(entry.args.positionId) !== positionId) return;
+            rows.push({ kind, amount: toBigInt(entry.args.amount), timestamp: entry.timestamp, transactionHash: entry.transactionHash });
+        });
+
+        withdrawals.forEach((withdrawal, withdrawalId) => {
+            if (Number(withdrawal.positionId) !== positionId) return;
+            rows.push({
+                kind: 'withdrawal',
+                withdrawalId,
+                amount: toBigInt(withdrawal.amount),
+                timestamp: Number(withdrawal.timestamp),
+                status: Number(withdrawal.status),
+                destinationChainId: Number(withdrawal.destinationChainId)
+            });
+        });
+
+        // Entries without a block time yet sort last
+        const time = row => row.timestamp || Number.MAX_SAFE_INTEGER;
+        return rows.sort((a, b) => time(a) - time(b));
+    }
+
+    return {
+        STATUS,
+        NATIVE_TOKEN,
+        tokenOf,
+        tokensOf,
+        aggregate,
+        ledger,
+        exitedInEmergency
+    };
+});
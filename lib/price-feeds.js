@@ -0,0 +1,366 @@
+// ZetaChain Universal Portfolio Tracker
+// Price Feeds - fiat prices from a manual table, a JSON endpoint or an on-chain oracle, and P&L
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PriceFeeds = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Prices and fiat values are bigint with this many decimals, like most oracle feeds
+    const PRICE_DECIMALS = 8;
+    const PRICE_UNIT = 10n ** BigInt(PRICE_DECIMALS);
+    // Rounds an oracle lookup walks back for a historical price
+    const MAX_ORACLE_ROUNDS = 64;
+
+    /**
+     * @param {string|number} text - decimal price, e.g. "0.5234"
+     * @returns {bigint} the price with PRICE_DECIMALS decimals
+     * @throws when it is not a non-negative decimal
+     */
+    function parsePrice(text) {
+        const value = String(text).trim();
+        const match = /^(\d+)(?:\.(\d+))?$/.exec(value);
+        if (!match) throw new Error(`"${value}" is not a price`);
+        const fraction = (match[2] || '').slice(0, PRICE_DECIMALS).padEnd(PRICE_DECIMALS, '0');
+        return BigInt(match[1]) * PRICE_UNIT + BigInt(fraction);
+    }
+
+    /**
+     * "ZETA=0.52, ETH.ETH=3100" => {ZETA: '0.52', 'ETH.ETH': '3100'}, for the settings form.
+     * Values are not checked here; the feeds built from them are.
+     * @throws on an item that is not SYMBOL=value
+     */
+    function parseTable(text) {
+        const table = {};
+        String(text || '').split(/[,\n]/).map(item => item.trim()).filter(Boolean).forEach(item => {
+            const parts = item.split('=').map(part => part.trim());
+            if (parts.length !== 2 || !parts[0] || !parts[1]) throw new Error(`"${item}" is not SYMBOL=value`);
+            table[parts[0].toUpperCase()] = parts[1];
+        });
+        return table;
+    }
+
+    function formatTable(table) {
+        return Object.entries(table || {}).map(([symbol, value]) => `${symbol}=${value}`).join(', ');
+    }
+
+    // Rescale an integer from one number of decimals to another, rounding down
+    function rescale(value, from, to) {
+        return from >= to ? value / 10n ** BigInt(from - to) : value * 10n ** BigInt(to - from);
+    }
+
+    /**
+     * Fiat value of a token amount
+     * @param {bigint} amount - in the token's smallest unit
+     * @param {number} decimals - the token's decimals
+     * @param {bigint} price - fiat per whole token, PRICE_DECIMALS decimals
+     * @returns {bigint} PRICE_DECIMALS decimals
+     */
+    function toFiat(amount, decimals, price) {
+        return (BigInt(amount.toString()) * price) / 10n ** BigInt(decimals);
+    }
+
+    /**
+     * @param {bigint} value - PRICE_DECIMALS decimals
+     * @param {string} currency - ISO 4217 code
+     */
+    function formatFiat(value, currency, { signed = false } = {}) {
+        const negative = value < 0n;
+        const cents = ((negative ? -value : value) + PRICE_UNIT / 200n) / (PRICE_UNIT / 100n);
+        const text = new Intl.NumberFormat('en-US', { style: 'currency', currency })
+            .format(Number(cents / 100n) + Number(cents % 100n) / 100);
+        return negative ? `-${text}` : signed && value > 0n ? `+${text}` : text;
+    }
+
+    /**
+     * Manual price table. Without a history the current price is used for every date,
+     * so cost basis equals value and P&L stays at zero.
+     */
+    class StaticPriceFeed {
+        /**
+         * @param {Object} options
+         * @param {Object} options.prices - {symbol: price} current prices, e.g. {ZETA: '0.52'}
+         * @param {Object} [options.history] - {symbol: [{timestamp, price}]} dated prices; a date
+         *        takes the last price at or before it
+         */
+        constructor({ prices = {}, history = {} }) {
+            this.name = 'manual';
+            this.prices = {};
+            Object.entries(prices).forEach(([symbol, price]) => { this.prices[symbol.toUpperCase()] = parsePrice(price); });
+            this.history = {};
+            Object.entries(history).forEach(([symbol, points]) => {
+                this.history[symbol.toUpperCase()] = points
+                    .map(point => ({ timestamp: Number(point.timestamp), price: parsePrice(point.price) }))
+                    .sort((a, b) => a.timestamp - b.timestamp);
+            });
+        }
+
+        /**
+         * @param {string} symbol
+         * @param {number} [at] - unix seconds; null for the current price
+         * @returns {Promise<Object|null>} {price, timestamp}, or null when the table has no answer
+         */
+        async price(symbol, at = null) {
+            const key = symbol.toUpperCase();
+            const points = this.history[key];
+            if (at !== null && points && points.length > 0) {
+                const point = points.filter(item => item.timestamp <= at).pop();
+                return point ? { price: point.price, timestamp: point.timestamp } : null;
+            }
+            return key in this.prices ? { price: this.prices[key], timestamp: null } : null;
+        }
+    }
+
+    /**
+     * Prices from a JSON HTTP endpoint. The URL is a template: {symbol}, {currency} and
+     * {timestamp} (unix seconds) are filled in. Without {timestamp} it only knows current prices.
+     */
+    class HttpPriceFeed {
+        /**
+         * @param {Object} options
+         * @param {string} options.url - e.g. https://prices.example.com/{symbol}?vs={currency}&at={timestamp}
+         * @param {string} [options.currency] - filled into {currency}, lowercased
+         * @param {string} [options.field] - dotted path of the price in the response
+         * @param {Function} [options.fetchImpl] - fetch-compatible function
+         */
+        constructor({ url, currency = 'USD', field = 'price', fetchImpl = null }) {
+            this.name = 'http';
+            this.url = url;
+            this.currency = currency;
+            this.field = field;
+            this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+        }
+
+        async price(symbol, at = null) {
+            if (at !== null && !this.url.includes('{timestamp}')) return null;
+            const url = this.url
+                .replace(/\{symbol\}/g, encodeURIComponent(symbol))
+                .replace(/\{currency\}/g, encodeURIComponent(this.currency.toLowerCase()))
+                .replace(/\{timestamp\}/g, at === null ? '' : String(at));
+
+            const response = await this.fetchImpl(url);
+            if (!response.ok) throw new Error(`Price endpoint answered ${response.status}`);
+            const body = await response.json();
+            const value = this.field.split('.').reduce((node, key) => (node === null || node === undefined ? node : node[key]), body);
+            if (value === null || value === undefined) return null;
+            return { price: parsePrice(value), timestamp: at };
+        }
+    }
+
+    /**
+     * Prices from Chainlink-style aggregators (decimals, latestRoundData, getRoundData).
+     * A historical price walks back from the latest round, so it only reaches about
+     * MAX_ORACLE_ROUNDS updates into the past.
+     */
+    class OraclePriceFeed {
+        /**
+         * @param {Object} options
+         * @param {Object} options.feeds - {symbol: contract} aggregator contracts (ethers)
+         */
+        constructor({ feeds }) {
+            this.name = 'oracle';
+            this.feeds = {};
+            Object.entries(feeds).forEach(([symbol, contract]) => { this.feeds[symbol.toUpperCase()] = contract; });
+            this.decimals = new Map();
+        }
+
+        async price(symbol, at = null) {
+            const feed = this.feeds[symbol.toUpperCase()];
+            if (!feed) return null;
+            if (!this.decimals.has(feed)) this.decimals.set(feed, Number(await feed.decimals()));
+            const decimals = this.decimals.get(feed);
+
+            let round = await feed.latestRoundData();
+            for (let walked = 0; at !== null && Number(round.updatedAt) > at; walked++) {
+                const previous = BigInt(round.roundId.toString()) - 1n;
+                if (previous <= 0n || walked >= MAX_ORACLE_ROUNDS) return null;
+                round = await feed.getRoundData(previous.toString());
+            }
+            const answer = BigInt(round.answer.toString());
+            if (answer <= 0n) return null;
+            return { price: rescale(answer, decimals, PRICE_DECIMALS), timestamp: Number(round.updatedAt) };
+        }
+    }
+
+    /**
+     * Asks its feeds in order and keeps the first answer. A feed that fails is skipped,
+     * its error kept in `errors`. Dated lookups are rounded down to the hour and cached,
+     * so a history of many deposits costs one request per hour it spans at most.
+     */
+    class PriceBook {
+        /**
+         * @param {Object} options
+         * @param {Array<Object>} options.feeds - objects with price(symbol, at)
+         * @param {string} [options.currency] - ISO 4217 code the feeds quote in
+         */
+        constructor({ feeds, currency = 'USD' }) {
+            this.feeds = feeds;
+            this.currency = currency;
+            this.cache = new Map();
+            this.errors = [];
+        }
+
+        /**
+         * @returns {Promise<Object|null>} {price, timestamp, source}, or null when no feed knows it
+         */
+        price(symbol, at = null) {
+            const hour = at === null ? null : at - (at % 3600);
+            const key = `${symbol.toUpperCase()}@${hour === null ? 'now' : hour}`;
+            if (!this.cache.has(key)) this.cache.set(key, this.lookup(key, symbol, hour));
+            return this.cache.get(key);
+        }
+
+        async lookup(key, symbol, at) {
+            let failed = false;
+            for (const feed of this.feeds) {
+                try {
+                    const answer = await feed.price(symbol, at);
+                    if (answer) return { ...answer, source: feed.name };
+                } catch (error) {
+                    failed = true;
+                    this.errors.push({ source: feed.name, symbol, message: error.message });
+                }
+            }
+            // Ask again next time when a feed was down rather than without an answer
+            if (failed) this.cache.delete(key);
+            return null;
+        }
+
+        /**
+         * Forget current prices; dated ones do not change
+         */
+        refresh() {
+            [...this.cache.keys()].filter(key => key.endsWith('@now')).forEach(key => this.cache.delete(key));
+        }
+    }
+
+    /**
+     * Feeds described by saved settings, in the order they are asked
+     * @param {Object} config - {currency, manual: {symbol: price}, url, field, oracles: {symbol: address}}
+     * @param {Object} [options]
+     * @param {Function} [options.oracleAt] - address => aggregator contract; oracles are skipped without it
+     * @param {Function} [options.fetchImpl]
+     */
+    function fromConfig(config, { oracleAt = null, fetchImpl = null } = {}) {
+        const feeds = [];
+        const currency = config.currency || 'USD';
+        if (oracleAt && config.oracles && Object.keys(config.oracles).length > 0) {
+            const contracts = {};
+            Object.entries(config.oracles).forEach(([symbol, address]) => { contracts[symbol] = oracleAt(address); });
+            feeds.push(new OraclePriceFeed({ feeds: contracts }));
+        }
+        if (config.url) feeds.push(new HttpPriceFeed({ url: config.url, currency, field: config.field || 'price', fetchImpl }));
+        if (config.manual && Object.keys(config.manual).length > 0) feeds.push(new StaticPriceFeed({ prices: config.manual }));
+        return new PriceBook({ feeds, currency });
+    }
+
+    /**
+     * Value positions and fees in fiat, with average-cost P&L per position.
+     *
+     * Every deposit adds to a position's cost at the price of its date. Money leaving the
+     * position realises its share of the cost against the price of its date; what is left
+     * is unrealised against the current price. A date without a price uses the current
+     * one and marks the position `estimated`. A position with a movement nobody prices
+     * gets null for value, unrealised and realised, and stays out of the totals.
+     *
+     * @param {Object} data
+     * @param {Array<Object>} data.movements - {positionId, timestamp, direction, amount, token}, oldest
+     *        first (Analytics.movements with the token added)
+     * @param {Array<Object>} [data.fees] - {timestamp, amount, token} gateway fees paid
+     * @param {Object} options
+     * @param {PriceBook} options.book
+     * @param {Function} options.tokenInfo - token address => {symbol, decimals}
+     * @returns {Promise<Object>} {currency, positions: [{positionId, token, held, costBasis, value,
+     *          unrealised, realised, estimated}], fees, totals, missing} - fiat as bigint
+     */
+    async function valuate({ movements, fees = [] }, { book, tokenInfo }) {
+        const missing = new Set();
+        const priceOf = async (token, at) => {
+            const { symbol } = tokenInfo(token);
+            const dated = at ? await book.price(symbol, at) : null;
+            if (dated) return { price: dated.price, estimated: false };
+            const current = await book.price(symbol);
+            if (!current) missing.add(symbol);
+            return current ? { price: current.price, estimated: at !== null } : null;
+        };
+
+        const positions = new Map();
+        for (const movement of movements) {
+            const key = `${movement.token.toLowerCase()}:${movement.positionId}`;
+            if (!positions.has(key)) {
+                positions.set(key, { positionId: movement.positionId, token: movement.token, held: 0n, costBasis: 0n, realised: 0n, estimated: false, priced: true });
+            }
+            const position = positions.get(key);
+            const amount = BigInt(movement.amount.toString());
+            const quote = await priceOf(movement.token, movement.timestamp || null);
+            if (!quote) {
+                position.priced = false;
+            } else if (quote.estimated) {
+                position.estimated = true;
+            }
+            const worth = quote ? toFiat(amount, tokenInfo(movement.token).decimals, quote.price) : 0n;
+
+            if (movement.direction === 'in') {
+                position.held += amount;
+                position.costBasis += worth;
+            } else {
+                const cost = position.held > 0n ? (position.costBasis * amount) / position.held : 0n;
+                position.held -= amount;
+                position.costBasis -= cost;
+                // Without a price the proceeds are unknown, not zero: no gain or loss is booked
+                if (quote) position.realised += worth - cost;
+            }
+        }
+
+        const result = [];
+        for (const position of positions.values()) {
+            const quote = await priceOf(position.token, null);
+            const value = quote ? toFiat(position.held, tokenInfo(position.token).decimals, quote.price) : null;
+            const { priced, ...rest } = position;
+            result.push({
+                ...rest,
+                realised: priced ? position.realised : null,
+                value: priced ? value : null,
+                unrealised: priced && value !== null ? value - position.costBasis : null
+            });
+        }
+
+        let feeTotal = 0n;
+        for (const fee of fees) {
+            const quote = await priceOf(fee.token, fee.timestamp || null);
+            if (quote) feeTotal += toFiat(BigInt(fee.amount.toString()), tokenInfo(fee.token).decimals, quote.price);
+        }
+
+        const valued = result.filter(position => position.value !== null);
+        const sum = (field) => valued.reduce((total, position) => total + position[field], 0n);
+        return {
+            currency: book.currency,
+            positions: result,
+            fees: feeTotal,
+            totals: {
+                value: sum('value'),
+                costBasis: sum('costBasis'),
+                unrealised: sum('unrealised'),
+                realised: sum('realised')
+            },
+            missing: [...missing]
+        };
+    }
+
+    return {
+        PRICE_DECIMALS,
+        parsePrice,
+        parseTable,
+        formatTable,
+        toFiat,
+        formatFiat,
+        StaticPriceFeed,
+        HttpPriceFeed,
+        OraclePriceFeed,
+        PriceBook,
+        fromConfig,
+        valuate
+    };
+});
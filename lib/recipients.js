@@ -0,0 +1,210 @@
+// ZetaChain Universal Portfolio Tracker
+// Recipients - validates destination addresses per chain and encodes them as the contract's `bytes recipient`
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Recipients = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    // Address format of each non-EVM destination; every other chain takes EVM addresses
+    const CHAIN_FORMATS = {
+        18000001: 'solana',
+        18000002: 'sui',
+        18000003: 'ton'
+    };
+
+    // What the connected chain's gateway receives:
+    //   evm    - the 20-byte address
+    //   solana - the 32-byte public key
+    //   sui    - the 32-byte address
+    //   ton    - workchain as one signed byte, then the 32-byte account ID
+    const FORMATS = {
+        evm: { name: 'EVM', placeholder: '0x... (checksummed or lowercase)' },
+        solana: { name: 'Solana', placeholder: 'Base58 public key (32 bytes)' },
+        sui: { name: 'Sui', placeholder: '0x followed by 64 hex characters' },
+        ton: { name: 'TON', placeholder: 'EQ... / UQ... or 0:<64 hex characters>' }
+    };
+
+    function formatFor(chainId) {
+        return CHAIN_FORMATS[Number(chainId)] || 'evm';
+    }
+
+    function placeholder(chainId) {
+        return FORMATS[formatFor(chainId)].placeholder;
+    }
+
+    function toHex(bytes) {
+        return '0x' + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function hexToBytes(hex) {
+        return Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16));
+    }
+
+    /**
+     * @throws on characters outside the Bitcoin base58 alphabet
+     */
+    function decodeBase58(value) {
+        const bytes = [];
+        for (const char of value) {
+            let carry = BASE58_ALPHABET.indexOf(char);
+            if (carry < 0) throw new Error(`"${char}" is not a base58 character`);
+            for (let i = 0; i < bytes.length; i++) {
+                carry += bytes[i] * 58;
+                bytes[i] = carry & 0xff;
+                carry >>= 8;
+            }
+            while (carry > 0) {
+                bytes.push(carry & 0xff);
+                carry >>= 8;
+            }
+        }
+        // Each leading '1' stands for a zero byte
+        for (const char of value) {
+            if (char !== '1') break;
+            bytes.push(0);
+        }
+        return Uint8Array.from(bytes.reverse());
+    }
+
+    /**
+     * Standard or URL-safe base64, padding optional
+     * @throws on characters outside either alphabet
+     */
+    function decodeBase64(value) {
+        const normalized = value.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        for (const char of normalized) {
+            const index = BASE64_ALPHABET.indexOf(char);
+            if (index < 0) throw new Error(`"${char}" is not a base64 character`);
+            buffer = (buffer << 6) | index;
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push((buffer >> bits) & 0xff);
+            }
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    // CRC-16/XMODEM, the checksum of TON user-friendly addresses
+    function crc16(bytes) {
+        let crc = 0;
+        for (const byte of bytes) {
+            crc ^= byte << 8;
+            for (let i = 0; i < 8; i++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+            }
+        }
+        return crc;
+    }
+
+    function encodeEvm(value, getAddress) {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(value)) throw new Error('Enter a 0x address with 40 hex characters.');
+        // Mixed case carries an EIP-55 checksum; getAddress rejects it when it does not match
+        try {
+            return { bytes: getAddress(value).toLowerCase(), display: getAddress(value) };
+        } catch (error) {
+            throw new Error('The address checksum does not match. Check for a typo or paste it again.');
+        }
+    }
+
+    // Solana public keys carry no checksum: they must decode to exactly 32 bytes
+    function encodeSolana(value) {
+        let bytes;
+        try {
+            bytes = decodeBase58(value);
+        } catch (error) {
+            throw new Error(`Not a Solana address: ${error.message}.`);
+        }
+        if (bytes.length !== 32) throw new Error('A Solana address decodes to 32 bytes. Check that it was copied in full.');
+        return { bytes: toHex(bytes), display: value };
+    }
+
+    // Sui addresses carry no checksum either; shortened forms (0x2) are refused to avoid truncated pastes
+    function encodeSui(value) {
+        if (!/^0x[0-9a-fA-F]{64}$/.test(value)) throw new Error('A Sui address is 0x followed by 64 hex characters.');
+        return { bytes: value.toLowerCase(), display: value.toLowerCase() };
+    }
+
+    function encodeTon(value) {
+        const raw = /^(-1|0):([0-9a-fA-F]{64})$/.exec(value);
+        if (raw) {
+            const workchain = raw[1] === '-1' ? 0xff : 0x00;
+            return { bytes: toHex([workchain, ...hexToBytes(raw[2])]), display: `${raw[1]}:${raw[2].toLowerCase()}` };
+        }
+
+        if (!/^[A-Za-z0-9+/_-]{48}$/.test(value)) {
+            throw new Error('A TON address is 48 base64 characters (EQ..., UQ...) or workchain:hex (0:...).');
+        }
+        // flags, workchain, 32-byte account ID, CRC16 of the first 34 bytes
+        const bytes = decodeBase64(value);
+        if (crc16(bytes.slice(0, 34)) !== ((bytes[34] << 8) | bytes[35])) {
+            throw new Error('The TON address checksum does not match. Check for a typo or paste it again.');
+        }
+        // 0x11 bounceable, 0x51 non-bounceable; 0x80 marks testnet-only addresses
+        if (![0x11, 0x51].includes(bytes[0] & 0x7f)) throw new Error('Not a TON user-friendly address.');
+        if (![0x00, 0xff].includes(bytes[1])) throw new Error('TON addresses must be on the basechain (0) or masterchain (-1).');
+
+        const workchain = bytes[1] === 0xff ? '-1' : '0';
+        const accountId = toHex(bytes.slice(2, 34));
+        return { bytes: toHex(bytes.slice(1, 34)), display: `${workchain}:${accountId.slice(2)}` };
+    }
+
+    /**
+     * Validate a recipient for a destination chain and encode it for the contract.
+     *
+     * @param {number|string} chainId - destination chain
+     * @param {string} value - address as the user typed it; surrounding whitespace is ignored
+     * @param {Object} [options]
+     * @param {Function} [options.getAddress] - EIP-55 checksummer that throws on a bad checksum
+     *        (ethers' getAddress); required for EVM chains
+     * @returns {Object} {format, bytes, display} - bytes as a 0x hex string, display in the
+     *          chain's canonical form (checksummed EVM, lowercase Sui, raw TON)
+     * @throws with a user-facing message when the address does not fit the chain
+     */
+    function encode(chainId, value, { getAddress } = {}) {
+        const format = formatFor(chainId);
+        const trimmed = (value || '').trim();
+        if (!trimmed) throw new Error(`Enter the ${FORMATS[format].name} recipient address.`);
+
+        switch (format) {
+            case 'solana':
+                return { format, ...encodeSolana(trimmed) };
+            case 'sui':
+                return { format, ...encodeSui(trimmed) };
+            case 'ton':
+                return { format, ...encodeTon(trimmed) };
+            default:
+                return { format, ...encodeEvm(trimmed, getAddress) };
+        }
+    }
+
+    /**
+     * @returns {string|null} why `value` is not a valid recipient on the chain, or null when it is
+     */
+    function validate(chainId, value, options) {
+        try {
+            encode(chainId, value, options);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    return {
+        CHAIN_FORMATS,
+        FORMATS,
+        formatFor,
+        placeholder,
+        encode,
+        validate
+    };
+});
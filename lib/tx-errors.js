@@ -0,0 +1,298 @@
+// ZetaChain Universal Portfolio Tracker
+// Tx Errors - decodes contract reverts and wallet/RPC failures into user-facing messages
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TxErrors = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+    const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+    // OmnichainTracker require() strings and custom errors, keyed by reason or error name
+    const REVERT_MESSAGES = {
+        'Amount must be greater than 0': () => 'Enter a deposit amount greater than 0.',
+        'Insufficient value sent': ({ symbol }) => `The ${symbol} sent was less than the deposit amount.`,
+        'Invalid token': () => 'Pick ZETA or a ZRC-20 to deposit.',
+        'ZETA sent with a token deposit': ({ symbol }) => `ZRC-20 deposits are pulled through an approval; send no ${symbol} with them.`,
+        'Token transfer failed': () => 'The ZRC-20 transfer failed. Check your token balance and approval, then try again.',
+        'ZETA transfer failed': () => 'Your wallet did not accept the ZETA payout. Smart-contract wallets must be able to receive plain ZETA transfers; enable that in your wallet and try again.',
+        'Not position owner': () => 'That position belongs to a different address. Refresh your positions and pick one of your own.',
+        'Position not active': () => 'That position has already been withdrawn, refunded or closed. Refresh your positions.',
+        'Position empty': () => 'That position has no balance left to withdraw.',
+        'Invalid position ID': () => 'That position does not exist. Refresh your positions.',
+        'Insufficient gas fee sent': ({ symbol }) => `The withdrawal fee plus the 30% safety buffer was not covered. Keep enough ${symbol} for the gas estimate shown and try again.`,
+        'Unsupported destination chain': () => 'Withdrawals to that chain are not enabled on this deployment. Pick another destination.',
+        'Invalid withdrawal amount': () => 'Enter an amount greater than 0 and no more than the position holds.',
+        'Invalid batch size': () => 'Select between 1 and 20 positions for a batch exit.',
+        'Nothing to withdraw': () => 'None of the selected positions can be exited any more. Refresh your positions.',
+        'Invalid destination address': () => 'Enter the recipient address on the destination chain.',
+        'Gas limit must be greater than 0': () => 'Enter a destination gas limit greater than 0.',
+        'Gas fee transfer failed': () => 'The destination gas fee could not be collected. Check your gas token balance and approval, then try again.',
+        LowAllowance: () => 'Approve the destination gas token for the withdrawal fee first.',
+        ERC20InsufficientAllowance: () => 'Approve the destination gas token for the withdrawal fee first.',
+        LowBalance: () => 'Not enough of the destination gas token to pay the withdrawal fee (incl. the volatility premium).',
+        ERC20InsufficientBalance: () => 'Not enough of the destination gas token to pay the withdrawal fee (incl. the volatility premium).',
+        InsufficientGasLimit: () => 'Enter a destination gas limit greater than 0.',
+        'Premium above 100%': () => 'The premium is capped at 10000 basis points (100%).',
+        'Invalid premium bounds': () => 'The premium ceiling must be above 0 and at least the floor.',
+        'Not eligible: Must use safety buffer first': () => 'Not eligible yet. Complete a safe withdrawal first to unlock the badge.',
+        'Badge already minted': () => 'This wallet has already minted its Safety Badge.',
+        'Not badge owner': () => 'Only the current owner of this badge can transfer it.',
+        'Badge is on another chain': () => 'This badge is on another chain. Send it back to ZetaChain before transferring it again.',
+        'No badge minted': () => 'Mint your Safety Badge before upgrading it.',
+        'No higher tier reached': () => 'Your badge is already at the highest tier your withdrawals qualify for.',
+        'Invalid tier': () => 'Only the Silver and Gold tier requirements can be changed.',
+        'Badge transfers to that chain are not enabled': () => 'Badge transfers to that chain are not enabled on this deployment. Pick another chain.',
+        'Token does not exist': () => 'That badge does not exist.',
+        ERC721NonexistentToken: () => 'That badge does not exist.',
+        EnforcedPause: () => 'Deposits and withdrawals are paused by the contract owner. Emergency exits still work.',
+        ExpectedPause: () => 'The tracker is not paused.',
+        'Invalid gateway': () => 'Enter the GatewayZEVM address.',
+        'Invalid recipient': () => 'Enter the address to sweep to.',
+        'Nothing to sweep': () => 'The tracker holds nothing of that asset beyond user balances.',
+        'Invalid base URI': () => 'The base URI cannot contain quotes or backslashes.',
+        OwnableUnauthorizedAccount: () => 'Only the contract owner can do that.'
+    };
+
+    const PANIC_MESSAGES = {
+        0x11: () => 'The amount overflowed. Use a smaller value.',
+        0x32: () => 'That position does not exist for this wallet. Refresh your positions.'
+    };
+
+    const MESSAGES = {
+        REJECTED: () => 'Transaction cancelled in your wallet.',
+        INSUFFICIENT_FUNDS: ({ symbol, name }) => `Not enough ${symbol} on ${name} to cover the amount plus gas.`,
+        NONCE: () => 'Your wallet\'s nonce is out of sync. Wait for pending transactions to confirm (or clear the activity for this account in your wallet) and try again.',
+        UNDERPRICED: ({ name }) => `The gas price was too low for ${name}. Speed up or cancel the pending transaction in your wallet, then try again.`,
+        TIMEOUT: ({ name }) => `The ${name} RPC did not respond in time. The transaction may still confirm - check the Activity panel before retrying.`,
+        NETWORK_CHANGED: ({ name }) => `Your wallet changed networks mid-transaction. Switch back to ${name} and try again.`,
+        RPC: ({ name }) => `Could not reach the ${name} RPC. Check your connection and try again.`,
+        OUT_OF_GAS: ({ action, name }) => `${action} ran out of gas on ${name}. Try again; nothing was changed on-chain.`,
+        REVERTED: ({ action, name }) => `${action} was rejected by the contract on ${name}. Refresh your positions and try again.`
+    };
+
+    const REASON_PATTERNS = [
+        /reverted with reason string '([^']+)'/,
+        /execution reverted: ([^"\n\]]+?)(?:"|\n|\]|$)/,
+        /reason="([^"]+)"/
+    ];
+
+    /**
+     * Gather every nested code, hex payload and message from an error. Wallets,
+     * ethers v5, ethers v6 and raw JSON-RPC all nest the revert differently.
+     */
+    function collect(error) {
+        const codes = [];
+        const hexes = [];
+        const texts = [];
+        const seen = new Set();
+
+        const visit = (value, depth) => {
+            if (value === null || value === undefined || depth > 6) return;
+
+            if (typeof value === 'string') {
+                if (/^0x[0-9a-f]*$/i.test(value)) {
+                    hexes.push(value);
+                } else {
+                    texts.push(value);
+                    if (value.startsWith('{')) {
+                        try {
+                            visit(JSON.parse(value), depth + 1);
+                        } catch (parseError) {
+                            // Not JSON, the text itself is enough
+                        }
+                    }
+                }
+                return;
+            }
+
+            if (typeof value !== 'object' || seen.has(value)) return;
+            seen.add(value);
+
+            if (value.code !== undefined) codes.push(value.code);
+            ['reason', 'shortMessage', 'message', 'data', 'error', 'info', 'cause', 'body'].forEach(key => {
+                visit(value[key], depth + 1);
+            });
+        };
+
+        visit(error, 0);
+        return { codes, hexes, texts };
+    }
+
+    function decodeString(hex) {
+        const offset = parseInt(hex.slice(0, 64), 16) * 2;
+        const length = parseInt(hex.slice(offset, offset + 64), 16);
+        const body = hex.slice(offset + 64, offset + 64 + length * 2);
+        const bytes = new Uint8Array((body.match(/../g) || []).map(byte => parseInt(byte, 16)));
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * Decode ABI-encoded revert data
+     * @param {string} data - hex revert payload
+     * @param {Object} [iface] - contract interface for custom errors
+     * @returns {{reason: string|null, name: string, args: Array}|null}
+     */
+    function decodeRevertData(data, iface = null) {
+        if (typeof data !== 'string' || data.length < 10) return null;
+        const selector = data.slice(0, 10).toLowerCase();
+        const payload = data.slice(10);
+
+        try {
+            if (selector === ERROR_SELECTOR) {
+                return { reason: decodeString(payload), name: 'Error', args: [] };
+            }
+            if (selector === PANIC_SELECTOR) {
+                return { reason: null, name: 'Panic', args: [parseInt(payload.slice(0, 64), 16)] };
+            }
+            if (iface && typeof iface.parseError === 'function') {
+                const parsed = iface.parseError(data);
+                if (parsed) return { reason: null, name: parsed.name, args: [...parsed.args] };
+            }
+        } catch (error) {
+            // Malformed or unknown payload
+        }
+        return null;
+    }
+
+    /**
+     * Find the revert carried by an error, whichever layer put it there
+     * @returns {{reason: string|null, name: string, args: Array}|null}
+     */
+    function extractRevert(error, iface = null) {
+        if (error && error.decodedRevert !== undefined) return error.decodedRevert;
+
+        const { hexes, texts } = collect(error);
+
+        for (const hex of hexes) {
+            const decoded = decodeRevertData(hex, iface);
+            if (decoded) return decoded;
+        }
+
+        // Messages only: prefer a reason we know over whatever the patterns capture
+        const known = Object.keys(REVERT_MESSAGES).find(reason => texts.some(text => text.includes(reason)));
+        if (known) return { reason: known, name: 'Error', args: [] };
+
+        for (const text of texts) {
+            for (const pattern of REASON_PATTERNS) {
+                const match = text.match(pattern);
+                const reason = match && match[1].replace(/^execution reverted:?/, '').trim();
+                if (reason && !reason.startsWith('cannot estimate gas')) {
+                    return { reason, name: 'Error', args: [] };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Classify a failure without looking at the contract's reason
+     * @returns {string} a MESSAGES key, 'REVERT' or 'UNKNOWN'
+     */
+    function classify(error) {
+        const { codes, texts } = collect(error);
+        const text = texts.join(' ').toLowerCase();
+        const has = (...values) => values.some(value => codes.includes(value));
+
+        if (has(4001, 'ACTION_REJECTED') || /user rejected|user denied|rejected by user|user cancell?ed/.test(text)) return 'REJECTED';
+        if (extractRevert(error)) return 'REVERT';
+        if (has('INSUFFICIENT_FUNDS') || text.includes('insufficient funds')) return 'INSUFFICIENT_FUNDS';
+        if (has('NONCE_EXPIRED') || /nonce too (low|high)|nonce has already been used|invalid nonce/.test(text)) return 'NONCE';
+        if (has('REPLACEMENT_UNDERPRICED') || /underpriced|fee too low|less than block base fee/.test(text)) return 'UNDERPRICED';
+        if (has('TIMEOUT') || /timeout|timed out|etimedout|too many requests|rate limit/.test(text)) return 'TIMEOUT';
+        if (has('NETWORK_ERROR') && text.includes('network changed')) return 'NETWORK_CHANGED';
+        if (has('NETWORK_ERROR', 'SERVER_ERROR') || /failed to fetch|could not detect network|missing response/.test(text)) return 'RPC';
+        if (error && error.outOfGas) return 'OUT_OF_GAS';
+        if (has('CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT', -32000, 3) || text.includes('execution reverted')) return 'REVERTED';
+        return 'UNKNOWN';
+    }
+
+    /**
+     * Turn any write-path failure into one actionable message
+     * @param {Error} error - as thrown by the wallet, ethers or decode()
+     * @param {Object} [context]
+     * @param {string} [context.action] - e.g. 'Withdrawal', used in generic messages
+     * @param {Object} [context.network] - resolved network ({name, nativeCurrency})
+     * @returns {{code: string, reason: string|null, message: string}}
+     */
+    function translate(error, { action = 'Transaction', network = null } = {}) {
+        const details = {
+            action,
+            name: network ? network.name : 'ZetaChain',
+            symbol: network && network.nativeCurrency ? network.nativeCurrency.symbol : 'ZETA'
+        };
+        const code = classify(error);
+
+        if (code === 'REVERT') {
+            const revert = extractRevert(error);
+            const key = revert.reason || revert.name;
+            if (revert.name === 'Panic' && PANIC_MESSAGES[revert.args[0]]) {
+                return { code, reason: key, message: PANIC_MESSAGES[revert.args[0]](details) };
+            }
+            if (REVERT_MESSAGES[key]) {
+                return { code, reason: key, message: REVERT_MESSAGES[key](details) };
+            }
+            return { code, reason: key, message: `${action} failed: ${key}` };
+        }
+
+        if (MESSAGES[code]) {
+            return { code, reason: null, message: MESSAGES[code](details) };
+        }
+
+        const text = error && (error.reason || error.shortMessage || error.message);
+        return { code, reason: null, message: `${action} failed: ${String(text || error).split('\n')[0]}` };
+    }
+
+    /**
+     * Attach the revert reason to an error. Mined transactions only report
+     * status 0, so the transaction is replayed with eth_call against the state
+     * just before its block to recover the reason.
+     *
+     * @param {Error} error
+     * @param {Object} [options]
+     * @param {Object} [options.provider] - provider used for the replay
+     * @param {Object} [options.iface] - contract interface for custom errors
+     * @param {Object} [options.transaction] - the sent transaction, if known
+     * @returns {Promise<Error>} the same error, with decodedRevert (and outOfGas) set
+     */
+    async function decode(error, { provider = null, iface = null, transaction = null } = {}) {
+        if (!error || typeof error !== 'object' || error.decodedRevert !== undefined) return error;
+
+        error.decodedRevert = extractRevert(error, iface);
+        const receipt = error.receipt;
+        const tx = transaction || error.transaction;
+        if (error.decodedRevert || !provider || !receipt || !tx || !tx.data) return error;
+
+        // ethers v5 takes the block tag as a second argument, v6 inside the request.
+        // The gas limit is left out so an out-of-gas failure replays successfully.
+        const blockTag = Number(receipt.blockNumber) - 1;
+        try {
+            await provider.call({
+                from: receipt.from,
+                to: receipt.to,
+                data: tx.data,
+                value: tx.value,
+                blockTag
+            }, blockTag);
+
+            // The replay succeeded, so the transaction most likely ran out of gas
+            error.outOfGas = tx.gasLimit !== undefined && tx.gasLimit !== null
+                && BigInt(receipt.gasUsed.toString()) >= BigInt(tx.gasLimit.toString());
+        } catch (replayError) {
+            error.decodedRevert = extractRevert(replayError, iface);
+        }
+        return error;
+    }
+
+    return {
+        REVERT_MESSAGES,
+        decodeRevertData,
+        extractRevert,
+        classify,
+        translate,
+        decode
+    };
+});
@@ -0,0 +1,413 @@
+// ZetaChain Universal Portfolio Tracker
+// Tx Queue - persistent pending transactions with speed-up, cancel and replacement detection
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TxQueue = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STORAGE_KEY = 'txqueue:entries';
+    const DEFAULT_INTERVAL = 4000;
+    const DROP_TIMEOUT = 10 * 60 * 1000;   // unseen by the node for this long = dropped
+    const SETTLED_TTL = 24 * 60 * 60 * 1000;
+    const MAX_REPLACEMENT_SCAN = 200;      // blocks searched for an unknown replacement
+
+    // Replacements must outbid the original; most nodes require at least +10%
+    const BUMP_NUMERATOR = 1125n;
+    const BUMP_DENOMINATOR = 1000n;
+
+    const STATUS = {
+        PENDING: 'pending',
+        CONFIRMED: 'confirmed',
+        FAILED: 'failed',
+        CANCELLED: 'cancelled',
+        REPLACED: 'replaced',
+        DROPPED: 'dropped'
+    };
+
+    function toBigInt(value) {
+        return value === null || value === undefined ? null : BigInt(value.toString());
+    }
+
+    function toStored(value) {
+        return value === null || value === undefined ? null : value.toString();
+    }
+
+    function bump(original, current) {
+        const bumped = toBigInt(original) * BUMP_NUMERATOR / BUMP_DENOMINATOR + 1n;
+        const market = toBigInt(current);
+        return market !== null && market > bumped ? market : bumped;
+    }
+
+    class TxQueue {
+        /**
+         * Tracks submitted transactions across reloads. Entries are keyed by the
+         * hash they were first sent with; speed-ups and cancels add hashes to the
+         * same entry so whichever one is mined settles it.
+         *
+         * @param {Object} options
+         * @param {Storage} [options.storage] - localStorage-like store for pending entries
+         * @param {Function} [options.onChange] - called with the visible entries after any update
+         * @param {Function} [options.onSettled] - called with (entry, receipt|null) once an entry leaves pending
+         * @param {number} [options.interval] - polling interval in ms
+         */
+        constructor({ storage = null, onChange = () => {}, onSettled = () => {}, interval = DEFAULT_INTERVAL }) {
+            this.storage = storage;
+            this.onChange = onChange;
+            this.onSettled = onSettled;
+            this.interval = interval;
+
+            this.entries = [];
+            this.provider = null;
+            this.signer = null;
+            this.account = null;
+            this.chainId = null;
+            this.timer = null;
+            this.ticking = null;
+            this.nextTick = null;
+            this.waiters = new Map();
+
+            this.restore();
+        }
+
+        restore() {
+            if (!this.storage) return;
+            try {
+                const cutoff = Date.now() - SETTLED_TTL;
+                this.entries = (JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]'))
+                    .filter(entry => entry.status === STATUS.PENDING || entry.settledAt > cutoff);
+            } catch (error) {
+                console.error('Error restoring transaction queue:', error);
+            }
+        }
+
+        persist() {
+            if (!this.storage) return;
+            try {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+            } catch (error) {
+                console.error('Error persisting transaction queue:', error);
+            }
+        }
+
+        /**
+         * Start watching the account's pending entries on this chain
+         */
+        attach({ provider, signer, account, chainId }) {
+            this.detach();
+            this.provider = provider;
+            this.signer = signer;
+            this.account = account;
+            this.chainId = Number(chainId);
+            this.notify();
+            this.schedule(0);
+        }
+
+        detach() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.provider = null;
+            this.signer = null;
+            this.account = null;
+            this.chainId = null;
+        }
+
+        /**
+         * Entries for the attached account and chain, newest first
+         */
+        visible() {
+            if (!this.account) return [];
+            return this.entries
+                .filter(entry => entry.chainId === this.chainId && entry.from.toLowerCase() === this.account.toLowerCase())
+                .sort((a, b) => b.submittedAt - a.submittedAt);
+        }
+
+        pending() {
+            return this.visible().filter(entry => entry.status === STATUS.PENDING);
+        }
+
+        get(id) {
+            return this.entries.find(entry => entry.id === id) || null;
+        }
+
+        /**
+         * Record a sent transaction
+         * @param {Object} tx - transaction response from the signer
+         * @param {Object} meta
+         * @param {string} meta.purpose - 'deposit' | 'withdraw' | 'mint' | 'badge-transfer'
+         * @param {number} [meta.positionId] - position the transaction acts on
+         * @param {string} [meta.label] - short description for the pending tray
+         * @param {Object} [meta.details] - extra purpose-specific data kept with the entry
+         * @returns {Object} the new entry
+         */
+        track(tx, { purpose, positionId = null, label = purpose, details = {} }) {
+            const entry = {
+                id: tx.hash,
+                hash: tx.hash,
+                hashes: [tx.hash],
+                cancelHash: null,
+                purpose,
+                positionId,
+                label,
+                details,
+                chainId: Number(tx.chainId || this.chainId),
+                from: tx.from,
+                to: tx.to,
+                data: tx.data,
+                value: toStored(tx.value) || '0',
+                nonce: Number(tx.nonce),
+                gasLimit: toStored(tx.gasLimit),
+                gasPrice: toStored(tx.gasPrice),
+                maxFeePerGas: toStored(tx.maxFeePerGas),
+                maxPriorityFeePerGas: toStored(tx.maxPriorityFeePerGas),
+                status: STATUS.PENDING,
+                submittedAt: Date.now(),
+                lastSeenAt: Date.now(),
+                settledAt: null
+            };
+
+            this.entries.push(entry);
+            this.persist();
+            this.notify();
+            this.schedule(0);
+            return entry;
+        }
+
+        /**
+         * Resolves once the entry leaves pending
+         * @returns {Promise<{entry: Object, receipt: Object|null}>}
+         */
+        wait(id) {
+            const entry = this.get(id);
+            if (entry && entry.status !== STATUS.PENDING) {
+                return Promise.resolve({ entry, receipt: null });
+            }
+            return new Promise(resolve => {
+                const waiters = this.waiters.get(id) || [];
+                waiters.push(resolve);
+                this.waiters.set(id, waiters);
+            });
+        }
+
+        schedule(delay = this.interval) {
+            if (!this.provider) return;
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.tick(), delay);
+        }
+
+        /**
+         * Check every pending entry once. A call made while a pass is running
+         * waits for one fresh pass after it, shared with any other such caller.
+         */
+        tick() {
+            if (this.ticking) {
+                if (!this.nextTick) {
+                    this.nextTick = this.ticking.then(() => {
+                        this.nextTick = null;
+                        return this.tick();
+                    });
+                }
+                return this.nextTick;
+            }
+
+            this.ticking = this.checkPending().finally(() => {
+                this.ticking = null;
+                if (this.pending().length > 0) this.schedule();
+            });
+            return this.ticking;
+        }
+
+        async checkPending() {
+            const provider = this.provider;
+            try {
+                for (const entry of this.pending()) {
+                    await this.check(entry);
+                    if (provider !== this.provider) return;
+                }
+            } catch (error) {
+                // A detach mid-pass pulls the provider away; that is not worth reporting
+                if (provider === this.provider) console.error('Error checking pending transactions:', error);
+            }
+        }
+
+        async check(entry) {
+            const receipt = await this.findReceipt(entry);
+            if (receipt) {
+                this.settleMined(entry, receipt);
+                return;
+            }
+
+            const nonce = await this.provider.getTransactionCount(entry.from, 'latest');
+            if (Number(nonce) > entry.nonce) {
+                // Our nonce was used by a transaction we did not send from here,
+                // e.g. a speed-up done inside the wallet
+                await this.resolveReplacement(entry);
+                return;
+            }
+
+            const seen = await this.isKnown(entry);
+            if (seen) {
+                entry.lastSeenAt = Date.now();
+                this.persist();
+            } else if (Date.now() - entry.lastSeenAt > DROP_TIMEOUT) {
+                this.settle(entry, STATUS.DROPPED, null);
+            }
+        }
+
+        async findReceipt(entry) {
+            for (const hash of entry.hashes) {
+                const receipt = await this.provider.getTransactionReceipt(hash);
+                if (receipt && receipt.blockNumber !== null && receipt.blockNumber !== undefined) return receipt;
+            }
+            return null;
+        }
+
+        async isKnown(entry) {
+            for (const hash of entry.hashes) {
+                if (await this.provider.getTransaction(hash)) return true;
+            }
+            return false;
+        }
+
+        /**
+         * Search recent blocks for the transaction that took our nonce. A
+         * replacement with the same call counts as the original being repriced.
+         */
+        async resolveReplacement(entry) {
+            const latest = await this.provider.getBlockNumber();
+            const from = entry.from.toLowerCase();
+
+            for (let number = latest; number > Math.max(0, latest - MAX_REPLACEMENT_SCAN); number--) {
+                const transactions = await this.blockTransactions(number);
+                const match = transactions.find(tx => tx.from && tx.from.toLowerCase() === from && Number(tx.nonce) === entry.nonce);
+                if (!match) continue;
+
+                const receipt = await this.provider.getTransactionReceipt(match.hash);
+                if (entry.hashes.includes(match.hash) && receipt) {
+                    // One of ours, mined between the receipt and nonce checks
+                    this.settleMined(entry, receipt);
+                    return;
+                }
+
+                const repriced = match.to && entry.to
+                    && match.to.toLowerCase() === entry.to.toLowerCase()
+                    && match.data === entry.data
+                    && toBigInt(match.value) === toBigInt(entry.value);
+
+                entry.hash = match.hash;
+                entry.hashes.push(match.hash);
+                if (repriced && receipt) {
+                    this.settle(entry, Number(receipt.status) === 1 ? STATUS.CONFIRMED : STATUS.FAILED, receipt);
+                } else {
+                    this.settle(entry, STATUS.REPLACED, receipt);
+                }
+                return;
+            }
+
+            this.settle(entry, STATUS.REPLACED, null);
+        }
+
+        async blockTransactions(number) {
+            // ethers v5 has getBlockWithTransactions, v6 prefetches with getBlock(n, true)
+            if (typeof this.provider.getBlockWithTransactions === 'function') {
+                const block = await this.provider.getBlockWithTransactions(number);
+                return block ? block.transactions : [];
+            }
+            const block = await this.provider.getBlock(number, true);
+            return block ? block.prefetchedTransactions : [];
+        }
+
+        settleMined(entry, receipt) {
+            // ethers v5 receipts carry transactionHash, v6 receipts hash
+            const hash = receipt.transactionHash || receipt.hash;
+            const status = hash === entry.cancelHash
+                ? STATUS.CANCELLED
+                : (Number(receipt.status) === 1 ? STATUS.CONFIRMED : STATUS.FAILED);
+            entry.hash = hash;
+            this.settle(entry, status, receipt);
+        }
+
+        settle(entry, status, receipt) {
+            if (entry.status !== STATUS.PENDING) return;
+            entry.status = status;
+            entry.settledAt = Date.now();
+            this.persist();
+            this.notify();
+
+            this.onSettled(entry, receipt);
+            (this.waiters.get(entry.id) || []).forEach(resolve => resolve({ entry, receipt }));
+            this.waiters.delete(entry.id);
+        }
+
+        /**
+         * Resend the same call with the same nonce and higher fees
+         */
+        speedUp(id) {
+            const entry = this.get(id);
+            return this.replace(entry, { to: entry.to, data: entry.data, value: entry.value, gasLimit: entry.gasLimit }, false);
+        }
+
+        /**
+         * Replace the transaction with an empty self-transfer using the same nonce
+         */
+        cancel(id) {
+            const entry = this.get(id);
+            return this.replace(entry, { to: entry.from, data: '0x', value: '0', gasLimit: '21000' }, true);
+        }
+
+        async replace(entry, call, isCancel) {
+            if (!entry || entry.status !== STATUS.PENDING) {
+                throw new Error('Transaction is no longer pending');
+            }
+            if (!this.signer || entry.from.toLowerCase() !== this.account.toLowerCase()) {
+                throw new Error('Connect the wallet that sent this transaction first');
+            }
+
+            const feeData = await this.provider.getFeeData();
+            const request = { ...call, nonce: entry.nonce };
+
+            if (entry.maxFeePerGas !== null) {
+                request.maxFeePerGas = bump(entry.maxFeePerGas, feeData.maxFeePerGas).toString();
+                request.maxPriorityFeePerGas = bump(entry.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas).toString();
+            } else {
+                request.gasPrice = bump(entry.gasPrice || feeData.gasPrice, feeData.gasPrice).toString();
+            }
+
+            const tx = await this.signer.sendTransaction(request);
+
+            entry.hash = tx.hash;
+            entry.hashes.push(tx.hash);
+            entry.lastSeenAt = Date.now();
+            if (isCancel) {
+                entry.cancelHash = tx.hash;
+            }
+            ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'].forEach(field => {
+                if (request[field] !== undefined) entry[field] = request[field];
+            });
+
+            this.persist();
+            this.notify();
+            this.schedule(0);
+            return entry;
+        }
+
+        /**
+         * Remove a settled entry from the tray
+         */
+        dismiss(id) {
+            this.entries = this.entries.filter(entry => entry.id !== id || entry.status === STATUS.PENDING);
+            this.persist();
+            this.notify();
+        }
+
+        notify() {
+            this.onChange(this.visible());
+        }
+    }
+
+    TxQueue.STATUS = STATUS;
+
+    return TxQueue;
+});
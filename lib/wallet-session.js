@@ -0,0 +1,116 @@
+// ZetaChain Universal Portfolio Tracker
+// Wallet Session - EIP-6963 discovery and EIP-1193 account/chain tracking
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WalletSession = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STORAGE_KEY = 'wallet:preferred';
+    const DISCOVERY_TIMEOUT = 300;
+
+    class WalletSession {
+        /**
+         * @param {Object} options
+         * @param {Function} options.onAccountsChanged - called with the new accounts array
+         * @param {Function} options.onChainChanged - called with the new numeric chain ID
+         * @param {Function} options.onDisconnect - called when the wallet drops its connection
+         * @param {Storage} [options.storage] - remembers the last chosen wallet
+         */
+        constructor({ onAccountsChanged, onChainChanged, onDisconnect, storage = null }) {
+            this.onAccountsChanged = onAccountsChanged;
+            this.onChainChanged = onChainChanged;
+            this.onDisconnect = onDisconnect;
+            this.storage = storage;
+
+            this.wallets = new Map();
+            this.selected = null;
+
+            this.handlers = {
+                accountsChanged: (accounts) => this.onAccountsChanged(accounts || []),
+                chainChanged: (chainId) => this.onChainChanged(Number(chainId)),
+                disconnect: (error) => this.onDisconnect(error)
+            };
+
+            if (typeof window !== 'undefined') {
+                window.addEventListener('eip6963:announceProvider', (event) => {
+                    const { info, provider } = event.detail;
+                    this.wallets.set(info.uuid, { info, provider });
+                });
+            }
+        }
+
+        get ethereum() {
+            return this.selected ? this.selected.provider : null;
+        }
+
+        /**
+         * Ask every EIP-6963 wallet to announce itself. Falls back to the legacy
+         * window.ethereum injection for wallets that predate the standard.
+         * @returns {Promise<Array<{info: Object, provider: Object}>>}
+         */
+        async discover(timeout = DISCOVERY_TIMEOUT) {
+            window.dispatchEvent(new Event('eip6963:requestProvider'));
+            await new Promise(resolve => setTimeout(resolve, timeout));
+
+            const wallets = [...this.wallets.values()];
+            const legacy = window.ethereum;
+
+            if (legacy && !wallets.some(wallet => wallet.provider === legacy)) {
+                wallets.push({
+                    info: {
+                        uuid: 'legacy-injected',
+                        name: legacy.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+                        icon: '',
+                        rdns: 'legacy.injected'
+                    },
+                    provider: legacy
+                });
+            }
+
+            return wallets;
+        }
+
+        /**
+         * The wallet chosen last time, or the only wallet if there is just one
+         */
+        findPreferred(wallets) {
+            const rdns = this.storage ? this.storage.getItem(STORAGE_KEY) : null;
+            const remembered = wallets.find(wallet => wallet.info.rdns === rdns);
+            if (remembered) return remembered;
+            return wallets.length === 1 ? wallets[0] : null;
+        }
+
+        select(wallet) {
+            if (this.selected && this.selected.provider === wallet.provider) return;
+
+            this.detach();
+            this.selected = wallet;
+            this.attach();
+
+            if (this.storage) this.storage.setItem(STORAGE_KEY, wallet.info.rdns);
+        }
+
+        attach() {
+            const provider = this.ethereum;
+            if (!provider || typeof provider.on !== 'function') return;
+            Object.entries(this.handlers).forEach(([event, handler]) => provider.on(event, handler));
+        }
+
+        detach() {
+            const provider = this.ethereum;
+            if (!provider || typeof provider.removeListener !== 'function') return;
+            Object.entries(this.handlers).forEach(([event, handler]) => provider.removeListener(event, handler));
+        }
+
+        clear() {
+            this.detach();
+            this.selected = null;
+            if (this.storage) this.storage.removeItem(STORAGE_KEY);
+        }
+    }
+
+    return WalletSession;
+});
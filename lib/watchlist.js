@@ -0,0 +1,76 @@
+// ZetaChain Universal Portfolio Tracker
+// Watch List - read-only addresses tracked without a connected wallet
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WatchList = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STORAGE_KEY = 'watchlist:addresses';
+
+    class WatchList {
+        /**
+         * @param {Object} options
+         * @param {Function} options.normalize - returns the checksummed address or throws if invalid
+         * @param {Storage} [options.storage] - localStorage-like store
+         */
+        constructor({ normalize, storage = null }) {
+            this.normalize = normalize;
+            this.storage = storage;
+            this.entries = [];
+            this.restore();
+        }
+
+        restore() {
+            if (!this.storage) return;
+            try {
+                this.entries = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+            } catch (error) {
+                console.error('Error restoring watch list:', error);
+                this.entries = [];
+            }
+        }
+
+        persist() {
+            if (this.storage) this.storage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        }
+
+        list() {
+            return [...this.entries];
+        }
+
+        has(address) {
+            return this.entries.some(entry => entry.address.toLowerCase() === address.toLowerCase());
+        }
+
+        /**
+         * @returns {Object} the stored entry
+         * @throws if the address is invalid or already watched
+         */
+        add(address, label = '') {
+            const normalized = this.normalize(address.trim());
+            if (this.has(normalized)) {
+                throw new Error('Address is already being watched');
+            }
+
+            const entry = { address: normalized, label: label.trim(), addedAt: Date.now() };
+            this.entries.push(entry);
+            this.persist();
+            return entry;
+        }
+
+        remove(address) {
+            this.entries = this.entries.filter(entry => entry.address.toLowerCase() !== address.toLowerCase());
+            this.persist();
+        }
+
+        labelFor(address) {
+            const entry = this.entries.find(item => item.address.toLowerCase() === address.toLowerCase());
+            return entry ? entry.label : '';
+        }
+    }
+
+    return WatchList;
+});
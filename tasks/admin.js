@@ -0,0 +1,122 @@
+// ZetaChain Universal Portfolio Tracker
+// Admin tasks - owner controls of a deployed OmnichainTracker, e.g.
+//   npx hardhat tracker:pause --network zeta_mainnet
+
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+
+const REGISTRY_FILE = path.join(__dirname, '..', 'deployments', 'registry.json');
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Registry entry of the network's chain, or null when none is recorded
+ */
+async function deployment(hre) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const registry = fs.existsSync(REGISTRY_FILE) ? JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8')) : {};
+    return registry[chainId.toString()] || null;
+}
+
+/**
+ * The tracker at --contract, or the one recorded in the registry for the network's chain
+ */
+async function tracker(hre, address) {
+    if (!address) {
+        const recorded = await deployment(hre);
+        if (!recorded) {
+            const { chainId } = await hre.ethers.provider.getNetwork();
+            throw new Error(`No tracker recorded for chain ${chainId}; pass --contract`);
+        }
+        address = recorded.contractAddress;
+    }
+    return hre.ethers.getContractAt('OmnichainTracker', address);
+}
+
+/**
+ * Send an owner-only call and wait for it, checking ownership first for a readable error
+ */
+async function ownerCall(hre, contract, method, args) {
+    const [signer] = await hre.ethers.getSigners();
+    const owner = await contract.owner();
+    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+        throw new Error(`${signer.address} is not the owner (${owner})`);
+    }
+    
+    const tx = await contract.connect(signer)[method](...args);
+    console.log(`${method} sent: ${tx.hash}`);
+    return tx.wait();
+}
+
+function adminTask(name, description) {
+    return task(name, description)
+        .addOptionalParam('contract', 'Tracker address (defaults to deployments/registry.json)');
+}
+
+adminTask('tracker:status', 'Show the owner settings of the tracker')
+    .setAction(async ({ contract: address }, hre) => {
+        const contract = await tracker(hre, address);
+        const premium = await contract.defaultPremium();
+        
+        console.log(`Tracker:        ${await contract.getAddress()}`);
+        console.log(`Owner:          ${await contract.owner()}`);
+        console.log(`Gateway:        ${await contract.gateway()}`);
+        console.log(`Paused:         ${await contract.paused()}`);
+        const ceiling = premium.ceilingGas === hre.ethers.MaxUint256 ? 'no ceiling' : `at most ${premium.ceilingGas} gas`;
+        console.log(`Premium:        ${premium.bps} bps, at least ${premium.floorGas} gas, ${ceiling}`);
+        console.log(`Badge base URI: ${await contract.badgeBaseURI() || '(none)'}`);
+        const locked = await contract.lockedBalance(ZERO_ADDRESS);
+        const balance = await hre.ethers.provider.getBalance(await contract.getAddress());
+        console.log(`ZETA sweepable: ${hre.ethers.formatEther(balance > locked ? balance - locked : 0n)}`);
+    });
+
+adminTask('tracker:pause', 'Stop deposits, top-ups and withdrawals')
+    .setAction(async ({ contract: address }, hre) => {
+        await ownerCall(hre, await tracker(hre, address), 'pause', []);
+        console.log('Tracker paused');
+    });
+
+adminTask('tracker:unpause', 'Resume deposits, top-ups and withdrawals')
+    .setAction(async ({ contract: address }, hre) => {
+        await ownerCall(hre, await tracker(hre, address), 'unpause', []);
+        console.log('Tracker unpaused');
+    });
+
+adminTask('tracker:set-gateway', 'Point the tracker at a new GatewayZEVM')
+    .addParam('gateway', 'GatewayZEVM address')
+    .setAction(async ({ contract: address, gateway }, hre) => {
+        await ownerCall(hre, await tracker(hre, address), 'setGateway', [gateway]);
+        console.log(`Gateway set to ${gateway}`);
+    });
+
+adminTask('tracker:set-premium', 'Set the volatility premium of a chain, or the default with --chain 0')
+    .addOptionalParam('chain', 'Destination chain ID', 0, types.int)
+    .addParam('bps', 'Premium in basis points of the gas limit', undefined, types.int)
+    .addOptionalParam('floor', 'Minimum premium in gas units', '0')
+    .addOptionalParam('ceiling', 'Maximum premium in gas units; 0 removes a chain override', (2n ** 256n - 1n).toString())
+    .setAction(async ({ contract: address, chain, bps, floor, ceiling }, hre) => {
+        await ownerCall(hre, await tracker(hre, address), 'setPremium', [chain, bps, floor, ceiling]);
+        console.log(`Premium for ${chain === 0 ? 'the default' : `chain ${chain}`} set to ${bps} bps`);
+    });
+
+adminTask('tracker:sweep', 'Send what the tracker holds above user balances to a wallet')
+    .addOptionalParam('token', 'ZRC-20 to sweep (ZETA by default)', ZERO_ADDRESS)
+    .addOptionalParam('to', 'Recipient (the owner by default)')
+    .setAction(async ({ contract: address, token, to }, hre) => {
+        const contract = await tracker(hre, address);
+        const recipient = to || (await hre.ethers.getSigners())[0].address;
+        const receipt = await ownerCall(hre, contract, 'sweepFees', [token, recipient]);
+        const swept = receipt.logs
+            .map(log => contract.interface.parseLog(log))
+            .find(log => log && log.name === 'FeesSwept');
+        console.log(`Swept ${swept.args.amount} (${token === ZERO_ADDRESS ? 'ZETA' : token}) to ${recipient}`);
+    });
+
+adminTask('tracker:set-base-uri', 'Set the prefix of the badges\' external_url; empty removes it')
+    .addOptionalParam('uri', 'Base URI, e.g. https://example.com/badge/', '')
+    .setAction(async ({ contract: address, uri }, hre) => {
+        await ownerCall(hre, await tracker(hre, address), 'setBadgeBaseURI', [uri]);
+        console.log(uri ? `Badge base URI set to ${uri}` : 'Badge base URI removed');
+    });
+
+module.exports = { deployment, tracker };
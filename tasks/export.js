@@ -0,0 +1,68 @@
+// ZetaChain Universal Portfolio Tracker
+// Export task - a user's positions, withdrawals and badge events for accounting, e.g.
+//   npx hardhat tracker:export --user 0x... --from 2025-01-01 --to 2025-03-31 --out q1.csv --network zeta_mainnet
+
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const AccountingExport = require('../lib/accounting-export');
+const EventHistory = require('../lib/event-history');
+const { deployment, tracker } = require('./admin');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ERC20_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+];
+
+task('tracker:export', 'Export a user\'s positions, withdrawals and badge events as CSV or JSON')
+    .addOptionalParam('contract', 'Tracker address (defaults to deployments/registry.json)')
+    .addParam('user', 'Account to export')
+    .addOptionalParam('format', 'csv or json', 'csv')
+    .addOptionalParam('from', 'First day to include, YYYY-MM-DD (UTC)', '')
+    .addOptionalParam('to', 'Last day to include, YYYY-MM-DD (UTC)', '')
+    .addOptionalParam('precision', 'Decimal places of amounts', 18, types.int)
+    .addOptionalParam('out', 'File to write; CSV also writes <name>-badges.csv. Prints to stdout when omitted')
+    .setAction(async ({ contract: address, user, format, from, to, precision, out }, hre) => {
+        if (!['csv', 'json'].includes(format)) throw new Error(`Unknown format "${format}"; use csv or json`);
+        if (precision < 0 || precision > 18) throw new Error('--precision must be between 0 and 18');
+        const range = AccountingExport.parseRange(from, to);
+        
+        const contract = await tracker(hre, address);
+        const recorded = await deployment(hre);
+        const sameDeployment = recorded && recorded.contractAddress.toLowerCase() === (await contract.getAddress()).toLowerCase();
+        const provider = hre.ethers.provider;
+        
+        const data = await AccountingExport.collect({
+            contract,
+            provider,
+            user: hre.ethers.getAddress(user),
+            history: new EventHistory({
+                provider,
+                contract,
+                userAddress: user,
+                deploymentBlock: sameDeployment ? recorded.deploymentBlock : null
+            }),
+            tokenInfo: async (token) => {
+                if (token === ZERO_ADDRESS) return { symbol: 'ZETA', decimals: 18 };
+                const erc20 = new hre.ethers.Contract(token, ERC20_ABI, provider);
+                return { symbol: await erc20.symbol(), decimals: await erc20.decimals() };
+            }
+        });
+        const report = AccountingExport.buildReport(data, { ...range, precision });
+        
+        if (!out) {
+            process.stdout.write(format === 'json' ? `${AccountingExport.toJson(report)}\n` : AccountingExport.toCsv(report.positions));
+            return;
+        }
+        if (format === 'json') {
+            fs.writeFileSync(out, `${AccountingExport.toJson(report)}\n`);
+            console.log(`Wrote ${report.positions.length} rows and ${report.badges.length} badge events to ${out}`);
+            return;
+        }
+        const parsed = path.parse(out);
+        const badgesOut = path.join(parsed.dir, `${parsed.name}-badges${parsed.ext || '.csv'}`);
+        fs.writeFileSync(out, AccountingExport.toCsv(report.positions));
+        fs.writeFileSync(badgesOut, AccountingExport.toCsv(report.badges, AccountingExport.BADGE_COLUMNS));
+        console.log(`Wrote ${report.positions.length} rows to ${out} and ${report.badges.length} badge events to ${badgesOut}`);
+    });
@@ -0,0 +1,1210 @@
+// ZetaChain Universal Portfolio Tracker
+// OmnichainTracker unit tests (in-process Hardhat network)
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { GAS_PRICE, deployWithGateway } = require("./helpers");
+
+const Status = { Active: 0n, Withdrawn: 1n, Refunded: 2n, Failed: 3n };
+const Tier = { None: 0n, Genesis: 1n, Silver: 2n, Gold: 3n };
+
+const GAS_LIMIT = 200000n;
+const BUFFERED_GAS_LIMIT = (GAS_LIMIT * 130n) / 100n;
+const BASE_GAS_FEE = GAS_LIMIT * GAS_PRICE;
+const GAS_FEE_WITH_PREMIUM = BUFFERED_GAS_LIMIT * GAS_PRICE;
+const ETHEREUM = 1;
+const BSC = 56;
+const BADGE_GAS_FEE = 200000n * GAS_PRICE;
+// Plain withdrawals pay for the ZRC-20's GAS_LIMIT
+const TRANSFER_GAS_FEE = 21000n * GAS_PRICE;
+const USDC = ethers.parseUnits("100", 6);
+// Where the tracker pays a ZETA withdrawal's fee, as the gateway does for ZRC-20s
+const PROTOCOL_ADDRESS = "0x735b14BB79463307AAcBED86DAf3322B1e6226aB";
+const Callback = { Withdrawal: 0n, BadgeTransfer: 1n };
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+describe("OmnichainTracker", function () {
+    async function deployFixture() {
+        const [owner, alice, bob] = await ethers.getSigners();
+        const { tracker, gateway, gasTokens, libraries } = await deployWithGateway({ chains: [ETHEREUM], users: [alice, bob] });
+        const wzeta = await ethers.getContractAt("WETH9", await gateway.zetaToken());
+        return { tracker, gateway, gasToken: gasTokens[ETHEREUM], wzeta, libraries, owner, alice, bob };
+    }
+
+    async function depositFixture() {
+        const fixture = await deployFixture();
+        const amount = ethers.parseEther("1");
+        await fixture.tracker.connect(fixture.alice).deposit(amount, { value: amount });
+        return { ...fixture, amount };
+    }
+
+    async function withdrawnFixture() {
+        const fixture = await depositFixture();
+        await fixture.tracker.connect(fixture.alice)
+            .withdrawAndTrack(0, fixture.amount, ETHEREUM, fixture.alice.address, GAS_LIMIT);
+        return fixture;
+    }
+
+    // USDC.ETH position 0 for alice; its withdrawal fee is paid in ETH.ETH
+    async function tokenFixture() {
+        const fixture = await deployFixture();
+        const usdc = await ethers.deployContract("MockZRC20", ["ZetaChain ZRC20 USDC on ETH", "USDC.ETH", 0]);
+        await usdc.setDecimals(6);
+        await usdc.setGasZRC20(await fixture.gasToken.getAddress());
+        await usdc.mint(fixture.alice.address, 10n * USDC);
+        await usdc.connect(fixture.alice).approve(await fixture.tracker.getAddress(), ethers.MaxUint256);
+        await fixture.tracker.connect(fixture.alice).depositToken(await usdc.getAddress(), USDC);
+        return { ...fixture, usdc };
+    }
+
+    /**
+     * Build the context the protocol would pass back for a withdrawal the gateway emitted.
+     * By default the whole withdrawn amount comes back, ZETA as WZETA.
+     */
+    async function callbackContext({ gateway, tracker }, withdrawalId = 0, returned = {}) {
+        const withdrawals = [
+            ...await gateway.queryFilter(gateway.filters.Withdrawn()),
+            ...await gateway.queryFilter(gateway.filters.WithdrawnAndCalled())
+        ];
+        const event = withdrawals.find(log => {
+            const [kind, , id] = coder.decode(["uint8", "address", "uint256"], log.args.revertOptions.revertMessage);
+            return kind === Callback.Withdrawal && id === BigInt(withdrawalId);
+        });
+        const asset = event.args.zrc20 === ethers.ZeroAddress ? await gateway.zetaToken() : event.args.zrc20;
+        return {
+            sender: await tracker.getAddress(),
+            asset: returned.asset ?? asset,
+            amount: returned.amount ?? event.args.value,
+            revertMessage: event.args.revertOptions.revertMessage
+        };
+    }
+
+    async function abortContext(fixture, withdrawalId = 0, returned = {}) {
+        const context = await callbackContext(fixture, withdrawalId, returned);
+        return { ...context, sender: ethers.getBytes(context.sender), outgoing: true, chainID: ETHEREUM };
+    }
+
+    async function badgeFixture() {
+        const fixture = await withdrawnFixture();
+        await fixture.tracker.connect(fixture.alice).mintSafetyBadge();
+        const tokenId = await fixture.tracker.getUserBadge(fixture.alice.address);
+        return { ...fixture, tokenId };
+    }
+
+    describe("Deployment", function () {
+        it("stores the gateway and owner", async function () {
+            const { tracker, owner, gateway } = await loadFixture(deployFixture);
+            expect(await tracker.gateway()).to.equal(await gateway.getAddress());
+            expect(await tracker.owner()).to.equal(owner.address);
+        });
+
+        it("reports the default 30% premium in estimateWithdrawGas", async function () {
+            const { tracker, gasToken, usdc } = await loadFixture(tokenFixture);
+            const [token, baseGas, withPremium, premiumGas, premiumBps] =
+                await tracker.estimateWithdrawGas(await usdc.getAddress(), ETHEREUM, GAS_LIMIT);
+            expect(token).to.equal(await gasToken.getAddress());
+            expect(baseGas).to.equal(BASE_GAS_FEE);
+            expect(withPremium).to.equal(GAS_FEE_WITH_PREMIUM);
+            expect(premiumGas).to.equal(BUFFERED_GAS_LIMIT - GAS_LIMIT);
+            expect(premiumBps).to.equal(3000);
+        });
+
+        it("quotes plain transfers without a premium and ZETA at the gas token's fee", async function () {
+            const { tracker, usdc } = await loadFixture(tokenFixture);
+            const transfer = await tracker.estimateWithdrawGas(await usdc.getAddress(), ETHEREUM, 0);
+            expect(transfer.baseGas).to.equal(TRANSFER_GAS_FEE);
+            expect(transfer.withPremium).to.equal(TRANSFER_GAS_FEE);
+            expect(transfer.premiumGas).to.equal(0n);
+
+            const zeta = await tracker.estimateWithdrawGas(ethers.ZeroAddress, ETHEREUM, GAS_LIMIT);
+            expect(zeta.withPremium).to.equal(GAS_FEE_WITH_PREMIUM);
+            expect(zeta.premiumGas).to.equal(BUFFERED_GAS_LIMIT - GAS_LIMIT);
+        });
+
+        it("lets only the owner configure gas tokens", async function () {
+            const { tracker, gasToken, alice } = await loadFixture(deployFixture);
+            await expect(tracker.setGasToken(56, await gasToken.getAddress()))
+                .to.emit(tracker, "GasTokenSet")
+                .withArgs(56, await gasToken.getAddress());
+            await expect(tracker.connect(alice).setGasToken(56, ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(tracker, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("volatility premium", function () {
+        async function premiumGas(tracker, chainId = ETHEREUM, gasLimit = GAS_LIMIT) {
+            return (await tracker.estimateWithdrawGas(ethers.ZeroAddress, chainId, gasLimit)).premiumGas;
+        }
+
+        it("raises small premiums to the floor", async function () {
+            const { tracker } = await loadFixture(deployFixture);
+            await expect(tracker.setPremium(ETHEREUM, 1000, 50000, 100000))
+                .to.emit(tracker, "PremiumSet")
+                .withArgs(ETHEREUM, 1000, 50000, 100000);
+            expect(await premiumGas(tracker)).to.equal(50000);
+        });
+
+        it("caps large premiums at the ceiling", async function () {
+            const { tracker } = await loadFixture(deployFixture);
+            await tracker.setPremium(ETHEREUM, 5000, 0, 40000);
+            expect(await premiumGas(tracker)).to.equal(40000);
+        });
+
+        it("buys the premium as extra destination gas", async function () {
+            const { tracker, gateway, gasToken, alice, amount } = await loadFixture(depositFixture);
+            await tracker.setPremium(ETHEREUM, 1000, 0, ethers.MaxUint256);
+
+            const tx = tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, alice.address, GAS_LIMIT);
+            await expect(tx).to.emit(gateway, "WithdrawnAndCalled")
+                .withArgs(...Array(8).fill(anyValue), [GAS_LIMIT + 20000n, false], anyValue);
+            await expect(tx).to.changeTokenBalance(gasToken, alice, -(GAS_LIMIT + 20000n) * GAS_PRICE);
+        });
+
+        it("falls back to the default when a chain override is removed", async function () {
+            const { tracker } = await loadFixture(deployFixture);
+            await tracker.setPremium(0, 2000, 0, ethers.MaxUint256);
+            await tracker.setPremium(ETHEREUM, 5000, 0, 40000);
+            await tracker.setPremium(ETHEREUM, 0, 0, 0);
+
+            expect(await premiumGas(tracker)).to.equal(40000n);
+            expect((await tracker.premiumFor(ETHEREUM)).bps).to.equal(2000);
+        });
+
+        it("validates premium settings and restricts them to the owner", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            await expect(tracker.setPremium(0, 10001, 0, 1))
+                .to.be.revertedWith("Premium above 100%");
+            await expect(tracker.setPremium(ETHEREUM, 3000, 2, 1))
+                .to.be.revertedWith("Invalid premium bounds");
+            await expect(tracker.setPremium(0, 3000, 0, 0))
+                .to.be.revertedWith("Invalid premium bounds");
+            await expect(tracker.connect(alice).setPremium(ETHEREUM, 3000, 0, 1))
+                .to.be.revertedWithCustomError(tracker, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("owner controls", function () {
+        it("pauses deposits and withdrawals but not emergency exits", async function () {
+            const { tracker, owner, alice, amount } = await loadFixture(depositFixture);
+            await expect(tracker.pause()).to.emit(tracker, "Paused").withArgs(owner.address);
+
+            await expect(tracker.connect(alice).deposit(amount, { value: amount }))
+                .to.be.revertedWithCustomError(tracker, "EnforcedPause");
+            await expect(tracker.connect(alice).topUp(0, amount, { value: amount }))
+                .to.be.revertedWithCustomError(tracker, "EnforcedPause");
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.be.revertedWithCustomError(tracker, "EnforcedPause");
+            await expect(tracker.connect(alice).withdrawBatch([0], ETHEREUM, alice.address, GAS_LIMIT))
+                .to.be.revertedWithCustomError(tracker, "EnforcedPause");
+            await expect(tracker.connect(alice).emergencyWithdraw(0, amount))
+                .to.changeEtherBalance(alice, amount);
+
+            await tracker.unpause();
+            await expect(tracker.connect(alice).deposit(amount, { value: amount })).to.emit(tracker, "PositionCreated");
+        });
+
+        it("sweeps only what is held above user balances", async function () {
+            const { tracker, owner, alice, amount } = await loadFixture(depositFixture);
+            await tracker.connect(alice).deposit(amount, { value: amount + 5n });
+
+            await expect(tracker.sweepFees(ethers.ZeroAddress, owner.address))
+                .to.emit(tracker, "FeesSwept").withArgs(ethers.ZeroAddress, owner.address, 5n);
+            expect(await tracker.lockedBalance(ethers.ZeroAddress)).to.equal(2n * amount);
+            await expect(tracker.sweepFees(ethers.ZeroAddress, owner.address))
+                .to.be.revertedWith("Nothing to sweep");
+
+            // Payouts release what they pay, so both positions can still exit
+            await tracker.connect(alice).emergencyWithdraw(0, amount);
+            await expect(tracker.connect(alice).emergencyWithdraw(1, amount)).to.changeEtherBalance(alice, amount);
+            expect(await tracker.lockedBalance(ethers.ZeroAddress)).to.equal(0n);
+        });
+
+        it("moves to a new gateway and still settles withdrawals in flight through the old one", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway, alice, amount } = fixture;
+            const newGateway = await ethers.deployContract("MockGatewayZEVM");
+
+            await expect(tracker.setGateway(ethers.ZeroAddress)).to.be.revertedWith("Invalid gateway");
+            await expect(tracker.setGateway(await gateway.getAddress())).to.be.revertedWith("Invalid gateway");
+            await expect(tracker.setGateway(await newGateway.getAddress()))
+                .to.emit(tracker, "GatewaySet").withArgs(await newGateway.getAddress());
+            expect(await tracker.previousGateway()).to.equal(await gateway.getAddress());
+
+            // New withdrawals go through the new gateway
+            await tracker.connect(alice).deposit(amount, { value: amount });
+            await expect(tracker.connect(alice).withdrawAndTrack(1, amount, ETHEREUM, alice.address, 0))
+                .to.emit(newGateway, "Withdrawn");
+
+            // The pending one through the old gateway can still be refunded
+            const pending = await callbackContext(fixture);
+            await expect(gateway.executeRevert(await tracker.getAddress(), pending))
+                .to.emit(tracker, "PositionRefunded").withArgs(alice.address, 0, amount);
+            expect((await tracker.getPosition(alice.address, 0)).status).to.equal(Status.Refunded);
+
+            // A second move drops the oldest gateway
+            await tracker.setGateway(alice.address);
+            await expect(gateway.executeAbort(await tracker.getAddress(), await abortContext(fixture, 0, { amount: 0n })))
+                .to.be.revertedWith("Caller is not the gateway");
+        });
+
+        it("adds the badge base URI to the metadata as external_url", async function () {
+            const { tracker, alice, tokenId } = await loadFixture(badgeFixture);
+            const metadata = async () => JSON.parse(Buffer.from((await tracker.tokenURI(tokenId)).split(",")[1], "base64").toString());
+            expect(await metadata()).to.not.have.property("external_url");
+
+            await expect(tracker.setBadgeBaseURI("https://example.com/badge/"))
+                .to.emit(tracker, "BadgeBaseURISet").withArgs("https://example.com/badge/");
+            expect((await metadata()).external_url).to.equal(`https://example.com/badge/${tokenId}`);
+
+            for (const uri of ['https://example.com/"', "https://example.com/\\", "https://example.com/\n", "https://example.com/\u0000"]) {
+                await expect(tracker.setBadgeBaseURI(uri)).to.be.revertedWith("Invalid base URI");
+            }
+            await expect(tracker.connect(alice).setBadgeBaseURI(""))
+                .to.be.revertedWithCustomError(tracker, "OwnableUnauthorizedAccount");
+        });
+
+        it("restricts the controls to the owner", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            for (const call of [
+                tracker.connect(alice).pause(),
+                tracker.connect(alice).unpause(),
+                tracker.connect(alice).setGateway(alice.address),
+                tracker.connect(alice).sweepFees(ethers.ZeroAddress, alice.address)
+            ]) {
+                await expect(call).to.be.revertedWithCustomError(tracker, "OwnableUnauthorizedAccount");
+            }
+        });
+    });
+
+    describe("deposit", function () {
+        it("creates an active position and tracks the total", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("0.5");
+
+            await expect(tracker.connect(alice).deposit(amount, { value: amount }))
+                .to.emit(tracker, "PositionCreated")
+                .withArgs(alice.address, 0, amount);
+
+            const position = await tracker.getPosition(alice.address, 0);
+            expect(position.amount).to.equal(amount);
+            expect(position.user).to.equal(alice.address);
+            expect(position.status).to.equal(Status.Active);
+            expect(position.crossChainTxHash).to.equal(ethers.ZeroHash);
+            expect(await tracker.totalDeposited(alice.address)).to.equal(amount);
+        });
+
+        it("numbers positions per user", async function () {
+            const { tracker, alice, bob } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("0.1");
+
+            await tracker.connect(alice).deposit(amount, { value: amount });
+            await expect(tracker.connect(alice).deposit(amount, { value: amount }))
+                .to.emit(tracker, "PositionCreated")
+                .withArgs(alice.address, 1, amount);
+            await expect(tracker.connect(bob).deposit(amount, { value: amount }))
+                .to.emit(tracker, "PositionCreated")
+                .withArgs(bob.address, 0, amount);
+
+            expect(await tracker.getUserPositions(alice.address)).to.have.lengthOf(2);
+            expect(await tracker.totalDeposited(alice.address)).to.equal(amount * 2n);
+        });
+
+        it("rejects a zero amount", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            await expect(tracker.connect(alice).deposit(0, { value: 0 }))
+                .to.be.revertedWith("Amount must be greater than 0");
+        });
+
+        it("rejects a value below the amount", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("1");
+            await expect(tracker.connect(alice).deposit(amount, { value: amount - 1n }))
+                .to.be.revertedWith("Insufficient value sent");
+        });
+
+        it("rejects an out-of-range position lookup", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            await expect(tracker.getPosition(alice.address, 0))
+                .to.be.revertedWith("Invalid position ID");
+        });
+    });
+
+    describe("withdrawAndTrack", function () {
+        it("sends the token through withdrawAndCall with the buffered gas fee", async function () {
+            const { tracker, gateway, gasToken, usdc, alice } = await loadFixture(tokenFixture);
+            const token = await usdc.getAddress();
+
+            const tx = tracker.connect(alice).withdrawAndTrack(0, USDC, ETHEREUM, alice.address, GAS_LIMIT);
+            await expect(tx).to.changeTokenBalances(gasToken, [alice, gateway], [-GAS_FEE_WITH_PREMIUM, GAS_FEE_WITH_PREMIUM]);
+            await expect(tx).to.changeTokenBalances(usdc, [tracker, gateway], [-USDC, USDC]);
+            await expect(tx).to.emit(gateway, "WithdrawnAndCalled")
+                .withArgs(await tracker.getAddress(), anyValue, alice.address.toLowerCase(), token, USDC, GAS_FEE_WITH_PREMIUM, 0, anyValue, [BUFFERED_GAS_LIMIT, false], anyValue);
+            expect(await tracker.lockedBalance(token)).to.equal(0n);
+        });
+
+        it("sends a plain withdrawal to wallets for the standard fee", async function () {
+            const { tracker, gateway, gasToken, usdc, alice } = await loadFixture(tokenFixture);
+
+            const tx = tracker.connect(alice).withdrawAndTrack(0, USDC, ETHEREUM, alice.address, 0);
+            await expect(tx).to.emit(gateway, "Withdrawn")
+                .withArgs(await tracker.getAddress(), anyValue, alice.address.toLowerCase(), await usdc.getAddress(), USDC, TRANSFER_GAS_FEE, 0, "0x", anyValue, anyValue);
+            await expect(tx).to.emit(tracker, "GatewayFeePaid")
+                .withArgs(alice.address, await gasToken.getAddress(), TRANSFER_GAS_FEE, 0);
+            await expect(tx).to.changeTokenBalance(usdc, tracker, -USDC);
+        });
+
+        it("sends ZETA out as WZETA, pays its fee to the protocol and releases the locked balance", async function () {
+            const { tracker, gateway, gasToken, wzeta, alice, amount } = await loadFixture(depositFixture);
+            expect(await tracker.lockedBalance(ethers.ZeroAddress)).to.equal(amount);
+
+            const tx = tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, alice.address, 0);
+            await expect(tx).to.changeEtherBalances([tracker, wzeta], [-amount, amount]);
+            await expect(tx).to.changeTokenBalance(wzeta, gateway, amount);
+            await expect(tx).to.changeTokenBalances(gasToken, [alice, PROTOCOL_ADDRESS], [-TRANSFER_GAS_FEE, TRANSFER_GAS_FEE]);
+            await expect(tx).to.emit(gateway, "Withdrawn")
+                .withArgs(await tracker.getAddress(), ETHEREUM, alice.address.toLowerCase(), ethers.ZeroAddress, amount, 0, 0, "0x", anyValue, anyValue);
+            await expect(tx).to.emit(tracker, "GatewayFeePaid")
+                .withArgs(alice.address, await gasToken.getAddress(), TRANSFER_GAS_FEE, 0);
+            expect(await tracker.lockedBalance(ethers.ZeroAddress)).to.equal(0n);
+        });
+
+        it("requires an allowance for the gas fee", async function () {
+            const { tracker, gasToken, alice, amount } = await loadFixture(depositFixture);
+            await gasToken.connect(alice).approve(await tracker.getAddress(), GAS_FEE_WITH_PREMIUM - 1n);
+
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.be.revertedWithCustomError(gasToken, "ERC20InsufficientAllowance");
+        });
+
+        it("only sends a token to the chain it comes from", async function () {
+            const { tracker, usdc, alice } = await loadFixture(tokenFixture);
+            const bnb = await ethers.deployContract("MockZRC20", ["ZetaChain ZRC20 BNB-bsc_mainnet", "BNB.BSC", GAS_PRICE]);
+            await tracker.setGasToken(BSC, await bnb.getAddress());
+
+            await expect(tracker.connect(alice).withdrawAndTrack(0, USDC, BSC, alice.address, 0))
+                .to.be.revertedWith("Asset is not on the destination chain");
+            expect((await tracker.estimateWithdrawGas(ethers.ZeroAddress, BSC, 0)).gasToken).to.equal(await bnb.getAddress());
+            await expect(tracker.estimateWithdrawGas(await usdc.getAddress(), BSC, 0))
+                .to.be.revertedWith("Asset is not on the destination chain");
+        });
+
+        it("passes non-EVM recipients to the gateway as given", async function () {
+            const { tracker, gateway, alice, amount } = await loadFixture(depositFixture);
+            const solanaKey = ethers.hexlify(ethers.randomBytes(32));
+
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, solanaKey, GAS_LIMIT))
+                .to.emit(gateway, "WithdrawnAndCalled")
+                .withArgs(await tracker.getAddress(), anyValue, solanaKey, ...Array(7).fill(anyValue));
+        });
+
+        it("requires a recipient", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, "0x", GAS_LIMIT))
+                .to.be.revertedWith("Invalid destination address");
+        });
+
+        it("rejects destinations without a gas token", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount, 56, alice.address, GAS_LIMIT))
+                .to.be.revertedWith("Unsupported destination chain");
+        });
+
+        it("marks the position withdrawn and records the safety buffer", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+
+            const tx = tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, alice.address, GAS_LIMIT);
+            await expect(tx).to.emit(tracker, "SafetyBufferUsed").withArgs(alice.address, 0);
+            await expect(tx).to.emit(tracker, "WithdrawInitiated").withArgs(alice.address, 0, 0, amount, anyValue);
+            await expect(tx).not.to.emit(tracker, "RevertSuccess");
+
+            const position = await tracker.getPosition(alice.address, 0);
+            expect(position.status).to.equal(Status.Withdrawn);
+            expect(position.crossChainTxHash).to.equal(
+                ethers.keccak256(coder.encode(["uint8", "address", "uint256"], [Callback.Withdrawal, alice.address, 0]))
+            );
+            expect(await tracker.txHashToPositionId(position.crossChainTxHash)).to.equal(0);
+            expect(await tracker.hasUsedSafetyBuffer(alice.address)).to.equal(true);
+        });
+
+        it("reports the fee and its premium share", async function () {
+            const { tracker, gasToken, alice, amount } = await loadFixture(depositFixture);
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.emit(tracker, "GatewayFeePaid")
+                .withArgs(alice.address, await gasToken.getAddress(), GAS_FEE_WITH_PREMIUM, GAS_FEE_WITH_PREMIUM - BASE_GAS_FEE);
+        });
+
+        it("emits SafetyBufferUsed only for the first withdrawal", async function () {
+            const { tracker, alice, amount } = await loadFixture(withdrawnFixture);
+            await tracker.connect(alice).deposit(amount, { value: amount });
+
+            await expect(tracker.connect(alice).withdrawAndTrack(1, amount, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.emit(tracker, "WithdrawInitiated")
+                .and.not.to.emit(tracker, "SafetyBufferUsed");
+        });
+
+        it("returns the resulting status for static-call previews", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+            expect(await tracker.connect(alice).withdrawAndTrack.staticCall(0, amount, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.equal(Status.Withdrawn);
+        });
+
+        it("rejects a position that is no longer active", async function () {
+            const { tracker, alice, amount } = await loadFixture(withdrawnFixture);
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.be.revertedWith("Position not active");
+        });
+
+        it("only reaches the caller's own positions", async function () {
+            const { tracker, bob, amount } = await loadFixture(depositFixture);
+            // Positions are looked up under msg.sender, so another user's index is out of bounds
+            await expect(tracker.connect(bob).withdrawAndTrack(0, amount, ETHEREUM, bob.address, GAS_LIMIT))
+                .to.be.revertedWithPanic(0x32);
+        });
+    });
+
+    describe("top-ups and partial withdrawals", function () {
+        it("tops up an active position", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+            const extra = ethers.parseEther("0.5");
+
+            const tx = tracker.connect(alice).topUp(0, extra, { value: extra });
+            await expect(tx).to.emit(tracker, "PositionToppedUp").withArgs(alice.address, 0, extra);
+            await expect(tx).to.changeEtherBalances([alice, tracker], [-extra, extra]);
+
+            expect((await tracker.getPosition(alice.address, 0)).amount).to.equal(amount + extra);
+            expect(await tracker.totalDeposited(alice.address)).to.equal(amount + extra);
+        });
+
+        it("rejects top-ups of closed positions and bad amounts", async function () {
+            const { tracker, alice } = await loadFixture(withdrawnFixture);
+            const extra = ethers.parseEther("0.5");
+
+            await expect(tracker.connect(alice).topUp(0, extra, { value: extra }))
+                .to.be.revertedWith("Position not active");
+            await tracker.connect(alice).deposit(extra, { value: extra });
+            await expect(tracker.connect(alice).topUp(1, 0, { value: 0 }))
+                .to.be.revertedWith("Amount must be greater than 0");
+            await expect(tracker.connect(alice).topUp(1, extra, { value: extra - 1n }))
+                .to.be.revertedWith("Insufficient value sent");
+        });
+
+        it("records each partial withdrawal with its own hash and keeps the rest active", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+            const part = ethers.parseEther("0.25");
+
+            await expect(tracker.connect(alice).withdrawAndTrack(0, part, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.emit(tracker, "WithdrawInitiated")
+                .withArgs(alice.address, 0, 0, part, anyValue);
+            await tracker.connect(alice).withdrawAndTrack(0, part, ETHEREUM, alice.address, GAS_LIMIT);
+
+            const position = await tracker.getPosition(alice.address, 0);
+            expect(position.status).to.equal(Status.Active);
+            expect(position.amount).to.equal(amount - 2n * part);
+            expect(position.crossChainTxHash).to.equal(ethers.ZeroHash);
+
+            const withdrawals = await tracker.getUserWithdrawals(alice.address);
+            expect(withdrawals).to.have.lengthOf(2);
+            expect(withdrawals[1].positionId).to.equal(0);
+            expect(withdrawals[1].amount).to.equal(part);
+            expect(withdrawals[1].destinationChainId).to.equal(ETHEREUM);
+            expect(withdrawals[1].status).to.equal(Status.Withdrawn);
+            expect(withdrawals[0].crossChainTxHash).not.to.equal(withdrawals[1].crossChainTxHash);
+            expect(await tracker.safetyStats(alice.address)).to.deep.equal([2n, 2n * part, 0n]);
+
+            // Withdrawing what is left closes the position under the last withdrawal's hash
+            await tracker.connect(alice).withdrawAndTrack(0, amount - 2n * part, ETHEREUM, alice.address, GAS_LIMIT);
+            const closed = await tracker.getPosition(alice.address, 0);
+            expect(closed.status).to.equal(Status.Withdrawn);
+            expect(closed.crossChainTxHash).to.equal((await tracker.getUserWithdrawals(alice.address))[2].crossChainTxHash);
+        });
+
+        it("rejects withdrawal amounts of zero or above the position", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+            await expect(tracker.connect(alice).withdrawAndTrack(0, 0, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.be.revertedWith("Invalid withdrawal amount");
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount + 1n, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.be.revertedWith("Invalid withdrawal amount");
+            await expect(tracker.connect(alice).emergencyWithdraw(0, amount + 1n))
+                .to.be.revertedWith("Invalid withdrawal amount");
+        });
+
+        it("refunds only the reverted part and leaves the position active", async function () {
+            const fixture = await loadFixture(depositFixture);
+            const { tracker, gateway, wzeta, alice, amount } = fixture;
+            const part = ethers.parseEther("0.25");
+            await tracker.connect(alice).withdrawAndTrack(0, part, ETHEREUM, alice.address, GAS_LIMIT);
+            await tracker.connect(alice).withdrawAndTrack(0, part, ETHEREUM, alice.address, GAS_LIMIT);
+
+            const tx = gateway.executeRevert(await tracker.getAddress(), await callbackContext(fixture, 1));
+            await expect(tx).to.emit(tracker, "PositionRefunded").withArgs(alice.address, 0, part);
+            await expect(tx).to.changeEtherBalance(alice, part);
+            await expect(tx).to.changeTokenBalance(wzeta, gateway, -part);
+
+            const withdrawals = await tracker.getUserWithdrawals(alice.address);
+            expect(withdrawals[0].status).to.equal(Status.Withdrawn);
+            expect(withdrawals[1].status).to.equal(Status.Refunded);
+            const position = await tracker.getPosition(alice.address, 0);
+            expect(position.status).to.equal(Status.Active);
+            expect(position.amount).to.equal(amount - 2n * part);
+        });
+
+        it("takes part of a position out in an emergency", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+            const part = ethers.parseEther("0.4");
+
+            const tx = tracker.connect(alice).emergencyWithdraw(0, part);
+            await expect(tx).to.emit(tracker, "EmergencyWithdrawn").withArgs(alice.address, 0, part);
+            await expect(tx).to.changeEtherBalances([alice, tracker], [part, -part]);
+
+            const position = await tracker.getPosition(alice.address, 0);
+            expect(position.status).to.equal(Status.Active);
+            expect(position.amount).to.equal(amount - part);
+        });
+    });
+
+    describe("ZRC-20 positions", function () {
+        it("takes a ZRC-20 through its allowance and totals it per token", async function () {
+            const { tracker, usdc, alice } = await loadFixture(tokenFixture);
+            const token = await usdc.getAddress();
+
+            const tx = tracker.connect(alice).depositToken(token, USDC);
+            await expect(tx).to.emit(tracker, "TokenPositionCreated").withArgs(alice.address, 1, token, USDC);
+            await expect(tx).to.changeTokenBalances(usdc, [alice, tracker], [-USDC, USDC]);
+
+            const position = await tracker.getPosition(alice.address, 1);
+            expect(position.token).to.equal(token);
+            expect(position.amount).to.equal(USDC);
+            expect(await tracker.totalDepositedByToken(alice.address, token)).to.equal(2n * USDC);
+            // ZETA totals stay in wei of ZETA only
+            expect(await tracker.totalDeposited(alice.address)).to.equal(0n);
+        });
+
+        it("rejects ZETA sent along, the zero token and missing allowances", async function () {
+            const { tracker, usdc, alice, bob } = await loadFixture(tokenFixture);
+            const token = await usdc.getAddress();
+
+            await expect(tracker.connect(alice).depositToken(ethers.ZeroAddress, USDC))
+                .to.be.revertedWith("Invalid token");
+            await expect(tracker.connect(alice).topUp(0, USDC, { value: 1n }))
+                .to.be.revertedWith("ZETA sent with a token deposit");
+            await expect(tracker.connect(bob).depositToken(token, USDC))
+                .to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+        });
+
+        it("tops up and refunds in the position's token, outside the ZETA volume", async function () {
+            const fixture = await loadFixture(tokenFixture);
+            const { tracker, gateway, usdc, alice } = fixture;
+
+            await expect(tracker.connect(alice).topUp(0, USDC))
+                .to.changeTokenBalances(usdc, [alice, tracker], [-USDC, USDC]);
+            await tracker.connect(alice).withdrawAndTrack(0, USDC, ETHEREUM, alice.address, GAS_LIMIT);
+            expect(await tracker.safetyStats(alice.address)).to.deep.equal([1n, 0n, 0n]);
+
+            const tx = gateway.executeRevert(await tracker.getAddress(), await callbackContext(fixture));
+            await expect(tx).to.emit(tracker, "PositionRefunded").withArgs(alice.address, 0, USDC);
+            await expect(tx).to.changeTokenBalances(usdc, [alice, gateway], [USDC, -USDC]);
+            await expect(tx).to.changeEtherBalance(alice, 0);
+            expect((await tracker.getPosition(alice.address, 0)).amount).to.equal(USDC);
+        });
+
+        it("returns the token in an emergency", async function () {
+            const { tracker, usdc, alice } = await loadFixture(tokenFixture);
+
+            await expect(tracker.connect(alice).emergencyWithdraw(0, USDC))
+                .to.changeTokenBalances(usdc, [alice, tracker], [USDC, -USDC]);
+            expect((await tracker.getPosition(alice.address, 0)).status).to.equal(Status.Failed);
+        });
+    });
+
+    describe("batch exits", function () {
+        async function batchFixture() {
+            const fixture = await depositFixture();
+            for (let i = 0; i < 2; i++) {
+                await fixture.tracker.connect(fixture.alice).deposit(fixture.amount, { value: fixture.amount });
+            }
+            // Position 1 is closed before the batch
+            await fixture.tracker.connect(fixture.alice).emergencyWithdraw(1, fixture.amount);
+            return fixture;
+        }
+
+        /**
+         * Context of the batch's gateway withdrawal; by default all of it comes back as WZETA
+         */
+        async function batchRevertContext({ gateway, tracker }, amount) {
+            const [withdrawal] = (await gateway.queryFilter(gateway.filters.WithdrawnAndCalled())).slice(-1);
+            return {
+                sender: await tracker.getAddress(),
+                asset: await gateway.zetaToken(),
+                amount: amount ?? withdrawal.args.value,
+                revertMessage: withdrawal.args.revertOptions.revertMessage
+            };
+        }
+
+        it("withdraws several positions in one gateway withdrawal with the fee charged once", async function () {
+            const { tracker, gateway, gasToken, wzeta, alice, amount } = await loadFixture(batchFixture);
+            const ids = [0, 1, 2, 7];
+
+            expect(await tracker.connect(alice).withdrawBatch.staticCall(ids, ETHEREUM, alice.address, GAS_LIMIT))
+                .to.deep.equal(["", "Position not active", "", "Invalid position ID"]);
+
+            const tx = tracker.connect(alice).withdrawBatch(ids, ETHEREUM, alice.address, GAS_LIMIT);
+            await expect(tx).to.changeTokenBalances(gasToken, [alice, PROTOCOL_ADDRESS], [-GAS_FEE_WITH_PREMIUM, GAS_FEE_WITH_PREMIUM]);
+            await expect(tx).to.emit(tracker, "GatewayFeePaid")
+                .withArgs(alice.address, await gasToken.getAddress(), GAS_FEE_WITH_PREMIUM, GAS_FEE_WITH_PREMIUM - BASE_GAS_FEE);
+            await expect(tx).to.changeEtherBalance(tracker, -2n * amount);
+            await expect(tx).to.changeTokenBalance(wzeta, gateway, 2n * amount);
+            await expect(tx).to.emit(tracker, "WithdrawInitiated").withArgs(alice.address, 2, 1, amount, anyValue);
+            await expect(tx).to.emit(tracker, "BatchItemSkipped").withArgs(alice.address, 1, "Position not active");
+            await expect(tx).to.emit(tracker, "BatchItemSkipped").withArgs(alice.address, 7, "Invalid position ID");
+            const sent = await gateway.queryFilter(gateway.filters.WithdrawnAndCalled());
+            expect(sent.map(withdrawal => withdrawal.args.value)).to.deep.equal([2n * amount]);
+
+            const withdrawals = await tracker.getUserWithdrawals(alice.address);
+            expect(withdrawals.map(withdrawal => withdrawal.positionId)).to.deep.equal([0n, 2n]);
+            expect((await tracker.getPosition(alice.address, 0)).status).to.equal(Status.Withdrawn);
+            expect((await tracker.getPosition(alice.address, 2)).crossChainTxHash).to.equal(withdrawals[1].crossChainTxHash);
+            expect(await tracker.safetyStats(alice.address)).to.deep.equal([2n, 2n * amount, 0n]);
+            expect(await tracker.lockedBalance(ethers.ZeroAddress)).to.equal(0n);
+        });
+
+        it("moves one asset per batch and sends plain transfers without a premium", async function () {
+            const { tracker, gateway, gasToken, alice, amount } = await loadFixture(batchFixture);
+            await gasToken.connect(alice).approve(await tracker.getAddress(), ethers.MaxUint256);
+            await tracker.connect(alice).depositToken(await gasToken.getAddress(), 1000n);
+
+            const tx = tracker.connect(alice).withdrawBatch([3, 0, 2], ETHEREUM, alice.address, 0);
+            await expect(tx).to.emit(tracker, "BatchItemSkipped").withArgs(alice.address, 0, "Different asset");
+            await expect(tx).to.emit(tracker, "BatchItemSkipped").withArgs(alice.address, 2, "Different asset");
+            await expect(tx).to.emit(tracker, "GatewayFeePaid")
+                .withArgs(alice.address, await gasToken.getAddress(), TRANSFER_GAS_FEE, 0);
+            await expect(tx).to.emit(gateway, "Withdrawn")
+                .withArgs(await tracker.getAddress(), anyValue, alice.address.toLowerCase(), await gasToken.getAddress(), 1000n, TRANSFER_GAS_FEE, 0, anyValue, anyValue, anyValue);
+            expect(await tracker.lockedBalance(ethers.ZeroAddress)).to.equal(2n * amount);
+        });
+
+        it("rejects empty, oversized and all-skipped batches", async function () {
+            const { tracker, alice } = await loadFixture(batchFixture);
+            await expect(tracker.connect(alice).withdrawBatch([], ETHEREUM, alice.address, GAS_LIMIT))
+                .to.be.revertedWith("Invalid batch size");
+            await expect(tracker.connect(alice).emergencyWithdrawBatch(Array(21).fill(0)))
+                .to.be.revertedWith("Invalid batch size");
+            await expect(tracker.connect(alice).withdrawBatch([1, 9], ETHEREUM, alice.address, GAS_LIMIT))
+                .to.be.revertedWith("Nothing to withdraw");
+        });
+
+        it("refunds every withdrawal of a reverted batch and passes the returned asset on once", async function () {
+            const fixture = await loadFixture(batchFixture);
+            const { tracker, gateway, wzeta, alice, amount } = fixture;
+            await tracker.connect(alice).withdrawBatch([0, 2], ETHEREUM, alice.address, GAS_LIMIT);
+
+            const tx = gateway.executeRevert(await tracker.getAddress(), await batchRevertContext(fixture));
+            await expect(tx).to.emit(tracker, "PositionRefunded").withArgs(alice.address, 0, 2n * amount);
+            await expect(tx).to.emit(tracker, "PositionRefunded").withArgs(alice.address, 2, 0);
+            await expect(tx).to.changeEtherBalance(alice, 2n * amount);
+            await expect(tx).to.changeTokenBalance(wzeta, gateway, -2n * amount);
+
+            const withdrawals = await tracker.getUserWithdrawals(alice.address);
+            expect(withdrawals.map(withdrawal => withdrawal.status)).to.deep.equal([Status.Refunded, Status.Refunded]);
+            expect((await tracker.getPosition(alice.address, 2)).status).to.equal(Status.Refunded);
+            expect(await tracker.safetyStats(alice.address)).to.deep.equal([0n, 0n, 2n]);
+        });
+
+        it("marks every position of an aborted batch failed", async function () {
+            const fixture = await loadFixture(batchFixture);
+            const { tracker, gateway, alice } = fixture;
+            await tracker.connect(alice).withdrawBatch([0, 2], ETHEREUM, alice.address, GAS_LIMIT);
+
+            const context = await batchRevertContext(fixture);
+            await expect(gateway.executeAbort(await tracker.getAddress(), {
+                ...context, sender: ethers.getBytes(context.sender), outgoing: true, chainID: ETHEREUM
+            })).to.emit(tracker, "WithdrawAborted").withArgs(alice.address, 2, anyValue);
+
+            expect((await tracker.getPosition(alice.address, 0)).status).to.equal(Status.Failed);
+            expect((await tracker.getPosition(alice.address, 2)).status).to.equal(Status.Failed);
+        });
+
+        it("exits several positions in an emergency and reports the skipped ones", async function () {
+            const { tracker, alice, amount } = await loadFixture(batchFixture);
+
+            const tx = tracker.connect(alice).emergencyWithdrawBatch([0, 1, 2]);
+            await expect(tx).to.emit(tracker, "EmergencyWithdrawn").withArgs(alice.address, 2, amount);
+            await expect(tx).to.emit(tracker, "BatchItemSkipped").withArgs(alice.address, 1, "Position not active");
+            await expect(tx).to.changeEtherBalances([alice, tracker], [2n * amount, -2n * amount]);
+
+            expect((await tracker.getPosition(alice.address, 0)).status).to.equal(Status.Failed);
+            await expect(tracker.connect(alice).emergencyWithdrawBatch([0, 1, 2]))
+                .to.be.revertedWith("Nothing to withdraw");
+        });
+    });
+
+    describe("gateway callbacks", function () {
+        it("refunds the position when the destination call reverts", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway, wzeta, alice, amount } = fixture;
+
+            const tx = gateway.executeRevert(await tracker.getAddress(), await callbackContext(fixture));
+            await expect(tx).to.emit(tracker, "RevertSuccess")
+                .withArgs(alice.address, 0, anyValue, "Destination execution failed - position refunded");
+            await expect(tx).to.emit(tracker, "PositionRefunded").withArgs(alice.address, 0, amount);
+            await expect(tx).to.changeEtherBalances([alice, tracker], [amount, 0n]);
+            await expect(tx).to.changeTokenBalances(wzeta, [alice, gateway], [0n, -amount]);
+            expect(await tracker.lockedBalance(ethers.ZeroAddress)).to.equal(0n);
+
+            expect((await tracker.getPosition(alice.address, 0)).status).to.equal(Status.Refunded);
+            // The refund path still counts as using the safety buffer
+            expect(await tracker.isEligibleForBadge(alice.address)).to.equal(true);
+        });
+
+        it("hands WZETA to a wallet that rejects the unwrapped ZETA", async function () {
+            const { tracker, gateway, gasToken, wzeta } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("1");
+            const trackerAddress = await tracker.getAddress();
+            const wallet = await ethers.deployContract("MockSmartWallet");
+            const walletAddress = await wallet.getAddress();
+            await wallet.deposit(trackerAddress, { value: amount });
+            await gasToken.mint(walletAddress, TRANSFER_GAS_FEE);
+            await wallet.execute(await gasToken.getAddress(), gasToken.interface.encodeFunctionData("approve", [trackerAddress, TRANSFER_GAS_FEE]));
+            await wallet.execute(trackerAddress, tracker.interface.encodeFunctionData("withdrawAndTrack", [0, amount, ETHEREUM, walletAddress, 0]));
+
+            await wallet.setAcceptsZeta(false);
+            const tx = gateway.executeRevert(trackerAddress, await callbackContext({ gateway, tracker }));
+            await expect(tx).to.emit(tracker, "PositionRefunded").withArgs(walletAddress, 0, amount);
+            await expect(tx).to.changeTokenBalances(wzeta, [wallet, tracker], [amount, 0n]);
+            await expect(tx).to.changeEtherBalances([wallet, tracker], [0n, 0n]);
+        });
+
+        it("passes on whatever asset the protocol returns", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway, gasToken, alice } = fixture;
+            const leftover = 12345n;
+            await gasToken.mint(await gateway.getAddress(), leftover);
+
+            const context = await callbackContext(fixture, 0, { asset: await gasToken.getAddress(), amount: leftover });
+            const tx = gateway.executeRevert(await tracker.getAddress(), context);
+            await expect(tx).to.changeTokenBalances(gasToken, [alice, tracker], [leftover, 0n]);
+            await expect(tx).to.emit(tracker, "PositionRefunded").withArgs(alice.address, 0, leftover);
+        });
+
+        it("marks the position failed and returns the deposit on abort", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway, wzeta, alice, amount } = fixture;
+
+            const tx = gateway.executeAbort(await tracker.getAddress(), await abortContext(fixture));
+            await expect(tx).to.emit(tracker, "WithdrawAborted").withArgs(alice.address, 0, anyValue);
+            await expect(tx).to.changeEtherBalance(alice, amount);
+            await expect(tx).to.changeTokenBalance(wzeta, gateway, -amount);
+            expect((await tracker.getPosition(alice.address, 0)).status).to.equal(Status.Failed);
+        });
+
+        it("settles each withdrawal once", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway } = fixture;
+            await gateway.executeRevert(await tracker.getAddress(), await callbackContext(fixture));
+
+            await expect(gateway.executeAbort(await tracker.getAddress(), await abortContext(fixture, 0, { amount: 0n })))
+                .to.be.revertedWith("Withdrawal not in flight");
+        });
+
+        it("only accepts callbacks from the gateway", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, alice } = fixture;
+
+            await expect(tracker.connect(alice).onRevert(await callbackContext(fixture)))
+                .to.be.revertedWith("Caller is not the gateway");
+            await expect(tracker.connect(alice).onAbort(await abortContext(fixture)))
+                .to.be.revertedWith("Caller is not the gateway");
+        });
+
+        it("ignores callbacks for calls it did not make", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway, bob } = fixture;
+            const context = await callbackContext(fixture);
+
+            await expect(gateway.executeRevert(await tracker.getAddress(), { ...context, sender: bob.address }))
+                .to.be.revertedWith("Unknown revert source");
+            await expect(gateway.executeAbort(await tracker.getAddress(), { ...await abortContext(fixture), outgoing: false }))
+                .to.be.revertedWith("Unknown abort source");
+        });
+    });
+
+    describe("emergencyWithdraw", function () {
+        it("returns the deposit and marks the position failed", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+
+            await expect(tracker.connect(alice).emergencyWithdraw(0, amount))
+                .to.changeEtherBalances([alice, tracker], [amount, -amount]);
+            expect((await tracker.getPosition(alice.address, 0)).status).to.equal(Status.Failed);
+        });
+
+        it("cannot be repeated", async function () {
+            const { tracker, alice, amount } = await loadFixture(depositFixture);
+            await tracker.connect(alice).emergencyWithdraw(0, amount);
+            await expect(tracker.connect(alice).emergencyWithdraw(0, amount))
+                .to.be.revertedWith("Position not active");
+        });
+
+        it("rejects withdrawn positions", async function () {
+            const { tracker, alice, amount } = await loadFixture(withdrawnFixture);
+            await expect(tracker.connect(alice).emergencyWithdraw(0, amount))
+                .to.be.revertedWith("Position not active");
+        });
+
+        it("rejects refunded positions", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway, alice, amount } = fixture;
+            await gateway.executeRevert(await tracker.getAddress(), await callbackContext(fixture));
+            await expect(tracker.connect(alice).emergencyWithdraw(0, amount))
+                .to.be.revertedWith("Position not active");
+        });
+
+        it("pays out to smart-contract wallets", async function () {
+            const { tracker } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("1");
+            const wallet = await ethers.deployContract("MockSmartWallet");
+            const trackerAddress = await tracker.getAddress();
+            await wallet.deposit(trackerAddress, { value: amount });
+
+            await wallet.setAcceptsZeta(false);
+            await expect(wallet.emergencyWithdraw(trackerAddress, 0, amount))
+                .to.be.revertedWith("ZETA transfer failed");
+
+            await wallet.setAcceptsZeta(true);
+            await expect(wallet.emergencyWithdraw(trackerAddress, 0, amount))
+                .to.changeEtherBalances([wallet, tracker], [amount, -amount]);
+            expect(await wallet.received()).to.equal(amount);
+        });
+    });
+
+    describe("mintSafetyBadge", function () {
+        it("requires a prior safety buffer withdrawal", async function () {
+            const { tracker, alice } = await loadFixture(depositFixture);
+            expect(await tracker.isEligibleForBadge(alice.address)).to.equal(false);
+            await expect(tracker.connect(alice).mintSafetyBadge())
+                .to.be.revertedWith("Not eligible: Must use safety buffer first");
+        });
+
+        it("mints token IDs starting at 1", async function () {
+            const { tracker, alice } = await loadFixture(withdrawnFixture);
+
+            await expect(tracker.connect(alice).mintSafetyBadge())
+                .to.emit(tracker, "SafetyBadgeMinted")
+                .withArgs(alice.address, 1);
+
+            expect(await tracker.ownerOf(1)).to.equal(alice.address);
+            expect(await tracker.getUserBadge(alice.address)).to.equal(1);
+            expect(await tracker.isEligibleForBadge(alice.address)).to.equal(false);
+        });
+
+        it("rejects a second mint", async function () {
+            const { tracker, alice } = await loadFixture(badgeFixture);
+            await expect(tracker.connect(alice).mintSafetyBadge())
+                .to.be.revertedWith("Badge already minted");
+        });
+    });
+
+    describe("badge tiers", function () {
+        async function withdrawAgain({ tracker, alice, amount }) {
+            await tracker.connect(alice).deposit(amount, { value: amount });
+            const positionId = (await tracker.getUserPositions(alice.address)).length - 1;
+            await tracker.connect(alice).withdrawAndTrack(positionId, amount, ETHEREUM, alice.address, GAS_LIMIT);
+        }
+
+        it("counts standing withdrawals, their volume and survived refunds", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway, alice, amount } = fixture;
+            expect(await tracker.safetyStats(alice.address)).to.deep.equal([1n, amount, 0n]);
+            expect(await tracker.eligibleTier(alice.address)).to.equal(Tier.Genesis);
+
+            await gateway.executeRevert(await tracker.getAddress(), await callbackContext(fixture));
+            expect(await tracker.safetyStats(alice.address)).to.deep.equal([0n, 0n, 1n]);
+            // A refunded withdrawal still earns Genesis
+            expect(await tracker.eligibleTier(alice.address)).to.equal(Tier.Genesis);
+        });
+
+        it("leaves plain transfers out of the safety buffer and the tiers", async function () {
+            const fixture = await loadFixture(depositFixture);
+            const { tracker, gateway, alice, amount } = fixture;
+
+            await expect(tracker.connect(alice).withdrawAndTrack(0, amount, ETHEREUM, alice.address, 0))
+                .not.to.emit(tracker, "SafetyBufferUsed");
+            expect((await tracker.getUserWithdrawals(alice.address))[0].protected).to.equal(false);
+            expect(await tracker.hasUsedSafetyBuffer(alice.address)).to.equal(false);
+            expect(await tracker.eligibleTier(alice.address)).to.equal(Tier.None);
+
+            // Nor does its refund count as a survived one
+            await gateway.executeRevert(await tracker.getAddress(), await callbackContext(fixture));
+            expect(await tracker.safetyStats(alice.address)).to.deep.equal([0n, 0n, 0n]);
+        });
+
+        it("upgrades the badge in place once the next tier is reached", async function () {
+            const fixture = await loadFixture(badgeFixture);
+            const { tracker, alice, tokenId } = fixture;
+            await tracker.setTierRequirement(Tier.Silver, 2, 0, 0);
+            expect(await tracker.badgeTier(tokenId)).to.equal(Tier.Genesis);
+            await expect(tracker.connect(alice).upgradeBadge()).to.be.revertedWith("No higher tier reached");
+
+            await withdrawAgain(fixture);
+            await expect(tracker.connect(alice).upgradeBadge())
+                .to.emit(tracker, "BadgeUpgraded")
+                .withArgs(tokenId, alice.address, Tier.Silver);
+            expect(await tracker.badgeTier(tokenId)).to.equal(Tier.Silver);
+            expect(await tracker.ownerOf(tokenId)).to.equal(alice.address);
+
+            const json = Buffer.from((await tracker.tokenURI(tokenId)).split(",")[1], "base64").toString();
+            expect(JSON.parse(json).attributes).to.deep.include({ trait_type: "Tier", value: "Silver" });
+        });
+
+        it("mints straight into the highest tier reached", async function () {
+            const { tracker, alice } = await loadFixture(withdrawnFixture);
+            await tracker.setTierRequirement(Tier.Silver, 1, ethers.parseEther("1"), 0);
+            await tracker.connect(alice).mintSafetyBadge();
+            expect(await tracker.badgeTier(await tracker.getUserBadge(alice.address))).to.equal(Tier.Silver);
+        });
+
+        it("needs a survived refund for Gold", async function () {
+            const fixture = await loadFixture(withdrawnFixture);
+            const { tracker, gateway, alice } = fixture;
+            await tracker.setTierRequirement(Tier.Silver, 1, 0, 0);
+            await tracker.setTierRequirement(Tier.Gold, 1, 0, 1);
+            expect(await tracker.eligibleTier(alice.address)).to.equal(Tier.Silver);
+
+            await gateway.executeRevert(await tracker.getAddress(), await callbackContext(fixture));
+            await withdrawAgain(fixture);
+            expect(await tracker.eligibleTier(alice.address)).to.equal(Tier.Gold);
+        });
+
+        it("lets only the owner set Silver and Gold requirements", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            await expect(tracker.setTierRequirement(Tier.Gold, 10, 0, 2))
+                .to.emit(tracker, "TierRequirementSet")
+                .withArgs(Tier.Gold, 10, 0, 2);
+            await expect(tracker.setTierRequirement(Tier.Genesis, 1, 0, 0)).to.be.revertedWith("Invalid tier");
+            await expect(tracker.connect(alice).setTierRequirement(Tier.Silver, 1, 0, 0))
+                .to.be.revertedWithCustomError(tracker, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("universal badge", function () {
+        async function connectorFixture() {
+            const fixture = await badgeFixture();
+            const gatewayEVM = await ethers.deployContract("MockGatewayEVM");
+            const connector = await ethers.deployContract(
+                "BadgeConnector",
+                [await gatewayEVM.getAddress(), await fixture.tracker.getAddress()],
+                { libraries: fixture.libraries }
+            );
+            await fixture.tracker.setBadgeConnector(ETHEREUM, await connector.getAddress());
+            return { ...fixture, gatewayEVM, connector };
+        }
+
+        async function sentFixture() {
+            const fixture = await connectorFixture();
+            await fixture.tracker.connect(fixture.alice).transferBadgeCrossChain(fixture.tokenId, ETHEREUM, fixture.alice.address);
+            return fixture;
+        }
+
+        async function lastCall(gateway) {
+            return (await gateway.queryFilter(gateway.filters.Called())).pop().args;
+        }
+
+        // Play the observers: deliver the tracker's last gateway call to the connector
+        async function relayToConnector({ gateway, gatewayEVM, connector, tracker }) {
+            const call = await lastCall(gateway);
+            return gatewayEVM.execute({ sender: await tracker.getAddress() }, await connector.getAddress(), call.message);
+        }
+
+        // ...and the connector's last gateway call back to the tracker
+        async function relayToZetaChain({ gateway, gatewayEVM, gasToken, connector, tracker }) {
+            const call = await lastCall(gatewayEVM);
+            const sender = await connector.getAddress();
+            const context = { origin: sender, sender, chainID: ETHEREUM };
+            return gateway.execute(context, await gasToken.getAddress(), 0, await tracker.getAddress(), call.payload);
+        }
+
+        async function badgeRevertContext({ gateway, tracker, gasToken }) {
+            const call = await lastCall(gateway);
+            return {
+                sender: await tracker.getAddress(),
+                asset: await gasToken.getAddress(),
+                amount: 0n,
+                revertMessage: call.revertOptions.revertMessage
+            };
+        }
+
+        it("locks the badge on ZetaChain and mints it on the connected chain", async function () {
+            const fixture = await loadFixture(connectorFixture);
+            const { tracker, gateway, gasToken, connector, alice, tokenId } = fixture;
+
+            const tx = tracker.connect(alice).transferBadgeCrossChain(tokenId, ETHEREUM, alice.address);
+            await expect(tx).to.emit(tracker, "BadgeTransferredCrossChain").withArgs(tokenId, ETHEREUM, alice.address.toLowerCase());
+            await expect(tx).to.emit(gateway, "Called")
+                .withArgs(await tracker.getAddress(), await gasToken.getAddress(), (await connector.getAddress()).toLowerCase(), anyValue, [200000n, false], anyValue);
+            await expect(tx).to.changeTokenBalance(gasToken, alice, -BADGE_GAS_FEE);
+            expect(await tracker.ownerOf(tokenId)).to.equal(await tracker.getAddress());
+            expect(await tracker.badgeChainId(tokenId)).to.equal(ETHEREUM);
+
+            await expect(relayToConnector(fixture))
+                .to.emit(connector, "BadgeArrived")
+                .withArgs(tokenId, alice.address);
+            expect(await connector.ownerOf(tokenId)).to.equal(alice.address);
+            expect(await connector.tokenURI(tokenId)).to.equal(await tracker.tokenURI(tokenId));
+        });
+
+        it("returns the badge to ZetaChain and lets it travel again", async function () {
+            const fixture = await loadFixture(sentFixture);
+            const { tracker, connector, alice, bob, tokenId } = fixture;
+            await relayToConnector(fixture);
+
+            await expect(connector.connect(alice).transferToZetaChain(tokenId, bob.address))
+                .to.emit(connector, "BadgeSentToZetaChain")
+                .withArgs(tokenId, alice.address, bob.address);
+            await expect(connector.ownerOf(tokenId)).to.be.revertedWithCustomError(connector, "ERC721NonexistentToken");
+
+            await expect(relayToZetaChain(fixture))
+                .to.emit(tracker, "BadgeReturned")
+                .withArgs(tokenId, ETHEREUM, bob.address);
+            expect(await tracker.ownerOf(tokenId)).to.equal(bob.address);
+            expect(await tracker.badgeChainId(tokenId)).to.equal(0);
+
+            await tracker.connect(bob).transferBadgeCrossChain(tokenId, ETHEREUM, bob.address);
+            await relayToConnector(fixture);
+            expect(await connector.ownerOf(tokenId)).to.equal(bob.address);
+        });
+
+        it("gives the badge back when the transfer reverts or aborts", async function () {
+            const fixture = await loadFixture(sentFixture);
+            const { tracker, gateway, alice, tokenId } = fixture;
+            const context = await badgeRevertContext(fixture);
+
+            await expect(gateway.executeRevert(await tracker.getAddress(), context))
+                .to.emit(tracker, "BadgeTransferReverted")
+                .withArgs(tokenId, ETHEREUM, alice.address);
+            expect(await tracker.ownerOf(tokenId)).to.equal(alice.address);
+            expect(await tracker.badgeChainId(tokenId)).to.equal(0);
+
+            await tracker.connect(alice).transferBadgeCrossChain(tokenId, ETHEREUM, alice.address);
+            const abort = { ...await badgeRevertContext(fixture), outgoing: true, chainID: ETHEREUM };
+            await expect(gateway.executeAbort(await tracker.getAddress(), { ...abort, sender: ethers.getBytes(abort.sender) }))
+                .to.emit(tracker, "BadgeTransferReverted");
+            expect(await tracker.ownerOf(tokenId)).to.equal(alice.address);
+        });
+
+        it("re-mints on the connected chain when the return reverts", async function () {
+            const fixture = await loadFixture(sentFixture);
+            const { gatewayEVM, connector, alice, tokenId } = fixture;
+            await relayToConnector(fixture);
+            await connector.connect(alice).transferToZetaChain(tokenId, alice.address);
+
+            const call = await lastCall(gatewayEVM);
+            const context = { sender: await connector.getAddress(), asset: ethers.ZeroAddress, amount: 0, revertMessage: call.revertOptions.revertMessage };
+            await expect(gatewayEVM.executeRevert(await connector.getAddress(), call.payload, context))
+                .to.emit(connector, "BadgeReturnReverted")
+                .withArgs(tokenId, alice.address);
+            expect(await connector.ownerOf(tokenId)).to.equal(alice.address);
+        });
+
+        it("mints to another recipient and refuses ones the connected chain cannot hold", async function () {
+            const fixture = await loadFixture(connectorFixture);
+            const { tracker, connector, alice, bob, tokenId } = fixture;
+
+            await tracker.connect(alice).transferBadgeCrossChain(tokenId, ETHEREUM, bob.address);
+            await expect(relayToConnector(fixture)).to.emit(connector, "BadgeArrived").withArgs(tokenId, bob.address);
+
+            await connector.connect(bob).transferToZetaChain(tokenId, alice.address);
+            await relayToZetaChain(fixture);
+            await tracker.connect(alice).transferBadgeCrossChain(tokenId, ETHEREUM, ethers.hexlify(ethers.randomBytes(32)));
+            await expect(relayToConnector(fixture)).to.be.revertedWith("Invalid recipient");
+        });
+
+        it("rejects transfers while the badge is away or without a connector", async function () {
+            const { tracker, alice, tokenId } = await loadFixture(sentFixture);
+            await expect(tracker.connect(alice).transferBadgeCrossChain(tokenId, ETHEREUM, alice.address))
+                .to.be.revertedWith("Badge is on another chain");
+
+            const { tracker: fresh, alice: owner, tokenId: id } = await loadFixture(connectorFixture);
+            await expect(fresh.connect(owner).transferBadgeCrossChain(id, BSC, owner.address))
+                .to.be.revertedWith("Badge transfers to that chain are not enabled");
+            await expect(fresh.connect(owner).transferBadgeCrossChain(id, ETHEREUM, "0x"))
+                .to.be.revertedWith("Invalid destination address");
+        });
+
+        it("is restricted to the badge owner", async function () {
+            const { tracker, bob, tokenId } = await loadFixture(connectorFixture);
+            await expect(tracker.connect(bob).transferBadgeCrossChain(tokenId, ETHEREUM, bob.address))
+                .to.be.revertedWith("Not badge owner");
+        });
+
+        it("only accepts badges from the registered connector and tracker", async function () {
+            const fixture = await loadFixture(sentFixture);
+            const { tracker, gateway, gatewayEVM, gasToken, connector, bob, tokenId } = fixture;
+            const message = coder.encode(["uint256", "address"], [tokenId, bob.address]);
+
+            const forged = { origin: bob.address, sender: bob.address, chainID: ETHEREUM };
+            await expect(gateway.execute(forged, await gasToken.getAddress(), 0, await tracker.getAddress(), message))
+                .to.be.revertedWith("Unknown badge connector");
+            await expect(gatewayEVM.execute({ sender: bob.address }, await connector.getAddress(), message))
+                .to.be.revertedWith("Unknown sender");
+            await expect(connector.connect(bob).onCall({ sender: await tracker.getAddress() }, message))
+                .to.be.revertedWith("Caller is not the gateway");
+        });
+    });
+
+    describe("tokenURI", function () {
+        function decodeDataUri(uri, mimeType) {
+            const prefix = `data:${mimeType};base64,`;
+            expect(uri.startsWith(prefix)).to.equal(true);
+            return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+        }
+
+        it("returns base64 JSON metadata with the badge art inlined", async function () {
+            const { tracker, tokenId } = await loadFixture(badgeFixture);
+            const mintedAt = await tracker.badgeMintedAt(tokenId);
+            const metadata = JSON.parse(decodeDataUri(await tracker.tokenURI(tokenId), "application/json"));
+
+            expect(metadata.name).to.equal(`ZetaChain Safety Badge #${tokenId}`);
+            expect(metadata.attributes).to.deep.include({ trait_type: "Type", value: "Safety Certified" });
+            expect(metadata.attributes).to.deep.include({ trait_type: "Tier", value: "Genesis" });
+            expect(metadata.attributes).to.deep.include({ display_type: "date", trait_type: "Minted", value: Number(mintedAt) });
+
+            const svg = decodeDataUri(metadata.image, "image/svg+xml");
+            expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+            expect(svg).to.include(`>#${tokenId}</text>`);
+            expect(svg).to.include("GENESIS TIER");
+            expect(svg).to.include(`Minted ${new Date(Number(mintedAt) * 1000).toISOString().slice(0, 10)}`);
+        });
+
+        it("lists the chains the badge has visited, but not failed transfers", async function () {
+            const { tracker, gateway, gasToken, alice, tokenId } = await loadFixture(badgeFixture);
+            await tracker.setGasToken(BSC, await gasToken.getAddress());
+            for (const chainId of [ETHEREUM, BSC]) {
+                await tracker.setBadgeConnector(chainId, alice.address);
+            }
+
+            // Sent to BSC, but the mint reverted
+            await tracker.connect(alice).transferBadgeCrossChain(tokenId, BSC, alice.address);
+            const call = (await gateway.queryFilter(gateway.filters.Called())).pop().args;
+            await gateway.executeRevert(await tracker.getAddress(), {
+                sender: await tracker.getAddress(),
+                asset: ethers.ZeroAddress,
+                amount: 0n,
+                revertMessage: call.revertOptions.revertMessage
+            });
+            await tracker.connect(alice).transferBadgeCrossChain(tokenId, ETHEREUM, alice.address);
+
+            expect(await tracker.badgeVisitedChains(tokenId)).to.deep.equal([BigInt(ETHEREUM)]);
+            const metadata = JSON.parse(decodeDataUri(await tracker.tokenURI(tokenId), "application/json"));
+            expect(metadata.attributes).to.deep.include({ display_type: "number", trait_type: "Chains Visited", value: 2 });
+            expect(metadata.attributes).to.deep.include({ trait_type: "Visited", value: "Ethereum" });
+            expect(decodeDataUri(metadata.image, "image/svg+xml")).to.include("ZetaChain &gt; Ethereum</text>");
+        });
+
+        it("reverts for a token that was never minted", async function () {
+            const { tracker } = await loadFixture(deployFixture);
+            await expect(tracker.tokenURI(99))
+                .to.be.revertedWithCustomError(tracker, "ERC721NonexistentToken")
+                .withArgs(99);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+// ZetaChain Universal Portfolio Tracker
+// AccountingExport unit tests - reports joined from the contract and its events (in-process Hardhat network)
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const AccountingExport = require("../lib/accounting-export");
+const EventHistory = require("../lib/event-history");
+const { GAS_PRICE, deployWithGateway } = require("./helpers");
+
+const GAS_LIMIT = 200000n;
+const GAS_FEE_WITH_PREMIUM = (GAS_LIMIT * 130n) / 100n * GAS_PRICE;
+const ETHEREUM = 1;
+const NATIVE = ethers.ZeroAddress;
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+describe("AccountingExport", function () {
+    async function activityFixture() {
+        const [, alice] = await ethers.getSigners();
+        const { tracker, gateway, gasTokens } = await deployWithGateway({ chains: [ETHEREUM], users: [alice] });
+        const gasToken = gasTokens[ETHEREUM];
+
+        const user = tracker.connect(alice);
+        for (const amount of ["1", "2", "3"]) {
+            await user.deposit(ethers.parseEther(amount), { value: ethers.parseEther(amount) });
+        }
+        // Position 0: a partial withdrawal that goes through, then the rest, which reverts.
+        // The first is priced explicitly: coverage runs the network at a gas price of 0
+        // and would otherwise ask for the whole block gas limit.
+        await user.withdrawAndTrack(0, ethers.parseEther("0.4"), ETHEREUM, alice.address, GAS_LIMIT, { gasPrice: GAS_PRICE, gasLimit: 1000000 });
+        await user.withdrawAndTrack(0, ethers.parseEther("0.6"), ETHEREUM, alice.address, GAS_LIMIT);
+        // The revert message of withdrawal 1, as the tracker hands it to the gateway
+        await gateway.executeRevert(await tracker.getAddress(), {
+            sender: await tracker.getAddress(),
+            asset: await gasToken.getAddress(),
+            amount: 0,
+            revertMessage: coder.encode(["uint8", "address", "uint256"], [0, alice.address, 1])
+        });
+        // Position 1 leaves through the emergency exit, position 2 stays Active
+        await user.emergencyWithdraw(1, ethers.parseEther("2"));
+        await user.mintSafetyBadge();
+
+        const history = new EventHistory({ provider: ethers.provider, contract: tracker, userAddress: alice.address, deploymentBlock: 0 });
+        const data = await AccountingExport.collect({
+            contract: tracker,
+            provider: ethers.provider,
+            user: alice.address,
+            history,
+            tokenInfo: async (address) => address === NATIVE
+                ? { symbol: "ZETA", decimals: 18 }
+                : { symbol: await gasToken.symbol(), decimals: await gasToken.decimals() }
+        });
+        return { tracker, alice, data };
+    }
+
+    it("rounds amounts to the chosen precision", function () {
+        expect(AccountingExport.formatUnits(ethers.parseEther("1.23456789"), 18, 4)).to.equal("1.2346");
+        expect(AccountingExport.formatUnits(ethers.parseEther("1.5"), 18, 0)).to.equal("2");
+        expect(AccountingExport.formatUnits(1n, 18)).to.equal("0.000000000000000001");
+        // Precision never exceeds the token's decimals
+        expect(AccountingExport.formatUnits(1234567n, 6, 18)).to.equal("1.234567");
+    });
+
+    it("parses inclusive UTC date ranges", function () {
+        expect(AccountingExport.parseRange("2025-01-01", "2025-01-31")).to.deep.equal({
+            from: Date.UTC(2025, 0, 1) / 1000,
+            to: Date.UTC(2025, 0, 31, 23, 59, 59) / 1000
+        });
+        expect(AccountingExport.parseRange("", null)).to.deep.equal({ from: null, to: null });
+        expect(() => AccountingExport.parseRange("2025-02-01", "2025-01-01")).to.throw("ends before it starts");
+        expect(() => AccountingExport.parseRange("soon", "")).to.throw('"soon" is not a date');
+    });
+
+    it("joins positions, withdrawals, fees and callbacks into rows", async function () {
+        const { data } = await loadFixture(activityFixture);
+        const report = AccountingExport.buildReport(data, { precision: 6, now: Date.UTC(2025, 0, 1) });
+        const rows = report.positions;
+        const history = data.entries;
+        const txOf = (event, positionId) => history.find(entry => entry.event === event && entry.args.positionId === String(positionId)).transactionHash;
+
+        expect(rows.map(row => [row.positionId, row.record, row.amount, row.status])).to.deep.equal([
+            [0, "withdrawal", "0.400000", "Withdrawn"],
+            [0, "withdrawal", "0.600000", "Refunded"],
+            [1, "emergency", "2.000000", "Emergency Exit"],
+            [2, "holding", "3.000000", "Active"]
+        ]);
+        expect(rows.every(row => row.token === "ZETA" && /^\d{4}-\d{2}-\d{2}T/.test(row.createdAt))).to.equal(true);
+
+        const [partial, reverted, emergency, holding] = rows;
+        expect(partial).to.include({ destinationChainId: ETHEREUM, feeToken: "ETH.ETH", refundedAt: null, depositTxHash: txOf("PositionCreated", 0) });
+        expect(partial.fee).to.equal(AccountingExport.formatUnits(GAS_FEE_WITH_PREMIUM, 18, 6));
+        expect(partial.networkFee).to.match(/^\d+\.\d{6}$/);
+        expect(Number(partial.networkFee)).to.be.greaterThan(0);
+        expect(partial.crossChainTxHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(reverted.refundedAt).to.not.equal(null);
+        expect(reverted.refundTxHash).to.equal(txOf("RevertSuccess", 0));
+        expect(emergency).to.include({ fee: null, txHash: txOf("EmergencyWithdrawn", 1) });
+        expect(holding).to.include({ withdrawnAt: null, txHash: null, fee: null });
+
+        expect(report.badges.map(badge => [badge.event, badge.detail])).to.deep.equal([["SafetyBadgeMinted", "minted"]]);
+        expect(report).to.include({ generatedAt: "2025-01-01T00:00:00.000Z", precision: 6 });
+    });
+
+    it("keeps only rows dated inside the range", async function () {
+        const { data } = await loadFixture(activityFixture);
+        const second = data.withdrawals[1].timestamp;
+
+        const report = AccountingExport.buildReport(data, { from: second, to: null });
+        expect(report.positions.map(row => row.record)).to.deep.equal(["withdrawal", "emergency"]);
+        expect(report.range.from).to.equal(new Date(second * 1000).toISOString());
+
+        expect(AccountingExport.buildReport(data, { from: null, to: data.positions[0].timestamp - 1 }).positions).to.deep.equal([]);
+    });
+
+    it("writes CSV with a header, quoting and formula guards", async function () {
+        const { data } = await loadFixture(activityFixture);
+        const report = AccountingExport.buildReport(data);
+        const lines = AccountingExport.toCsv(report.positions).trim().split("\r\n");
+
+        expect(lines[0]).to.equal(AccountingExport.POSITION_COLUMNS.join(","));
+        expect(lines).to.have.length(report.positions.length + 1);
+        expect(JSON.parse(AccountingExport.toJson(report))).to.deep.equal(report);
+
+        const csv = AccountingExport.toCsv([{ event: "=HYPERLINK(\"x\")", detail: "a,b" }], ["event", "detail", "txHash"]);
+        expect(csv).to.equal("event,detail,txHash\r\n\"'=HYPERLINK(\"\"x\"\")\",\"a,b\",\r\n");
+    });
+});
@@ -0,0 +1,135 @@
+// ZetaChain Universal Portfolio Tracker
+// AddressBook unit tests - saved recipients, recency, warnings and import/export, no network
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const AddressBook = require("../lib/address-book");
+const Recipients = require("../lib/recipients");
+const { MemoryStorage } = require("./helpers");
+
+const WALLET = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const OTHER_WALLET = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const ALICE = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+const BOB = "0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359";
+const SOLANA = 18000001;
+
+describe("AddressBook", function () {
+    let storage;
+    let clock;
+    let book;
+
+    function createBook(account = WALLET) {
+        const created = new AddressBook({
+            encode: (chainId, address) => Recipients.encode(chainId, address, { getAddress: ethers.getAddress }),
+            storage,
+            now: () => clock
+        });
+        created.use(account);
+        return created;
+    }
+
+    beforeEach(function () {
+        storage = new MemoryStorage();
+        clock = 1000;
+        book = createBook();
+    });
+
+    it("keeps a separate book per wallet", function () {
+        book.add(1, ALICE, "Alice");
+
+        expect(createBook(WALLET.toLowerCase()).list().map(entry => entry.label)).to.deep.equal(["Alice"]);
+        expect(createBook(OTHER_WALLET).list()).to.deep.equal([]);
+
+        book.use(null);
+        expect(() => book.add(1, BOB, "Bob")).to.throw("Connect a wallet");
+    });
+
+    it("stores the canonical form and refuses duplicates in any spelling", function () {
+        const entry = book.add("1", ` ${ALICE.toLowerCase()} `, " Alice ");
+        expect(entry).to.include({ chainId: 1, address: ALICE, label: "Alice", uses: 0, lastUsedAt: null });
+
+        expect(() => book.add(1, ALICE, "Again")).to.throw('Already saved as "Alice"');
+        expect(() => book.add(1, BOB, " ")).to.throw("Give the recipient a label");
+        expect(() => book.add(1, "0x1234", "Short")).to.throw(/40 hex characters/);
+        // The same address on another chain is another recipient
+        expect(book.add(56, ALICE, "Alice on BSC").chainId).to.equal(56);
+    });
+
+    it("lists the last used recipients first", function () {
+        book.add(1, ALICE, "Alice");
+        clock = 2000;
+        book.add(1, BOB, "Bob");
+        clock = 3000;
+        book.add(SOLANA, "11111111111111111111111111111111", "System");
+
+        expect(book.list().map(entry => entry.label)).to.deep.equal(["System", "Bob", "Alice"]);
+        expect(book.list(1).map(entry => entry.label)).to.deep.equal(["Bob", "Alice"]);
+
+        clock = 4000;
+        expect(book.markUsed(1, ALICE.toLowerCase())).to.include({ lastUsedAt: 4000, uses: 1 });
+        expect(book.list().map(entry => entry.label)).to.deep.equal(["Alice", "System", "Bob"]);
+        expect(book.markUsed(137, ALICE)).to.equal(null);
+
+        book.remove(1, ALICE);
+        expect(book.list().map(entry => entry.label)).to.deep.equal(["System", "Bob"]);
+    });
+
+    it("warns about first-time and look-alike recipients", function () {
+        book.add(1, ALICE, "Alice");
+        // Same first and last four hex characters, different address
+        const poisoned = ethers.getAddress("0x5aae" + "0".repeat(32) + "eaed");
+
+        expect(book.check(1, BOB)).to.deep.equal({ entry: null, firstTime: true, lookalikes: [] });
+        expect(book.check(1, ALICE)).to.include({ firstTime: true });
+        book.markUsed(1, ALICE);
+        expect(book.check(1, ALICE)).to.include({ firstTime: false });
+
+        const { entry, lookalikes } = book.check(56, poisoned);
+        expect(entry).to.equal(null);
+        expect(lookalikes.map(item => item.label)).to.deep.equal(["Alice"]);
+    });
+
+    it("round-trips through export and import", function () {
+        book.add(1, ALICE, "Alice");
+        clock = 2000;
+        book.add(SOLANA, "So11111111111111111111111111111111111111112", "Wrapped SOL");
+        book.markUsed(1, ALICE);
+
+        const exported = JSON.parse(book.export());
+        expect(exported).to.include({ version: 1, account: WALLET.toLowerCase() });
+
+        const other = createBook(OTHER_WALLET);
+        expect(other.import(book.export())).to.deep.equal({ added: 2, skipped: [] });
+        expect(other.list()).to.deep.equal(book.list());
+
+        const result = other.import(JSON.stringify([
+            { chainId: 1, address: ALICE, label: "Alice" },
+            { chainId: 1, address: "0x1234", label: "Broken" },
+            { chainId: 56, address: BOB, label: "Bob" }
+        ]));
+        expect(result.added).to.equal(1);
+        expect(result.skipped.map(item => item.address)).to.deep.equal([ALICE, "0x1234"]);
+    });
+
+    it("refuses addresses that are not text or carry markup", function () {
+        expect(() => book.add(1, 42, "Number")).to.throw("characters no recipient address has");
+        expect(() => book.add(1, `${ALICE}<img src=x onerror=alert(1)>`, "Markup")).to.throw("characters no recipient address has");
+
+        const result = book.import(JSON.stringify([
+            { chainId: 1, address: "<script>alert(1)</script>", label: "Script" },
+            { chainId: 1, address: { toString: "0x" }, label: "Object" },
+            { chainId: 1, address: ALICE, label: 7 },
+            null
+        ]));
+        expect(result.added).to.equal(0);
+        expect(result.skipped.map(item => item.address)).to.deep.equal(["", "", ALICE, ""]);
+        expect(result.skipped[2].reason).to.equal("Give the recipient a label");
+        expect(book.list()).to.deep.equal([]);
+    });
+
+    it("rejects files that are not an address book", function () {
+        expect(() => book.import("not json")).to.throw("not valid JSON");
+        expect(() => book.import('{"recipients": []}')).to.throw("no address book entries");
+        expect(() => book.import('{"version": 2, "entries": []}')).to.throw("version 2 is not supported");
+    });
+});
@@ -0,0 +1,139 @@
+// ZetaChain Universal Portfolio Tracker
+// Analytics unit tests - flows, breakdowns, fees and charts of one address (in-process Hardhat network)
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const Analytics = require("../lib/analytics");
+const EventHistory = require("../lib/event-history");
+const { GAS_PRICE, deployWithGateway } = require("./helpers");
+
+const GAS_LIMIT = 200000n;
+const BASE_GAS_FEE = GAS_LIMIT * GAS_PRICE;
+const GAS_FEE_WITH_PREMIUM = (GAS_LIMIT * 130n) / 100n * GAS_PRICE;
+const ETHEREUM = 1;
+const BSC = 56;
+const DAY = 86400;
+const NATIVE = ethers.ZeroAddress;
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+describe("Analytics", function () {
+    async function activityFixture() {
+        const [, alice] = await ethers.getSigners();
+        const { tracker, gateway, gasTokens } = await deployWithGateway({ chains: [ETHEREUM, BSC], users: [alice] });
+        const { [ETHEREUM]: gasToken, [BSC]: bscGasToken } = gasTokens;
+
+        const user = tracker.connect(alice);
+        for (const amount of ["1", "2", "3"]) {
+            await user.deposit(ethers.parseEther(amount), { value: ethers.parseEther(amount) });
+        }
+        // Position 0: one withdrawal to Ethereum that goes through, one that reverts
+        await user.withdrawAndTrack(0, ethers.parseEther("0.4"), ETHEREUM, alice.address, GAS_LIMIT);
+        await user.withdrawAndTrack(0, ethers.parseEther("0.6"), ETHEREUM, alice.address, GAS_LIMIT);
+        // The revert message of withdrawal 1, as the tracker hands it to the gateway
+        await gateway.executeRevert(await tracker.getAddress(), {
+            sender: await tracker.getAddress(),
+            asset: await gasToken.getAddress(),
+            amount: 0,
+            revertMessage: coder.encode(["uint8", "address", "uint256"], [0, alice.address, 1])
+        });
+        // Position 1 goes to BSC in full, position 2 is topped up and stays Active
+        await user.withdrawAndTrack(1, ethers.parseEther("2"), BSC, alice.address, GAS_LIMIT);
+        await user.topUp(2, ethers.parseEther("1"), { value: ethers.parseEther("1") });
+
+        const history = new EventHistory({ provider: ethers.provider, contract: tracker, userAddress: alice.address, deploymentBlock: 0 });
+        return {
+            alice,
+            gasToken: (await gasToken.getAddress()).toLowerCase(),
+            bscGasToken: (await bscGasToken.getAddress()).toLowerCase(),
+            positions: await tracker.getUserPositions(alice.address),
+            withdrawals: await tracker.getUserWithdrawals(alice.address),
+            entries: await history.sync()
+        };
+    }
+
+    it("breaks positions and withdrawals down by status and chain", async function () {
+        const { positions, withdrawals, entries } = await loadFixture(activityFixture);
+        const summary = Analytics.summarize({ positions, withdrawals, entries });
+
+        expect(summary.statusCounts).to.deep.equal({ Active: 1, Withdrawn: 1, Refunded: 1, Failed: 0 });
+        expect(summary).to.include({ withdrawalCount: 3, refundCount: 1, abortCount: 0 });
+        expect(summary.refundRate).to.equal(1 / 3);
+        expect(summary.volumeByChain).to.deep.equal([
+            { chainId: BSC, count: 1, amount: ethers.parseEther("2"), returned: 0n },
+            { chainId: ETHEREUM, count: 2, amount: ethers.parseEther("1"), returned: ethers.parseEther("0.6") }
+        ]);
+    });
+
+    it("totals gateway fees and their premium per gas token", async function () {
+        const { positions, withdrawals, entries, gasToken, bscGasToken } = await loadFixture(activityFixture);
+        const { fees } = Analytics.summarize({ positions, withdrawals, entries });
+
+        expect(fees[gasToken]).to.deep.equal({
+            fee: GAS_FEE_WITH_PREMIUM * 2n,
+            premium: (GAS_FEE_WITH_PREMIUM - BASE_GAS_FEE) * 2n,
+            calls: 2
+        });
+        expect(fees[bscGasToken].calls).to.equal(1);
+    });
+
+    it("charts every deposit, top-up and withdrawal", async function () {
+        const { positions, withdrawals, entries } = await loadFixture(activityFixture);
+        const { flows, timeline } = Analytics.summarize({ positions, withdrawals, entries });
+
+        // Everything happened within a day
+        expect(flows.unit).to.equal("day");
+        expect(flows.buckets).to.have.length(1);
+        expect(flows.buckets[0]).to.include({ in: ethers.parseEther("7"), out: ethers.parseEther("3") });
+
+        expect(timeline[0]).to.include({ positionId: 2, status: "Topped Up" });
+        expect(timeline.filter(item => item.positionId === 0).map(item => item.status)).to.deep.equal(["Refunded", "Withdrawn", "Withdrawn", "Active"]);
+    });
+
+    it("estimates deposits made before the event history", async function () {
+        const { positions, withdrawals, entries } = await loadFixture(activityFixture);
+        // Only the callbacks and the top-up are in range
+        const recent = entries.filter(entry => ["RevertSuccess", "PositionToppedUp"].includes(entry.event));
+        const { flows } = Analytics.summarize({ positions, withdrawals, entries: recent });
+
+        // Position 2 counts what it holds now at its creation, then the top-up again
+        expect(flows.buckets[0].in).to.equal(ethers.parseEther("1") + ethers.parseEther("2") + ethers.parseEther("4") + ethers.parseEther("1"));
+        expect(Analytics.summarize({ positions, withdrawals, entries }, "0x" + "1".repeat(40)).withdrawalCount).to.equal(0);
+    });
+
+    it("buckets by day, week or month and fills the gaps", function () {
+        const start = Date.UTC(2025, 0, 1) / 1000;
+        const move = (days, direction, amount) => ({ timestamp: start + days * DAY, direction, amount });
+
+        const daily = Analytics.flows([move(0, "in", 5n), move(2, "out", 2n)]);
+        expect(daily.buckets.map(bucket => [bucket.label, bucket.in, bucket.out])).to.deep.equal([
+            ["01-01", 5n, 0n], ["01-02", 0n, 0n], ["01-03", 0n, 2n]
+        ]);
+
+        // 2025-01-01 is a Wednesday; weeks start on Monday
+        const weekly = Analytics.flows([move(0, "in", 1n), move(60, "in", 1n)]);
+        expect(weekly.unit).to.equal("week");
+        expect(weekly.buckets[0].label).to.equal("12-30");
+
+        const monthly = Analytics.flows([move(0, "in", 1n), move(400, "out", 1n)]);
+        expect(monthly.unit).to.equal("month");
+        expect(monthly.buckets.map(bucket => bucket.label)).to.have.length(14);
+        expect(monthly.buckets[13]).to.include({ label: "2026-02", out: 1n });
+
+        expect(Analytics.flows([])).to.deep.equal({ unit: "day", buckets: [] });
+    });
+
+    it("draws flows as an SVG bar chart", function () {
+        const buckets = Analytics.flows([
+            { timestamp: DAY, direction: "in", amount: 4n },
+            { timestamp: DAY * 2, direction: "out", amount: 2n }
+        ]).buckets;
+        const svg = Analytics.flowChart(buckets, { toNumber: Number, format: amount => `${amount} <ZETA>` });
+
+        expect(svg).to.match(/^<svg [^>]*viewBox="0 0 640 220"/);
+        expect(svg.match(/<rect class="flow-in"/g)).to.have.length(2);
+        // The tallest bar fills the plot; the empty one has no height
+        expect(svg).to.include('height="180.0"><title>01-02 in: 4 &#60;ZETA&#62;</title>');
+        expect(svg).to.include('height="0.0"><title>01-02 out: 0 &#60;ZETA&#62;</title>');
+    });
+});
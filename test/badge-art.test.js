@@ -0,0 +1,38 @@
+// ZetaChain Universal Portfolio Tracker
+// BadgeArt unit tests - token URI decoding, no network
+
+const { expect } = require("chai");
+const BadgeArt = require("../lib/badge-art");
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg"><text>#7 &gt; Ethereum</text></svg>';
+
+function base64(text) {
+    return Buffer.from(text, "utf8").toString("base64");
+}
+
+describe("BadgeArt", function () {
+    it("decodes base64 metadata with the SVG inlined", function () {
+        const metadata = { name: "ZetaChain Safety Badge #7", image: `data:image/svg+xml;base64,${base64(SVG)}` };
+        const art = BadgeArt.readTokenURI(`data:application/json;base64,${base64(JSON.stringify(metadata))}`);
+
+        expect(art.metadata.name).to.equal("ZetaChain Safety Badge #7");
+        expect(art.svg).to.equal(SVG);
+        expect(art.imageUrl).to.equal(metadata.image);
+    });
+
+    it("reads the plain JSON of older deployments and keeps their remote image", function () {
+        const art = BadgeArt.readTokenURI('data:application/json;utf8,{"name":"ZetaChain Safety Badge #1","image":"https://example.com/badge.svg"}');
+
+        expect(art.svg).to.equal(null);
+        expect(art.imageUrl).to.equal("https://example.com/badge.svg");
+    });
+
+    it("round-trips non-ASCII SVG text", function () {
+        const svg = "<svg><text>Genesis · 创世</text></svg>";
+        expect(BadgeArt.decodeDataUri(BadgeArt.svgDataUri(svg))).to.deep.equal({ mimeType: "image/svg+xml", text: svg });
+    });
+
+    it("rejects URIs that are not data URIs", function () {
+        expect(() => BadgeArt.readTokenURI("https://example.com/1.json")).to.throw("Not a data URI");
+    });
+});
@@ -0,0 +1,63 @@
+// ZetaChain Universal Portfolio Tracker
+// BadgeTiers unit tests - tier progress from withdrawals, no network
+
+const { expect } = require("chai");
+const BadgeTiers = require("../lib/badge-tiers");
+
+const { TIER } = BadgeTiers;
+const ETHER = 10n ** 18n;
+
+const REQUIREMENTS = {
+    [TIER.SILVER]: { withdrawals: 5n, volume: 5n * ETHER, refunds: 0n },
+    [TIER.GOLD]: { withdrawals: 15n, volume: 50n * ETHER, refunds: 1n }
+};
+
+const ZETA = "0x0000000000000000000000000000000000000000";
+const USDC = "0x0cbe0dF132a6c6B4a2974Fa1b7Fb953CF0Cc798a";
+
+function withdrawal(positionId, status, amount = ETHER, isProtected = true) {
+    return { positionId, amount, timestamp: 0, destinationChainId: 1, status, crossChainTxHash: "0x", protected: isProtected };
+}
+
+describe("BadgeTiers", function () {
+    it("counts standing protected withdrawals and refunds, ignoring plain and aborted ones", function () {
+        const positions = [{ token: ZETA }, { token: ZETA }, { token: USDC }, { token: ZETA }, { token: ZETA }];
+        const stats = BadgeTiers.statsFromWithdrawals([
+            withdrawal(0, 1, 2n * ETHER),
+            withdrawal(1, 1, { toString: () => ETHER.toString() }),
+            withdrawal(2, 1, 100n * 10n ** 6n),
+            withdrawal(3, 2),
+            withdrawal(4, 3),
+            withdrawal(4, 1, 7n * ETHER, false),
+            withdrawal(4, 2, ETHER, false)
+        ], positions);
+
+        // The ZRC-20 withdrawal counts, but only ZETA adds volume
+        expect(stats).to.deep.equal({ withdrawals: 3, volume: 3n * ETHER, refunds: 1 });
+    });
+
+    it("picks the highest tier reached, like the contract", function () {
+        const stats = { withdrawals: 15, volume: 60n * ETHER, refunds: 0 };
+
+        expect(BadgeTiers.tierFor(stats, REQUIREMENTS, false)).to.equal(TIER.NONE);
+        expect(BadgeTiers.tierFor({ withdrawals: 1, volume: ETHER, refunds: 0 }, REQUIREMENTS, true)).to.equal(TIER.GENESIS);
+        expect(BadgeTiers.tierFor(stats, REQUIREMENTS, true)).to.equal(TIER.SILVER);
+        expect(BadgeTiers.tierFor({ ...stats, refunds: 1 }, REQUIREMENTS, true)).to.equal(TIER.GOLD);
+    });
+
+    it("reports each requirement of the next tier and averages them", function () {
+        const result = BadgeTiers.progress({ withdrawals: 1, volume: ETHER, refunds: 0 }, REQUIREMENTS, TIER.GENESIS);
+
+        expect(result.nextName).to.equal("Silver");
+        expect(result.requirements.map(item => item.ratio)).to.deep.equal([0.2, 0.2, 1]);
+        expect(result.ratio).to.be.closeTo(0.4667, 0.0001);
+    });
+
+    it("aims a locked user at Silver and stops at Gold", function () {
+        expect(BadgeTiers.progress({ withdrawals: 0, volume: 0n, refunds: 0 }, REQUIREMENTS, TIER.NONE).next).to.equal(TIER.SILVER);
+
+        const top = BadgeTiers.progress({ withdrawals: 0, volume: 0n, refunds: 0 }, REQUIREMENTS, TIER.GOLD);
+        expect(top.next).to.equal(null);
+        expect(top.ratio).to.equal(1);
+    });
+});
@@ -0,0 +1,155 @@
+// ZetaChain Universal Portfolio Tracker
+// CctxTracker unit tests - against a local stub of the crosschain REST API
+
+const { expect } = require("chai");
+const http = require("http");
+const CctxTracker = require("../lib/cctx-tracker");
+const { MemoryStorage } = require("./helpers");
+
+const INBOUND = "0x" + "ab".repeat(32);
+const OUTBOUND = "0x" + "cd".repeat(32);
+
+function cctx(status, { outboundHash = "", message = "" } = {}) {
+    return {
+        index: "0x" + "01".repeat(32),
+        cctx_status: {
+            status,
+            status_message: message,
+            created_timestamp: "1700000000",
+            lastUpdate_timestamp: "1700000042"
+        },
+        outbound_params: [{ receiver_chainId: "1", hash: outboundHash }]
+    };
+}
+
+describe("CctxTracker", function () {
+    let server;
+    let baseUrl;
+    let responses;
+    let requests;
+    let storage;
+    let updates;
+    let tracker;
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            const hash = req.url.split("/").pop();
+            const queued = responses[hash] || [];
+            const body = queued.length > 1 ? queued.shift() : queued[0];
+
+            if (!body) {
+                res.writeHead(404, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ code: 5, message: "not found" }));
+                return;
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ CrossChainTxs: body }));
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    function createTracker() {
+        return new CctxTracker({
+            backend: new CctxTracker.HttpBackend({ baseUrl }),
+            namespace: "7000",
+            storage,
+            interval: 60000,
+            onUpdate: record => updates.push(record.state)
+        });
+    }
+
+    beforeEach(function () {
+        responses = {};
+        requests = [];
+        storage = new MemoryStorage();
+        updates = [];
+        tracker = createTracker();
+    });
+
+    afterEach(function () {
+        tracker.stop();
+    });
+
+    it("queries the inbound hash route", async function () {
+        tracker.track("alice:0", INBOUND);
+        await tracker.poll();
+
+        expect(requests).to.deep.equal([`/zeta-chain/crosschain/inboundHashToCctxData/${INBOUND}`]);
+    });
+
+    it("waits for the observers, then follows the CCTX until the outbound is mined", async function () {
+        responses[INBOUND] = [null, [cctx("PendingOutbound")], [cctx("OutboundMined", { outboundHash: OUTBOUND })]];
+        const record = tracker.track("alice:0", INBOUND);
+
+        await tracker.poll();
+        expect(record.state).to.equal(CctxTracker.STATE.UNKNOWN);
+        expect(record.error).to.equal(null);
+
+        await tracker.poll();
+        expect(record.state).to.equal(CctxTracker.STATE.PENDING);
+
+        await tracker.poll();
+        expect(record.state).to.equal(CctxTracker.STATE.MINED);
+        expect(record.outboundHash).to.equal(OUTBOUND);
+        expect(record.outboundChainId).to.equal(1);
+        expect(record.updatedAt - record.createdAt).to.equal(42000);
+        expect(updates).to.deep.equal(["pending", "mined"]);
+
+        // Final states are not polled again
+        await tracker.poll();
+        expect(requests).to.have.lengthOf(3);
+    });
+
+    it("reports reverted and aborted CCTXs with their message", async function () {
+        const other = "0x" + "ef".repeat(32);
+        responses[INBOUND] = [[cctx("Reverted", { message: "outbound failed" })]];
+        responses[other] = [[cctx("Aborted", { message: "insufficient gas" })]];
+
+        tracker.track("alice:0", INBOUND);
+        tracker.track("alice:1", other);
+        await tracker.poll();
+
+        expect(tracker.get("alice:0").state).to.equal(CctxTracker.STATE.REVERTED);
+        expect(tracker.get("alice:0").statusMessage).to.equal("outbound failed");
+        expect(tracker.get("alice:1").state).to.equal(CctxTracker.STATE.ABORTED);
+    });
+
+    it("keeps polling through server errors", async function () {
+        const backend = new CctxTracker.HttpBackend({ baseUrl, fetchImpl: async () => ({ ok: false, status: 503, text: async () => "busy" }) });
+        tracker.backend = backend;
+        const record = tracker.track("alice:0", INBOUND);
+
+        await tracker.poll();
+        expect(record.error).to.equal("CCTX lookup failed (HTTP 503)");
+        expect(tracker.active()).to.have.lengthOf(1);
+    });
+
+    it("restores records per namespace after a reload", async function () {
+        responses[INBOUND] = [[cctx("OutboundMined", { outboundHash: OUTBOUND })]];
+        tracker.track("alice:0", INBOUND);
+        await tracker.poll();
+        tracker.stop();
+
+        tracker = createTracker();
+        expect(tracker.get("alice:0").state).to.equal(CctxTracker.STATE.MINED);
+
+        const athens = new CctxTracker({ backend: tracker.backend, namespace: "7001", storage });
+        expect(athens.get("alice:0")).to.equal(null);
+    });
+
+    it("starts over when a position gets a different hash", async function () {
+        responses[INBOUND] = [[cctx("PendingOutbound")]];
+        tracker.track("alice:0", INBOUND);
+        await tracker.poll();
+
+        const replacement = tracker.track("alice:0", OUTBOUND);
+        expect(replacement.hash).to.equal(OUTBOUND);
+        expect(replacement.state).to.equal(CctxTracker.STATE.UNKNOWN);
+    });
+});
@@ -0,0 +1,140 @@
+// ZetaChain Universal Portfolio Tracker
+// ContractEventFeed unit tests - log filters, the polling fallback and shutdown (in-process Hardhat network)
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const ContractEventFeed = require("../lib/contract-events");
+const EventHistory = require("../lib/event-history");
+const { deployTracker } = require("./helpers");
+
+const AMOUNT = ethers.parseEther("1");
+
+/**
+ * The Hardhat provider behind a stand-in that records RPC calls and lets a test
+ * answer some of them itself
+ */
+function rpc(provider, overrides = {}) {
+    const calls = [];
+    return {
+        calls,
+        overrides,
+        getBlockNumber: () => provider.getBlockNumber(),
+        getBlock: (blockNumber) => provider.getBlock(blockNumber),
+        getLogs: (filter) => provider.getLogs(filter),
+        getCode: (address, blockTag) => provider.getCode(address, blockTag),
+        send: async (method, params) => {
+            calls.push([method, ...params]);
+            return overrides[method] ? overrides[method](params) : provider.send(method, params);
+        }
+    };
+}
+
+describe("ContractEventFeed", function () {
+    let feed;
+
+    async function trackerFixture() {
+        const [owner, alice] = await ethers.getSigners();
+        const { tracker } = await deployTracker(owner.address);
+        // Activity from before the feed starts
+        await tracker.connect(alice).deposit(AMOUNT, { value: AMOUNT });
+        return { tracker, alice };
+    }
+
+    // The app loads the history before subscribing, so the feed only reports what follows
+    async function createFeed({ tracker, alice }, provider) {
+        const delivered = [];
+        const history = new EventHistory({ provider, contract: tracker, userAddress: alice.address, deploymentBlock: 0 });
+        await history.sync();
+        // Ticks are driven by the tests
+        feed = new ContractEventFeed({ provider, history, onEvents: entries => delivered.push(...entries), interval: 1e9 });
+        return { feed, history, delivered };
+    }
+
+    const deposit = ({ tracker, alice }) => tracker.connect(alice).deposit(AMOUNT, { value: AMOUNT });
+    const positionIds = delivered => delivered.map(entry => `${entry.event}:${entry.args.positionId}`);
+
+    afterEach(function () {
+        if (feed) feed.stop();
+        feed = null;
+    });
+
+    it("delivers new events through log filters", async function () {
+        const fixture = await loadFixture(trackerFixture);
+        const { feed, delivered } = await createFeed(fixture, rpc(ethers.provider));
+
+        await feed.start();
+        expect(feed.mode).to.equal("filter");
+        expect(feed.filterIds).to.have.lengthOf(1);
+
+        await deposit(fixture);
+        await feed.tick();
+        expect(positionIds(delivered)).to.deep.equal(["PositionCreated:1"]);
+        await feed.tick();
+        expect(delivered).to.have.lengthOf(1);
+    });
+
+    it("polls eth_getLogs when the RPC has no log filters, from a baseline", async function () {
+        const fixture = await loadFixture(trackerFixture);
+        const provider = rpc(ethers.provider, { eth_newFilter: async () => { throw new Error("method not found"); } });
+        const { feed, history, delivered } = await createFeed(fixture, provider);
+
+        await feed.start();
+        expect(feed.mode).to.equal("poll");
+        expect(history.entries.map(entry => entry.event)).to.include("PositionCreated");
+
+        await deposit(fixture);
+        await feed.tick();
+        expect(positionIds(delivered)).to.deep.equal(["PositionCreated:1"]);
+    });
+
+    it("reports the events a lost filter missed, once", async function () {
+        const fixture = await loadFixture(trackerFixture);
+        const provider = rpc(ethers.provider);
+        const { feed, delivered } = await createFeed(fixture, provider);
+        await feed.start();
+
+        await deposit(fixture);
+        await feed.tick();
+        // The node drops the filter; the next deposit only shows up in the logs
+        await deposit(fixture);
+        provider.overrides.eth_getFilterChanges = async () => { throw new Error("filter not found"); };
+        await feed.tick();
+
+        expect(feed.mode).to.equal("poll");
+        expect(positionIds(delivered)).to.deep.equal(["PositionCreated:1", "PositionCreated:2"]);
+        expect(provider.calls.filter(([method]) => method === "eth_uninstallFilter")).to.have.lengthOf(1);
+
+        await deposit(fixture);
+        await feed.tick();
+        expect(positionIds(delivered).slice(2)).to.deep.equal(["PositionCreated:3"]);
+    });
+
+    it("uninstalls a filter that finishes installing after stop()", async function () {
+        const fixture = await loadFixture(trackerFixture);
+        let release;
+        const installed = new Promise(resolve => { release = resolve; });
+        const provider = rpc(ethers.provider);
+        provider.overrides.eth_newFilter = async (params) => {
+            await installed;
+            return ethers.provider.send("eth_newFilter", params);
+        };
+        const { feed } = await createFeed(fixture, provider);
+
+        const starting = feed.start();
+        // Let start() reach eth_newFilter before stopping
+        while (!provider.calls.some(([method]) => method === "eth_newFilter")) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        feed.stop();
+        release();
+        await starting;
+
+        const [[, params]] = provider.calls.filter(([method]) => method === "eth_newFilter");
+        const uninstalled = provider.calls.filter(([method]) => method === "eth_uninstallFilter").map(([, id]) => id);
+        expect(params.fromBlock).to.equal("latest");
+        expect(uninstalled).to.have.lengthOf(1);
+        expect(feed.filterIds).to.deep.equal([]);
+        expect(feed.timer).to.equal(null);
+    });
+});
@@ -0,0 +1,162 @@
+// ZetaChain Universal Portfolio Tracker
+// EventHistory unit tests - chunked log scans, the cursor cache and de-duplication (in-process Hardhat network)
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const EventHistory = require("../lib/event-history");
+const { MemoryStorage, deployTracker } = require("./helpers");
+
+const AMOUNT = ethers.parseEther("1");
+
+/**
+ * The Hardhat provider behind a stand-in that records getLogs ranges and can refuse them
+ * @param {Function} [refuse] - returns an error to throw for a [fromBlock, toBlock] range
+ */
+function rpc(provider, refuse = () => null) {
+    const ranges = [];
+    return {
+        ranges,
+        getBlockNumber: () => provider.getBlockNumber(),
+        getBlock: (blockNumber) => provider.getBlock(blockNumber),
+        getCode: (address, blockTag) => provider.getCode(address, blockTag),
+        getLogs: async (filter) => {
+            ranges.push([filter.fromBlock, filter.toBlock]);
+            const error = refuse(filter.fromBlock, filter.toBlock);
+            if (error) throw error;
+            return provider.getLogs(filter);
+        }
+    };
+}
+
+describe("EventHistory", function () {
+    async function activityFixture() {
+        const [owner, alice, bob] = await ethers.getSigners();
+        await mine(40);
+        const { tracker } = await deployTracker(owner.address);
+        const deployedAt = await ethers.provider.getBlockNumber();
+
+        await tracker.connect(alice).deposit(AMOUNT, { value: AMOUNT });
+        await tracker.connect(bob).deposit(AMOUNT, { value: AMOUNT });
+        // Blocks mined one by one: historical state inside a hardhat_mine range reads as empty
+        for (let i = 0; i < 100; i++) await ethers.provider.send("evm_mine", []);
+        await tracker.connect(alice).deposit(AMOUNT, { value: AMOUNT });
+        return { tracker, alice, bob, deployedAt };
+    }
+
+    const positionIds = entries => entries.map(entry => `${entry.event}:${entry.args.positionId}`);
+
+    it("finds the deployment block and collects one user's events, newest first", async function () {
+        const { tracker, alice, deployedAt } = await loadFixture(activityFixture);
+        const history = new EventHistory({ provider: rpc(ethers.provider), contract: tracker, userAddress: alice.address });
+
+        const entries = await history.sync();
+
+        expect(history.deploymentBlock).to.equal(deployedAt);
+        expect(positionIds(entries)).to.deep.equal(["PositionCreated:1", "PositionCreated:0"]);
+        expect(entries[1].args).to.include({ user: alice.address, positionId: "0", amount: AMOUNT.toString() });
+        expect(entries[0].blockNumber).to.be.greaterThan(entries[1].blockNumber);
+        expect(entries[0].timestamp).to.be.a("number");
+        expect(history.cursor).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("resumes from the cached cursor instead of rescanning", async function () {
+        const { tracker, alice, deployedAt } = await loadFixture(activityFixture);
+        const storage = new MemoryStorage();
+        await new EventHistory({ provider: ethers.provider, contract: tracker, userAddress: alice.address, deploymentBlock: deployedAt, storage }).sync();
+
+        await tracker.connect(alice).deposit(AMOUNT, { value: AMOUNT });
+        const provider = rpc(ethers.provider);
+        const history = new EventHistory({ provider, contract: tracker, userAddress: alice.address, deploymentBlock: deployedAt, storage });
+        expect(history.entries).to.have.lengthOf(2);
+
+        const latest = await ethers.provider.getBlockNumber();
+        expect(positionIds(await history.sync())).to.deep.equal(["PositionCreated:2", "PositionCreated:1", "PositionCreated:0"]);
+        expect(provider.ranges).to.deep.equal([[latest, latest]]);
+
+        // Nothing new: no requests at all
+        await history.sync();
+        expect(provider.ranges).to.have.lengthOf(1);
+
+        history.reset();
+        expect(storage.items).to.deep.equal({});
+        expect(history.cursor).to.equal(null);
+    });
+
+    it("halves the block range until the RPC accepts it", async function () {
+        const { tracker, alice, deployedAt } = await loadFixture(activityFixture);
+        const tooWide = (from, to) => to - from + 1 > 20 ? new Error("query returned more than 10000 results") : null;
+        const provider = rpc(ethers.provider, tooWide);
+        const history = new EventHistory({ provider, contract: tracker, userAddress: alice.address, deploymentBlock: deployedAt, chunkSize: 80 });
+
+        expect(positionIds(await history.sync())).to.deep.equal(["PositionCreated:1", "PositionCreated:0"]);
+        expect(history.chunkSize).to.equal(20);
+        expect(provider.ranges.slice(0, 3)).to.deep.equal([
+            [deployedAt, deployedAt + 79],
+            [deployedAt, deployedAt + 39],
+            [deployedAt, deployedAt + 19]
+        ]);
+        // Every block after the first accepted range is scanned exactly once
+        const accepted = provider.ranges.slice(2);
+        accepted.slice(1).forEach(([from], i) => expect(from).to.equal(accepted[i][1] + 1));
+        expect(accepted[accepted.length - 1][1]).to.equal(history.cursor);
+    });
+
+    it("gives up on range errors at the smallest chunk and on other errors at once", async function () {
+        const { tracker, alice, deployedAt } = await loadFixture(activityFixture);
+        const refused = rpc(ethers.provider, () => new Error("block range too large"));
+        const history = new EventHistory({ provider: refused, contract: tracker, userAddress: alice.address, deploymentBlock: deployedAt, chunkSize: 64 });
+
+        await expect(history.sync()).to.be.rejectedWith("block range too large");
+        expect(history.chunkSize).to.equal(16);
+        expect(history.cursor).to.equal(null);
+
+        const down = rpc(ethers.provider, () => new Error("connection refused"));
+        const other = new EventHistory({ provider: down, contract: tracker, userAddress: alice.address, deploymentBlock: deployedAt, chunkSize: 64 });
+        await expect(other.sync()).to.be.rejectedWith("connection refused");
+        expect(other.chunkSize).to.equal(64);
+        expect(down.ranges).to.have.lengthOf(1);
+    });
+
+    it("passes rate limiting on without shrinking the range", async function () {
+        const { tracker, alice, deployedAt } = await loadFixture(activityFixture);
+
+        for (const message of ["rate limit exceeded", "429 Too Many Requests"]) {
+            const limited = rpc(ethers.provider, () => new Error(message));
+            const history = new EventHistory({ provider: limited, contract: tracker, userAddress: alice.address, deploymentBlock: deployedAt, chunkSize: 64 });
+
+            await expect(history.sync()).to.be.rejectedWith(message);
+            expect(history.chunkSize).to.equal(64);
+            expect(limited.ranges).to.have.lengthOf(1);
+        }
+    });
+
+    it("merges each log once and ignores logs it cannot read", async function () {
+        const { tracker, alice, deployedAt } = await loadFixture(activityFixture);
+        const provider = rpc(ethers.provider);
+        const history = new EventHistory({ provider, contract: tracker, userAddress: alice.address, deploymentBlock: deployedAt });
+
+        // Concurrent callers share one scan
+        const [first, second] = await Promise.all([history.sync(), history.sync()]);
+        expect(first).to.equal(second);
+        const scanned = provider.ranges.length;
+
+        const receipt = await (await tracker.connect(alice).deposit(AMOUNT, { value: AMOUNT })).wait();
+        const added = await history.ingest(receipt.logs);
+        expect(positionIds(added)).to.deep.equal(["PositionCreated:2"]);
+        expect(await history.ingest(receipt.logs)).to.deep.equal([]);
+
+        // The same log through getLogs (v6 `index`) and a filter (hex `logIndex`)
+        const [log] = receipt.logs;
+        const raw = { ...log.toJSON(), logIndex: "0x" + log.index.toString(16) };
+        expect(await history.ingest([raw])).to.deep.equal([]);
+
+        const foreign = { ...log.toJSON(), address: alice.address, transactionHash: ethers.ZeroHash };
+        const unknown = { ...log.toJSON(), topics: [ethers.id("Unknown()")], transactionHash: ethers.ZeroHash };
+        expect(await history.ingest([foreign, unknown])).to.deep.equal([]);
+
+        // The next scan finds the same log and keeps a single entry
+        expect(await history.sync()).to.have.lengthOf(3);
+        expect(provider.ranges.length).to.be.greaterThan(scanned);
+    });
+});
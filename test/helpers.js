@@ -0,0 +1,78 @@
+// ZetaChain Universal Portfolio Tracker
+// Shared test helpers - tracker deployments and an in-memory localStorage
+
+const { ethers } = require("hardhat");
+
+const GAS_PRICE = ethers.parseUnits("10", "gwei");
+
+// Name and symbol of the gas ZRC-20 of each destination chain the fixtures use
+const GAS_TOKENS = {
+    1: ["ZetaChain ZRC20 ETH-eth_mainnet", "ETH.ETH"],
+    56: ["ZetaChain ZRC20 BNB-bsc_mainnet", "BNB.BSC"]
+};
+
+/**
+ * localStorage stand-in for the lib modules that persist state
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = {};
+    }
+    getItem(key) {
+        return key in this.items ? this.items[key] : null;
+    }
+    setItem(key, value) {
+        this.items[key] = String(value);
+    }
+    removeItem(key) {
+        delete this.items[key];
+    }
+}
+
+/**
+ * Deploy OmnichainTracker with its BadgeMetadata and GatewayWithdrawal libraries linked
+ * @param {string} gateway - gateway address (a plain signer when no callbacks are needed)
+ * @returns {Promise<Object>} {tracker, libraries}; libraries holds BadgeMetadata only, the
+ *          one BadgeConnector links too
+ */
+async function deployTracker(gateway) {
+    const badgeMetadata = await ethers.deployContract("BadgeMetadata");
+    const gatewayWithdrawal = await ethers.deployContract("GatewayWithdrawal");
+    const libraries = { BadgeMetadata: await badgeMetadata.getAddress() };
+    const tracker = await ethers.deployContract("OmnichainTracker", [gateway], {
+        libraries: { ...libraries, GatewayWithdrawal: await gatewayWithdrawal.getAddress() }
+    });
+    return { tracker, libraries };
+}
+
+/**
+ * OmnichainTracker behind a MockGatewayZEVM, with a gas ZRC-20 set for each chain.
+ * Every user gets 1 of each gas token and approves the tracker for all of it.
+ * @param {Object} [options]
+ * @param {Array<number>} [options.chains] - destination chain IDs, keys of GAS_TOKENS
+ * @param {Array<Object>} [options.users] - signers to fund
+ * @returns {Promise<Object>} {tracker, gateway, gasTokens: {chainId: token}, libraries}
+ */
+async function deployWithGateway({ chains = [1], users = [] } = {}) {
+    const gateway = await ethers.deployContract("MockGatewayZEVM");
+    const { tracker, libraries } = await deployTracker(await gateway.getAddress());
+
+    const gasTokens = {};
+    for (const chainId of chains) {
+        const token = await ethers.deployContract("MockZRC20", [...GAS_TOKENS[chainId], GAS_PRICE]);
+        await tracker.setGasToken(chainId, await token.getAddress());
+        for (const user of users) {
+            await token.mint(user.address, ethers.parseEther("1"));
+            await token.connect(user).approve(await tracker.getAddress(), ethers.MaxUint256);
+        }
+        gasTokens[chainId] = token;
+    }
+    return { tracker, gateway, gasTokens, libraries };
+}
+
+module.exports = {
+    GAS_PRICE,
+    MemoryStorage,
+    deployTracker,
+    deployWithGateway
+};
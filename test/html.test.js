@@ -0,0 +1,24 @@
+// ZetaChain Universal Portfolio Tracker
+// Html unit tests - escaping outside text for innerHTML templates, no network
+
+const { expect } = require("chai");
+const Html = require("../lib/html");
+
+describe("Html", function () {
+    it("keeps a hostile CCTX status message inside its title attribute", function () {
+        const statusMessage = `outbound failed"><img src=x onerror="alert('pwned')">&`;
+        const card = `<div class="position-detail" title="${Html.escape(statusMessage)}"></div>`;
+
+        expect(card).to.equal(
+            '<div class="position-detail" title="outbound failed&quot;&gt;&lt;img src=x onerror=&quot;alert(&#39;pwned&#39;)&quot;&gt;&amp;"></div>'
+        );
+        expect(card.match(/"/g)).to.have.lengthOf(4);
+    });
+
+    it("turns missing values into empty text and leaves plain text alone", function () {
+        expect(Html.escape(undefined)).to.equal("");
+        expect(Html.escape(null)).to.equal("");
+        expect(Html.escape(42)).to.equal("42");
+        expect(Html.escape("0xabc · Reverted")).to.equal("0xabc · Reverted");
+    });
+});
@@ -0,0 +1,59 @@
+// ZetaChain Universal Portfolio Tracker
+// Networks unit tests - registry entries merged with the static chain metadata
+
+const { expect } = require("chai");
+const Networks = require("../lib/networks");
+
+const TRACKER = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+describe("Networks", function () {
+    it("fills a deployment in from the chain's metadata, and lets the registry override it", function () {
+        const registry = {
+            7001: { contractAddress: TRACKER, deploymentBlock: 0 },
+            7000: { contractAddress: TRACKER, explorerUrl: "", cctxApiUrl: null, gatewayAddress: "0x" + "11".repeat(20) },
+            4242: { contractAddress: TRACKER, rpcUrls: ["http://node:8545"] },
+            1: { name: "Not deployed" }
+        };
+
+        expect(Networks.resolve(registry, 7001)).to.include({
+            chainId: 7001,
+            name: "ZetaChain Athens Testnet",
+            explorerUrl: "https://zetachain-athens-3.blockscout.com",
+            gatewayAddress: Networks.NETWORKS[7001].gatewayAddress,
+            hardhatNetwork: "zetachainAthens",
+            deploymentBlock: 0
+        });
+
+        // An empty explorer or API in the registry switches it off
+        expect(Networks.resolve(registry, "7000")).to.include({
+            chainId: 7000, explorerUrl: "", cctxApiUrl: null, gatewayAddress: "0x" + "11".repeat(20), deploymentBlock: null
+        });
+
+        const custom = Networks.resolve(registry, 4242);
+        expect(custom).to.include({ name: "Chain 4242", explorerUrl: "", cctxApiUrl: null, gatewayAddress: null });
+        expect(custom.rpcUrls).to.deep.equal(["http://node:8545"]);
+        expect(custom.nativeCurrency).to.deep.equal({ name: "ZETA", symbol: "ZETA", decimals: 18 });
+
+        expect(Networks.resolve(registry, 1)).to.equal(null);
+        expect(Networks.resolve(registry, 31337)).to.equal(null);
+
+        expect(Networks.deployed(registry).map(network => network.chainId)).to.deep.equal([7000, 4242, 7001]);
+        expect(Networks.toHexChainId(7000)).to.equal("0x1b58");
+        expect(Networks.toHexChainId("31337")).to.equal("0x7a69");
+    });
+
+    it("loads the registry and reports a missing one", async function () {
+        const requests = [];
+        const fetchImpl = async (url, options) => {
+            requests.push([url, options]);
+            return url === Networks.REGISTRY_PATH
+                ? { ok: true, json: async () => ({ 7000: { contractAddress: TRACKER } }) }
+                : { ok: false, status: 404 };
+        };
+
+        expect(await Networks.loadRegistry(undefined, fetchImpl)).to.deep.equal({ 7000: { contractAddress: TRACKER } });
+        expect(requests[0]).to.deep.equal(["deployments/registry.json", { cache: "no-cache" }]);
+        await expect(Networks.loadRegistry("missing.json", fetchImpl))
+            .to.be.rejectedWith("Deployment registry not found at missing.json (HTTP 404)");
+    });
+});
@@ -0,0 +1,89 @@
+// ZetaChain Universal Portfolio Tracker
+// Portfolio unit tests - totals across watched addresses and per-position ledgers
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const Portfolio = require("../lib/portfolio");
+
+const { STATUS, NATIVE_TOKEN } = Portfolio;
+const USDC = "0x" + "ab".repeat(20);
+const ETH = "0x" + "E7".repeat(20);
+const zeta = (amount) => ethers.parseEther(amount);
+
+describe("Portfolio", function () {
+    const position = (amount, status, token) => ({ amount: zeta(amount), status, token });
+    const entry = (event, positionId, amount, timestamp) => ({
+        event, timestamp, transactionHash: ethers.id(`${event}${positionId}${timestamp}`),
+        args: { positionId: String(positionId), amount: zeta(amount).toString() }
+    });
+
+    it("lists the ZRC-20s held, without ZETA", function () {
+        const positions = [position("1", STATUS.Active, NATIVE_TOKEN), position("1", STATUS.Active, ETH), position("1", STATUS.Withdrawn, ETH.toLowerCase()), { amount: 1n, status: 0 }];
+        expect(Portfolio.tokenOf({ token: USDC.toUpperCase().replace("0X", "0x") })).to.equal(USDC);
+        expect(Portfolio.tokenOf({})).to.equal(NATIVE_TOKEN);
+        expect(Portfolio.tokensOf(positions)).to.deep.equal([ETH.toLowerCase()]);
+    });
+
+    it("adds up positions, deposits, exits and badges across addresses", function () {
+        const totals = Portfolio.aggregate([
+            {
+                positions: [position("5", STATUS.Active, NATIVE_TOKEN), position("2", STATUS.Failed, NATIVE_TOKEN), position("3", STATUS.Active, USDC)],
+                withdrawals: [],
+                totalDeposited: zeta("7").toString(),
+                tokenDeposits: { [USDC.toUpperCase().replace("0X", "0x")]: zeta("3") },
+                entries: [entry("EmergencyWithdrawn", 1, "2", 10), entry("PositionCreated", 0, "5", 5), entry("EmergencyWithdrawn", 9, "1", 11)],
+                badgeTokenId: "4",
+                eligible: true
+            },
+            {
+                positions: [position("1", STATUS.Withdrawn, NATIVE_TOKEN), position("4", STATUS.Active, NATIVE_TOKEN)],
+                withdrawals: [],
+                totalDeposited: zeta("5"),
+                badgeTokenId: 0n,
+                eligible: false
+            }
+        ]);
+
+        expect(totals).to.deep.equal({
+            accounts: 2,
+            positionCount: 5,
+            activeCount: 3,
+            activeValue: zeta("9"),
+            totalDeposited: zeta("12"),
+            activeByToken: { [NATIVE_TOKEN]: zeta("9"), [USDC]: zeta("3") },
+            depositedByToken: { [NATIVE_TOKEN]: zeta("12"), [USDC]: zeta("3") },
+            // The exit of an unknown position is left out
+            emergencyCount: 1,
+            emergencyByToken: { [NATIVE_TOKEN]: zeta("2") },
+            badgeHolders: 1,
+            eligibleForBadge: 1
+        });
+        expect(Portfolio.aggregate([])).to.include({ accounts: 0, activeValue: 0n, totalDeposited: 0n });
+    });
+
+    it("orders one position's ledger and tells emergency exits from aborts", function () {
+        const entries = [
+            entry("PositionToppedUp", 0, "1", 20),
+            entry("PositionCreated", 0, "2", 10),
+            entry("PositionCreated", 1, "9", 12),
+            entry("WithdrawInitiated", 0, "3", 30),
+            entry("EmergencyWithdrawn", 0, "1", null)
+        ];
+        const withdrawals = [
+            { positionId: 1n, amount: zeta("9"), timestamp: 13n, destinationChainId: 1n, status: 1n },
+            { positionId: 0n, amount: zeta("2"), timestamp: 25n, destinationChainId: 56n, status: 3n }
+        ];
+
+        const rows = Portfolio.ledger(0, { entries, withdrawals });
+        expect(rows.map(row => row.kind)).to.deep.equal(["deposit", "top-up", "withdrawal", "emergency"]);
+        expect(rows[2]).to.deep.equal({ kind: "withdrawal", withdrawalId: 1, amount: zeta("2"), timestamp: 25, status: 3, destinationChainId: 56 });
+        expect(rows[0]).to.include({ amount: zeta("2"), timestamp: 10, transactionHash: entries[1].transactionHash });
+        expect(Portfolio.ledger(2)).to.deep.equal([]);
+
+        const failed = { status: STATUS.Failed };
+        expect(Portfolio.exitedInEmergency(failed, rows)).to.equal(true);
+        expect(Portfolio.exitedInEmergency(failed, rows.slice(0, 3))).to.equal(false);
+        expect(Portfolio.exitedInEmergency({ status: STATUS.Withdrawn }, rows)).to.equal(false);
+        expect(Portfolio.exitedInEmergency(failed, [])).to.equal(false);
+    });
+});
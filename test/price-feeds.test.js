@@ -0,0 +1,205 @@
+// ZetaChain Universal Portfolio Tracker
+// PriceFeeds unit tests - manual table, a local stub of a JSON endpoint, a mock aggregator and P&L
+
+const { expect } = require("chai");
+const http = require("http");
+const { ethers } = require("hardhat");
+const PriceFeeds = require("../lib/price-feeds");
+
+const DAY = 86400;
+const ZETA = ethers.ZeroAddress;
+const ETH = "0x" + "e7".repeat(20);
+const TOKENS = {
+    [ZETA]: { symbol: "ZETA", decimals: 18 },
+    [ETH]: { symbol: "ETH.ETH", decimals: 18 }
+};
+const tokenInfo = (address) => TOKENS[address];
+const usd = (text) => PriceFeeds.parsePrice(text);
+
+describe("PriceFeeds", function () {
+    it("parses prices and formats fiat values", function () {
+        expect(usd("0.5234")).to.equal(52340000n);
+        expect(usd("12")).to.equal(1200000000n);
+        // Digits beyond PRICE_DECIMALS are dropped
+        expect(usd("0.123456789")).to.equal(12345678n);
+        expect(() => usd("-1")).to.throw('"-1" is not a price');
+        expect(() => usd("1e3")).to.throw("is not a price");
+
+        expect(PriceFeeds.toFiat(ethers.parseEther("2.5"), 18, usd("0.52"))).to.equal(usd("1.3"));
+        expect(PriceFeeds.toFiat(1500000n, 6, usd("1"))).to.equal(usd("1.5"));
+
+        expect(PriceFeeds.formatFiat(usd("1234.565"), "USD")).to.equal("$1,234.57");
+        expect(PriceFeeds.formatFiat(-usd("3.2"), "EUR")).to.equal("-€3.20");
+        expect(PriceFeeds.formatFiat(usd("3.2"), "USD", { signed: true })).to.equal("+$3.20");
+        expect(PriceFeeds.formatFiat(0n, "USD", { signed: true })).to.equal("$0.00");
+    });
+
+    it("reads dated prices from a manual table", async function () {
+        const feed = new PriceFeeds.StaticPriceFeed({
+            prices: { zeta: "0.5" },
+            history: { ZETA: [{ timestamp: 2 * DAY, price: "0.3" }, { timestamp: DAY, price: "0.2" }] }
+        });
+
+        expect(await feed.price("ZETA")).to.deep.equal({ price: usd("0.5"), timestamp: null });
+        expect(await feed.price("ZETA", DAY + 1)).to.deep.equal({ price: usd("0.2"), timestamp: DAY });
+        expect((await feed.price("ZETA", 3 * DAY)).price).to.equal(usd("0.3"));
+        expect(await feed.price("ZETA", DAY - 1)).to.equal(null);
+        expect(await feed.price("BTC.BTC")).to.equal(null);
+        // No history: every date gets the current price
+        expect((await new PriceFeeds.StaticPriceFeed({ prices: { ZETA: "0.5" } }).price("ZETA", DAY)).price).to.equal(usd("0.5"));
+    });
+
+    describe("JSON endpoint", function () {
+        let server;
+        let baseUrl;
+        let requests;
+
+        before(async function () {
+            server = http.createServer((req, res) => {
+                requests.push(req.url);
+                const url = new URL(req.url, "http://localhost");
+                if (url.pathname === "/broken") {
+                    res.writeHead(500);
+                    res.end("oops");
+                    return;
+                }
+                const at = Number(url.searchParams.get("at"));
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ data: { [url.pathname.slice(1)]: { usd: at ? at / DAY : 0.75 } } }));
+            });
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(async function () {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(function () {
+            requests = [];
+        });
+
+        it("fills the URL template and reads the price at the field path", async function () {
+            const feed = new PriceFeeds.HttpPriceFeed({ url: `${baseUrl}/{symbol}?vs={currency}&at={timestamp}`, currency: "EUR", field: "data.ZETA.usd" });
+
+            expect(await feed.price("ZETA")).to.deep.equal({ price: usd("0.75"), timestamp: null });
+            expect(await feed.price("ZETA", 2 * DAY)).to.deep.equal({ price: usd("2"), timestamp: 2 * DAY });
+            expect(requests).to.deep.equal(["/ZETA?vs=eur&at=", `/ZETA?vs=eur&at=${2 * DAY}`]);
+            expect(await feed.price("BTC")).to.equal(null);
+        });
+
+        it("only answers current prices without a {timestamp} and reports failures", async function () {
+            const current = new PriceFeeds.HttpPriceFeed({ url: `${baseUrl}/{symbol}`, field: "data.ZETA.usd" });
+            expect(await current.price("ZETA", DAY)).to.equal(null);
+            expect(requests).to.deep.equal([]);
+
+            const broken = new PriceFeeds.HttpPriceFeed({ url: `${baseUrl}/broken` });
+            await expect(broken.price("ZETA")).to.be.rejectedWith("Price endpoint answered 500");
+        });
+    });
+
+    it("walks oracle rounds back for historical prices", async function () {
+        const aggregator = await ethers.deployContract("MockPriceAggregator", [18, "ZETA / USD"]);
+        await aggregator.pushRound(ethers.parseEther("0.4"), DAY);
+        await aggregator.pushRound(ethers.parseEther("0.6"), 3 * DAY);
+        await aggregator.pushRound(ethers.parseEther("0.9"), 5 * DAY);
+        const feed = new PriceFeeds.OraclePriceFeed({ feeds: { ZETA: aggregator } });
+
+        expect(await feed.price("ZETA")).to.deep.equal({ price: usd("0.9"), timestamp: 5 * DAY });
+        expect(await feed.price("ZETA", 4 * DAY)).to.deep.equal({ price: usd("0.6"), timestamp: 3 * DAY });
+        expect(await feed.price("ZETA", DAY)).to.deep.equal({ price: usd("0.4"), timestamp: DAY });
+        expect(await feed.price("ZETA", DAY - 1)).to.equal(null);
+        expect(await feed.price("ETH.ETH")).to.equal(null);
+    });
+
+    it("falls through feeds in order and caches answers", async function () {
+        let calls = 0;
+        const failing = { name: "down", price: async () => { calls += 1; throw new Error("offline"); } };
+        const book = new PriceFeeds.PriceBook({
+            feeds: [failing, new PriceFeeds.StaticPriceFeed({ prices: { ZETA: "0.5" } })],
+            currency: "EUR"
+        });
+
+        expect(await book.price("ZETA")).to.deep.equal({ price: usd("0.5"), timestamp: null, source: "manual" });
+        expect(await book.price("zeta")).to.deep.equal({ price: usd("0.5"), timestamp: null, source: "manual" });
+        expect(calls).to.equal(1);
+        expect(book.errors).to.deep.equal([{ source: "down", symbol: "ZETA", message: "offline" }]);
+        expect(await book.price("BTC")).to.equal(null);
+        // No answer because a feed was down is not cached; dated prices are cached per hour
+        await book.price("BTC");
+        expect(calls).to.equal(3);
+        await book.price("ZETA", 3 * DAY);
+        await book.price("ZETA", 3 * DAY + 60);
+        expect(calls).to.equal(4);
+        book.refresh();
+        await book.price("ZETA");
+        expect(calls).to.equal(5);
+
+        const manual = PriceFeeds.parseTable("zeta = 0.4,\nETH.ETH=3100");
+        expect(manual).to.deep.equal({ ZETA: "0.4", "ETH.ETH": "3100" });
+        expect(PriceFeeds.formatTable(manual)).to.equal("ZETA=0.4, ETH.ETH=3100");
+        expect(() => PriceFeeds.parseTable("ZETA 0.4")).to.throw('"ZETA 0.4" is not SYMBOL=value');
+
+        const configured = PriceFeeds.fromConfig({ currency: "GBP", manual, url: `http://127.0.0.1:1/{symbol}` });
+        expect(configured.feeds.map(feed => feed.name)).to.deep.equal(["http", "manual"]);
+        expect(configured.currency).to.equal("GBP");
+    });
+
+    it("values positions at average cost with realised and unrealised P&L", async function () {
+        const book = new PriceFeeds.PriceBook({
+            feeds: [new PriceFeeds.StaticPriceFeed({
+                prices: { ZETA: "4", "ETH.ETH": "2000" },
+                history: {
+                    ZETA: [{ timestamp: DAY, price: "1" }, { timestamp: 2 * DAY, price: "2" }, { timestamp: 3 * DAY, price: "3" }],
+                    "ETH.ETH": [{ timestamp: DAY, price: "1000" }]
+                }
+            })]
+        });
+        const move = (positionId, days, direction, amount) => ({ positionId, timestamp: days * DAY, direction, amount: ethers.parseEther(amount), token: ZETA });
+
+        const report = await PriceFeeds.valuate({
+            movements: [
+                move(0, 1, "in", "10"),
+                move(0, 2, "in", "10"),
+                move(0, 3, "out", "5"),
+                move(1, 1, "in", "2"),
+                move(1, 3, "out", "2")
+            ],
+            fees: [{ timestamp: 3 * DAY, amount: ethers.parseEther("0.01"), token: ETH }]
+        }, { book, tokenInfo });
+
+        // Position 0: 30 of cost for 20 ZETA; 5 leave at 3 against 7.5 of cost; 15 left worth 60
+        expect(report.positions[0]).to.deep.equal({
+            positionId: 0, token: ZETA, held: ethers.parseEther("15"), costBasis: usd("22.5"),
+            realised: usd("7.5"), estimated: false, value: usd("60"), unrealised: usd("37.5")
+        });
+        // Position 1: bought at 1, all out at 3
+        expect(report.positions[1]).to.include({ held: 0n, costBasis: 0n, realised: usd("4"), value: 0n, unrealised: 0n });
+        expect(report.totals).to.deep.equal({ value: usd("60"), costBasis: usd("22.5"), unrealised: usd("37.5"), realised: usd("11.5") });
+        expect(report.fees).to.equal(usd("10"));
+        expect(report).to.include({ currency: "USD" });
+        expect(report.missing).to.deep.equal([]);
+    });
+
+    it("falls back to the current price and reports assets nobody prices", async function () {
+        const book = new PriceFeeds.PriceBook({ feeds: [new PriceFeeds.StaticPriceFeed({
+            prices: { ZETA: "2" },
+            history: { ZETA: [{ timestamp: 5 * DAY, price: "1" }] }
+        })] });
+
+        const report = await PriceFeeds.valuate({
+            movements: [
+                { positionId: 0, timestamp: DAY, direction: "in", amount: ethers.parseEther("1"), token: ZETA },
+                { positionId: 1, timestamp: DAY, direction: "in", amount: ethers.parseEther("1"), token: ETH },
+                { positionId: 1, timestamp: 2 * DAY, direction: "out", amount: ethers.parseEther("0.4"), token: ETH }
+            ]
+        }, { book, tokenInfo });
+
+        // Before the table starts, so the deposit is costed at today's price
+        expect(report.positions[0]).to.include({ estimated: true, costBasis: usd("2"), value: usd("2"), unrealised: 0n });
+        // The withdrawal out of an unpriced position is neither a gain nor a loss
+        expect(report.positions[1]).to.include({ held: ethers.parseEther("0.6"), value: null, unrealised: null, realised: null });
+        expect(report.totals).to.deep.equal({ value: usd("2"), costBasis: usd("2"), unrealised: 0n, realised: 0n });
+        expect(report.missing).to.deep.equal(["ETH.ETH"]);
+    });
+});
@@ -0,0 +1,71 @@
+// ZetaChain Universal Portfolio Tracker
+// Recipients unit tests - per-chain address validation and encoding, no network
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const Recipients = require("../lib/recipients");
+
+const SOLANA = 18000001;
+const SUI = 18000002;
+const TON = 18000003;
+const options = { getAddress: ethers.getAddress };
+
+// Same account in TON's raw, bounceable and non-bounceable forms
+const TON_RAW = "0:ca6e321c7cce9ecedf0a8ca2492ec8592494aa5fb5ce0387dff96ef6af982a3e";
+const TON_BOUNCEABLE = "EQDKbjIcfM6ezt8KjKJJLshZJJSqX7XOA4ff-W72r5gqPrHF";
+const TON_NON_BOUNCEABLE = "UQDKbjIcfM6ezt8KjKJJLshZJJSqX7XOA4ff-W72r5gqPuwA";
+
+describe("Recipients", function () {
+    it("picks the format and placeholder from the destination chain", function () {
+        expect(Recipients.formatFor(1)).to.equal("evm");
+        expect(Recipients.formatFor("18000001")).to.equal("solana");
+        expect(Recipients.formatFor(SUI)).to.equal("sui");
+        expect(Recipients.formatFor(TON)).to.equal("ton");
+        expect(Recipients.placeholder(SUI)).to.equal(Recipients.FORMATS.sui.placeholder);
+    });
+
+    it("checks EIP-55 checksums on EVM chains", function () {
+        const checksummed = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+
+        expect(Recipients.encode(1, checksummed.toLowerCase(), options))
+            .to.deep.equal({ format: "evm", bytes: checksummed.toLowerCase(), display: checksummed });
+        expect(Recipients.validate(56, ` ${checksummed} `, options)).to.equal(null);
+        expect(Recipients.validate(1, checksummed.slice(0, -1) + "D", options)).to.match(/checksum does not match/);
+        expect(Recipients.validate(1, "0x1234", options)).to.match(/40 hex characters/);
+        expect(Recipients.validate(1, "", options)).to.equal("Enter the EVM recipient address.");
+    });
+
+    it("decodes Solana base58 keys to 32 bytes", function () {
+        expect(Recipients.encode(SOLANA, "11111111111111111111111111111111").bytes).to.equal(ethers.ZeroHash);
+        expect(Recipients.encode(SOLANA, "So11111111111111111111111111111111111111112").bytes)
+            .to.equal("0x069b8857feab8184fb687f634618c035dac439dc1aeb3b5598a0f00000000001");
+
+        expect(Recipients.validate(SOLANA, "So1111111111111111111111111111111111111111")).to.match(/32 bytes/);
+        expect(Recipients.validate(SOLANA, "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed")).to.match(/not a base58 character/);
+    });
+
+    it("takes full-length Sui addresses only", function () {
+        const address = "0x" + "AB".repeat(32);
+
+        expect(Recipients.encode(SUI, address)).to.deep.equal({ format: "sui", bytes: address.toLowerCase(), display: address.toLowerCase() });
+        expect(Recipients.validate(SUI, "0x2")).to.match(/64 hex characters/);
+        expect(Recipients.validate(SUI, "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed")).to.match(/64 hex characters/);
+    });
+
+    it("accepts TON raw and user-friendly forms as the same account", function () {
+        const expected = { format: "ton", bytes: "0x00" + TON_RAW.slice(2), display: TON_RAW };
+
+        expect(Recipients.encode(TON, TON_RAW)).to.deep.equal(expected);
+        expect(Recipients.encode(TON, TON_BOUNCEABLE)).to.deep.equal(expected);
+        expect(Recipients.encode(TON, TON_NON_BOUNCEABLE)).to.deep.equal(expected);
+        // Standard base64 spells the same bytes with + and /
+        expect(Recipients.encode(TON, TON_BOUNCEABLE.replace("-", "+"))).to.deep.equal(expected);
+        expect(Recipients.encode(TON, "-1:" + TON_RAW.slice(2)).bytes).to.equal("0xff" + TON_RAW.slice(2));
+    });
+
+    it("rejects TON addresses with a bad checksum or shape", function () {
+        expect(Recipients.validate(TON, TON_BOUNCEABLE.slice(0, -1) + "G")).to.match(/checksum does not match/);
+        expect(Recipients.validate(TON, TON_BOUNCEABLE.slice(0, -1))).to.match(/48 base64 characters/);
+        expect(Recipients.validate(TON, "1:" + TON_RAW.slice(2))).to.match(/48 base64 characters/);
+    });
+});
@@ -0,0 +1,157 @@
+// ZetaChain Universal Portfolio Tracker
+// TxErrors unit tests - real Hardhat reverts plus wallet/ethers v5 error shapes
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const TxErrors = require("../lib/tx-errors");
+const { deployTracker } = require("./helpers");
+
+const MAINNET = { name: "ZetaChain Mainnet", chainId: 7000, nativeCurrency: { symbol: "ZETA" } };
+const ATHENS = { name: "ZetaChain Athens Testnet", chainId: 7001, nativeCurrency: { symbol: "ZETA" } };
+
+function revertData(reason) {
+    return "0x08c379a0" + ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+}
+
+async function caught(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    throw new Error("Expected a revert");
+}
+
+describe("TxErrors", function () {
+    async function deployFixture() {
+        const [owner, alice, gateway] = await ethers.getSigners();
+        const { tracker } = await deployTracker(gateway.address);
+        return { tracker, owner, alice };
+    }
+
+    describe("preflight reverts", function () {
+        it("decodes require strings from staticCall", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            const error = await caught(tracker.connect(alice).mintSafetyBadge.staticCall());
+
+            const result = TxErrors.translate(await TxErrors.decode(error), { action: "Badge mint", network: MAINNET });
+            expect(result.code).to.equal("REVERT");
+            expect(result.reason).to.equal("Not eligible: Must use safety buffer first");
+            expect(result.message).to.match(/Complete a safe withdrawal/);
+        });
+
+        it("decodes the destination gas token check", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("1");
+            await tracker.connect(alice).deposit(amount, { value: amount });
+
+            const error = await caught(tracker.connect(alice).withdrawAndTrack.staticCall(0, amount, 1, alice.address, 200000));
+            const result = TxErrors.translate(error, { action: "Withdrawal", network: MAINNET });
+            expect(result.reason).to.equal("Unsupported destination chain");
+            expect(result.message).to.match(/not enabled on this deployment/);
+        });
+
+        it("maps out-of-bounds position panics", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            const error = await caught(tracker.connect(alice).emergencyWithdraw.staticCall(3, 1));
+
+            const revert = TxErrors.extractRevert(error);
+            expect(revert.name).to.equal("Panic");
+            expect(revert.args[0]).to.equal(0x32);
+            expect(TxErrors.translate(error).message).to.match(/does not exist/);
+        });
+
+        it("decodes OpenZeppelin custom errors through the interface", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            const error = await caught(tracker.connect(alice).transferBadgeCrossChain.staticCall(42, 56, alice.address));
+
+            await TxErrors.decode(error, { iface: tracker.interface });
+            const result = TxErrors.translate(error, { action: "Badge transfer" });
+            expect(result.reason).to.equal("ERC721NonexistentToken");
+            expect(result.message).to.equal("That badge does not exist.");
+        });
+    });
+
+    describe("mined reverts", function () {
+        it("replays the transaction to recover the reason", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            const amount = ethers.parseEther("1");
+            await tracker.connect(alice).deposit(amount, { value: amount });
+            await tracker.connect(alice).emergencyWithdraw(0, amount);
+
+            // A status-0 receipt as ethers reports it, without any reason attached
+            const block = await ethers.provider.getBlockNumber();
+            const data = tracker.interface.encodeFunctionData("emergencyWithdraw", [0, amount]);
+            const error = Object.assign(new Error("transaction failed"), {
+                code: "CALL_EXCEPTION",
+                receipt: { from: alice.address, to: await tracker.getAddress(), blockNumber: block + 1, gasUsed: 30000n, status: 0 },
+                transaction: { data, value: 0n, gasLimit: 500000n }
+            });
+
+            await TxErrors.decode(error, { provider: ethers.provider });
+            expect(TxErrors.translate(error).reason).to.equal("Position not active");
+        });
+
+        it("reports out of gas when the replay succeeds", async function () {
+            const { tracker, alice } = await loadFixture(deployFixture);
+            const block = await ethers.provider.getBlockNumber();
+            const amount = ethers.parseEther("1");
+            const error = Object.assign(new Error("transaction failed"), {
+                code: "CALL_EXCEPTION",
+                receipt: { from: alice.address, to: await tracker.getAddress(), blockNumber: block + 1, gasUsed: 21500n, status: 0 },
+                transaction: { data: tracker.interface.encodeFunctionData("deposit", [amount]), value: amount, gasLimit: 21500n }
+            });
+
+            await TxErrors.decode(error, { provider: ethers.provider });
+            const result = TxErrors.translate(error, { action: "Deposit", network: MAINNET });
+            expect(result.code).to.equal("OUT_OF_GAS");
+            expect(result.message).to.equal("Deposit ran out of gas on ZetaChain Mainnet. Try again; nothing was changed on-chain.");
+        });
+    });
+
+    describe("wallet and ethers v5 shapes", function () {
+        it("reads the reason out of a wallet JSON-RPC body", function () {
+            const error = {
+                code: "UNPREDICTABLE_GAS_LIMIT",
+                reason: "cannot estimate gas; transaction may fail or may require manual gas limit",
+                error: { code: -32603, message: "Internal JSON-RPC error.", data: { code: 3, message: "execution reverted: Badge is on another chain", data: revertData("Badge is on another chain") } }
+            };
+            expect(TxErrors.translate(error).reason).to.equal("Badge is on another chain");
+        });
+
+        it("falls back to the message when no revert data is present", function () {
+            const error = new Error('cannot estimate gas; transaction may fail (reason="execution reverted: Some new rule", method="estimateGas")');
+            error.code = "UNPREDICTABLE_GAS_LIMIT";
+            const result = TxErrors.translate(error, { action: "Deposit" });
+            expect(result.reason).to.equal("Some new rule");
+            expect(result.message).to.equal("Deposit failed: Some new rule");
+        });
+
+        it("recognises wallet rejections", function () {
+            expect(TxErrors.classify({ code: 4001, message: "User rejected the request." })).to.equal("REJECTED");
+            expect(TxErrors.classify({ code: "ACTION_REJECTED", reason: "user rejected transaction" })).to.equal("REJECTED");
+        });
+
+        it("recognises nonce, underpriced and timeout errors", function () {
+            expect(TxErrors.classify({ code: "NONCE_EXPIRED" })).to.equal("NONCE");
+            expect(TxErrors.classify({ error: { message: "nonce too low" } })).to.equal("NONCE");
+            expect(TxErrors.classify({ code: "REPLACEMENT_UNDERPRICED" })).to.equal("UNDERPRICED");
+            expect(TxErrors.classify({ message: "transaction underpriced" })).to.equal("UNDERPRICED");
+            expect(TxErrors.classify({ code: "TIMEOUT", message: "timeout exceeded" })).to.equal("TIMEOUT");
+            expect(TxErrors.classify({ code: "SERVER_ERROR", body: '{"error":{"message":"429 Too Many Requests"}}' })).to.equal("TIMEOUT");
+        });
+
+        it("names the active network in its messages", function () {
+            const error = { code: "INSUFFICIENT_FUNDS", message: "insufficient funds for gas * price + value" };
+            expect(TxErrors.translate(error, { network: MAINNET }).message).to.match(/ZetaChain Mainnet/);
+            expect(TxErrors.translate(error, { network: ATHENS }).message).to.match(/ZetaChain Athens Testnet/);
+        });
+
+        it("keeps unknown errors readable", function () {
+            const result = TxErrors.translate(new Error("something odd\nwith a stack"), { action: "Withdrawal" });
+            expect(result.code).to.equal("UNKNOWN");
+            expect(result.message).to.equal("Withdrawal failed: something odd");
+        });
+    });
+});
@@ -0,0 +1,182 @@
+// ZetaChain Universal Portfolio Tracker
+// TxQueue unit tests - pending transactions on a Hardhat node with automine off
+
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const TxQueue = require("../lib/tx-queue");
+const { MemoryStorage, deployTracker } = require("./helpers");
+
+describe("TxQueue", function () {
+    let tracker;
+    let alice;
+    let storage;
+    let queue;
+    let settled;
+
+    async function mine() {
+        await network.provider.send("evm_mine");
+    }
+
+    function createQueue() {
+        const created = new TxQueue({
+            storage,
+            interval: 60000,
+            onSettled: (entry, receipt) => settled.push({ entry, receipt })
+        });
+        created.attach({ provider: ethers.provider, signer: alice, account: alice.address, chainId: network.config.chainId });
+        return created;
+    }
+
+    // Fee fields of a repriced copy of `tx`. The default network sends EIP-1559
+    // transactions; coverage sends legacy ones, at a gas price that can be 0.
+    function doubledFees(tx) {
+        if (tx.maxFeePerGas === null) return { gasPrice: tx.gasPrice * 2n + 1n };
+        return { maxFeePerGas: tx.maxFeePerGas * 2n, maxPriorityFeePerGas: tx.maxPriorityFeePerGas * 2n };
+    }
+
+    async function sendDeposit() {
+        const amount = ethers.parseEther("0.1");
+        return tracker.connect(alice).deposit(amount, { value: amount, gasLimit: 200000 });
+    }
+
+    beforeEach(async function () {
+        const [, signer, gateway] = await ethers.getSigners();
+        alice = signer;
+        ({ tracker } = await deployTracker(gateway.address));
+        await tracker.waitForDeployment();
+
+        await network.provider.send("evm_setAutomine", [false]);
+        storage = new MemoryStorage();
+        settled = [];
+        queue = createQueue();
+    });
+
+    afterEach(async function () {
+        queue.detach();
+        await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("persists pending entries and resumes them after a reload", async function () {
+        const tx = await sendDeposit();
+        const entry = queue.track(tx, { purpose: "deposit", label: "Deposit 0.1 ZETA" });
+        await queue.tick();
+        expect(queue.pending().map(pending => pending.id)).to.deep.equal([tx.hash]);
+
+        queue.detach();
+        queue = createQueue();
+        expect(queue.get(entry.id).purpose).to.equal("deposit");
+
+        await mine();
+        await queue.tick();
+
+        expect(queue.get(entry.id).status).to.equal(TxQueue.STATUS.CONFIRMED);
+        expect(settled).to.have.lengthOf(1);
+        expect(settled[0].receipt.hash || settled[0].receipt.transactionHash).to.equal(tx.hash);
+    });
+
+    it("speeds up with the same nonce and settles on the replacement", async function () {
+        const tx = await sendDeposit();
+        const entry = queue.track(tx, { purpose: "deposit" });
+
+        await queue.speedUp(entry.id);
+        expect(entry.hashes).to.have.lengthOf(2);
+        const field = tx.maxFeePerGas === null ? "gasPrice" : "maxFeePerGas";
+        expect(BigInt(entry[field])).to.be.greaterThan(tx[field]);
+
+        await mine();
+        await queue.tick();
+
+        expect(entry.status).to.equal(TxQueue.STATUS.CONFIRMED);
+        expect(entry.hash).to.equal(entry.hashes[1]);
+        expect(await tracker.totalDeposited(alice.address)).to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("cancels with an empty self-transfer", async function () {
+        const tx = await sendDeposit();
+        const entry = queue.track(tx, { purpose: "deposit" });
+
+        await queue.cancel(entry.id);
+        await mine();
+        await queue.tick();
+
+        expect(entry.status).to.equal(TxQueue.STATUS.CANCELLED);
+        expect(await tracker.totalDeposited(alice.address)).to.equal(0n);
+    });
+
+    it("follows a replacement sent from outside the queue", async function () {
+        const tx = await sendDeposit();
+        const entry = queue.track(tx, { purpose: "deposit" });
+
+        // Same call, repriced by the wallet
+        const repriced = await alice.sendTransaction({
+            to: tx.to,
+            data: tx.data,
+            value: tx.value,
+            nonce: tx.nonce,
+            gasLimit: tx.gasLimit,
+            ...doubledFees(tx)
+        });
+        await mine();
+        await queue.tick();
+
+        expect(entry.status).to.equal(TxQueue.STATUS.CONFIRMED);
+        expect(entry.hash).to.equal(repriced.hash);
+    });
+
+    it("marks a different call with our nonce as replaced", async function () {
+        const tx = await sendDeposit();
+        const entry = queue.track(tx, { purpose: "deposit" });
+
+        await alice.sendTransaction({
+            to: alice.address,
+            value: 1n,
+            nonce: tx.nonce,
+            ...doubledFees(tx)
+        });
+        await mine();
+        await queue.tick();
+
+        expect(entry.status).to.equal(TxQueue.STATUS.REPLACED);
+    });
+
+    it("reports dropped transactions once the node forgets them", async function () {
+        const tx = await sendDeposit();
+        const entry = queue.track(tx, { purpose: "deposit" });
+
+        await network.provider.send("hardhat_dropTransaction", [tx.hash]);
+        await queue.tick();
+        expect(entry.status).to.equal(TxQueue.STATUS.PENDING);
+
+        entry.lastSeenAt = Date.now() - 11 * 60 * 1000;
+        await queue.tick();
+        expect(entry.status).to.equal(TxQueue.STATUS.DROPPED);
+    });
+
+    it("records failed transactions and keeps them until dismissed", async function () {
+        const tx = await tracker.connect(alice).emergencyWithdraw(0, 1, { gasLimit: 100000 });
+        const entry = queue.track(tx, { purpose: "withdraw", positionId: 0 });
+        // Wait before mining: the tick scheduled by track() may settle the entry first
+        const settledEntry = queue.wait(entry.id);
+
+        await mine();
+        await queue.tick();
+        const { receipt } = await settledEntry;
+
+        expect(entry.status).to.equal(TxQueue.STATUS.FAILED);
+        expect(receipt.status).to.equal(0);
+        expect(queue.visible()).to.have.lengthOf(1);
+
+        queue.dismiss(entry.id);
+        expect(queue.visible()).to.have.lengthOf(0);
+    });
+
+    it("refuses to replace a transaction from another account", async function () {
+        const tx = await sendDeposit();
+        const entry = queue.track(tx, { purpose: "deposit" });
+        const [owner] = await ethers.getSigners();
+
+        queue.attach({ provider: ethers.provider, signer: owner, account: owner.address, chainId: network.config.chainId });
+        await expect(queue.speedUp(entry.id)).to.be.rejectedWith("Connect the wallet that sent this transaction first");
+        await mine();
+    });
+});
@@ -0,0 +1,105 @@
+// ZetaChain Universal Portfolio Tracker
+// WalletSession unit tests - EIP-6963 discovery, wallet choice and EIP-1193 events
+
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const WalletSession = require("../lib/wallet-session");
+const { MemoryStorage } = require("./helpers");
+
+/**
+ * An EIP-6963 wallet that announces itself whenever the page asks
+ */
+function announce(info) {
+    const wallet = { info: { icon: "", ...info }, provider: new EventEmitter() };
+    window.addEventListener("eip6963:requestProvider", () => {
+        window.dispatchEvent(new CustomEvent("eip6963:announceProvider", { detail: wallet }));
+    });
+    return wallet;
+}
+
+describe("WalletSession", function () {
+    let calls;
+
+    beforeEach(function () {
+        global.window = new EventTarget();
+        calls = [];
+    });
+
+    afterEach(function () {
+        delete global.window;
+    });
+
+    function createSession(storage = new MemoryStorage()) {
+        return new WalletSession({
+            onAccountsChanged: (accounts) => calls.push(["accounts", accounts]),
+            onChainChanged: (chainId) => calls.push(["chain", chainId]),
+            onDisconnect: () => calls.push(["disconnect"]),
+            storage
+        });
+    }
+
+    it("collects announced wallets and adds a legacy injection once", async function () {
+        const session = createSession();
+        const rabby = announce({ uuid: "1", name: "Rabby", rdns: "io.rabby" });
+        const metamask = announce({ uuid: "2", name: "MetaMask", rdns: "io.metamask" });
+
+        expect(await session.discover(0)).to.deep.equal([rabby, metamask]);
+
+        // The wallet also injected itself as window.ethereum: listed once
+        window.ethereum = metamask.provider;
+        expect(await session.discover(0)).to.have.lengthOf(2);
+
+        window.ethereum = Object.assign(new EventEmitter(), { isMetaMask: true });
+        const wallets = await session.discover(0);
+        expect(wallets[2].info).to.include({ uuid: "legacy-injected", name: "MetaMask", rdns: "legacy.injected" });
+        expect(wallets[2].provider).to.equal(window.ethereum);
+    });
+
+    it("prefers the remembered wallet, else the only one", async function () {
+        const storage = new MemoryStorage();
+        const session = createSession(storage);
+        const rabby = announce({ uuid: "1", name: "Rabby", rdns: "io.rabby" });
+        const metamask = announce({ uuid: "2", name: "MetaMask", rdns: "io.metamask" });
+        const wallets = await session.discover(0);
+
+        expect(session.findPreferred(wallets)).to.equal(null);
+        expect(session.findPreferred([rabby])).to.equal(rabby);
+
+        session.select(metamask);
+        expect(storage.getItem("wallet:preferred")).to.equal("io.metamask");
+        expect(createSession(storage).findPreferred(wallets).provider).to.equal(metamask.provider);
+
+        session.clear();
+        expect(session.ethereum).to.equal(null);
+        expect(createSession(storage).findPreferred(wallets)).to.equal(null);
+    });
+
+    it("follows only the selected wallet's account and chain changes", async function () {
+        const session = createSession();
+        const rabby = announce({ uuid: "1", name: "Rabby", rdns: "io.rabby" });
+        const metamask = announce({ uuid: "2", name: "MetaMask", rdns: "io.metamask" });
+        await session.discover(0);
+
+        session.select(rabby);
+        session.select(rabby);
+        expect(session.ethereum).to.equal(rabby.provider);
+        expect(rabby.provider.listenerCount("chainChanged")).to.equal(1);
+
+        rabby.provider.emit("accountsChanged", ["0xabc"]);
+        rabby.provider.emit("chainChanged", "0x1b58");
+        rabby.provider.emit("accountsChanged", undefined);
+        rabby.provider.emit("disconnect", new Error("gone"));
+        expect(calls).to.deep.equal([["accounts", ["0xabc"]], ["chain", 7000], ["accounts", []], ["disconnect"]]);
+
+        // Switching wallets stops listening to the previous one
+        session.select(metamask);
+        rabby.provider.emit("chainChanged", "0x1");
+        metamask.provider.emit("chainChanged", "0x1b59");
+        expect(calls.slice(4)).to.deep.equal([["chain", 7001]]);
+        expect(rabby.provider.listenerCount("accountsChanged")).to.equal(0);
+
+        session.clear();
+        metamask.provider.emit("accountsChanged", ["0xdef"]);
+        expect(calls).to.have.lengthOf(5);
+    });
+});
@@ -0,0 +1,49 @@
+// ZetaChain Universal Portfolio Tracker
+// WatchList unit tests - checksummed addresses, duplicates and the localStorage copy
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const WatchList = require("../lib/watchlist");
+const { MemoryStorage } = require("./helpers");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+describe("WatchList", function () {
+    const createList = (storage) => new WatchList({ normalize: (address) => ethers.getAddress(address), storage });
+
+    it("stores checksummed addresses once, with a trimmed label", function () {
+        const storage = new MemoryStorage();
+        const list = createList(storage);
+
+        const entry = list.add(`  ${ALICE.toLowerCase()} `, "  Treasury ");
+        expect(entry).to.include({ address: ALICE, label: "Treasury" });
+        expect(entry.addedAt).to.be.a("number");
+        expect(() => list.add(ALICE.toUpperCase().replace("0X", "0x"))).to.throw("Address is already being watched");
+        expect(() => list.add("0x1234")).to.throw();
+
+        list.add(BOB);
+        expect(list.has(BOB.toLowerCase())).to.equal(true);
+        expect(list.labelFor(ALICE.toLowerCase())).to.equal("Treasury");
+        expect(list.labelFor(BOB)).to.equal("");
+        expect(list.labelFor(ethers.ZeroAddress)).to.equal("");
+
+        // The copy from list() does not change the list
+        list.list().pop();
+        expect(list.list().map(item => item.address)).to.deep.equal([ALICE, BOB]);
+    });
+
+    it("keeps the list across reloads and survives a corrupt copy", function () {
+        const storage = new MemoryStorage();
+        const list = createList(storage);
+        list.add(ALICE, "Treasury");
+        list.add(BOB);
+        list.remove(ALICE.toLowerCase());
+
+        expect(createList(storage).list().map(item => item.address)).to.deep.equal([BOB]);
+        expect(createList(null).list()).to.deep.equal([]);
+
+        storage.setItem("watchlist:addresses", "{not json");
+        expect(createList(storage).list()).to.deep.equal([]);
+    });
+});